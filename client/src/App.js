@@ -9,6 +9,7 @@ import store from './store';
 import Dashboard from './pages/Dashboard';
 import Accounts from './pages/Accounts';
 import Alerts from './pages/Alerts';
+import Proxies from './pages/Proxies';
 import TestPage from './pages/Test';
 
 const theme = createTheme({
@@ -77,6 +78,7 @@ function App() {
             <Route path="/accounts" element={<Accounts />} />
             <Route path="/metrics" element={<div>Metrics Page</div>} />
             <Route path="/alerts" element={<Alerts />} />
+            <Route path="/proxies" element={<Proxies />} />
             <Route path="/settings" element={<div>Settings Page</div>} />
             <Route path="/test" element={<TestPage />} />
             
@@ -138,6 +138,19 @@ export const alertsAPI = {
   testAlert: (id) => api.post(`/alerts/${id}/test`),
 };
 
+// Proxies API
+export const proxiesAPI = {
+  getProxies: () => api.get('/proxies'),
+  getProxy: (id) => api.get(`/proxies/${encodeURIComponent(id)}`),
+  addProxy: (data) => api.post('/proxies', data),
+  importProxies: (data) => api.post('/proxies/import', data),
+  deleteProxy: (id) => api.delete(`/proxies/${encodeURIComponent(id)}`),
+  checkAll: () => api.post('/proxies/health-check', null, { timeout: 60000 }),
+  checkProxy: (id) => api.post(`/proxies/${encodeURIComponent(id)}/health-check`),
+  drainProxy: (id) => api.post(`/proxies/${encodeURIComponent(id)}/drain`),
+  resumeProxy: (id) => api.post(`/proxies/${encodeURIComponent(id)}/resume`),
+};
+
 // Scraper API
 export const scraperAPI = {
   getStatus: () => api.get('/scraper/status'),
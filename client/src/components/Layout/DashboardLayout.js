@@ -21,6 +21,7 @@ import DashboardIcon from '@mui/icons-material/Dashboard';
 import PeopleIcon from '@mui/icons-material/People';
 import NotificationsIcon from '@mui/icons-material/Notifications';
 import BarChartIcon from '@mui/icons-material/BarChart';
+import RouterIcon from '@mui/icons-material/Router';
 import SettingsIcon from '@mui/icons-material/Settings';
 
 // Drawer width
@@ -41,6 +42,7 @@ const DashboardLayout = ({ children }) => {
     { text: 'Accounts', icon: <PeopleIcon />, path: '/accounts' },
     { text: 'Metrics', icon: <BarChartIcon />, path: '/metrics' },
     { text: 'Alerts', icon: <NotificationsIcon />, path: '/alerts' },
+    { text: 'Proxies', icon: <RouterIcon />, path: '/proxies' },
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
   ];
 
@@ -0,0 +1,90 @@
+/**
+ * Capture profile fixtures for offline extraction tests
+ * 
+ * Scrapes the given accounts from X and saves each profile page as a static
+ * HTML snapshot, together with the metrics extracted from it. The snapshots
+ * can then be replayed with `XScraper` in fixture mode (see test-fixture-replay.js).
+ * 
+ * Usage: node capture-fixture.js <username> [<username> ...] [--dir <path>]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { XScraper } = require('./src/services/scraper/x-scraper');
+const { logger } = require('./src/utils/logger');
+
+const log = logger.child({ module: 'FixtureCapture' });
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'data', 'fixtures');
+
+/**
+ * Parse usernames and options from the command line
+ */
+function parseArgs(argv) {
+  const usernames = [];
+  let fixtureDir = process.env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') {
+      fixtureDir = path.resolve(argv[++i]);
+    } else {
+      usernames.push(argv[i].replace(/^@/, ''));
+    }
+  }
+  
+  return { usernames, fixtureDir };
+}
+
+/**
+ * Capture a fixture for each username
+ */
+async function captureFixtures(usernames, fixtureDir) {
+  // Capturing needs the live site, so proxies are used as configured
+  const scraper = new XScraper({
+    useProxies: process.env.USE_PROXIES === 'true',
+    headless: process.env.HEADLESS !== 'false'
+  });
+  
+  await scraper.initialize();
+  
+  const results = [];
+  
+  try {
+    for (const username of usernames) {
+      const result = await scraper.captureFixture({ username }, fixtureDir);
+      
+      if (result.success) {
+        log.info(`Captured ${username}`, { html: result.paths.html });
+      } else {
+        log.error(`Failed to capture ${username}`, { error: result.error });
+      }
+      
+      results.push({ username, ...result });
+    }
+  } finally {
+    await scraper.close();
+  }
+  
+  return results;
+}
+
+// Run the capture if this script is executed directly
+if (require.main === module) {
+  const { usernames, fixtureDir } = parseArgs(process.argv.slice(2));
+  
+  if (usernames.length === 0) {
+    console.error('Usage: node capture-fixture.js <username> [<username> ...] [--dir <path>]');
+    process.exit(1);
+  }
+  
+  captureFixtures(usernames, fixtureDir)
+    .then(results => {
+      process.exit(results.every(r => r.success) ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Unhandled error capturing fixtures:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { captureFixtures };
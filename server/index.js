@@ -42,6 +42,9 @@ app.use('/api/scraper', require('./src/routes/api/scraper'));
 app.use('/api/accounts', require('./src/routes/api/accounts'));
 app.use('/api/metrics', require('./src/routes/api/metrics'));
 app.use('/api/alerts', require('./src/routes/api/alerts'));
+app.use('/api/posts', require('./src/routes/api/posts'));
+app.use('/api/images', require('./src/routes/api/images'));
+app.use('/api/proxies', require('./src/routes/api/proxies'));
 
 // Initialize scraper orchestrator
 const scraperOrchestrator = new ScraperOrchestrator();
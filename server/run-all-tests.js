@@ -21,6 +21,23 @@ const prioritySchedulerTest = require('./test-priority-scheduler');
 const browserManagerTest = require('./test-browser-manager');
 const scraperIntegrationTest = require('./test-scraper-integration');
 const loadTest50 = require('./test-load-50-accounts');
+const fixtureReplayTest = require('./test-fixture-replay');
+const selectorRegistryTest = require('./test-selector-registry');
+const postEntitiesTest = require('./test-post-entities');
+const postVelocityTest = require('./test-post-velocity');
+const backfillResumeTest = require('./test-backfill-resume');
+const accountStatesTest = require('./test-account-states');
+const pageErrorsTest = require('./test-page-errors');
+const graphqlCaptureTest = require('./test-graphql-capture');
+const countParsingTest = require('./test-count-parsing');
+const profileHistoryTest = require('./test-profile-history');
+const imageArchiveTest = require('./test-image-archive');
+const threadMergeTest = require('./test-thread-merge');
+const followGraphTest = require('./test-follow-graph');
+const proxyScoringTest = require('./test-proxy-scoring');
+const proxyPinningTest = require('./test-proxy-pinning');
+const socksProxiesTest = require('./test-socks-proxies');
+const proxyProvidersTest = require('./test-proxy-providers');
 
 // Configure shorter durations for tests
 process.env.TEST_QUICK_MODE = 'true';
@@ -115,6 +132,23 @@ async function runAllTests() {
     { name: 'PriorityScheduler', fn: prioritySchedulerTest.runTest },
     { name: 'BrowserManager', fn: browserManagerTest.runTest },
     { name: 'ScraperIntegration', fn: scraperIntegrationTest.runTest },
+    { name: 'FixtureReplay', fn: fixtureReplayTest.runTest },
+    { name: 'SelectorRegistry', fn: selectorRegistryTest.runTest },
+    { name: 'PostEntities', fn: postEntitiesTest.runTest },
+    { name: 'PostVelocity', fn: postVelocityTest.runTest },
+    { name: 'BackfillResume', fn: backfillResumeTest.runTest },
+    { name: 'AccountStates', fn: accountStatesTest.runTest },
+    { name: 'PageErrors', fn: pageErrorsTest.runTest },
+    { name: 'GraphQLCapture', fn: graphqlCaptureTest.runTest },
+    { name: 'CountParsing', fn: countParsingTest.runTest },
+    { name: 'ProfileHistory', fn: profileHistoryTest.runTest },
+    { name: 'ImageArchive', fn: imageArchiveTest.runTest },
+    { name: 'ThreadMerge', fn: threadMergeTest.runTest },
+    { name: 'FollowGraph', fn: followGraphTest.runTest },
+    { name: 'ProxyScoring', fn: proxyScoringTest.runTest },
+    { name: 'ProxyPinning', fn: proxyPinningTest.runTest },
+    { name: 'SocksProxies', fn: socksProxiesTest.runTest },
+    { name: 'ProxyProviders', fn: proxyProvidersTest.runTest },
     { name: 'LoadTest50Accounts', fn: loadTest50.runTest }
   ];
   
@@ -39,9 +39,23 @@ module.exports = {
   
   authentication: {
     cookiesDir: './data/cookies',
-    systemAccounts: [
-      // Add system accounts for X authentication if needed
-    ]
+    // System accounts for X authentication, as "username:password[:email[:language]]"
+    // entries separated by commas in X_SYSTEM_ACCOUNTS. The language, if set, is the
+    // UI language X renders in for that account
+    systemAccounts: (process.env.X_SYSTEM_ACCOUNTS || '')
+      .split(',')
+      .filter(entry => entry.trim())
+      .map(entry => {
+        const [username, password, email, language] = entry.trim().split(':');
+        return { username, password, email: email || undefined, language: language || undefined };
+      })
+  },
+  
+  images: {
+    // Content-addressed store of archived avatars and banners
+    archiveDir: './data/images',
+    // Perceptual hash bits two images may differ in and still count as the same
+    maxHashDistance: 6
   },
   
   circuitBreaker: {
@@ -70,23 +84,68 @@ module.exports = {
     'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:89.0) Gecko/20100101 Firefox/89.0'
   ],
   
-  // X selectors (update these if Twitter's structure changes)
+  // X selectors, as ordered fallback lists per field (first match wins).
+  // Update these if Twitter's structure changes, or hot-swap them at runtime
+  // through PUT /api/scraper/selectors
   selectors: {
+    version: '2',
     profile: {
-      name: '[data-testid="UserName"]',
-      bio: '[data-testid="UserDescription"]',
-      following: '[data-testid="primaryColumn"] a[href$="/following"]',
-      followers: '[data-testid="primaryColumn"] a[href$="/followers"]'
+      name: ['h1[role="heading"]', '[data-testid="UserName"] span', 'h2[role="heading"] span'],
+      bio: ['[data-testid="UserDescription"]'],
+      location: ['[data-testid="UserLocation"]'],
+      url: ['[data-testid="UserUrl"]'],
+      joinDate: ['[data-testid="UserJoinDate"]'],
+      verified: ['[data-testid="UserBadge"]', '[data-testid="icon-verified"]'],
+      avatar: ['[data-testid^="UserAvatar-Container"] img'],
+      banner: ['a[href$="/header_photo"] img'],
+      stats: ['[data-testid="primaryColumn"] a[role="link"] span', 'a[href$="/following"] span, a[href$="/followers"] span'],
+      following: ['[data-testid="primaryColumn"] a[href$="/following"] span span', 'a[href$="/following"] span span'],
+      followers: [
+        '[data-testid="primaryColumn"] a[href$="/followers"] span span',
+        '[data-testid="primaryColumn"] a[href$="/verified_followers"] span span',
+        'a[href$="/followers"] span span'
+      ],
+      notFound: ['[data-testid="error-detail"]']
     },
     posts: {
-      container: '[data-testid="tweet"]',
-      text: '[data-testid="tweetText"]',
-      time: 'time',
+      container: ['[data-testid="cellInnerDiv"]', '[data-testid="tweet"]'],
+      text: ['[data-testid="tweetText"]'],
+      time: ['time'],
+      link: ['a[href*="/status/"]'],
+      socialContext: ['[data-testid="socialContext"]'],
+      author: ['[data-testid="User-Name"]'],
+      quotedTweet: ['[data-testid="quoteTweet"]', 'div[role="link"] [data-testid="User-Name"]'],
+      media: ['[data-testid="tweetPhoto"] img', 'img[src*="media"]'],
+      video: ['[data-testid="videoPlayer"] video', 'video[poster]'],
+      card: ['[data-testid="card.wrapper"]'],
+      cardTitle: ['[data-testid="card.layoutLarge.detail"] > div:nth-child(2)', '[data-testid="card.layoutSmall.detail"] > div:nth-child(2)'],
+      cardDomain: ['[data-testid="card.layoutLarge.detail"] > div:first-child', '[data-testid="card.layoutSmall.detail"] > div:first-child'],
+      engagementGroup: ['[role="group"][aria-label]'],
       metrics: {
-        replies: '[data-testid="reply"]',
-        retweets: '[data-testid="retweet"]',
-        likes: '[data-testid="like"]'
+        replies: ['[data-testid="reply_count"]', '[data-testid="reply"]'],
+        retweets: ['[data-testid="retweet_count"]', '[data-testid="retweet"]'],
+        likes: ['[data-testid="like_count"]', '[data-testid="like"]'],
+        views: ['[data-testid="view_count"]', 'a[href$="/analytics"]'],
+        quotes: ['[data-testid="quote_count"]', 'a[href$="/quotes"]'],
+        bookmarks: ['[data-testid="bookmark_count"]', '[data-testid="bookmark"]', '[data-testid="removeBookmark"]']
       }
+    },
+    follows: {
+      userCell: ['[data-testid="UserCell"]', '[data-testid="cellInnerDiv"]:has([data-testid$="-follow"], [data-testid$="-unfollow"])']
+    },
+    accountState: {
+      emptyState: ['[data-testid="emptyState"]', '[data-testid="error-detail"]'],
+      protected: ['[data-testid="icon-lock"]', 'svg[aria-label="Protected account"]']
+    },
+    pageState: {
+      errorMessage: ['[data-testid="error-detail"]', '[data-testid="emptyState"]', '[role="alert"]', 'body > pre'],
+      captcha: ['iframe[src*="arkoselabs"]', '#arkose_iframe', 'iframe[src*="captcha"]']
+    },
+    auth: {
+      loggedOut: ['[data-testid="loginButton"]', '[data-testid="login"]', 'a[href="/login"]', 'a[href="/i/flow/login"]'],
+      loginUsername: ['input[autocomplete="username"]', 'input[name="text"]'],
+      loginChallenge: ['input[data-testid="ocfEnterTextTextInput"]'],
+      loginPassword: ['input[name="password"]', 'input[type="password"]']
     }
   }
 }; 
\ No newline at end of file
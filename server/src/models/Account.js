@@ -15,6 +15,9 @@ const AccountSchema = new mongoose.Schema(
     profileImageUrl: {
       type: String,
     },
+    bannerImageUrl: {
+      type: String,
+    },
     bio: {
       type: String,
     },
@@ -43,6 +46,37 @@ const AccountSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    lastFollowCrawl: {
+      type: Date, // when the following list was last read
+      default: null,
+    },
+    lastSeenTweetId: {
+      type: String, // newest tweet captured, where incremental scrapes stop
+      default: null,
+    },
+    state: {
+      type: String,
+      enum: ['unknown', 'active', 'protected', 'suspended', 'withheld', 'notFound', 'renamed'],
+      default: 'unknown',
+    },
+    stateChecks: {
+      type: Number, // scrapes in a row that found the current state
+      default: 0,
+    },
+    stateCheckedAt: {
+      type: Date,
+      default: null,
+    },
+    stateHistory: [
+      {
+        from: String,
+        to: String,
+        at: Date,
+        reason: String,
+        previousUsername: String,
+        newUsername: String,
+      },
+    ],
     scrapingFrequency: {
       type: Number, // in minutes
       default: 360, // default 6 hours
@@ -51,6 +85,11 @@ const AccountSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Sample the top replies to the account's most engaged tweets
+    sampleReplies: {
+      type: Boolean,
+      default: false,
+    },
     notes: {
       type: String,
     },
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One entry of a tracked account's following or followers list. followedAt
+// is only set for follows seen happening; edges found by a first crawl, or
+// further down a list than anyone seen before, were already there.
+const FollowEdgeSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: String,
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ['following', 'followers'],
+      required: true,
+    },
+    // Lowercased username, the key of the other side
+    handle: {
+      type: String,
+      required: true,
+    },
+    username: {
+      type: String,
+    },
+    userId: {
+      type: String,
+    },
+    name: {
+      type: String,
+    },
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    firstSeenAt: {
+      type: Date,
+      required: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      required: true,
+    },
+    followedAt: {
+      type: Date,
+    },
+    // Cleared when a complete crawl no longer finds the edge
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    endedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Create indexes for frequent queries
+FollowEdgeSchema.index({ accountId: 1, direction: 1, handle: 1 }, { unique: true });
+FollowEdgeSchema.index({ accountId: 1, direction: 1, active: 1 });
+FollowEdgeSchema.index({ handle: 1, direction: 1, active: 1 });
+
+module.exports = mongoose.model('FollowEdge', FollowEdgeSchema);
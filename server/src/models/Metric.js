@@ -40,6 +40,18 @@ const MetricSchema = new mongoose.Schema(
       avgViews: {
         type: Number,
         default: 0
+      },
+      avgQuotes: {
+        type: Number,
+        default: 0
+      },
+      avgBookmarks: {
+        type: Number,
+        default: 0
+      },
+      // Averages per tweet type (original, reply, retweet, quote, pinned)
+      byType: {
+        type: Object
       }
     },
     sentiment: {
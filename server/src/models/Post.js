@@ -10,11 +10,15 @@ const PostSchema = new mongoose.Schema(
     account: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Account',
-      required: true,
+    },
+    // Scraper account id, for posts captured by the scraper orchestrator
+    accountId: {
+      type: String,
+      index: true,
     },
     content: {
       type: String,
-      required: true,
+      default: '', // Empty for tweets of only media or a link card
     },
     postDate: {
       type: Date,
@@ -36,11 +40,51 @@ const PostSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    quoteCount: {
+      type: Number,
+      default: 0,
+    },
+    bookmarkCount: {
+      type: Number,
+      default: 0,
+    },
     mediaUrls: [
       {
         type: String,
       },
     ],
+    // Attached photos, and videos and GIFs by their poster frame
+    media: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: ['photo', 'video', 'gif'],
+        },
+        url: {
+          type: String,
+        },
+        sha256: {
+          type: String, // archived copy, served from /api/images/:hash
+        },
+      },
+    ],
+    links: [
+      {
+        type: String,
+      },
+    ],
+    card: {
+      url: String,
+      title: String,
+      domain: String,
+    },
+    // Domains the post links to, from its links and card
+    linkDomains: [
+      {
+        type: String,
+      },
+    ],
     hashtags: [
       {
         type: String,
@@ -51,6 +95,27 @@ const PostSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    postType: {
+      type: String,
+      enum: ['original', 'reply', 'retweet', 'quote', 'pinned'],
+      default: 'original',
+    },
+    // Tweet and user a reply, quote or retweet refers to
+    referencedTweetId: {
+      type: String,
+    },
+    referencedUser: {
+      type: String,
+    },
+    // Thread of self-replies the post is part of
+    threadId: {
+      type: String,
+    },
+    cashtags: [
+      {
+        type: String,
+      },
+    ],
     sentimentScore: {
       type: Number,
       min: -100,
@@ -98,6 +163,8 @@ const PostSchema = new mongoose.Schema(
 
 // Create indexes for frequent queries
 PostSchema.index({ account: 1, postDate: -1 });
+PostSchema.index({ accountId: 1, postDate: -1 });
+PostSchema.index({ accountId: 1, linkDomains: 1 });
 PostSchema.index({ postDate: -1 });
 PostSchema.index({ sentimentScore: -1 });
 
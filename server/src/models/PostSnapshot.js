@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Engagement counts of a post at one point in time, recorded on every scrape
+const PostSnapshotSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: String,
+      required: true,
+    },
+    accountId: {
+      type: String,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    likeCount: {
+      type: Number,
+    },
+    retweetCount: {
+      type: Number,
+    },
+    replyCount: {
+      type: Number,
+    },
+    viewCount: {
+      type: Number,
+    },
+    quoteCount: {
+      type: Number,
+    },
+    bookmarkCount: {
+      type: Number,
+    },
+    estimated: {
+      type: Boolean, // reconstructed for a backfilled post rather than observed
+      default: false,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Create indexes for frequent queries
+PostSnapshotSchema.index({ postId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('PostSnapshot', PostSnapshotSchema);
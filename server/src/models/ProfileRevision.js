@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Profile fields of an account as seen by one scrape, with what changed
+// since the revision before it. The first revision of an account has no changes.
+const ProfileRevisionSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: String,
+      required: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    profile: {
+      name: String,
+      description: String,
+      location: String,
+      url: String,
+      avatar: String,
+      verified: Boolean,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Create indexes for frequent queries
+ProfileRevisionSchema.index({ accountId: 1, timestamp: -1 });
+ProfileRevisionSchema.index({ accountId: 1, 'changes.field': 1 });
+
+module.exports = mongoose.model('ProfileRevision', ProfileRevisionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A reply by another user to a tracked account's post, sampled from the
+// post's most liked replies to gauge how the audience reacted
+const ReplySchema = new mongoose.Schema(
+  {
+    replyId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The tracked post replied to
+    postId: {
+      type: String,
+      required: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+    },
+    author: {
+      type: String,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    postDate: {
+      type: Date,
+    },
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    url: {
+      type: String,
+    },
+    sampledAt: {
+      type: Date,
+      required: true,
+    },
+    sentimentScore: {
+      type: Number,
+      min: -100,
+      max: 100,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for frequent queries
+ReplySchema.index({ postId: 1, likeCount: -1 });
+ReplySchema.index({ accountId: 1, sampledAt: -1 });
+
+module.exports = mongoose.model('Reply', ReplySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A thread of self-replies by a tracked account, keyed by its first post.
+// Incomplete threads started before the posts captured so far; replyTo is
+// the post the earliest one continues, when known.
+const ThreadSchema = new mongoose.Schema(
+  {
+    threadId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+    },
+    // Oldest first
+    postIds: [
+      {
+        type: String,
+      },
+    ],
+    complete: {
+      type: Boolean,
+      default: false,
+    },
+    replyTo: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for frequent queries
+ThreadSchema.index({ accountId: 1, postIds: 1 });
+ThreadSchema.index({ accountId: 1, complete: 1 });
+
+module.exports = mongoose.model('Thread', ThreadSchema);
@@ -1,6 +1,8 @@
 const express = require('express');
 const { logger } = require('../../utils/logger');
 const { AccountManager } = require('../../services/scraper/account-manager');
+const { PROFILE_FIELDS } = require('../../services/scraper/profile-store');
+const { FOLLOW_DIRECTIONS } = require('../../services/scraper/follow-graph');
 const crypto = require('crypto');
 
 const router = express.Router();
@@ -22,6 +24,26 @@ const accountManager = new AccountManager({
   }
 })();
 
+/**
+ * Queue a history backfill for a new account, unless the request sets backfill: false.
+ * An object in backfill is passed on as options ({ untilDate, maxTweets }).
+ */
+const queueBackfill = async (req, account) => {
+  const orchestrator = req.app.get('scraperOrchestrator');
+  
+  if (!orchestrator || req.body.backfill === false) {
+    return null;
+  }
+  
+  try {
+    const options = req.body.backfill && typeof req.body.backfill === 'object' ? req.body.backfill : {};
+    return await orchestrator.onAccountAdded(account, options);
+  } catch (error) {
+    log.error('Error queueing backfill for new account', { error, accountId: account.id });
+    return null;
+  }
+};
+
 /**
  * @route   GET /api/accounts
  * @desc    Get all accounts with optional filtering
@@ -194,6 +216,7 @@ router.post('/', async (req, res) => {
       priority: req.body.priority || 2,
       active: req.body.active !== undefined ? req.body.active : true,
       tags: tags,
+      sampleReplies: req.body.sampleReplies === true,
       lastScraped: null,
       lastError: null,
       createdAt: new Date().toISOString(),
@@ -210,6 +233,7 @@ router.post('/', async (req, res) => {
         const savedAccount = await accountManager.addAccount(newAccount);
         console.log('Account saved via accountManager:', savedAccount);
         console.log('Tags in saved account:', savedAccount.tags);
+        await queueBackfill(req, savedAccount);
         return res.status(201).json({ success: true, data: savedAccount });
       }
     } catch (managerError) {
@@ -225,6 +249,7 @@ router.post('/', async (req, res) => {
     // Store the account
     global.accounts.set(id, newAccount);
     console.log('Account saved in fallback storage:', id);
+    await queueBackfill(req, newAccount);
     
     // Return the created account
     return res.status(201).json({ success: true, data: newAccount });
@@ -387,6 +412,181 @@ router.post('/:id/scrape', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/accounts/:id/profile-history
+ * @desc    Get the profile revisions of an account (name, bio, avatar, location, URL), newest first
+ * @access  Public
+ */
+router.get('/:id/profile-history', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const { field } = req.query;
+    
+    if (field && !PROFILE_FIELDS.includes(field)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown profile field: ${field}. Expected one of: ${PROFILE_FIELDS.join(', ')}` 
+      });
+    }
+    
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    const history = await orchestrator.profileStore.getHistory(req.params.id, { limit, field });
+    
+    return res.json({ 
+      success: true, 
+      data: history
+    });
+  } catch (error) {
+    log.error('Error getting profile history', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving profile history' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/accounts/follows/overlap
+ * @desc    Compare the follow lists of tracked accounts (?ids=a,b,c, all active accounts by default):
+ *          users followed by two or more of them and the overlap of each pair
+ * @access  Public
+ */
+router.get('/follows/overlap', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const direction = req.query.direction || 'following';
+    
+    if (!FOLLOW_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown follow direction: ${direction}. Expected one of: ${FOLLOW_DIRECTIONS.join(', ')}` 
+      });
+    }
+    
+    const accountIds = req.query.ids
+      ? req.query.ids.split(',').map(id => id.trim()).filter(Boolean)
+      : (await accountManager.getAccounts({ active: true })).map(account => account.id);
+    
+    if (accountIds.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'At least two accounts are needed to compute an overlap' 
+      });
+    }
+    
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const overlap = await orchestrator.followGraph.getOverlap(accountIds, { direction, limit });
+    
+    return res.json({ 
+      success: true, 
+      data: overlap
+    });
+  } catch (error) {
+    log.error('Error computing follow overlap', { error, ids: req.query.ids });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error computing follow overlap' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/accounts/:id/follows
+ * @desc    Get the users an account follows (or sampled followers with ?direction=followers),
+ *          with first and last seen dates; ?active=false lists ended follows
+ * @access  Public
+ */
+router.get('/:id/follows', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const direction = req.query.direction || 'following';
+    
+    if (!FOLLOW_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown follow direction: ${direction}. Expected one of: ${FOLLOW_DIRECTIONS.join(', ')}` 
+      });
+    }
+    
+    const active = req.query.active === undefined ? undefined : req.query.active !== 'false';
+    const edges = await orchestrator.followGraph.getEdges(req.params.id, { direction, active });
+    
+    return res.json({ 
+      success: true, 
+      data: edges
+    });
+  } catch (error) {
+    log.error('Error getting follows', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving follows' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/accounts/:id/follows/changes
+ * @desc    Get the users an account followed or unfollowed in the last ?days (default 30), newest first
+ * @access  Public
+ */
+router.get('/:id/follows/changes', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const direction = req.query.direction || 'following';
+    
+    if (!FOLLOW_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown follow direction: ${direction}. Expected one of: ${FOLLOW_DIRECTIONS.join(', ')}` 
+      });
+    }
+    
+    const days = req.query.days ? parseInt(req.query.days, 10) : 30;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const changes = await orchestrator.followGraph.getChanges(req.params.id, { direction, since, limit });
+    
+    return res.json({ 
+      success: true, 
+      data: changes
+    });
+  } catch (error) {
+    log.error('Error getting follow changes', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving follow changes' 
+    });
+  }
+});
+
 /**
  * @route   PUT /api/accounts/:id/toggle
  * @desc    Toggle account active status
@@ -0,0 +1,137 @@
+const express = require('express');
+const { logger } = require('../../utils/logger');
+const { IMAGE_KINDS } = require('../../services/scraper/image-archive');
+
+const router = express.Router();
+const log = logger.child({ module: 'ImagesAPI' });
+
+/**
+ * Send an archived image. Files are named by their content hash, so they
+ * can be cached forever.
+ */
+const sendImage = (res, file) => {
+  if (file.contentType) {
+    res.type(file.contentType);
+  }
+  
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  return res.sendFile(file.path);
+};
+
+/**
+ * @route   GET /api/images/account/:accountId
+ * @desc    Get the archived avatar and banner revisions of an account, newest first
+ * @access  Public
+ */
+router.get('/account/:accountId', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const revisions = orchestrator.imageArchive.getRevisions(req.params.accountId);
+    
+    for (const kind of IMAGE_KINDS) {
+      revisions[kind] = revisions[kind].map(({ file, ...revision }) => ({
+        ...revision,
+        url: `/api/images/${revision.sha256}`
+      }));
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: revisions
+    });
+  } catch (error) {
+    log.error('Error getting account images', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving account images' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/images/account/:accountId/:kind
+ * @desc    Get the current archived avatar or banner of an account
+ * @access  Public
+ */
+router.get('/account/:accountId/:kind', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const { accountId, kind } = req.params;
+    
+    if (!IMAGE_KINDS.includes(kind)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown image kind: ${kind}. Expected one of: ${IMAGE_KINDS.join(', ')}` 
+      });
+    }
+    
+    const latest = orchestrator.imageArchive.getLatest(accountId, kind);
+    const file = latest ? orchestrator.imageArchive.getFile(latest.sha256) : null;
+    
+    if (!file) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Image not found' 
+      });
+    }
+    
+    // The current image changes, so point at its immutable address
+    return res.redirect(302, `/api/images/${latest.sha256}`);
+  } catch (error) {
+    log.error('Error getting current account image', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving account image' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/images/:hash
+ * @desc    Get an archived image by its SHA-256
+ * @access  Public
+ */
+router.get('/:hash', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const file = orchestrator.imageArchive.getFile(req.params.hash);
+    
+    if (!file) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Image not found' 
+      });
+    }
+    
+    return sendImage(res, file);
+  } catch (error) {
+    log.error('Error getting archived image', { error, hash: req.params.hash });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving image' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const { logger } = require('../../utils/logger');
+
+const router = express.Router();
+const log = logger.child({ module: 'PostsAPI' });
+
+/**
+ * @route   GET /api/posts/account/:accountId
+ * @desc    Get captured posts for an account, newest first, each thread as one item (threads=false for single posts)
+ * @access  Public
+ */
+router.get('/account/:accountId', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    const posts = req.query.threads === 'false'
+      ? await orchestrator.postStore.getPosts(req.params.accountId, { limit })
+      : await orchestrator.postStore.getPostsWithThreads(req.params.accountId, { limit });
+    
+    return res.json({ 
+      success: true, 
+      data: posts
+    });
+  } catch (error) {
+    log.error('Error getting account posts', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving account posts' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts/account/:accountId/domains
+ * @desc    Get the external domains an account links to most, optionally over the last N days
+ * @access  Public
+ */
+router.get('/account/:accountId/domains', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 20;
+    const since = req.query.days
+      ? new Date(Date.now() - parseInt(req.query.days, 10) * 24 * 60 * 60 * 1000)
+      : null;
+    
+    const domains = await orchestrator.postStore.getTopDomains(req.params.accountId, { limit, since });
+    
+    return res.json({ 
+      success: true, 
+      data: domains
+    });
+  } catch (error) {
+    log.error('Error getting linked domains', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving linked domains' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts/threads/:threadId
+ * @desc    Get a thread with its posts, oldest first
+ * @access  Public
+ */
+router.get('/threads/:threadId', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const thread = await orchestrator.postStore.getThreadWithPosts(req.params.threadId);
+    
+    if (!thread) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Thread not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: thread
+    });
+  } catch (error) {
+    log.error('Error getting thread', { error, threadId: req.params.threadId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving thread' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts/:postId/replies
+ * @desc    Get the sampled replies to a post, most liked first
+ * @access  Public
+ */
+router.get('/:postId/replies', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    const replies = await orchestrator.postStore.getReplies(req.params.postId, { limit });
+    
+    return res.json({ 
+      success: true, 
+      data: replies
+    });
+  } catch (error) {
+    log.error('Error getting post replies', { error, postId: req.params.postId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving post replies' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/posts/:postId/timeline
+ * @desc    Get engagement snapshots for a post with velocity at 1h/6h/24h
+ * @access  Public
+ */
+router.get('/:postId/timeline', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const timeline = await orchestrator.postStore.getTimeline(req.params.postId);
+    
+    if (!timeline) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Post not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: timeline
+    });
+  } catch (error) {
+    log.error('Error getting post timeline', { error, postId: req.params.postId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving post timeline' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,492 @@
+const express = require('express');
+const { logger } = require('../../utils/logger');
+const { ProxyManager, PROXY_PROTOCOLS } = require('../../services/scraper/proxy-manager');
+
+const router = express.Router();
+const log = logger.child({ module: 'ProxiesAPI' });
+
+/**
+ * Get the scraper's proxy manager, loading the saved pool first if the scraper
+ * hasn't been started yet. Sends the error response and returns null when
+ * there's no orchestrator or proxies are turned off.
+ */
+const getProxyManager = async (req, res) => {
+  const orchestrator = req.app.get('scraperOrchestrator');
+  
+  if (!orchestrator) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Scraper orchestrator not available' 
+    });
+    return null;
+  }
+  
+  if (!orchestrator.proxyManager) {
+    res.status(400).json({ 
+      success: false, 
+      error: 'Proxies are disabled (USE_PROXIES=false)' 
+    });
+    return null;
+  }
+  
+  // Editing the pool before it's loaded would overwrite the saved proxies
+  if (!orchestrator.proxyManager.isInitialized) {
+    await orchestrator.proxyManager.initialize();
+  }
+  
+  return orchestrator.proxyManager;
+};
+
+/**
+ * @route   GET /api/proxies
+ * @desc    List the proxy pool with each proxy's health, usage and cooldown state
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    return res.json({ 
+      success: true, 
+      data: {
+        status: proxyManager.getStatus(),
+        proxies: proxyManager.getProxies()
+      }
+    });
+  } catch (error) {
+    log.error('Error listing proxies', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving proxies' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies
+ * @desc    Add a proxy ({ host, port, protocol, username, password, group }); it's health checked before use
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const { host, port, protocol, username, password, group } = req.body;
+    const proxyConfig = {
+      host,
+      port: parseInt(port, 10),
+      protocol: ProxyManager.normalizeProtocol(protocol)
+    };
+    
+    if (username || password) {
+      proxyConfig.auth = { username, password };
+    }
+    
+    if (group) {
+      proxyConfig.group = group;
+    }
+    
+    if (!proxyManager.isValidProxy(proxyConfig)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `A proxy needs a host, a numeric port and a protocol of ${PROXY_PROTOCOLS.join(', ')}, and both username and password if either is set` 
+      });
+    }
+    
+    const proxyId = proxyManager.generateProxyId(proxyConfig);
+    
+    if (proxyManager.proxies.has(proxyId)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Proxy ${proxyId} already exists` 
+      });
+    }
+    
+    await proxyManager.addProxy(proxyConfig);
+    
+    return res.status(201).json({ 
+      success: true, 
+      data: proxyManager.getProxyInfo(proxyId)
+    });
+  } catch (error) {
+    log.error('Error adding proxy', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error adding proxy' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/import
+ * @desc    Bulk import proxies, as { proxies: [{ host, port, ... }] } or { text } with
+ *          one host:port[:username:password] or protocol://[username:password@]host:port per line
+ * @access  Public
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const { proxies, text } = req.body;
+    
+    if (!Array.isArray(proxies) && typeof text !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Expected a proxies array or a text list' 
+      });
+    }
+    
+    const result = await proxyManager.importProxies(Array.isArray(proxies) ? proxies : text);
+    
+    return res.json({ 
+      success: true, 
+      message: `Imported ${result.added.length} proxies, ${result.healthy} healthy`,
+      data: result
+    });
+  } catch (error) {
+    log.error('Error importing proxies', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error importing proxies' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/health-check
+ * @desc    Health check every proxy now instead of waiting for the next round
+ * @access  Public
+ */
+router.post('/health-check', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    await proxyManager.runHealthChecks();
+    
+    return res.json({ 
+      success: true, 
+      data: {
+        status: proxyManager.getStatus(),
+        proxies: proxyManager.getProxies()
+      }
+    });
+  } catch (error) {
+    log.error('Error running proxy health checks', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error running proxy health checks' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/proxies/providers
+ * @desc    List the proxy providers with their refresh interval and how the last refresh went
+ * @access  Public
+ */
+router.get('/providers', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    return res.json({ 
+      success: true, 
+      data: proxyManager.getProviders()
+    });
+  } catch (error) {
+    log.error('Error listing proxy providers', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving proxy providers' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/providers/:name/refresh
+ * @desc    Refresh a provider now: add the proxies it lists and retire the ones it dropped
+ * @access  Public
+ */
+router.post('/providers/:name/refresh', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    if (!proxyManager.providers.has(req.params.name)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy provider not found' 
+      });
+    }
+    
+    const result = await proxyManager.refreshProvider(req.params.name);
+    const provider = proxyManager.getProviders().find(item => item.name === req.params.name);
+    
+    if (!result) {
+      return res.status(502).json({ 
+        success: false, 
+        error: `Provider refresh failed: ${provider.lastError}` 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      message: `Added ${result.added.length} proxies, retired ${result.retired.length}, kept ${result.kept.length} still pinned`,
+      data: provider
+    });
+  } catch (error) {
+    log.error('Error refreshing proxy provider', { error, name: req.params.name });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error refreshing proxy provider' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/proxies/:id
+ * @desc    Get a proxy with its health, usage and cooldown state
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const proxy = proxyManager.getProxyInfo(req.params.id);
+    
+    if (!proxy) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: proxy
+    });
+  } catch (error) {
+    log.error('Error getting proxy', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving proxy' 
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/proxies/:id
+ * @desc    Move a proxy into a group ({ group }), null to take it out of its group
+ * @access  Public
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const { group } = req.body;
+    
+    if (group !== undefined && group !== null && typeof group !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'group must be a string or null' 
+      });
+    }
+    
+    const updated = await proxyManager.setProxyGroup(req.params.id, group);
+    
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: proxyManager.getProxyInfo(req.params.id)
+    });
+  } catch (error) {
+    log.error('Error updating proxy', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error updating proxy' 
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/proxies/:id
+ * @desc    Remove a proxy from the pool
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const removed = await proxyManager.removeProxy(req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      message: 'Proxy removed'
+    });
+  } catch (error) {
+    log.error('Error removing proxy', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error removing proxy' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/:id/health-check
+ * @desc    Health check one proxy now
+ * @access  Public
+ */
+router.post('/:id/health-check', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const healthy = await proxyManager.checkProxy(req.params.id);
+    
+    if (healthy === null) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: proxyManager.getProxyInfo(req.params.id)
+    });
+  } catch (error) {
+    log.error('Error checking proxy health', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error checking proxy health' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/:id/drain
+ * @desc    Stop giving a proxy new requests; the ones queued on it still run
+ * @access  Public
+ */
+router.post('/:id/drain', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const drained = await proxyManager.drainProxy(req.params.id);
+    
+    if (!drained) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: proxyManager.getProxyInfo(req.params.id)
+    });
+  } catch (error) {
+    log.error('Error draining proxy', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error draining proxy' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/:id/resume
+ * @desc    Put a drained proxy back into rotation
+ * @access  Public
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const resumed = await proxyManager.resumeProxy(req.params.id);
+    
+    if (!resumed) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: proxyManager.getProxyInfo(req.params.id)
+    });
+  } catch (error) {
+    log.error('Error resuming proxy', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error resuming proxy' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxies/:id/pin
+ * @desc    Pin an affinity key ({ key }, e.g. session:username) to a proxy
+ * @access  Public
+ */
+router.post('/:id/pin', async (req, res) => {
+  try {
+    const proxyManager = await getProxyManager(req, res);
+    if (!proxyManager) return;
+    
+    const { key } = req.body;
+    
+    if (!key || typeof key !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'An affinity key is required' 
+      });
+    }
+    
+    if (!proxyManager.proxies.has(req.params.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Proxy not found' 
+      });
+    }
+    
+    const affinity = await proxyManager.pin(key, req.params.id);
+    
+    return res.json({ 
+      success: true, 
+      data: { key, ...affinity }
+    });
+  } catch (error) {
+    log.error('Error pinning to proxy', { error, id: req.params.id });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error pinning to proxy' 
+    });
+  }
+});
+
+module.exports = router;
@@ -376,4 +376,304 @@ router.get('/queue', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/scraper/selectors
+ * @desc    Get the active selector set and which fallbacks have been matching
+ * @access  Public
+ */
+router.get('/selectors', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: orchestrator.selectorRegistry.getStatus()
+    });
+  } catch (error) {
+    log.error('Error getting selectors', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving selectors' 
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/scraper/selectors
+ * @desc    Hot-swap selectors; fields not in the body keep their current selectors
+ * @access  Public
+ */
+router.put('/selectors', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const { version, selectors } = req.body;
+    const errors = orchestrator.selectorRegistry.validate(selectors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid selector set',
+        details: errors
+      });
+    }
+    
+    const status = await orchestrator.selectorRegistry.swap(selectors, { version });
+    log.info('Selector set swapped', { version: status.version, revision: status.revision });
+    
+    return res.json({ 
+      success: true, 
+      message: 'Selectors updated',
+      data: status
+    });
+  } catch (error) {
+    log.error('Error updating selectors', { error, body: req.body });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error updating selectors' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/scraper/selectors/rollback
+ * @desc    Restore the selector set that was active before the last swap
+ * @access  Public
+ */
+router.post('/selectors/rollback', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    if (orchestrator.selectorRegistry.history.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No previous selector set to roll back to' 
+      });
+    }
+    
+    const status = await orchestrator.selectorRegistry.rollback();
+    
+    return res.json({ 
+      success: true, 
+      message: 'Selectors rolled back',
+      data: status
+    });
+  } catch (error) {
+    log.error('Error rolling back selectors', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error rolling back selectors' 
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/scraper/selectors
+ * @desc    Drop selector overrides and go back to the config selectors
+ * @access  Public
+ */
+router.delete('/selectors', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const status = await orchestrator.selectorRegistry.reset();
+    
+    return res.json({ 
+      success: true, 
+      message: 'Selectors reset to config defaults',
+      data: status
+    });
+  } catch (error) {
+    log.error('Error resetting selectors', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error resetting selectors' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/scraper/backfill
+ * @desc    Get all history backfill jobs and their progress
+ * @access  Public
+ */
+router.get('/backfill', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: orchestrator.scheduler.getBackfills()
+    });
+  } catch (error) {
+    log.error('Error getting backfill jobs', { error });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving backfill jobs' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/scraper/backfill/:accountId
+ * @desc    Get the backfill progress of an account
+ * @access  Public
+ */
+router.get('/backfill/:accountId', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const job = orchestrator.scheduler.getBackfill(req.params.accountId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No backfill found for account' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      data: job
+    });
+  } catch (error) {
+    log.error('Error getting backfill job', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error retrieving backfill job' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/scraper/backfill/:accountId
+ * @desc    Queue a history backfill for an account, back to untilDate or maxTweets
+ * @access  Public
+ */
+router.post('/backfill/:accountId', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const { accountId } = req.params;
+    const { untilDate, maxTweets } = req.body;
+    
+    if (untilDate && Number.isNaN(new Date(untilDate).getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'untilDate must be a valid date' 
+      });
+    }
+    
+    if (maxTweets !== undefined && (!Number.isInteger(maxTweets) || maxTweets <= 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'maxTweets must be a positive integer' 
+      });
+    }
+    
+    const account = await orchestrator.accountManager.getAccount(accountId);
+    
+    if (!account) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Account not found' 
+      });
+    }
+    
+    const job = await orchestrator.queueBackfill(account, { untilDate, maxTweets });
+    
+    return res.json({ 
+      success: true, 
+      message: `Backfill ${job.status} for account ${account.username}`,
+      data: job
+    });
+  } catch (error) {
+    log.error('Error queueing backfill', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error queueing backfill' 
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/scraper/backfill/:accountId
+ * @desc    Cancel the backfill of an account
+ * @access  Public
+ */
+router.delete('/backfill/:accountId', async (req, res) => {
+  try {
+    const orchestrator = req.app.get('scraperOrchestrator');
+    if (!orchestrator) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Scraper orchestrator not available' 
+      });
+    }
+    
+    const job = await orchestrator.scheduler.cancelBackfill(req.params.accountId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No backfill found for account' 
+      });
+    }
+    
+    return res.json({ 
+      success: true, 
+      message: 'Backfill cancelled',
+      data: job
+    });
+  } catch (error) {
+    log.error('Error cancelling backfill', { error, accountId: req.params.accountId });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Server error cancelling backfill' 
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,7 @@
 const puppeteer = require('puppeteer');
 const logger = require('../utils/logger');
+const { SelectorRegistry } = require('./scraper/selector-registry');
+const { SessionManager } = require('./scraper/session-manager');
 
 class Scraper {
   constructor() {
@@ -8,10 +10,13 @@ class Scraper {
     this.isLoggedIn = false;
     this.lastRequestTime = 0;
     this.minRequestInterval = 5000; // 5 seconds between requests
+    this.selectors = new SelectorRegistry();
   }
 
   async initialize() {
     try {
+      await this.selectors.initialize();
+
       this.browser = await puppeteer.launch({
         headless: 'new',
         args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu'],
@@ -52,7 +57,7 @@ class Scraper {
       await this.page.type('input[autocomplete="username"]', username);
 
       // Click Next button
-      await this.page.click('[role="button"]:has-text("Next")');
+      await SessionManager.clickButtonByText(this.page, ['Next']);
 
       // Wait for password field
       await this.page.waitForSelector('input[type="password"]');
@@ -61,7 +66,7 @@ class Scraper {
       await this.page.type('input[type="password"]', password);
 
       // Click Log in button
-      await this.page.click('[role="button"]:has-text("Log in")');
+      await SessionManager.clickButtonByText(this.page, ['Log in']);
 
       // Wait for the page to load
       await this.page.waitForNavigation({ waitUntil: 'networkidle2' });
@@ -111,23 +116,26 @@ class Scraper {
       });
 
       // Extract profile data
-      const profileData = await this.page.evaluate(() => {
+      const profileData = await this.page.evaluate((selectors) => {
+        // Try each fallback selector in order
+        const queryFirst = (list = []) => {
+          for (const selector of list) {
+            const el = document.querySelector(selector);
+            if (el) return el;
+          }
+          return null;
+        };
+
         // Check if profile exists
-        if (document.querySelector('[data-testid="error-detail"]')) {
+        if (queryFirst(selectors.notFound)) {
           return null;
         }
 
-        const nameElement = document.querySelector('h2[role="heading"] span');
-        const bioElement = document.querySelector('[data-testid="UserDescription"]');
-        const followingElement = document.querySelector(
-          'a[href$="/following"] span span'
-        );
-        const followersElement = document.querySelector(
-          'a[href$="/followers"] span span'
-        );
-        const profileImageElement = document.querySelector(
-          'div[data-testid="UserAvatar-Container"] img'
-        );
+        const nameElement = queryFirst(selectors.name);
+        const bioElement = queryFirst(selectors.bio);
+        const followingElement = queryFirst(selectors.following);
+        const followersElement = queryFirst(selectors.followers);
+        const profileImageElement = queryFirst(selectors.avatar);
 
         return {
           username: window.location.pathname.slice(1),
@@ -137,7 +145,7 @@ class Scraper {
           followers: followersElement ? followersElement.textContent : '0',
           profileImageUrl: profileImageElement ? profileImageElement.src : '',
         };
-      });
+      }, this.selectors.getGroup('profile'));
 
       if (!profileData) {
         logger.error(`Profile not found for username: ${username}`);
@@ -192,7 +200,8 @@ class Scraper {
       });
 
       // Wait for tweets to load
-      await this.page.waitForSelector('[data-testid="tweet"]');
+      const selectors = this.selectors.getGroup('posts');
+      await this.page.waitForSelector(selectors.container.join(', '));
 
       // Scroll down to load more tweets if needed
       const scrollsNeeded = Math.ceil(count / 5); // Approximately 5 tweets per scroll
@@ -204,8 +213,21 @@ class Scraper {
       }
 
       // Extract posts
-      const posts = await this.page.evaluate((maxCount) => {
-        const tweetElements = document.querySelectorAll('[data-testid="tweet"]');
+      const posts = await this.page.evaluate((maxCount, selectors) => {
+        // Try each fallback selector in order
+        const queryFirst = (root, list = []) => {
+          for (const selector of list) {
+            const el = root.querySelector(selector);
+            if (el) return el;
+          }
+          return null;
+        };
+
+        let tweetElements = [];
+        for (const selector of selectors.container) {
+          tweetElements = document.querySelectorAll(selector);
+          if (tweetElements.length > 0) break;
+        }
         const results = [];
 
         for (let i = 0; i < Math.min(tweetElements.length, maxCount); i++) {
@@ -217,7 +239,7 @@ class Scraper {
           }
 
           // Get tweet ID from the link
-          const linkEl = tweetEl.querySelector('a[href*="/status/"]');
+          const linkEl = queryFirst(tweetEl, selectors.link);
           const postId = linkEl
             ? linkEl.href.match(/\/status\/(\d+)/)?.[1] || null
             : null;
@@ -228,28 +250,32 @@ class Scraper {
           }
 
           // Get tweet content
-          const contentEl = tweetEl.querySelector('[data-testid="tweetText"]');
+          const contentEl = queryFirst(tweetEl, selectors.text);
           const content = contentEl ? contentEl.textContent : '';
 
           // Get timestamp
-          const timeEl = tweetEl.querySelector('time');
+          const timeEl = queryFirst(tweetEl, selectors.time);
           const timestamp = timeEl ? timeEl.getAttribute('datetime') : null;
 
           // Get engagement stats
-          const getStatValue = (testId) => {
-            const statEl = tweetEl.querySelector(`[data-testid="${testId}"] span`);
+          const getStatValue = (metric) => {
+            const statEl = queryFirst(tweetEl, selectors[`metrics.${metric}`]);
             if (!statEl) return 0;
             const text = statEl.textContent.trim();
             if (!text || text === '') return 0;
             return parseInt(text.replace(/,/g, '')) || 0;
           };
 
-          const replyCount = getStatValue('reply');
-          const retweetCount = getStatValue('retweet');
-          const likeCount = getStatValue('like');
+          const replyCount = getStatValue('replies');
+          const retweetCount = getStatValue('retweets');
+          const likeCount = getStatValue('likes');
 
           // Get media
-          const mediaElements = tweetEl.querySelectorAll('img[src*="media"]');
+          let mediaElements = [];
+          for (const selector of selectors.media) {
+            mediaElements = tweetEl.querySelectorAll(selector);
+            if (mediaElements.length > 0) break;
+          }
           const mediaUrls = Array.from(mediaElements).map((img) => img.src);
 
           // Get hashtags
@@ -278,7 +304,7 @@ class Scraper {
         }
 
         return results;
-      }, count);
+      }, count, selectors);
 
       return posts;
     } catch (error) {
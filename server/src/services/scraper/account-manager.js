@@ -1,17 +1,21 @@
 const md5 = require('md5');
+const { EventEmitter } = require('events');
 const { logger } = require('../../utils/logger');
+const { ACCOUNT_STATES } = require('./page-classifier');
 
 /**
  * Manages X accounts for tracking
  */
-class AccountManager {
+class AccountManager extends EventEmitter {
   /**
    * Initialize the account manager
    */
   constructor(config = {}) {
+    super(); // Initialize EventEmitter
     this.log = logger.child({ module: 'AccountManager' });
     this.accounts = {};
     this.storage = config.storageType || 'memory';
+    this.maxStateHistory = config.maxStateHistory || 50; // State transitions kept per account
     this.initialized = false;
     
     this.log.info('Account manager initialized', { storageType: this.storage });
@@ -108,8 +112,15 @@ class AccountManager {
       priority: accountData.priority || 3, // Default to lower priority
       active: accountData.active !== undefined ? accountData.active : true,
       tags: accountData.tags || [],
+      sampleReplies: accountData.sampleReplies === true, // Sample the replies to the account's most engaged tweets
       lastScraped: null,
       lastError: null,
+      lastSeenTweetId: null, // Newest tweet captured so far, where the next scrape can stop
+      lastFollowCrawl: null, // When the following list was last read
+      state: 'unknown', // Profile state found by the last scrape
+      stateChecks: 0, // Scrapes in a row that found the current state
+      stateCheckedAt: null,
+      stateHistory: [],
       createdAt: now,
       updatedAt: now,
       metadata: accountData.metadata || {}
@@ -120,6 +131,9 @@ class AccountManager {
     
     this.log.info('Account added', { id, username: account.username });
     
+    // Lets the orchestrator queue a history backfill for the new account
+    this.emit('accountAdded', account);
+    
     return account;
   }
 
@@ -134,7 +148,7 @@ class AccountManager {
     }
     
     // Update allowed fields
-    const allowedFields = ['name', 'priority', 'active', 'tags', 'metadata'];
+    const allowedFields = ['name', 'priority', 'active', 'tags', 'metadata', 'sampleReplies', 'profileImageUrl', 'bannerImageUrl'];
     const account = this.accounts[id];
     let updated = false;
     
@@ -274,6 +288,125 @@ class AccountManager {
     return account;
   }
   
+  /**
+   * Move the account's high-water mark forward to the newest tweet seen.
+   * An older id is ignored, so the mark never goes back.
+   */
+  async updateLastSeenTweet(id, tweetId) {
+    // Check if account exists
+    if (!this.accounts[id]) {
+      this.log.warn('Account not found for updating lastSeenTweetId', { id });
+      throw new Error('Account not found');
+    }
+    
+    const account = this.accounts[id];
+    
+    if (!tweetId) {
+      return account;
+    }
+    
+    const current = account.lastSeenTweetId;
+    const next = String(tweetId);
+    
+    // Tweet ids are compared as digit strings since they don't fit in a Number
+    if (!current || next.length > current.length || (next.length === current.length && next > current)) {
+      account.lastSeenTweetId = next;
+      account.updatedAt = new Date().toISOString();
+      
+      this.log.debug('Updated lastSeenTweetId', { id, username: account.username, lastSeenTweetId: next });
+    }
+    
+    return account;
+  }
+  
+  /**
+   * Record that the account's follow lists were just read, so the next
+   * crawl waits out the crawl interval
+   */
+  async updateLastFollowCrawl(id) {
+    // Check if account exists
+    if (!this.accounts[id]) {
+      this.log.warn('Account not found for updating lastFollowCrawl', { id });
+      throw new Error('Account not found');
+    }
+    
+    const account = this.accounts[id];
+    account.lastFollowCrawl = new Date().toISOString();
+    account.updatedAt = account.lastFollowCrawl;
+    
+    return account;
+  }
+  
+  /**
+   * Record the state a scrape found an account in. Changes go into the
+   * account's state history and are emitted as stateChanged events.
+   */
+  async updateAccountState(id, accountState = {}) {
+    // Check if account exists
+    if (!this.accounts[id]) {
+      this.log.warn('Account not found for updating state', { id });
+      throw new Error('Account not found');
+    }
+    
+    const { state, newUsername = null, reason = null } = accountState;
+    
+    if (!ACCOUNT_STATES.includes(state)) {
+      throw new Error(`Unknown account state: ${state}`);
+    }
+    
+    const account = this.accounts[id];
+    
+    // A page that couldn't be classified says nothing about the account
+    if (state === 'unknown') {
+      return account;
+    }
+    
+    const now = new Date().toISOString();
+    account.stateCheckedAt = now;
+    
+    // Renamed again to another handle is a new transition, not another check
+    const renamedAgain = state === 'renamed' && newUsername && newUsername.toLowerCase() !== account.username.toLowerCase();
+    
+    if (state === account.state && !renamedAgain) {
+      account.stateChecks++;
+      return account;
+    }
+    
+    const transition = {
+      from: account.state,
+      to: state,
+      at: now,
+      reason
+    };
+    
+    // Follow the rename so the next scrape goes to the new handle
+    if (state === 'renamed' && newUsername) {
+      transition.previousUsername = account.username;
+      transition.newUsername = newUsername;
+      account.username = newUsername;
+      account.url = `https://twitter.com/${newUsername}`;
+    }
+    
+    account.state = state;
+    account.stateChecks = 1;
+    account.stateHistory = [...(account.stateHistory || []), transition].slice(-this.maxStateHistory);
+    account.updatedAt = now;
+    
+    this.log.info(`Account ${account.username} changed state: ${transition.from} -> ${state}`, { id, reason });
+    
+    this.emit('stateChanged', {
+      accountId: id,
+      username: account.username,
+      previousState: transition.from,
+      state,
+      newUsername: transition.newUsername || null,
+      reason,
+      timestamp: now
+    });
+    
+    return account;
+  }
+  
   /**
    * Get the next account to scrape based on priority
    */
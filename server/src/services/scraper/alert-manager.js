@@ -385,6 +385,186 @@ class AlertManager {
     }
   }
   
+  /**
+   * Process an account state change against alerts on the 'accountState' metric.
+   * 'changed' fires on any change; 'eq' and 'ne' compare the new state to the threshold.
+   */
+  async processStateChange(change) {
+    if (!change || !change.accountId) {
+      this.log.warn('Invalid state change received');
+      return [];
+    }
+    
+    try {
+      const alerts = (await this.getAlerts({ active: true, accountId: change.accountId }))
+        .filter(alert => alert.metricType === 'accountState');
+      
+      const triggeredAlerts = [];
+      
+      for (const alert of alerts) {
+        const isTriggered = alert.condition === 'changed' ||
+          (alert.condition === 'eq' && change.state === alert.threshold) ||
+          (alert.condition === 'ne' && change.state !== alert.threshold);
+        
+        if (!isTriggered) {
+          continue;
+        }
+        
+        triggeredAlerts.push(await this.triggerAlert(alert, {
+          actualValue: change.state,
+          previousValue: change.previousState,
+          metricTimestamp: change.timestamp
+        }));
+      }
+      
+      if (triggeredAlerts.length > 0) {
+        this.log.info('State change alerts triggered', {
+          accountId: change.accountId,
+          state: change.state,
+          count: triggeredAlerts.length
+        });
+      }
+      
+      return triggeredAlerts;
+    } catch (error) {
+      this.log.error('Error processing state change against alerts', { error, accountId: change.accountId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Process profile changes against alerts on the 'profile' metric. The
+   * threshold names the fields to watch: a field, an array of fields, or
+   * 'any'. Only the 'changed' condition applies.
+   */
+  async processProfileChange(change) {
+    if (!change || !change.accountId || !Array.isArray(change.changes)) {
+      this.log.warn('Invalid profile change received');
+      return [];
+    }
+    
+    try {
+      const alerts = (await this.getAlerts({ active: true, accountId: change.accountId }))
+        .filter(alert => alert.metricType === 'profile' && alert.condition === 'changed');
+      
+      const triggeredAlerts = [];
+      
+      for (const alert of alerts) {
+        const fields = [].concat(alert.threshold);
+        const matched = change.changes.filter(({ field }) => fields.includes('any') || fields.includes(field));
+        
+        if (matched.length === 0) {
+          continue;
+        }
+        
+        triggeredAlerts.push(await this.triggerAlert(alert, {
+          actualValue: matched.map(({ field }) => field).join(', '),
+          changes: matched,
+          metricTimestamp: change.timestamp
+        }));
+      }
+      
+      if (triggeredAlerts.length > 0) {
+        this.log.info('Profile change alerts triggered', {
+          accountId: change.accountId,
+          fields: change.changes.map(({ field }) => field),
+          count: triggeredAlerts.length
+        });
+      }
+      
+      return triggeredAlerts;
+    } catch (error) {
+      this.log.error('Error processing profile change against alerts', { error, accountId: change.accountId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Process follow list changes against alerts on the 'follows' metric.
+   * 'followed' fires on new follows, 'unfollowed' on unfollows and 'changed'
+   * on both. The threshold names the users to watch: a username, an array of
+   * usernames, or 'any'.
+   */
+  async processFollowChange(change) {
+    if (!change || !change.accountId || !Array.isArray(change.added) || !Array.isArray(change.removed)) {
+      this.log.warn('Invalid follow change received');
+      return [];
+    }
+    
+    // Follower samples change all the time, only the following list is alerted on
+    if (change.direction !== 'following') {
+      return [];
+    }
+    
+    try {
+      const alerts = (await this.getAlerts({ active: true, accountId: change.accountId }))
+        .filter(alert => alert.metricType === 'follows');
+      
+      const triggeredAlerts = [];
+      
+      for (const alert of alerts) {
+        const users = [].concat(alert.threshold).map(user => String(user).replace(/^@/, '').toLowerCase());
+        const watched = ({ username }) => users.includes('any') || users.includes(username.toLowerCase());
+        
+        const matched = [
+          ...(alert.condition !== 'unfollowed' ? change.added.filter(watched).map(user => ({ ...user, change: 'followed' })) : []),
+          ...(alert.condition !== 'followed' ? change.removed.filter(watched).map(user => ({ ...user, change: 'unfollowed' })) : [])
+        ];
+        
+        if (matched.length === 0) {
+          continue;
+        }
+        
+        triggeredAlerts.push(await this.triggerAlert(alert, {
+          actualValue: matched.map(user => `${user.change} @${user.username}`).join(', '),
+          changes: matched,
+          metricTimestamp: change.timestamp
+        }));
+      }
+      
+      if (triggeredAlerts.length > 0) {
+        this.log.info('Follow change alerts triggered', {
+          accountId: change.accountId,
+          added: change.added.length,
+          removed: change.removed.length,
+          count: triggeredAlerts.length
+        });
+      }
+      
+      return triggeredAlerts;
+    } catch (error) {
+      this.log.error('Error processing follow change against alerts', { error, accountId: change.accountId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Record that an alert fired on an account change and send its notification.
+   * previousValue and changes are only kept when given.
+   */
+  async triggerAlert(alert, { actualValue, previousValue, changes, metricTimestamp }) {
+    const triggeredAlert = {
+      id: `triggered-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+      alertId: alert.id,
+      accountId: alert.accountId,
+      metricType: alert.metricType,
+      condition: alert.condition,
+      threshold: alert.threshold,
+      actualValue,
+      ...(previousValue !== undefined && { previousValue }),
+      ...(changes !== undefined && { changes }),
+      timestamp: new Date().toISOString(),
+      metricTimestamp
+    };
+    
+    alert.lastTriggered = triggeredAlert.timestamp;
+    this.triggeredAlerts.push(triggeredAlert);
+    
+    await this.sendAlertNotification(alert, triggeredAlert);
+    
+    return triggeredAlert;
+  }
+  
   /**
    * Check if an alert condition is met
    */
@@ -0,0 +1,325 @@
+const { EventEmitter } = require('events');
+const { logger } = require('../../utils/logger');
+const FollowEdge = require('../../models/FollowEdge');
+
+// Follow lists read per account
+const FOLLOW_DIRECTIONS = ['following', 'followers'];
+
+/**
+ * Keeps the following lists (and follower samples) of tracked accounts as
+ * edges with first and last seen dates. Emits 'followsChanged' with the
+ * users an account started or stopped following since the last crawl.
+ *
+ * X lists both newest first, so a new follow shows up above everyone seen
+ * before and is caught by a partial crawl. An unfollow can only be told from
+ * a list that was read to the end.
+ */
+class FollowGraph extends EventEmitter {
+  /**
+   * Initialize the follow graph
+   */
+  constructor(config = {}) {
+    super(); // Initialize EventEmitter
+    this.log = logger.child({ module: 'FollowGraph' });
+    this.edges = new Map(); // Map of accountId:direction:handle to edge, for memory storage
+    this.storage = config.storageType || 'mongodb';
+    this.initialized = false;
+    
+    this.log.info('Follow graph initialized', { storageType: this.storage });
+  }
+  
+  /**
+   * Initialize the follow graph storage
+   */
+  async initialize() {
+    if (this.initialized) {
+      this.log.warn('Follow graph already initialized');
+      return true;
+    }
+    
+    if (this.storage === 'mongodb') {
+      try {
+        // Check if MongoDB is available by making a simple query
+        const count = await FollowEdge.estimatedDocumentCount();
+        this.log.info('MongoDB connection successful', { count });
+      } catch (dbError) {
+        this.log.error('MongoDB connection failed, falling back to memory storage', { error: dbError });
+        this.storage = 'memory';
+      }
+    }
+    
+    this.initialized = true;
+    this.log.info(`Follow graph initialized with ${this.storage} storage`);
+    return true;
+  }
+  
+  /**
+   * Record a crawled follow list ({ id, username, name, verified } per user,
+   * newest first). With complete, edges missing from the list are ended.
+   * The first crawl of a list is a baseline and reports no changes.
+   * Returns the users followed and unfollowed since the last crawl.
+   */
+  async recordList(accountId, direction, users = [], options = {}) {
+    const { capturedAt = new Date(), complete = false } = options;
+    
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    if (!FOLLOW_DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown follow direction: ${direction}`);
+    }
+    
+    const seenAt = new Date(capturedAt);
+    
+    try {
+      const existing = await this.getEdges(accountId, { direction });
+      const byHandle = new Map(existing.map(edge => [edge.handle, edge]));
+      const baseline = existing.length === 0;
+      const seen = new Set();
+      const changed = [];
+      const added = [];
+      const removed = [];
+      
+      // Anyone unknown below the first known user is an older follow this crawl reached first
+      let reachedKnown = false;
+      
+      for (const user of users) {
+        const handle = (user.username || '').toLowerCase();
+        
+        if (!handle || seen.has(handle)) continue;
+        seen.add(handle);
+        
+        let edge = byHandle.get(handle);
+        const isNew = !edge || !edge.active;
+        
+        if (edge && edge.active) {
+          reachedKnown = true;
+        }
+        
+        if (!edge) {
+          edge = { accountId, direction, handle, firstSeenAt: seenAt, followedAt: null, endedAt: null };
+        }
+        
+        Object.assign(edge, {
+          username: user.username,
+          userId: user.id || edge.userId || null,
+          name: user.name || edge.name || null,
+          verified: !!user.verified,
+          lastSeenAt: seenAt,
+          active: true,
+          endedAt: null
+        });
+        
+        if (isNew && !baseline && !reachedKnown) {
+          edge.followedAt = seenAt;
+          added.push(edge);
+        }
+        
+        changed.push(edge);
+      }
+      
+      if (complete) {
+        for (const edge of existing) {
+          if (edge.active && !seen.has(edge.handle)) {
+            edge.active = false;
+            edge.endedAt = seenAt;
+            removed.push(edge);
+            changed.push(edge);
+          }
+        }
+      }
+      
+      await this.saveEdges(changed);
+      
+      const change = {
+        accountId,
+        direction,
+        added: added.map(FollowGraph.toUser),
+        removed: removed.map(FollowGraph.toUser),
+        timestamp: seenAt.toISOString()
+      };
+      
+      this.log.info(`Recorded ${direction} of ${accountId}`, {
+        users: seen.size,
+        added: added.length,
+        removed: removed.length,
+        complete,
+        baseline
+      });
+      
+      if (added.length > 0 || removed.length > 0) {
+        this.emit('followsChanged', change);
+      }
+      
+      return change;
+    } catch (error) {
+      this.log.error('Error recording follow list', { accountId, direction, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Write new and changed edges
+   */
+  async saveEdges(edges) {
+    if (edges.length === 0) {
+      return;
+    }
+    
+    if (this.storage === 'memory') {
+      for (const edge of edges) {
+        this.edges.set(FollowGraph.edgeKey(edge), edge);
+      }
+      
+      return;
+    }
+    
+    await FollowEdge.bulkWrite(edges.map(edge => ({
+      updateOne: {
+        filter: { accountId: edge.accountId, direction: edge.direction, handle: edge.handle },
+        update: { $set: edge },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  
+  /**
+   * Get an account's edges, newest first. active filters current or ended ones.
+   */
+  async getEdges(accountId, options = {}) {
+    const { direction = 'following', active } = options;
+    
+    if (this.storage === 'memory') {
+      return Array.from(this.edges.values())
+        .filter(edge => edge.accountId === accountId && edge.direction === direction &&
+          (active === undefined || edge.active === active))
+        .sort((a, b) => new Date(b.firstSeenAt) - new Date(a.firstSeenAt));
+    }
+    
+    const filter = { accountId, direction };
+    
+    if (active !== undefined) {
+      filter.active = active;
+    }
+    
+    return await FollowEdge.find(filter)
+      .sort({ firstSeenAt: -1 })
+      .select('-_id -__v')
+      .lean();
+  }
+  
+  /**
+   * Get the follows and unfollows of an account seen since a date, newest first
+   */
+  async getChanges(accountId, options = {}) {
+    const { direction = 'following', since = new Date(0), limit = 100 } = options;
+    const from = new Date(since);
+    
+    try {
+      let edges;
+      
+      if (this.storage === 'memory') {
+        edges = (await this.getEdges(accountId, { direction }))
+          .filter(edge => (edge.followedAt && new Date(edge.followedAt) >= from) ||
+            (edge.endedAt && new Date(edge.endedAt) >= from));
+      } else {
+        edges = await FollowEdge.find({
+          accountId,
+          direction,
+          $or: [{ followedAt: { $gte: from } }, { endedAt: { $gte: from } }]
+        })
+          .select('-_id -__v')
+          .lean();
+      }
+      
+      return edges
+        .map(edge => ({
+          ...FollowGraph.toUser(edge),
+          change: edge.active ? 'followed' : 'unfollowed',
+          at: edge.active ? edge.followedAt : edge.endedAt
+        }))
+        .sort((a, b) => new Date(b.at) - new Date(a.at))
+        .slice(0, limit);
+    } catch (error) {
+      this.log.error('Error getting follow changes', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Compare the current follow lists of several accounts: the users two or
+   * more of them have in common, most shared first, and for each pair the
+   * number shared and their Jaccard similarity
+   */
+  async getOverlap(accountIds = [], options = {}) {
+    const { direction = 'following', limit = 100 } = options;
+    
+    try {
+      const lists = new Map();
+      const users = new Map(); // Map of handle to user with the accounts listing it
+      
+      for (const accountId of accountIds) {
+        const edges = await this.getEdges(accountId, { direction, active: true });
+        lists.set(accountId, new Set(edges.map(edge => edge.handle)));
+        
+        for (const edge of edges) {
+          const user = users.get(edge.handle) || { ...FollowGraph.toUser(edge), accountIds: [] };
+          user.accountIds.push(accountId);
+          users.set(edge.handle, user);
+        }
+      }
+      
+      const pairs = [];
+      
+      for (let i = 0; i < accountIds.length; i++) {
+        for (let j = i + 1; j < accountIds.length; j++) {
+          const a = lists.get(accountIds[i]);
+          const b = lists.get(accountIds[j]);
+          const shared = Array.from(a).filter(handle => b.has(handle)).length;
+          const union = a.size + b.size - shared;
+          
+          pairs.push({
+            accountIds: [accountIds[i], accountIds[j]],
+            shared,
+            jaccard: union > 0 ? Math.round((shared / union) * 1000) / 1000 : 0
+          });
+        }
+      }
+      
+      return {
+        direction,
+        accounts: accountIds.map(accountId => ({ accountId, count: lists.get(accountId).size })),
+        pairs: pairs.sort((a, b) => b.shared - a.shared),
+        shared: Array.from(users.values())
+          .filter(user => user.accountIds.length > 1)
+          .sort((a, b) => b.accountIds.length - a.accountIds.length)
+          .slice(0, limit)
+      };
+    } catch (error) {
+      this.log.error('Error computing follow overlap', { accountIds, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Static method to get the key of an edge in memory storage
+   */
+  static edgeKey(edge) {
+    return `${edge.accountId}:${edge.direction}:${edge.handle}`;
+  }
+  
+  /**
+   * Static method to pick the user fields out of an edge
+   */
+  static toUser(edge) {
+    return {
+      username: edge.username || edge.handle,
+      userId: edge.userId || null,
+      name: edge.name || null,
+      verified: !!edge.verified
+    };
+  }
+}
+
+module.exports = { FollowGraph, FOLLOW_DIRECTIONS };
@@ -0,0 +1,493 @@
+const { logger } = require('../../utils/logger');
+
+// GraphQL operations the web client calls to fill in a profile, status or follow list page
+const CAPTURED_OPERATIONS = ['UserByScreenName', 'UserTweets', 'TweetDetail', 'Following', 'Followers'];
+
+// Entities X escapes in tweet text
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Listens to a page's network responses and keeps the profile and timeline
+ * JSON the X web client loads. Counts in there are exact, where the page
+ * only shows rounded, localised text ("132.5M Followers").
+ */
+class GraphQLCapture {
+  /**
+   * Initialize the capture
+   */
+  constructor(config = {}) {
+    this.log = logger.child({ module: 'GraphQLCapture' });
+    this.operations = config.operations || CAPTURED_OPERATIONS;
+    
+    // State
+    this.users = new Map(); // Map of lowercased screen name to user
+    this.tweets = new Map(); // Map of user ID to a map of tweet ID to tweet, in timeline order
+    this.conversations = new Map(); // Map of focal tweet ID to a map of tweet ID to tweet, in page order
+    this.userLists = new Map(); // Map of operation (Following, Followers) to a map of lowercased screen name to user, in list order
+    this.pending = new Set(); // Responses still being parsed
+    this.page = null;
+    this.handler = null;
+  }
+  
+  /**
+   * Start listening to a page's responses. Call before navigating.
+   */
+  attach(page) {
+    this.page = page;
+    this.handler = (response) => {
+      const parsing = this.handleResponse(response)
+        .catch(error => this.log.debug('Could not read GraphQL response', { error: error.message }))
+        .finally(() => this.pending.delete(parsing));
+      
+      this.pending.add(parsing);
+    };
+    
+    page.on('response', this.handler);
+    return this;
+  }
+  
+  /**
+   * Stop listening
+   */
+  detach() {
+    if (this.page && this.handler) {
+      this.page.off('response', this.handler);
+    }
+    
+    this.page = null;
+    this.handler = null;
+  }
+  
+  /**
+   * Wait for responses that have arrived to be parsed
+   */
+  async settle() {
+    await Promise.allSettled(Array.from(this.pending));
+  }
+  
+  /**
+   * Keep a response if it is one of the captured operations
+   */
+  async handleResponse(response) {
+    const operation = GraphQLCapture.operationName(response.url());
+    
+    if (!operation || !this.operations.includes(operation) || response.status() !== 200) {
+      return;
+    }
+    
+    const json = await response.json();
+    
+    if (operation === 'UserByScreenName') {
+      const user = GraphQLCapture.parseUser(json);
+      
+      if (user) {
+        this.users.set(user.username.toLowerCase(), user);
+      }
+    } else if (operation === 'UserTweets') {
+      const { userId } = GraphQLCapture.requestVariables(response.url());
+      
+      if (!userId) return;
+      
+      if (!this.tweets.has(userId)) {
+        this.tweets.set(userId, new Map());
+      }
+      
+      const timeline = this.tweets.get(userId);
+      
+      // Scrolling loads older pages, so later responses append
+      for (const tweet of GraphQLCapture.parseTweets(json)) {
+        if (!timeline.has(tweet.id)) {
+          timeline.set(tweet.id, tweet);
+        }
+      }
+    } else if (operation === 'TweetDetail') {
+      const { focalTweetId } = GraphQLCapture.requestVariables(response.url());
+      
+      if (!focalTweetId) return;
+      
+      if (!this.conversations.has(focalTweetId)) {
+        this.conversations.set(focalTweetId, new Map());
+      }
+      
+      const conversation = this.conversations.get(focalTweetId);
+      
+      // Expanding a conversation loads more of it in later responses
+      for (const tweet of GraphQLCapture.parseConversation(json)) {
+        if (!conversation.has(tweet.id)) {
+          conversation.set(tweet.id, tweet);
+        }
+      }
+    } else if (operation === 'Following' || operation === 'Followers') {
+      if (!this.userLists.has(operation)) {
+        this.userLists.set(operation, new Map());
+      }
+      
+      const list = this.userLists.get(operation);
+      
+      for (const user of GraphQLCapture.parseUserList(json)) {
+        const key = user.username.toLowerCase();
+        
+        if (!list.has(key)) {
+          list.set(key, user);
+        }
+      }
+    }
+    
+    this.log.debug(`Captured ${operation}`, { url: response.url().split('?')[0] });
+  }
+  
+  /**
+   * Get the captured profile of a user, or null
+   */
+  getUser(username) {
+    return (username && this.users.get(username.toLowerCase())) || null;
+  }
+  
+  /**
+   * Get the captured timeline of a user, newest first (pinned tweet first)
+   */
+  getTweets(userId) {
+    const timeline = userId ? this.tweets.get(userId) : null;
+    return timeline ? Array.from(timeline.values()) : [];
+  }
+  
+  /**
+   * Get the captured tweets of a status page: the tweets above the focal
+   * tweet, the focal tweet and the replies below it
+   */
+  getConversation(tweetId) {
+    const conversation = tweetId ? this.conversations.get(String(tweetId)) : null;
+    return conversation ? Array.from(conversation.values()) : [];
+  }
+  
+  /**
+   * Get the captured users of a follow list (Following or Followers), in list order
+   */
+  getUserList(operation) {
+    const list = this.userLists.get(operation);
+    return list ? Array.from(list.values()) : [];
+  }
+  
+  /**
+   * Static method to get the operation name of a GraphQL API URL, or null
+   */
+  static operationName(url) {
+    const match = (url || '').match(/\/i\/api\/graphql\/[^/]+\/(\w+)/);
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Static method to read the variables a GraphQL GET request was made with
+   */
+  static requestVariables(url) {
+    try {
+      return JSON.parse(new URL(url).searchParams.get('variables') || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  /**
+   * Static method to build profile fields from a UserByScreenName payload,
+   * in the same shape as XScraper.extractUserInfo. Null for unavailable users.
+   */
+  static parseUser(json) {
+    const result = json && json.data && json.data.user ? json.data.user.result : null;
+    
+    if (!result || result.__typename !== 'User' || !result.legacy) {
+      return null;
+    }
+    
+    const { legacy } = result;
+    const core = result.core || {};
+    const profileUrl = legacy.entities && legacy.entities.url ? (legacy.entities.url.urls || [])[0] : null;
+    const createdAt = core.created_at || legacy.created_at;
+    
+    return {
+      id: result.rest_id,
+      username: core.screen_name || legacy.screen_name,
+      name: core.name || legacy.name || null,
+      description: GraphQLCapture.expandText(
+        GraphQLCapture.unescapeText(legacy.description),
+        legacy.entities && legacy.entities.description ? legacy.entities.description.urls : []
+      ) || null,
+      location: (result.location && result.location.location) || legacy.location || null,
+      url: profileUrl ? (profileUrl.display_url || profileUrl.expanded_url) : null,
+      // Same wording as the profile page shows, so DOM and JSON values line up
+      joinDate: createdAt
+        ? `Joined ${new Date(createdAt).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`
+        : null,
+      verified: !!(result.is_blue_verified || legacy.verified || (result.verification && result.verification.verified)),
+      avatar: (result.avatar && result.avatar.image_url) || legacy.profile_image_url_https || null,
+      banner: legacy.profile_banner_url || null,
+      followers: legacy.followers_count ?? null,
+      following: legacy.friends_count ?? null,
+      tweets: legacy.statuses_count ?? null
+    };
+  }
+  
+  /**
+   * Static method to build the users of a Following or Followers payload
+   * ({ id, username, name, verified }), in list order
+   */
+  static parseUserList(json) {
+    const result = json && json.data && json.data.user ? json.data.user.result : null;
+    const timeline = result ? (result.timeline_v2 || result.timeline || {}).timeline : null;
+    const users = [];
+    
+    for (const instruction of (timeline && timeline.instructions) || []) {
+      if (instruction.type !== 'TimelineAddEntries') continue;
+      
+      for (const entry of instruction.entries || []) {
+        const item = entry.content && entry.content.itemContent;
+        const user = item && item.itemType === 'TimelineUser' && item.user_results ? item.user_results.result : null;
+        
+        if (!user || user.__typename !== 'User') continue;
+        
+        const core = user.core || {};
+        const legacy = user.legacy || {};
+        const username = core.screen_name || legacy.screen_name;
+        
+        if (username) {
+          users.push({
+            id: user.rest_id || null,
+            username,
+            name: core.name || legacy.name || null,
+            verified: !!(user.is_blue_verified || legacy.verified)
+          });
+        }
+      }
+    }
+    
+    return users;
+  }
+  
+  /**
+   * Static method to build tweets from a UserTweets payload, in the same
+   * shape as XScraper.extractVisibleTweets
+   */
+  static parseTweets(json) {
+    const result = json && json.data && json.data.user ? json.data.user.result : null;
+    const timeline = result ? (result.timeline_v2 || result.timeline || {}).timeline : null;
+    
+    return GraphQLCapture.instructionTweets(timeline && timeline.instructions);
+  }
+  
+  /**
+   * Static method to build tweets from a TweetDetail payload (a status page),
+   * in the order the page shows them
+   */
+  static parseConversation(json) {
+    const conversation = json && json.data ? json.data.threaded_conversation_with_injections_v2 : null;
+    return GraphQLCapture.instructionTweets(conversation && conversation.instructions);
+  }
+  
+  /**
+   * Static method to get the tweets added by a list of timeline instructions
+   */
+  static instructionTweets(instructions) {
+    const tweets = [];
+    
+    for (const instruction of instructions || []) {
+      if (instruction.type === 'TimelinePinEntry' && instruction.entry) {
+        tweets.push(...GraphQLCapture.entryTweets(instruction.entry, { pinned: true }));
+      } else if (instruction.type === 'TimelineAddEntries') {
+        for (const entry of instruction.entries || []) {
+          tweets.push(...GraphQLCapture.entryTweets(entry));
+        }
+      } else if (instruction.type === 'TimelineAddToModule') {
+        // "Show more" in a conversation appends to a module already on the page
+        tweets.push(...GraphQLCapture.entryTweets({
+          entryId: instruction.moduleEntryId,
+          content: { items: instruction.moduleItems || [] }
+        }));
+      }
+    }
+    
+    return tweets;
+  }
+  
+  /**
+   * Static method to get the tweets in one timeline entry: a single tweet,
+   * or a conversation module holding several. Ads are skipped.
+   */
+  static entryTweets(entry, options = {}) {
+    if (!entry || !entry.content || /^promoted/.test(entry.entryId || '')) {
+      return [];
+    }
+    
+    const items = entry.content.itemContent
+      ? [entry.content.itemContent]
+      : (entry.content.items || []).map(({ item }) => item && item.itemContent);
+    
+    return items
+      .filter(item => item && item.itemType === 'TimelineTweet' && !item.promotedMetadata && item.tweet_results)
+      .map(item => GraphQLCapture.parseTweet(item.tweet_results.result, options))
+      .filter(Boolean);
+  }
+  
+  /**
+   * Static method to build a tweet from a tweet result, classified by type
+   * the same way the DOM extraction does
+   */
+  static parseTweet(result, options = {}) {
+    const { pinned = false } = options;
+    const tweet = GraphQLCapture.unwrapTweet(result);
+    
+    if (!tweet) return null;
+    
+    const { legacy } = tweet;
+    const retweeted = GraphQLCapture.unwrapTweet(legacy.retweeted_status_result && legacy.retweeted_status_result.result);
+    const quoted = GraphQLCapture.unwrapTweet(tweet.quoted_status_result && tweet.quoted_status_result.result);
+    
+    // A retweet shows, links to and counts the engagement of the original
+    let shown = tweet;
+    let type = 'original';
+    let referencedTweetId = null;
+    let referencedUser = null;
+    
+    if (pinned) {
+      type = 'pinned';
+    } else if (retweeted) {
+      type = 'retweet';
+      shown = retweeted;
+      referencedTweetId = retweeted.rest_id;
+      referencedUser = GraphQLCapture.screenName(retweeted);
+    } else if (legacy.is_quote_status && (quoted || legacy.quoted_status_id_str)) {
+      type = 'quote';
+      referencedTweetId = quoted ? quoted.rest_id : legacy.quoted_status_id_str;
+      referencedUser = quoted ? GraphQLCapture.screenName(quoted) : null;
+    } else if (legacy.in_reply_to_status_id_str) {
+      type = 'reply';
+      referencedTweetId = legacy.in_reply_to_status_id_str;
+      referencedUser = legacy.in_reply_to_screen_name || null;
+    }
+    
+    const counts = shown.legacy;
+    
+    // Videos and GIFs come with a poster frame in media_url_https
+    const media = ((counts.extended_entities || counts.entities || {}).media || [])
+      .filter(item => item.media_url_https)
+      .map(item => ({ type: item.type === 'animated_gif' ? 'gif' : (item.type || 'photo'), url: item.media_url_https }));
+    
+    return {
+      id: shown.rest_id,
+      text: GraphQLCapture.tweetText(shown),
+      url: `https://twitter.com/${GraphQLCapture.screenName(shown)}/status/${shown.rest_id}`,
+      timestamp: counts.created_at ? new Date(counts.created_at).toISOString() : null,
+      likes: counts.favorite_count ?? null,
+      retweets: counts.retweet_count ?? null,
+      replies: counts.reply_count ?? null,
+      type,
+      referencedTweetId,
+      referencedUser,
+      views: shown.views && shown.views.count ? parseInt(shown.views.count, 10) : null,
+      quotes: counts.quote_count ?? null,
+      bookmarks: counts.bookmark_count ?? null,
+      mediaUrls: media.map(item => item.url),
+      media,
+      links: ((counts.entities && counts.entities.urls) || []).map(url => url.expanded_url).filter(Boolean),
+      card: GraphQLCapture.parseCard(shown)
+    };
+  }
+  
+  /**
+   * Static method to get the link card of a tweet ({ url, title, domain }),
+   * or null when it has none. Polls and other cards without a link are left out.
+   */
+  static parseCard(tweet) {
+    const card = tweet.card && tweet.card.legacy;
+    
+    if (!card) return null;
+    
+    const values = {};
+    
+    for (const { key, value } of card.binding_values || []) {
+      values[key] = value ? (value.string_value ?? null) : null;
+    }
+    
+    const domain = values.vanity_url || values.domain || null;
+    
+    if (!values.title && !domain) return null;
+    
+    // The card points at a t.co link; the tweet's entities say where it goes
+    const cardUrl = values.card_url || card.url || null;
+    const entity = ((tweet.legacy.entities && tweet.legacy.entities.urls) || []).find(url => url.url === cardUrl);
+    
+    return {
+      url: entity && entity.expanded_url ? entity.expanded_url : cardUrl,
+      title: values.title || null,
+      domain: domain ? domain.toLowerCase().replace(/^www\./, '') : null
+    };
+  }
+  
+  /**
+   * Static method to get the tweet out of a result, or null for tombstones
+   */
+  static unwrapTweet(result) {
+    // Tweets with limited visibility are wrapped one level deeper
+    const tweet = result && result.__typename === 'TweetWithVisibilityResults' ? result.tweet : result;
+    return tweet && tweet.rest_id && tweet.legacy ? tweet : null;
+  }
+  
+  /**
+   * Static method to get the handle of a tweet's author
+   */
+  static screenName(tweet) {
+    const user = tweet.core && tweet.core.user_results ? tweet.core.user_results.result : null;
+    
+    if (!user) return null;
+    
+    return (user.core && user.core.screen_name) || (user.legacy && user.legacy.screen_name) || null;
+  }
+  
+  /**
+   * Static method to get the text of a tweet as the page displays it: long
+   * tweets in full, without the leading @mentions of a reply or the media
+   * link, with links expanded
+   */
+  static tweetText(tweet) {
+    const note = tweet.note_tweet && tweet.note_tweet.note_tweet_results
+      ? tweet.note_tweet.note_tweet_results.result
+      : null;
+    
+    if (note && note.text) {
+      return GraphQLCapture.expandText(note.text, note.entity_set ? note.entity_set.urls : []);
+    }
+    
+    const { legacy } = tweet;
+    const fullText = GraphQLCapture.unescapeText(legacy.full_text || '');
+    
+    // The range counts code points of the unescaped text, not UTF-16 units
+    const [start, end] = legacy.display_text_range || [0, fullText.length];
+    const displayed = Array.from(fullText).slice(start, end).join('');
+    
+    return GraphQLCapture.expandText(displayed, legacy.entities ? legacy.entities.urls : []);
+  }
+  
+  /**
+   * Static method to swap t.co links for the URLs they stand for
+   */
+  static expandText(text, urls = []) {
+    if (!text) return text;
+    
+    let expanded = text;
+    
+    for (const url of urls || []) {
+      if (url.url) {
+        expanded = expanded.split(url.url).join(url.display_url || url.expanded_url || url.url);
+      }
+    }
+    
+    return expanded.trim();
+  }
+  
+  /**
+   * Static method to undo the HTML escaping X applies to tweet and bio text
+   */
+  static unescapeText(text) {
+    return text ? text.replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity]) : text;
+  }
+}
+
+module.exports = { GraphQLCapture };
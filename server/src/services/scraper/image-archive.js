@@ -0,0 +1,278 @@
+const { logger } = require('../../utils/logger');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const scraperConfig = require('../../config/scraper.config');
+
+// Image kinds archived per account
+const IMAGE_KINDS = ['avatar', 'banner'];
+
+// File extensions of the image types X serves
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+/**
+ * Archives account avatars and banners in a content-addressed store on disk
+ * (files named by their SHA-256), with a revision history per account and
+ * image kind. A new revision is only recorded when the image looks different:
+ * X re-encodes and re-uploads the same picture under new URLs, so images are
+ * compared by perceptual hash rather than by URL or bytes.
+ *
+ * Tweet media (photos, video poster frames) can be kept in the same store,
+ * downloaded once per URL and deduplicated by content.
+ */
+class ImageArchive {
+  /**
+   * Initialize the image archive
+   */
+  constructor(config = {}) {
+    this.log = logger.child({ module: 'ImageArchive' });
+    
+    // Configuration with defaults
+    this.config = {
+      archiveDir: config.archiveDir || process.env.IMAGE_ARCHIVE_DIR || path.resolve(process.cwd(), scraperConfig.images.archiveDir),
+      maxHashDistance: config.maxHashDistance ?? scraperConfig.images.maxHashDistance, // Differing hash bits still counted as the same image
+      maxRevisionsPerImage: config.maxRevisionsPerImage || 50,
+      ...config
+    };
+    
+    // State
+    this.revisions = new Map(); // Map of accountId to { avatar: [...], banner: [...] }, oldest first
+    this.files = new Map(); // Map of sha256 to { file, contentType }
+    this.media = new Map(); // Map of media URL (without size) to sha256
+    this.initialized = false;
+    
+    this.log.info('Image archive created', { archiveDir: this.config.archiveDir });
+  }
+  
+  /**
+   * Initialize the archive, reloading the revision index of previous runs
+   */
+  async initialize() {
+    if (this.initialized) {
+      this.log.warn('Image archive already initialized');
+      return true;
+    }
+    
+    await fs.mkdir(this.config.archiveDir, { recursive: true });
+    
+    try {
+      const data = await fs.readFile(this.getIndexPath(), 'utf8');
+      const saved = JSON.parse(data);
+      
+      for (const [accountId, kinds] of Object.entries(saved.accounts || {})) {
+        this.revisions.set(accountId, kinds);
+        
+        for (const revision of Object.values(kinds).flat()) {
+          this.files.set(revision.sha256, { file: revision.file, contentType: revision.contentType });
+        }
+      }
+      
+      for (const [url, { sha256, file, contentType }] of Object.entries(saved.media || {})) {
+        this.media.set(url, sha256);
+        this.files.set(sha256, { file, contentType });
+      }
+      
+      this.log.info('Loaded image archive index', { accounts: this.revisions.size, media: this.media.size, files: this.files.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.error('Error loading image archive index', { error });
+      }
+    }
+    
+    this.initialized = true;
+    return true;
+  }
+  
+  /**
+   * Archive a downloaded image ({ data, contentType, sourceUrl, perceptualHash }).
+   * Returns the current revision, with changed set when a new one was recorded.
+   */
+  async archiveImage(accountId, kind, image, options = {}) {
+    const { capturedAt = new Date() } = options;
+    
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    if (!IMAGE_KINDS.includes(kind)) {
+      throw new Error(`Unknown image kind: ${kind}`);
+    }
+    
+    const seenAt = new Date(capturedAt).toISOString();
+    const sha256 = crypto.createHash('sha256').update(image.data).digest('hex');
+    const latest = this.getLatest(accountId, kind);
+    
+    if (latest && (latest.sha256 === sha256 ||
+        ImageArchive.hashDistance(latest.perceptualHash, image.perceptualHash) <= this.config.maxHashDistance)) {
+      latest.lastSeenAt = seenAt;
+      latest.sourceUrl = image.sourceUrl || latest.sourceUrl;
+      await this.saveIndex();
+      
+      return { ...latest, changed: false };
+    }
+    
+    const file = await this.storeFile(sha256, image.data, image.contentType);
+    
+    const revision = {
+      sha256,
+      perceptualHash: image.perceptualHash || null,
+      contentType: image.contentType || null,
+      size: image.data.length,
+      file,
+      sourceUrl: image.sourceUrl || null,
+      firstSeenAt: seenAt,
+      lastSeenAt: seenAt
+    };
+    
+    const kinds = this.revisions.get(accountId) || {};
+    kinds[kind] = [...(kinds[kind] || []), revision].slice(-this.config.maxRevisionsPerImage);
+    this.revisions.set(accountId, kinds);
+    
+    await this.saveIndex();
+    
+    this.log.info(`Archived new ${kind} of ${accountId}`, { sha256, previous: latest ? latest.sha256 : null });
+    
+    return { ...revision, changed: true };
+  }
+  
+  /**
+   * Archive a downloaded tweet photo or poster frame ({ data, contentType, sourceUrl }).
+   * Returns its sha256; the same content under another URL is stored once.
+   */
+  async archiveMedia(image) {
+    const sha256 = crypto.createHash('sha256').update(image.data).digest('hex');
+    
+    await this.storeFile(sha256, image.data, image.contentType);
+    this.media.set(ImageArchive.mediaKey(image.sourceUrl), sha256);
+    await this.saveIndex();
+    
+    return sha256;
+  }
+  
+  /**
+   * Get the sha256 of tweet media already archived from a URL, or null
+   */
+  getMediaHash(url) {
+    return this.media.get(ImageArchive.mediaKey(url)) || null;
+  }
+  
+  /**
+   * Write image bytes under their hash, unless the file is already there
+   */
+  async storeFile(sha256, data, contentType) {
+    const file = path.join(sha256.slice(0, 2), `${sha256}${IMAGE_EXTENSIONS[contentType] || ''}`);
+    const filePath = path.join(this.config.archiveDir, file);
+    
+    if (!this.files.has(sha256)) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+      this.files.set(sha256, { file, contentType: contentType || null });
+    }
+    
+    return file;
+  }
+  
+  /**
+   * Get the current revision of an account's avatar or banner, or null
+   */
+  getLatest(accountId, kind) {
+    const history = (this.revisions.get(accountId) || {})[kind] || [];
+    return history[history.length - 1] || null;
+  }
+  
+  /**
+   * Get the revisions of an account's images by kind, newest first
+   */
+  getRevisions(accountId) {
+    const kinds = this.revisions.get(accountId) || {};
+    const revisions = {};
+    
+    for (const kind of IMAGE_KINDS) {
+      revisions[kind] = [...(kinds[kind] || [])].reverse();
+    }
+    
+    return revisions;
+  }
+  
+  /**
+   * Get the path and content type of an archived image, or null
+   */
+  getFile(sha256) {
+    const stored = /^[a-f0-9]{64}$/.test(sha256 || '') ? this.files.get(sha256) : null;
+    
+    if (!stored) {
+      return null;
+    }
+    
+    return {
+      path: path.resolve(this.config.archiveDir, stored.file),
+      contentType: stored.contentType
+    };
+  }
+  
+  /**
+   * Get the path of the revision index
+   */
+  getIndexPath() {
+    return path.join(this.config.archiveDir, 'index.json');
+  }
+  
+  /**
+   * Persist the revision index so the history survives restarts
+   */
+  async saveIndex() {
+    try {
+      await fs.writeFile(
+        this.getIndexPath(),
+        JSON.stringify({
+          accounts: Object.fromEntries(this.revisions),
+          media: Object.fromEntries(Array.from(this.media, ([url, sha256]) => [url, { sha256, ...this.files.get(sha256) }]))
+        }, null, 2),
+        'utf8'
+      );
+      
+      return true;
+    } catch (error) {
+      this.log.error('Error saving image archive index', { error });
+      return false;
+    }
+  }
+  
+  /**
+   * Static method to key a media URL without its size, so the small and
+   * large renditions of a photo count as one
+   */
+  static mediaKey(url) {
+    return (url || '').replace(/([?&])name=\w+&?/, '$1').replace(/[?&]$/, '');
+  }
+  
+  /**
+   * Static method to count the bits two hex perceptual hashes differ in.
+   * Infinity when either is missing, so the images count as different.
+   */
+  static hashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return Infinity;
+    }
+    
+    let distance = 0;
+    
+    for (let i = 0; i < a.length; i++) {
+      let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      
+      while (bits) {
+        distance += bits & 1;
+        bits >>= 1;
+      }
+    }
+    
+    return distance;
+  }
+}
+
+module.exports = { ImageArchive, IMAGE_KINDS };
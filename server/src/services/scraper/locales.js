@@ -0,0 +1,175 @@
+/**
+ * How X renders counts and labels in each UI language, keyed by the
+ * language in the page's lang attribute. Units are abbreviations after a
+ * number ("132,5 Mio."), labels and engagement words are matched as
+ * case-insensitive substrings of the page text.
+ *
+ * Update these if X changes its wording; XScraper falls back to English
+ * for languages that aren't listed.
+ */
+const LOCALES = {
+  en: {
+    decimal: '.',
+    units: { K: 1e3, M: 1e6, B: 1e9 },
+    labels: {
+      followers: ['Followers', 'Follower'],
+      following: ['Following'],
+      posts: ['posts', 'post'],
+      pinned: ['Pinned'],
+      reposted: ['reposted', 'Retweeted'],
+      replyingTo: { prefix: 'Replying to' },
+      promoted: ['Promoted']
+    },
+    engagement: {
+      replies: ['replies', 'reply'],
+      retweets: ['reposts', 'repost', 'retweets', 'retweet'],
+      likes: ['likes', 'like'],
+      quotes: ['quotes', 'quote'],
+      bookmarks: ['bookmarks', 'bookmark'],
+      views: ['views', 'view']
+    }
+  },
+  de: {
+    decimal: ',',
+    units: { 'Tsd.': 1e3, 'Mio.': 1e6, 'Mrd.': 1e9 },
+    labels: {
+      followers: ['Follower'],
+      following: ['Folge ich'],
+      posts: ['Posts', 'Post'],
+      pinned: ['Angeheftet'],
+      reposted: ['hat repostet', 'Retweetet'],
+      replyingTo: { prefix: 'Antwort an' },
+      promoted: ['Gesponsert']
+    },
+    engagement: {
+      replies: ['Antworten', 'Antwort'],
+      retweets: ['Reposts', 'Repost'],
+      likes: ['Gefällt mir'],
+      quotes: ['Zitate', 'Zitat'],
+      bookmarks: ['Lesezeichen'],
+      views: ['Mal angezeigt', 'Aufrufe']
+    }
+  },
+  fr: {
+    decimal: ',',
+    units: { k: 1e3, M: 1e6, Md: 1e9 },
+    labels: {
+      followers: ['abonnés', 'abonné'],
+      following: ['abonnements', 'abonnement'],
+      posts: ['posts', 'post'],
+      pinned: ['Épinglé'],
+      reposted: ['a reposté', 'a retweeté'],
+      replyingTo: { prefix: 'En réponse à' },
+      promoted: ['Sponsorisé']
+    },
+    engagement: {
+      replies: ['réponses', 'réponse'],
+      retweets: ['reposts', 'repost'],
+      likes: ['J’aime', "J'aime"],
+      quotes: ['citations', 'citation'],
+      bookmarks: ['signets', 'signet'],
+      views: ['vues', 'vue']
+    }
+  },
+  es: {
+    decimal: ',',
+    units: { mil: 1e3, M: 1e6, 'mil M': 1e9 },
+    labels: {
+      followers: ['Seguidores', 'Seguidor'],
+      following: ['Siguiendo'],
+      posts: ['posts', 'post'],
+      pinned: ['Fijado'],
+      reposted: ['reposteó', 'retwitteó'],
+      replyingTo: { prefix: 'En respuesta a' },
+      promoted: ['Promocionado']
+    },
+    engagement: {
+      replies: ['respuestas', 'respuesta'],
+      retweets: ['reposts', 'repost'],
+      likes: ['Me gusta'],
+      quotes: ['citas', 'cita'],
+      bookmarks: ['elementos guardados', 'elemento guardado'],
+      views: ['visualizaciones', 'visualización']
+    }
+  },
+  pt: {
+    decimal: ',',
+    units: { mil: 1e3, mi: 1e6, bi: 1e9 },
+    labels: {
+      followers: ['Seguidores', 'Seguidor'],
+      following: ['Seguindo'],
+      posts: ['posts', 'post'],
+      pinned: ['Fixado'],
+      reposted: ['repostou', 'retweetou'],
+      replyingTo: { prefix: 'Em resposta a' },
+      promoted: ['Promovido']
+    },
+    engagement: {
+      replies: ['respostas', 'resposta'],
+      retweets: ['reposts', 'repost'],
+      likes: ['curtidas', 'curtida'],
+      quotes: ['citações', 'citação'],
+      bookmarks: ['itens salvos', 'item salvo'],
+      views: ['visualizações', 'visualização']
+    }
+  },
+  ja: {
+    decimal: '.',
+    units: { 千: 1e3, 万: 1e4, 億: 1e8 },
+    labels: {
+      followers: ['フォロワー'],
+      following: ['フォロー中'],
+      posts: ['ポスト'],
+      pinned: ['固定'],
+      reposted: ['リポスト'],
+      replyingTo: { prefix: '返信先' },
+      promoted: ['プロモーション']
+    },
+    engagement: {
+      replies: ['返信'],
+      retweets: ['リポスト'],
+      likes: ['いいね'],
+      quotes: ['引用'],
+      bookmarks: ['ブックマーク'],
+      views: ['表示']
+    }
+  },
+  ko: {
+    decimal: '.',
+    units: { 천: 1e3, 만: 1e4, 억: 1e8 },
+    labels: {
+      followers: ['팔로워'],
+      following: ['팔로우 중'],
+      posts: ['게시물'],
+      pinned: ['고정됨'],
+      reposted: ['재게시'],
+      replyingTo: { suffix: '님에게 보내는 답글' },
+      promoted: ['프로모션']
+    },
+    engagement: {
+      replies: ['답글'],
+      retweets: ['재게시물'],
+      likes: ['마음에 들어요'],
+      quotes: ['인용'],
+      bookmarks: ['북마크'],
+      views: ['조회수']
+    }
+  }
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Page labels of every locale, passed into the page where the lang attribute is read
+const LOCALE_LABELS = Object.fromEntries(
+  Object.entries(LOCALES).map(([locale, { labels }]) => [locale, labels])
+);
+
+/**
+ * Map a lang attribute or language tag ("pt-BR", "ja") to a supported locale
+ */
+function resolveLocale(lang) {
+  const language = (lang || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+}
+
+module.exports = { LOCALES, LOCALE_LABELS, DEFAULT_LOCALE, resolveLocale };
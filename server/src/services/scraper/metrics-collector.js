@@ -127,6 +127,11 @@ class MetricsCollector extends EventEmitter {
       throw new Error('Metrics data is required');
     }
     
+    // Degraded scrapes carry placeholder zeros, which must never be stored as real data
+    if (metricsData.extraction && metricsData.extraction.degraded) {
+      throw new Error(`Refusing to save degraded metrics (missing: ${metricsData.extraction.missingFields.join(', ')})`);
+    }
+    
     try {
       const timestampStr = timestamp.toISOString();
       
@@ -187,7 +192,10 @@ class MetricsCollector extends EventEmitter {
             avgLikes: metricsData.engagement?.avgLikes || 0,
             avgRetweets: metricsData.engagement?.avgRetweets || 0,
             avgReplies: metricsData.engagement?.avgReplies || 0,
-            avgViews: metricsData.engagement?.avgViews || 0
+            avgViews: metricsData.engagement?.avgViews || 0,
+            avgQuotes: metricsData.engagement?.avgQuotes || 0,
+            avgBookmarks: metricsData.engagement?.avgBookmarks || 0,
+            byType: metricsData.engagement?.byType || null
           },
           account: accountDoc?._id || null,
           metadata: {
@@ -562,7 +570,7 @@ class MetricsCollector extends EventEmitter {
   }
   
   /**
-   * Analyze engagement metrics (likes, retweets, replies)
+   * Analyze engagement metrics (likes, retweets, replies, views, quotes, bookmarks)
    */
   async analyzeEngagement(accountIds, from, to, groupBy) {
     try {
@@ -590,12 +598,18 @@ class MetricsCollector extends EventEmitter {
           avgLikes: this.calculateAverageEngagement(groupedMetrics, 'avgLikes'),
           avgRetweets: this.calculateAverageEngagement(groupedMetrics, 'avgRetweets'),
           avgReplies: this.calculateAverageEngagement(groupedMetrics, 'avgReplies'),
+          avgViews: this.calculateAverageEngagement(groupedMetrics, 'avgViews'),
+          avgQuotes: this.calculateAverageEngagement(groupedMetrics, 'avgQuotes'),
+          avgBookmarks: this.calculateAverageEngagement(groupedMetrics, 'avgBookmarks'),
           timeline: groupedMetrics.map(group => ({
             date: group.date,
             metrics: {
               avgLikes: group.metrics.engagement?.avgLikes,
               avgRetweets: group.metrics.engagement?.avgRetweets,
-              avgReplies: group.metrics.engagement?.avgReplies
+              avgReplies: group.metrics.engagement?.avgReplies,
+              avgViews: group.metrics.engagement?.avgViews,
+              avgQuotes: group.metrics.engagement?.avgQuotes,
+              avgBookmarks: group.metrics.engagement?.avgBookmarks
             }
           }))
         };
@@ -692,6 +706,9 @@ class MetricsCollector extends EventEmitter {
         const avgLikes = allMetrics.reduce((sum, m) => sum + (m.metrics.engagement?.avgLikes || 0), 0) / allMetrics.length;
         const avgRetweets = allMetrics.reduce((sum, m) => sum + (m.metrics.engagement?.avgRetweets || 0), 0) / allMetrics.length;
         const avgReplies = allMetrics.reduce((sum, m) => sum + (m.metrics.engagement?.avgReplies || 0), 0) / allMetrics.length;
+        const avgViews = allMetrics.reduce((sum, m) => sum + (m.metrics.engagement?.avgViews || 0), 0) / allMetrics.length;
+        const avgQuotes = allMetrics.reduce((sum, m) => sum + (m.metrics.engagement?.avgQuotes || 0), 0) / allMetrics.length;
+        const avgBookmarks = allMetrics.reduce((sum, m) => sum + (m.metrics.engagement?.avgBookmarks || 0), 0) / allMetrics.length;
         
         results[accountId] = {
           accountId,
@@ -720,6 +737,9 @@ class MetricsCollector extends EventEmitter {
             avgLikes: Math.round(avgLikes),
             avgRetweets: Math.round(avgRetweets),
             avgReplies: Math.round(avgReplies),
+            avgViews: Math.round(avgViews),
+            avgQuotes: Math.round(avgQuotes),
+            avgBookmarks: Math.round(avgBookmarks),
             engagementRate: Math.round((avgLikes + avgRetweets + avgReplies) / Math.max(1, latest.metrics.followers) * 100 * 100) / 100 + '%'
           }
         };
@@ -917,6 +937,14 @@ class MetricsCollector extends EventEmitter {
           avgViews: {
             percentChange: 20,     // 20% change in avg views
             absoluteChange: 1000   // or 1000 absolute change
+          },
+          avgQuotes: {
+            percentChange: 20,     // 20% change in avg quotes
+            absoluteChange: 50     // or 50 absolute change
+          },
+          avgBookmarks: {
+            percentChange: 20,     // 20% change in avg bookmarks
+            absoluteChange: 50     // or 50 absolute change
           }
         }
       };
@@ -2,10 +2,16 @@ const { logger } = require('../../utils/logger');
 const { AccountManager } = require('./account-manager');
 const { BrowserManager } = require('./browser-manager');
 const { MetricsCollector } = require('./metrics-collector');
+const { PostStore } = require('./post-store');
+const { ProfileStore } = require('./profile-store');
+const { FollowGraph } = require('./follow-graph');
+const { ImageArchive } = require('./image-archive');
 const { AlertManager } = require('./alert-manager');
 const { PriorityScheduler } = require('./priority-scheduler');
 const { XScraper } = require('./x-scraper');
 const { ProxyManager } = require('./proxy-manager');
+const { SelectorRegistry } = require('./selector-registry');
+const { SessionManager } = require('./session-manager');
 
 /**
  * Orchestrates the X account scraping system
@@ -25,9 +31,35 @@ class ScraperOrchestrator {
       useProxies: process.env.USE_PROXIES !== 'false',
       minProxies: parseInt(process.env.MIN_PROXIES || '20', 10),
       proxyProviderUrls: process.env.PROXY_PROVIDER_URLS ? process.env.PROXY_PROVIDER_URLS.split(',') : [],
+      proxyProviders: this.parseProxyProviders(process.env.PROXY_PROVIDERS),
+      proxyRefreshMinutes: parseInt(process.env.PROXY_REFRESH_MINUTES || '60', 10),
+      priorityProxyGroup: process.env.PRIORITY_PROXY_GROUP || null,
+      priorityAccountLevel: parseInt(process.env.PRIORITY_ACCOUNT_LEVEL || '1', 10),
+      fixtureDir: process.env.SCRAPER_FIXTURE_DIR || null,
+      excludePinned: process.env.EXCLUDE_PINNED_TWEETS !== 'false',
+      captureGraphQL: process.env.CAPTURE_GRAPHQL !== 'false',
+      archiveImages: process.env.ARCHIVE_IMAGES !== 'false',
+      archiveMedia: process.env.ARCHIVE_MEDIA === 'true',
+      fetchThreads: process.env.FETCH_THREADS === 'true',
+      replySampleTweets: parseInt(process.env.REPLY_SAMPLE_TWEETS || '3', 10),
+      replySampleSize: parseInt(process.env.REPLY_SAMPLE_SIZE || '10', 10),
+      followCrawlHours: parseInt(process.env.FOLLOW_CRAWL_HOURS || '24', 10),
+      followerSampleSize: parseInt(process.env.FOLLOWER_SAMPLE_SIZE || '0', 10),
+      uiLanguage: process.env.X_UI_LANGUAGE || null,
+      tweetsPerRun: parseInt(process.env.TWEETS_PER_RUN || '20', 10),
+      maxTweetDepth: parseInt(process.env.MAX_TWEET_DEPTH || '200', 10),
+      backfillOnAdd: process.env.BACKFILL_ON_ADD !== 'false',
+      backfillDays: parseInt(process.env.BACKFILL_DAYS || '30', 10),
+      backfillMaxTweets: parseInt(process.env.BACKFILL_MAX_TWEETS || '1000', 10),
+      maxRecoveryAttempts: parseInt(process.env.MAX_RECOVERY_ATTEMPTS || '2', 10),
       ...config
     };
     
+    // Replaying saved fixtures never needs proxies
+    if (this.config.fixtureDir) {
+      this.config.useProxies = false;
+    }
+    
     // Initialize service components
     this.accountManager = new AccountManager({ 
       storageType: process.env.ACCOUNT_STORAGE_TYPE || 'memory'
@@ -37,6 +69,20 @@ class ScraperOrchestrator {
       storageType: process.env.METRICS_STORAGE_TYPE || 'memory'
     });
     
+    this.postStore = new PostStore({ 
+      storageType: process.env.POST_STORAGE_TYPE || 'memory'
+    });
+    
+    this.profileStore = new ProfileStore({ 
+      storageType: process.env.PROFILE_STORAGE_TYPE || 'memory'
+    });
+    
+    this.followGraph = new FollowGraph({ 
+      storageType: process.env.FOLLOW_STORAGE_TYPE || 'memory'
+    });
+    
+    this.imageArchive = new ImageArchive();
+    
     this.alertManager = new AlertManager({ 
       storageType: process.env.ALERTS_STORAGE_TYPE || 'memory'
     });
@@ -46,21 +92,51 @@ class ScraperOrchestrator {
       this.proxyManager = new ProxyManager({
         minProxies: this.config.minProxies,
         proxyProviderUrls: this.config.proxyProviderUrls,
+        proxyProviders: this.config.proxyProviders,
+        providerRefreshInterval: this.config.proxyRefreshMinutes * 60 * 1000,
+        priorityProxyGroup: this.config.priorityProxyGroup,
+        priorityAccountLevel: this.config.priorityAccountLevel,
         proxyProviderApiKeys: config.proxyProviderApiKeys || {}
       });
     }
     
+    // Selectors live in one registry so they can be swapped without a redeploy
+    this.selectorRegistry = new SelectorRegistry(config.selectors ? { selectors: config.selectors } : {});
+    
+    // Logged-in sessions for profiles that need them, from the configured system accounts
+    this.sessionManager = new SessionManager({
+      selectorRegistry: this.selectorRegistry
+    });
+    
     this.scraper = new XScraper({
       maxConcurrentBrowsers: this.config.maxBrowsers,
       navigationTimeout: 30000, // 30 seconds
       baseUrl: 'https://twitter.com',
       useProxies: this.config.useProxies,
-      proxyManager: this.proxyManager
+      proxyManager: this.proxyManager,
+      fixtureDir: this.config.fixtureDir,
+      excludePinned: this.config.excludePinned,
+      captureGraphQL: this.config.captureGraphQL,
+      uiLanguage: this.config.uiLanguage,
+      archiveImages: this.config.archiveImages,
+      archiveMedia: this.config.archiveMedia,
+      fetchThreads: this.config.fetchThreads,
+      replySampleTweets: this.config.replySampleTweets,
+      replySampleSize: this.config.replySampleSize,
+      imageArchive: this.imageArchive,
+      tweetsPerRun: this.config.tweetsPerRun,
+      maxTweetDepth: this.config.maxTweetDepth,
+      backfillMaxTweets: this.config.backfillMaxTweets,
+      selectorRegistry: this.selectorRegistry,
+      sessionManager: this.sessionManager
     });
     
     this.scheduler = new PriorityScheduler({
       maxConcurrent: this.config.maxConcurrentWorkers,
-      minInterval: 60 * 60 * 1000 // 1 hour
+      minInterval: 60 * 60 * 1000, // 1 hour
+      backfillDays: this.config.backfillDays,
+      followCrawlInterval: this.config.followCrawlHours * 60 * 60 * 1000,
+      followerSampleSize: this.config.followerSampleSize
     });
     
     this.isInitialized = false;
@@ -75,6 +151,28 @@ class ScraperOrchestrator {
     });
   }
   
+  /**
+   * Read the proxy providers from PROXY_PROVIDERS, a JSON array. An invalid
+   * value is logged and no providers are used, so a typo doesn't stop startup.
+   */
+  parseProxyProviders(value) {
+    if (!value) {
+      return [];
+    }
+    
+    try {
+      const providers = JSON.parse(value);
+      
+      if (!Array.isArray(providers)) {
+        throw new Error('expected a JSON array');
+      }
+      
+      return providers;
+    } catch (error) {
+      this.log.error('PROXY_PROVIDERS is invalid, no proxy providers will be used', { error: error.message });
+      return [];
+    }
+  }  
   /**
    * Initialize all components of the scraper system
    */
@@ -91,14 +189,60 @@ class ScraperOrchestrator {
       await this.accountManager.initialize();
       this.log.info('Account manager initialized');
       
+      // Accounts added from now on get their history backfilled
+      this.accountManager.on('accountAdded', account => {
+        this.onAccountAdded(account).catch(error => {
+          this.log.error('Error queueing backfill for new account', { error, accountId: account.id });
+        });
+      });
+      
       // Initialize metrics collector
       await this.metricsCollector.initialize();
       this.log.info('Metrics collector initialized');
       
+      // Initialize post store
+      await this.postStore.initialize();
+      this.log.info('Post store initialized');
+      
+      // Initialize profile history
+      await this.profileStore.initialize();
+      this.log.info('Profile store initialized');
+      
+      // Initialize follow graph
+      await this.followGraph.initialize();
+      this.log.info('Follow graph initialized');
+      
+      // Load the index of archived avatars, banners and tweet media
+      if (this.config.archiveImages || this.config.archiveMedia) {
+        await this.imageArchive.initialize();
+        this.log.info('Image archive initialized');
+      }
+      
       // Initialize alert manager if enabled
       if (this.config.alertsEnabled) {
         await this.alertManager.initialize();
         this.log.info('Alert manager initialized');
+        
+        // Alerts can watch for accounts getting suspended, renamed, etc.
+        this.accountManager.on('stateChanged', change => {
+          this.alertManager.processStateChange(change).catch(error => {
+            this.log.error('Error processing account state change', { error, accountId: change.accountId });
+          });
+        });
+        
+        // ...and for bio, name, avatar or link changes
+        this.profileStore.on('profileChanged', change => {
+          this.alertManager.processProfileChange(change).catch(error => {
+            this.log.error('Error processing profile change', { error, accountId: change.accountId });
+          });
+        });
+        
+        // ...and for accounts following or unfollowing someone
+        this.followGraph.on('followsChanged', change => {
+          this.alertManager.processFollowChange(change).catch(error => {
+            this.log.error('Error processing follow change', { error, accountId: change.accountId });
+          });
+        });
       }
       
       // Initialize proxy manager if enabled
@@ -107,6 +251,12 @@ class ScraperOrchestrator {
         this.log.info('Proxy manager initialized');
       }
       
+      // Load saved session cookies if system accounts are configured
+      if (this.sessionManager.hasSessions()) {
+        await this.sessionManager.initialize();
+        this.log.info('Session manager initialized');
+      }
+      
       // Initialize scraper
       await this.scraper.initialize();
       this.log.info('Scraper initialized');
@@ -115,10 +265,17 @@ class ScraperOrchestrator {
       this.scheduler.setup({
         accountManager: this.accountManager,
         metricsCollector: this.metricsCollector,
-        scraper: this.scraper
+        postStore: this.postStore,
+        profileStore: this.profileStore,
+        followGraph: this.followGraph,
+        scraper: this.scraper,
+        scrape: account => this.scrapeWithRecovery(account)
       });
       this.log.info('Scheduler setup complete');
       
+      // Resume backfills that were interrupted by a restart
+      await this.scheduler.loadBackfills();
+      
       this.isInitialized = true;
       this.log.info('Scraper orchestrator initialized successfully');
       
@@ -204,6 +361,24 @@ class ScraperOrchestrator {
         maxBrowsers: this.config.maxBrowsers
       },
       proxies: proxyStatus,
+      sessions: this.sessionManager.getStatus(),
+      selectors: {
+        version: this.selectorRegistry.version,
+        revision: this.selectorRegistry.revision,
+        source: this.selectorRegistry.source
+      },
+      lastUpdated: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Get scraping statistics, including extraction health and selector success rates
+   */
+  getStats() {
+    return {
+      scheduler: this.scheduler.getStatus(),
+      extraction: this.scraper.getExtractionStats(),
+      selectors: this.selectorRegistry.getStats(),
       lastUpdated: new Date().toISOString()
     };
   }
@@ -225,6 +400,93 @@ class ScraperOrchestrator {
     }
   }
   
+  /**
+   * Scrape an account, recovering from typed scrape errors. Proxy and session
+   * failures are retried straight away on another proxy or session; anything
+   * else is returned with its retryAfter for the scheduler.
+   */
+  async scrapeWithRecovery(account) {
+    let result = await this.scraper.scrapeAccount(account);
+    
+    for (let attempt = 1; attempt <= this.config.maxRecoveryAttempts; attempt++) {
+      if (result.success || !(await this.recoverFromScrapeError(account, result))) {
+        break;
+      }
+      
+      this.log.info(`Retrying ${account.username} after ${result.errorCode}`, { attempt });
+      result = await this.scraper.scrapeAccount(account);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Act on a failed scrape's recovery action, returning true when an
+   * immediate retry can succeed
+   */
+  async recoverFromScrapeError(account, result) {
+    const { errorCode, action } = result;
+    
+    this.log.warn(`Scrape of ${account.username} failed with ${errorCode || 'untyped error'}`, {
+      action,
+      error: result.error,
+      proxyId: result.proxyId,
+      session: result.sessionUsername
+    });
+    
+    switch (action) {
+      case 'rotateProxy':
+        if (!this.proxyManager || !result.proxyId) {
+          return false;
+        }
+        
+        // The failed page load already lowered the proxy's score, but only a
+        // failed connection means the proxy is broken, so it's left out of the
+        // retry. A CAPTCHA means X distrusts its IP for now, and a timeout may
+        // be X being slow.
+        if (errorCode === 'proxyError') {
+          await this.proxyManager.markProxyUnhealthy(result.proxyId, result.error);
+        } else if (errorCode === 'captcha') {
+          this.proxyManager.coolDownProxy(result.proxyId);
+        }
+        
+        return true;
+      
+      case 'rotateSession':
+        if (result.sessionUsername) {
+          const session = this.sessionManager.sessions.get(result.sessionUsername);
+          
+          if (session) {
+            await this.sessionManager.invalidate(session, result.error);
+          }
+        }
+        
+        return this.sessionManager.getAvailableSessions().length > 0;
+      
+      default:
+        // retryLater, or nothing to recover
+        return false;
+    }
+  }
+  
+  /**
+   * Queue a history backfill for an account
+   */
+  async queueBackfill(account, options = {}) {
+    return this.scheduler.queueBackfill(account, options);
+  }
+  
+  /**
+   * Backfill a newly added account, when backfilling on add is enabled
+   */
+  async onAccountAdded(account, options = {}) {
+    if (!this.config.backfillOnAdd) {
+      return null;
+    }
+    
+    return this.queueBackfill(account, options);
+  }
+  
   /**
    * Process metrics against alerts
    */
@@ -328,27 +590,66 @@ class ScraperOrchestrator {
       this.log.info(`Running scraper for account: ${account.username} (${accountId})`);
       
       // Run scraper
-      const result = await this.scraper.scrapeAccount(account);
+      const result = await this.scrapeWithRecovery(account);
+      
+      if (result.accountState) {
+        await this.scheduler.recordAccountState(account, result.accountState);
+      }
       
       if (!result.success) {
         this.log.error(`Failed to scrape account: ${account.username}`, { 
-          error: result.error 
+          error: result.error,
+          errorCode: result.errorCode
         });
-        return { success: false, error: result.error };
+        return {
+          success: false,
+          error: result.error,
+          errorCode: result.errorCode,
+          retryAfter: result.retryAfter,
+          accountState: result.accountState
+        };
+      }
+      
+      if (result.degraded) {
+        this.log.warn(`Skipping degraded metrics for account: ${account.username}`, {
+          missingFields: result.metrics.extraction.missingFields
+        });
+        return { 
+          success: false, 
+          degraded: true,
+          error: 'Degraded extraction',
+          extraction: result.metrics.extraction
+        };
       }
       
       // Process metrics
       const savedMetrics = await this.processScrapedMetrics(accountId, result.metrics);
       
-      // Update last scraped timestamp
+      // Store the tweets, threads, replies and profile revision the way scheduled scrapes are
+      const stored = await this.scheduler.storeScrape(account, result);
+      
+      // Update last scraped timestamp, and the archived images
       await this.accountManager.updateAccount(accountId, {
+        ...PriorityScheduler.imageUrls(result.images),
         lastScraped: new Date().toISOString()
       });
       
+      // Tweets that failed to save will be picked up again from the old mark
+      if (stored.posts) {
+        await this.accountManager.updateLastSeenTweet(accountId, result.timeline.lastSeenTweetId);
+      }
+      
       return { 
         success: true, 
         metrics: result.metrics,
-        savedMetrics
+        timeline: result.timeline,
+        accountState: result.accountState,
+        savedMetrics,
+        savedPosts: stored.posts,
+        savedThreads: stored.threads,
+        savedReplies: stored.replies,
+        profileRevision: stored.profileRevision,
+        images: result.images
       };
     } catch (error) {
       this.log.error(`Error running scraper for account: ${accountId}`, { error });
@@ -0,0 +1,258 @@
+const { logger } = require('../../utils/logger');
+const { SelectorRegistry } = require('./selector-registry');
+
+// States a profile can be in; unknown until it has been classified
+const ACCOUNT_STATES = ['unknown', 'active', 'protected', 'suspended', 'withheld', 'notFound', 'renamed'];
+
+// States that won't recover by themselves, so scraping them again is wasted
+const TERMINAL_ACCOUNT_STATES = ['suspended', 'notFound'];
+
+// Messages X shows in place of a profile's timeline, checked in order
+const STATE_PATTERNS = [
+  { state: 'suspended', pattern: /account suspended|suspends accounts/i },
+  { state: 'withheld', pattern: /withheld/i },
+  { state: 'notFound', pattern: /doesn.t exist|does not exist|try searching for another/i },
+  { state: 'protected', pattern: /(posts|tweets) are protected/i }
+];
+
+// First path segments of X pages that aren't profiles
+const RESERVED_PATHS = ['i', 'home', 'login', 'logout', 'explore', 'search', 'settings', 'notifications', 'messages', 'account'];
+
+// Typed errors a scrape can fail with. The action says how the orchestrator
+// recovers, retryAfter when the scheduler should try the account again if it can't
+const SCRAPE_ERRORS = {
+  rateLimited: { action: 'retryLater', retryAfter: 15 * 60 * 1000 },
+  pageError: { action: 'retryLater', retryAfter: 5 * 60 * 1000 },
+  httpError: { action: 'retryLater', retryAfter: 5 * 60 * 1000 },
+  captcha: { action: 'rotateProxy', retryAfter: 30 * 60 * 1000 },
+  proxyError: { action: 'rotateProxy', retryAfter: 5 * 60 * 1000 },
+  timeout: { action: 'rotateProxy', retryAfter: 5 * 60 * 1000 },
+  loginRequired: { action: 'rotateSession', retryAfter: 30 * 60 * 1000 },
+  redirected: { action: null, retryAfter: null },
+  accountUnavailable: { action: null, retryAfter: null },
+  unknown: { action: null, retryAfter: null }
+};
+
+// Messages X shows instead of a page when something is wrong on its side, checked in order
+const PAGE_ERROR_PATTERNS = [
+  { errorCode: 'rateLimited', pattern: /rate limit exceeded|too many requests|over the limit/i },
+  { errorCode: 'pageError', pattern: /something went wrong|try reloading/i }
+];
+
+// Paths X redirects to for a login wall and for a CAPTCHA challenge
+const LOGIN_PATH = /^\/(i\/flow\/)?login\b/;
+const CAPTCHA_PATH = /^\/account\/access\b/;
+
+/**
+ * Works out what X is showing on a loaded profile page: an interstitial
+ * (rate limit, login wall, CAPTCHA, error) or the profile and its state
+ */
+class PageClassifier {
+  /**
+   * Initialize the page classifier
+   */
+  constructor(config = {}) {
+    this.log = logger.child({ module: 'PageClassifier' });
+    this.selectorRegistry = config.selectorRegistry || new SelectorRegistry();
+    this.renderTimeout = config.renderTimeout || 10000; // Wait for a profile or account message to render
+  }
+  
+  /**
+   * Check a freshly loaded page for the screens X shows instead of a profile.
+   * Returns { errorCode, reason } for a rate limit, login wall, CAPTCHA or
+   * error page, or null when the page can be read.
+   */
+  async classifyPage(page, options = {}) {
+    const { statusCode = null, rateLimitedRequests = 0 } = options;
+    
+    if (statusCode === 429) {
+      return { errorCode: 'rateLimited', reason: 'Profile page returned 429' };
+    }
+    
+    let pathname = '';
+    
+    try {
+      pathname = new URL(page.url()).pathname;
+    } catch (error) {
+      // Not a URL (about:blank), leave it to the page content
+    }
+    
+    if (CAPTCHA_PATH.test(pathname)) {
+      return { errorCode: 'captcha', reason: `Redirected to ${pathname}` };
+    }
+    
+    if (LOGIN_PATH.test(pathname)) {
+      return { errorCode: 'loginRequired', reason: `Redirected to ${pathname}` };
+    }
+    
+    const rendered = [
+      ...this.selectorRegistry.get('profile.name'),
+      ...this.selectorRegistry.get('accountState.emptyState'),
+      ...this.selectorRegistry.get('pageState.errorMessage'),
+      ...this.selectorRegistry.get('pageState.captcha')
+    ].join(', ');
+    
+    await page.waitForSelector(rendered, { timeout: this.renderTimeout }).catch(() => null);
+    
+    const { messageText, hasProfile, hasCaptcha, hasLoginWall } = await page.evaluate((selectors) => {
+      const matchesAny = (list = []) => list.some(selector => document.querySelector(selector));
+      
+      const messages = [];
+      for (const selector of selectors.errorMessage) {
+        document.querySelectorAll(selector).forEach(el => messages.push(el.textContent.trim()));
+      }
+      
+      return {
+        messageText: messages.filter(Boolean).join(' ').slice(0, 500),
+        hasProfile: matchesAny(selectors.name),
+        hasCaptcha: matchesAny(selectors.captcha),
+        hasLoginWall: matchesAny(selectors.loggedOut) || matchesAny(selectors.loginUsername)
+      };
+    }, {
+      ...this.selectorRegistry.getGroup('pageState'),
+      name: this.selectorRegistry.get('profile.name'),
+      loggedOut: this.selectorRegistry.get('auth.loggedOut'),
+      loginUsername: this.selectorRegistry.get('auth.loginUsername')
+    });
+    
+    if (hasCaptcha) {
+      return { errorCode: 'captcha', reason: 'CAPTCHA challenge on page' };
+    }
+    
+    // A rendered profile can be read, whatever else the page shows around it.
+    // So can a suspended or missing account, which classifyProfile reports.
+    if (hasProfile || PageClassifier.matchState(messageText)) {
+      return null;
+    }
+    
+    // X serves the page itself fine and rate limits the API calls that fill it
+    // in, then shows its generic error in place of the profile
+    if (rateLimitedRequests > 0) {
+      return { errorCode: 'rateLimited', reason: `Rate limited on ${rateLimitedRequests} requests` };
+    }
+    
+    const matched = PAGE_ERROR_PATTERNS.find(({ pattern }) => pattern.test(messageText));
+    
+    if (matched) {
+      return { errorCode: matched.errorCode, reason: messageText };
+    }
+    
+    if (hasLoginWall) {
+      return { errorCode: 'loginRequired', reason: 'Login wall instead of profile' };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Classify the state of a profile page: active, protected, suspended,
+   * withheld, notFound, or renamed when X redirected to another handle
+   */
+  async classifyProfile(page, account) {
+    const rendered = [
+      ...this.selectorRegistry.get('profile.name'),
+      ...this.selectorRegistry.get('accountState.emptyState')
+    ].join(', ');
+    
+    // A page that is still loading would look like a missing account
+    await page.waitForSelector(rendered, { timeout: this.renderTimeout }).catch(() => null);
+    
+    const { emptyStateText, hasProfile, hasLock } = await page.evaluate((selectors) => {
+      const queryFirst = (list = []) => {
+        for (const selector of list) {
+          const el = document.querySelector(selector);
+          if (el) return el;
+        }
+        return null;
+      };
+      
+      const emptyState = queryFirst(selectors.emptyState);
+      
+      return {
+        emptyStateText: emptyState ? emptyState.textContent.trim() : null,
+        hasProfile: !!queryFirst(selectors.name),
+        hasLock: !!queryFirst(selectors.protected)
+      };
+    }, {
+      ...this.selectorRegistry.getGroup('accountState'),
+      name: this.selectorRegistry.get('profile.name')
+    });
+    
+    const matched = PageClassifier.matchState(emptyStateText);
+    
+    // Suspended and missing accounts still render a header with the handle,
+    // so the message wins over the presence of a profile
+    if (matched && matched !== 'protected') {
+      return { state: matched, reason: emptyStateText };
+    }
+    
+    const handle = PageClassifier.handleFromUrl(page.url());
+    
+    if (handle && account && handle.toLowerCase() !== account.username.toLowerCase()) {
+      this.log.info(`Profile ${account.username} redirected to ${handle}`);
+      return { state: 'renamed', newUsername: handle, reason: `Redirected to ${handle}` };
+    }
+    
+    if (matched === 'protected' || (hasProfile && hasLock)) {
+      return { state: 'protected', reason: emptyStateText };
+    }
+    
+    if (!hasProfile) {
+      // Without an account message this is some other page, not a missing account
+      return emptyStateText
+        ? { state: 'notFound', reason: emptyStateText }
+        : { state: 'unknown', reason: 'Neither a profile nor an account message on page' };
+    }
+    
+    return { state: 'active', reason: null };
+  }
+  
+  /**
+   * Static method to match the message X shows instead of a timeline to a state
+   */
+  static matchState(text) {
+    if (!text) return null;
+    
+    const match = STATE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.state : null;
+  }
+  
+  /**
+   * Static method to get the profile handle from an X URL, or null for other pages
+   */
+  static handleFromUrl(url) {
+    let pathname;
+    
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      return null;
+    }
+    
+    const match = pathname.match(/^\/(\w{1,15})\/?$/);
+    
+    if (!match || RESERVED_PATHS.includes(match[1].toLowerCase())) {
+      return null;
+    }
+    
+    return match[1];
+  }
+  
+  /**
+   * Static method to build a failed scrape result for a typed error
+   */
+  static scrapeError(errorCode, error, details = {}) {
+    const { action, retryAfter } = SCRAPE_ERRORS[errorCode] || SCRAPE_ERRORS.unknown;
+    
+    return {
+      success: false,
+      error,
+      errorCode: SCRAPE_ERRORS[errorCode] ? errorCode : 'unknown',
+      action,
+      retryAfter,
+      ...details
+    };
+  }
+}
+
+module.exports = { PageClassifier, ACCOUNT_STATES, TERMINAL_ACCOUNT_STATES, SCRAPE_ERRORS };
@@ -0,0 +1,896 @@
+const { logger } = require('../../utils/logger');
+const Post = require('../../models/Post');
+const PostSnapshot = require('../../models/PostSnapshot');
+const Thread = require('../../models/Thread');
+const Reply = require('../../models/Reply');
+const Account = require('../../models/Account');
+
+// Engagement counts tracked over time, by snapshot field
+const ENGAGEMENT_COUNTS = {
+  likes: 'likeCount',
+  retweets: 'retweetCount',
+  replies: 'replyCount',
+  views: 'viewCount',
+  quotes: 'quoteCount',
+  bookmarks: 'bookmarkCount'
+};
+
+// Windows after posting used for velocity, in hours
+const VELOCITY_WINDOWS = { '1h': 1, '6h': 6, '24h': 24 };
+
+// X's own domains, which links to other tweets point at, so they aren't external
+const INTERNAL_DOMAINS = ['twitter.com', 'x.com', 't.co', 'pic.twitter.com', 'pic.x.com'];
+
+// Rough share of a post's engagement reached N hours after posting, used to
+// estimate the early history of posts that were first seen long after they went out
+const ENGAGEMENT_CURVE = { 1: 0.3, 6: 0.65, 24: 0.9 };
+
+// Tweet ids are too large for a Number, but newer ones are longer or higher
+const compareIds = (a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Stores tweets captured during profile scrapes
+ */
+class PostStore {
+  /**
+   * Initialize the post store
+   */
+  constructor(config = {}) {
+    this.log = logger.child({ module: 'PostStore' });
+    this.posts = new Map(); // Map of postId to post, for memory storage
+    this.snapshots = new Map(); // Map of postId to engagement snapshots, for memory storage
+    this.threads = new Map(); // Map of threadId to thread, for memory storage
+    this.replies = new Map(); // Map of postId to a map of replyId to sampled reply, for memory storage
+    this.storage = config.storageType || 'mongodb';
+    this.maxSnapshotsPerPost = config.maxSnapshotsPerPost || 500;
+    this.initialized = false;
+    
+    this.log.info('Post store initialized', { storageType: this.storage });
+  }
+  
+  /**
+   * Initialize the post storage
+   */
+  async initialize() {
+    if (this.initialized) {
+      this.log.warn('Post store already initialized');
+      return true;
+    }
+    
+    if (this.storage === 'mongodb') {
+      try {
+        // Check if MongoDB is available by making a simple query
+        const count = await Post.estimatedDocumentCount();
+        this.log.info('MongoDB connection successful', { count });
+      } catch (dbError) {
+        this.log.error('MongoDB connection failed, falling back to memory storage', { error: dbError });
+        this.storage = 'memory';
+      }
+    }
+    
+    this.initialized = true;
+    this.log.info(`Post store initialized with ${this.storage} storage`);
+    return true;
+  }
+  
+  /**
+   * Insert or update tweets for an account. Safe to call repeatedly with the
+   * same tweets: posts are keyed on postId and only engagement and content change.
+   * With estimateHistory, new posts also get estimated snapshots for their first day.
+   */
+  async upsertPosts(accountId, tweets = [], options = {}) {
+    const { capturedAt = new Date(), estimateHistory = false } = options;
+    
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    const result = { inserted: 0, updated: 0, skipped: 0 };
+    const posts = [];
+    
+    for (const tweet of tweets) {
+      const post = PostStore.toPost(accountId, tweet);
+      
+      if (post) {
+        posts.push(post);
+      } else {
+        result.skipped++;
+      }
+    }
+    
+    if (posts.length === 0) {
+      return result;
+    }
+    
+    try {
+      if (this.storage === 'memory') {
+        const now = new Date().toISOString();
+        
+        for (const post of posts) {
+          const existing = this.posts.get(post.postId);
+          
+          const history = this.snapshots.get(post.postId) || [];
+          
+          if (existing) {
+            Object.assign(existing, PostStore.changedFields(post), { updatedAt: now });
+            result.updated++;
+          } else {
+            this.posts.set(post.postId, { ...post, createdAt: now, updatedAt: now });
+            result.inserted++;
+            
+            if (estimateHistory) {
+              history.push(...PostStore.estimateSnapshots(post, capturedAt));
+            }
+          }
+          
+          // Keep a bounded engagement history per post
+          history.push(PostStore.toSnapshot(post, capturedAt));
+          this.snapshots.set(post.postId, history.slice(-this.maxSnapshotsPerPost));
+        }
+      } else {
+        // Link new posts to the account document when there is one
+        let accountDoc = null;
+        try {
+          accountDoc = await Account.findOne({ id: accountId });
+        } catch (error) {
+          this.log.warn('Could not find account document', { accountId, error: error.message });
+        }
+        
+        const operations = posts.map(post => ({
+          updateOne: {
+            filter: { postId: post.postId },
+            update: {
+              $set: PostStore.changedFields(post),
+              $setOnInsert: {
+                postId: post.postId,
+                postDate: post.postDate,
+                account: accountDoc?._id || null
+              }
+            },
+            upsert: true
+          }
+        }));
+        
+        const writeResult = await Post.bulkWrite(operations, { ordered: false });
+        result.inserted = writeResult.upsertedCount;
+        result.updated = writeResult.matchedCount;
+        
+        const snapshots = posts.map(post => PostStore.toSnapshot(post, capturedAt));
+        
+        if (estimateHistory) {
+          // Upserted ids are keyed by the index of the operation that inserted them
+          for (const index of Object.keys(writeResult.upsertedIds || {})) {
+            snapshots.push(...PostStore.estimateSnapshots(posts[index], capturedAt));
+          }
+        }
+        
+        await PostSnapshot.insertMany(snapshots);
+      }
+      
+      this.log.debug('Upserted posts', { accountId, ...result });
+      
+      return result;
+    } catch (error) {
+      this.log.error('Error upserting posts', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a single post
+   */
+  async getPost(postId) {
+    try {
+      if (this.storage === 'memory') {
+        return this.posts.get(postId) || null;
+      }
+      
+      return await Post.findOne({ postId }).lean();
+    } catch (error) {
+      this.log.error('Error getting post', { postId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get posts for an account, newest first
+   */
+  async getPosts(accountId, options = {}) {
+    const { limit = 50 } = options;
+    
+    try {
+      if (this.storage === 'memory') {
+        return Array.from(this.posts.values())
+          .filter(post => post.accountId === accountId)
+          .sort((a, b) => new Date(b.postDate) - new Date(a.postDate))
+          .slice(0, limit);
+      }
+      
+      return await Post.find({ accountId })
+        .sort({ postDate: -1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      this.log.error('Error getting posts', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get posts for an account, newest first, with each thread as one item
+   * ({ kind: 'thread', ...thread, posts }) where its newest post would be.
+   * limit counts the posts read before they are grouped.
+   */
+  async getPostsWithThreads(accountId, options = {}) {
+    const posts = await this.getPosts(accountId, options);
+    const items = [];
+    const seen = new Set();
+    
+    try {
+      for (const post of posts) {
+        if (!post.threadId) {
+          items.push(post);
+          continue;
+        }
+        
+        if (seen.has(post.threadId)) continue;
+        seen.add(post.threadId);
+        
+        const thread = await this.getThreadWithPosts(post.threadId);
+        items.push(thread ? { kind: 'thread', ...thread } : post);
+      }
+      
+      return items;
+    } catch (error) {
+      this.log.error('Error getting posts with threads', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Store the self-reply threads found by a scrape. Call after their posts
+   * are stored. Threads sharing a post with a stored thread are merged into
+   * it, and incomplete threads are followed up through the posts they reply
+   * to, so a thread captured over several scrapes or backfill runs ends up
+   * as one.
+   */
+  async upsertThreads(accountId, threads = []) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    const result = { created: 0, updated: 0 };
+    
+    try {
+      // Stored threads still missing their start may continue from posts stored since
+      const pending = await this.findThreads(accountId, { complete: false });
+      const candidates = [...threads, ...pending.map(thread => ({ threadId: thread.threadId }))];
+      
+      for (const candidate of candidates) {
+        // A stored thread may have been merged away by an earlier candidate
+        const thread = candidate.threadId ? await this.getThread(candidate.threadId) : candidate;
+        
+        if (!thread || !thread.postIds || thread.postIds.length === 0) continue;
+        
+        const change = await this.mergeThread(accountId, thread);
+        
+        if (change) {
+          result[change]++;
+        }
+      }
+      
+      this.log.debug('Upserted threads', { accountId, ...result });
+      
+      return result;
+    } catch (error) {
+      this.log.error('Error upserting threads', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Merge a thread into the stored ones. Returns 'created' or 'updated', or
+   * null when the stored threads already had it.
+   */
+  async mergeThread(accountId, input) {
+    const postIds = new Set(input.postIds.map(String));
+    let head = {
+      first: Array.from(postIds).sort(compareIds)[0],
+      complete: !!input.complete,
+      replyTo: input.replyTo || null
+    };
+    
+    // Follow the earliest post up through the stored posts it replies to
+    while (!head.complete && head.replyTo && !postIds.has(head.replyTo)) {
+      const parent = await this.getPost(head.replyTo);
+      
+      if (!parent || parent.accountId !== accountId) break;
+      
+      const selfReply = PostStore.isSelfReply(parent);
+      postIds.add(parent.postId);
+      head = { first: parent.postId, complete: !selfReply, replyTo: selfReply ? (parent.referencedTweetId || null) : null };
+      
+      // Anything further up is in the parent's thread, merged below
+      if (parent.threadId) break;
+    }
+    
+    const overlapping = await this.findThreads(accountId, { postIds: Array.from(postIds) });
+    
+    for (const other of overlapping) {
+      other.postIds.forEach(id => postIds.add(id));
+    }
+    
+    const ordered = Array.from(postIds).sort(compareIds);
+    
+    // Whether the thread is complete depends on whichever part starts it
+    const start = overlapping
+      .map(other => ({ first: other.postIds[0], complete: other.complete, replyTo: other.replyTo || null }))
+      .concat(head)
+      .find(part => part.first === ordered[0]) || head;
+    
+    const thread = {
+      threadId: ordered[0],
+      accountId,
+      postIds: ordered,
+      complete: start.complete,
+      replyTo: start.complete ? null : start.replyTo
+    };
+    
+    const [existing] = overlapping;
+    
+    if (overlapping.length === 1 && existing.threadId === thread.threadId &&
+        existing.postIds.join() === ordered.join() &&
+        existing.complete === thread.complete && (existing.replyTo || null) === thread.replyTo) {
+      return null;
+    }
+    
+    await this.saveThread(thread, overlapping.map(other => other.threadId).filter(id => id !== thread.threadId));
+    
+    return overlapping.length > 0 ? 'updated' : 'created';
+  }
+  
+  /**
+   * Write a thread, replacing the threads merged into it, and link its posts to it
+   */
+  async saveThread(thread, replacedIds = []) {
+    if (this.storage === 'memory') {
+      const now = new Date().toISOString();
+      const createdAt = (this.threads.get(thread.threadId) || {}).createdAt || now;
+      
+      replacedIds.forEach(threadId => this.threads.delete(threadId));
+      this.threads.set(thread.threadId, { ...thread, createdAt, updatedAt: now });
+      
+      for (const postId of thread.postIds) {
+        const post = this.posts.get(postId);
+        
+        if (post) {
+          post.threadId = thread.threadId;
+        }
+      }
+      
+      return;
+    }
+    
+    if (replacedIds.length > 0) {
+      await Thread.deleteMany({ threadId: { $in: replacedIds } });
+    }
+    
+    await Thread.updateOne({ threadId: thread.threadId }, { $set: thread }, { upsert: true });
+    await Post.updateMany({ postId: { $in: thread.postIds } }, { $set: { threadId: thread.threadId } });
+  }
+  
+  /**
+   * Find an account's threads, by completeness or by posts they contain
+   */
+  async findThreads(accountId, filter = {}) {
+    const { complete, postIds } = filter;
+    
+    if (this.storage === 'memory') {
+      return Array.from(this.threads.values())
+        .filter(thread => thread.accountId === accountId &&
+          (complete === undefined || thread.complete === complete) &&
+          (!postIds || thread.postIds.some(id => postIds.includes(id))))
+        .map(thread => ({ ...thread, postIds: [...thread.postIds] }));
+    }
+    
+    const query = { accountId };
+    
+    if (complete !== undefined) {
+      query.complete = complete;
+    }
+    
+    if (postIds) {
+      query.postIds = { $in: postIds };
+    }
+    
+    return await Thread.find(query)
+      .select('-_id -__v')
+      .lean();
+  }
+  
+  /**
+   * Get a single thread
+   */
+  async getThread(threadId) {
+    try {
+      if (this.storage === 'memory') {
+        const thread = this.threads.get(threadId);
+        return thread ? { ...thread, postIds: [...thread.postIds] } : null;
+      }
+      
+      return await Thread.findOne({ threadId })
+        .select('-_id -__v')
+        .lean();
+    } catch (error) {
+      this.log.error('Error getting thread', { threadId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a thread with its posts, oldest first. Parts that couldn't be stored are left out.
+   */
+  async getThreadWithPosts(threadId) {
+    const thread = await this.getThread(threadId);
+    
+    if (!thread) {
+      return null;
+    }
+    
+    let posts;
+    
+    if (this.storage === 'memory') {
+      posts = thread.postIds.map(postId => this.posts.get(postId));
+    } else {
+      const found = await Post.find({ postId: { $in: thread.postIds } }).lean();
+      posts = thread.postIds.map(postId => found.find(post => post.postId === postId));
+    }
+    
+    return { ...thread, posts: posts.filter(Boolean) };
+  }
+  
+  /**
+   * Store replies sampled from an account's posts, each linked to the post
+   * it answers by parentId. Replies sampled again get their likes updated.
+   */
+  async upsertReplies(accountId, replies = [], options = {}) {
+    const { capturedAt = new Date() } = options;
+    
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    const result = { inserted: 0, updated: 0, skipped: 0 };
+    const records = [];
+    
+    for (const reply of replies) {
+      const record = PostStore.toReply(accountId, reply, capturedAt);
+      
+      if (record) {
+        records.push(record);
+      } else {
+        result.skipped++;
+      }
+    }
+    
+    if (records.length === 0) {
+      return result;
+    }
+    
+    try {
+      if (this.storage === 'memory') {
+        for (const record of records) {
+          const postReplies = this.replies.get(record.postId) || new Map();
+          const existing = postReplies.get(record.replyId);
+          
+          if (existing) {
+            Object.assign(existing, record);
+            result.updated++;
+          } else {
+            postReplies.set(record.replyId, record);
+            result.inserted++;
+          }
+          
+          this.replies.set(record.postId, postReplies);
+        }
+      } else {
+        const writeResult = await Reply.bulkWrite(records.map(record => ({
+          updateOne: {
+            filter: { replyId: record.replyId },
+            update: { $set: record },
+            upsert: true
+          }
+        })), { ordered: false });
+        
+        result.inserted = writeResult.upsertedCount;
+        result.updated = writeResult.matchedCount;
+      }
+      
+      this.log.debug('Upserted replies', { accountId, ...result });
+      
+      return result;
+    } catch (error) {
+      this.log.error('Error upserting replies', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the sampled replies to a post, most liked first
+   */
+  async getReplies(postId, options = {}) {
+    const { limit = 50 } = options;
+    
+    try {
+      if (this.storage === 'memory') {
+        return Array.from((this.replies.get(postId) || new Map()).values())
+          .sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0))
+          .slice(0, limit);
+      }
+      
+      return await Reply.find({ postId })
+        .sort({ likeCount: -1 })
+        .limit(limit)
+        .select('-_id -__v')
+        .lean();
+    } catch (error) {
+      this.log.error('Error getting replies', { postId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the external domains an account links to, most linked first, with
+   * the number of posts linking to each. since limits it to recent posts.
+   */
+  async getTopDomains(accountId, options = {}) {
+    const { limit = 20, since = null } = options;
+    
+    try {
+      if (this.storage === 'memory') {
+        const domains = new Map();
+        
+        for (const post of this.posts.values()) {
+          if (post.accountId !== accountId || (since && new Date(post.postDate) < new Date(since))) {
+            continue;
+          }
+          
+          for (const domain of post.linkDomains || []) {
+            const entry = domains.get(domain) || { domain, posts: 0, lastPostDate: null };
+            entry.posts++;
+            
+            if (!entry.lastPostDate || new Date(post.postDate) > new Date(entry.lastPostDate)) {
+              entry.lastPostDate = post.postDate;
+            }
+            
+            domains.set(domain, entry);
+          }
+        }
+        
+        return Array.from(domains.values())
+          .sort((a, b) => b.posts - a.posts || new Date(b.lastPostDate) - new Date(a.lastPostDate))
+          .slice(0, limit);
+      }
+      
+      const match = { accountId };
+      
+      if (since) {
+        match.postDate = { $gte: new Date(since) };
+      }
+      
+      return await Post.aggregate([
+        { $match: match },
+        { $unwind: '$linkDomains' },
+        { $group: { _id: '$linkDomains', posts: { $sum: 1 }, lastPostDate: { $max: '$postDate' } } },
+        { $sort: { posts: -1, lastPostDate: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, domain: '$_id', posts: 1, lastPostDate: 1 } }
+      ]);
+    } catch (error) {
+      this.log.error('Error getting linked domains', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the engagement snapshots of a post, oldest first
+   */
+  async getSnapshots(postId) {
+    try {
+      if (this.storage === 'memory') {
+        return [...(this.snapshots.get(postId) || [])];
+      }
+      
+      return await PostSnapshot.find({ postId })
+        .sort({ timestamp: 1 })
+        .select('-_id -__v')
+        .lean();
+    } catch (error) {
+      this.log.error('Error getting post snapshots', { postId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a post with its engagement history and velocity in the first hours after posting
+   */
+  async getTimeline(postId) {
+    const post = await this.getPost(postId);
+    
+    if (!post) {
+      return null;
+    }
+    
+    const snapshots = await this.getSnapshots(postId);
+    
+    return {
+      post,
+      snapshots,
+      velocity: PostStore.calculateVelocity(post.postDate, snapshots)
+    };
+  }
+  
+  /**
+   * Static method to calculate engagement gained per hour over the first
+   * 1h/6h/24h of a post. Counts at the end of each window are interpolated
+   * between the snapshots around it (a post starts at zero when published).
+   * A window is null until a snapshot after its end exists.
+   */
+  static calculateVelocity(postDate, snapshots = [], windows = VELOCITY_WINDOWS) {
+    const postTime = new Date(postDate).getTime();
+    const velocity = {};
+    
+    for (const [label, hours] of Object.entries(windows)) {
+      const windowEnd = postTime + hours * 60 * 60 * 1000;
+      const window = { interpolated: false, estimated: false };
+      let hasData = false;
+      
+      for (const [name, field] of Object.entries(ENGAGEMENT_COUNTS)) {
+        const points = [{ time: postTime, value: 0 }];
+        
+        for (const snapshot of snapshots) {
+          if (snapshot[field] !== null && snapshot[field] !== undefined) {
+            points.push({
+              time: new Date(snapshot.timestamp).getTime(),
+              value: snapshot[field],
+              estimated: !!snapshot.estimated
+            });
+          }
+        }
+        
+        points.sort((a, b) => a.time - b.time);
+        
+        const afterIndex = points.findIndex(point => point.time >= windowEnd);
+        
+        if (afterIndex <= 0) {
+          window[`${name}PerHour`] = null;
+          continue;
+        }
+        
+        const before = points[afterIndex - 1];
+        const after = points[afterIndex];
+        let count = after.value;
+        
+        if (after.estimated || (after.time !== windowEnd && before.estimated)) {
+          window.estimated = true;
+        }
+        
+        if (after.time !== windowEnd) {
+          const progress = (windowEnd - before.time) / (after.time - before.time);
+          count = before.value + (after.value - before.value) * progress;
+          window.interpolated = true;
+        }
+        
+        window[`${name}PerHour`] = Math.round((count / hours) * 100) / 100;
+        hasData = true;
+      }
+      
+      velocity[label] = hasData ? window : null;
+    }
+    
+    return velocity;
+  }
+  
+  /**
+   * Build an engagement snapshot of a post
+   */
+  static toSnapshot(post, capturedAt) {
+    return {
+      postId: post.postId,
+      accountId: post.accountId,
+      timestamp: new Date(capturedAt),
+      likeCount: post.likeCount,
+      retweetCount: post.retweetCount,
+      replyCount: post.replyCount,
+      viewCount: post.viewCount,
+      quoteCount: post.quoteCount,
+      bookmarkCount: post.bookmarkCount
+    };
+  }
+  
+  /**
+   * Static method to estimate the early engagement history of a post from the
+   * counts it had when captured, for the curve points that fall before capture
+   */
+  static estimateSnapshots(post, capturedAt, curve = ENGAGEMENT_CURVE) {
+    const postTime = new Date(post.postDate).getTime();
+    const captureTime = new Date(capturedAt).getTime();
+    const snapshots = [];
+    
+    for (const [hours, share] of Object.entries(curve)) {
+      const time = postTime + hours * 60 * 60 * 1000;
+      
+      if (time >= captureTime) {
+        continue;
+      }
+      
+      const snapshot = { ...PostStore.toSnapshot(post, time), estimated: true };
+      
+      for (const field of Object.values(ENGAGEMENT_COUNTS)) {
+        if (snapshot[field] !== null && snapshot[field] !== undefined) {
+          snapshot[field] = Math.round(snapshot[field] * share);
+        }
+      }
+      
+      snapshots.push(snapshot);
+    }
+    
+    return snapshots;
+  }
+  
+  /**
+   * Build a post record from a scraped tweet, or null if the tweet can't be
+   * stored. A tweet of only media or a link card is stored without text.
+   */
+  static toPost(accountId, tweet) {
+    if (!tweet || !tweet.id || !tweet.timestamp) {
+      return null;
+    }
+    
+    const hasMedia = (tweet.media && tweet.media.length > 0) || (tweet.mediaUrls && tweet.mediaUrls.length > 0);
+    
+    if (!tweet.text && !hasMedia && !tweet.card) {
+      return null;
+    }
+    
+    // A retweet carries the original tweet's id and engagement, which belong to its author
+    if (tweet.type === 'retweet') {
+      return null;
+    }
+    
+    const postDate = new Date(tweet.timestamp);
+    if (Number.isNaN(postDate.getTime())) {
+      return null;
+    }
+    
+    return {
+      postId: String(tweet.id),
+      accountId,
+      content: tweet.text || '',
+      postDate,
+      url: tweet.url || null,
+      likeCount: tweet.likes ?? null,
+      retweetCount: tweet.retweets ?? null,
+      replyCount: tweet.replies ?? null,
+      viewCount: tweet.views ?? null,
+      quoteCount: tweet.quotes ?? null,
+      bookmarkCount: tweet.bookmarks ?? null,
+      mediaUrls: tweet.mediaUrls || [],
+      media: tweet.media || [],
+      links: tweet.links || [],
+      card: tweet.card || null,
+      linkDomains: PostStore.linkDomains(tweet.links, tweet.card),
+      postType: tweet.type || 'original',
+      referencedTweetId: tweet.referencedTweetId || null,
+      referencedUser: tweet.referencedUser || null,
+      ...PostStore.parseEntities(tweet.text)
+    };
+  }
+  
+  /**
+   * Build a reply record from a sampled reply, or null if it can't be stored
+   */
+  static toReply(accountId, reply, sampledAt = new Date()) {
+    if (!reply || !reply.id || !reply.parentId || !reply.text) {
+      return null;
+    }
+    
+    const postDate = reply.timestamp ? new Date(reply.timestamp) : null;
+    
+    return {
+      replyId: String(reply.id),
+      postId: String(reply.parentId),
+      accountId,
+      author: reply.author || null,
+      content: reply.text,
+      postDate: postDate && !Number.isNaN(postDate.getTime()) ? postDate : null,
+      likeCount: reply.likes ?? null,
+      url: reply.url || null,
+      sampledAt: new Date(sampledAt)
+    };
+  }
+  
+  /**
+   * Fields to write when a post is seen again. Counts that couldn't be
+   * extracted this time are left as they were.
+   */
+  static changedFields(post) {
+    const fields = {
+      accountId: post.accountId,
+      content: post.content,
+      url: post.url,
+      mediaUrls: post.mediaUrls,
+      media: post.media,
+      links: post.links,
+      card: post.card,
+      linkDomains: post.linkDomains,
+      hashtags: post.hashtags,
+      mentions: post.mentions,
+      cashtags: post.cashtags,
+      postType: post.postType,
+      referencedTweetId: post.referencedTweetId,
+      referencedUser: post.referencedUser
+    };
+    
+    for (const count of Object.values(ENGAGEMENT_COUNTS)) {
+      if (post[count] !== null && post[count] !== undefined) {
+        fields[count] = post[count];
+      }
+    }
+    
+    return fields;
+  }
+  
+  /**
+   * Static method to tell whether a stored post replies to its own author
+   */
+  static isSelfReply(post) {
+    const match = (post.url || '').match(/\/\/[^/]+\/(\w{1,15})\/status\//);
+    return post.postType === 'reply' && !!match && match[1].toLowerCase() === (post.referencedUser || '').toLowerCase();
+  }
+  
+  /**
+   * Static method to get the external domains a tweet links to, from its
+   * links (full URLs or display URLs without a scheme) and link card
+   */
+  static linkDomains(links = [], card = null) {
+    const domains = new Set();
+    
+    for (const link of [...(links || []), card && card.url].filter(Boolean)) {
+      try {
+        domains.add(new URL(/^\w+:\/\//.test(link) ? link : `https://${link}`).hostname);
+      } catch (error) {
+        // Not a URL
+      }
+    }
+    
+    if (card && card.domain) {
+      domains.add(card.domain);
+    }
+    
+    return Array.from(domains)
+      .map(domain => domain.toLowerCase().replace(/^www\./, ''))
+      .filter((domain, index, all) => !INTERNAL_DOMAINS.includes(domain) && all.indexOf(domain) === index);
+  }
+  
+  /**
+   * Static method to pull hashtags, mentions and cashtags out of tweet text
+   */
+  static parseEntities(text) {
+    if (!text) {
+      return { hashtags: [], mentions: [], cashtags: [] };
+    }
+    
+    const unique = values => Array.from(new Set(values));
+    
+    return {
+      hashtags: unique(text.match(/(?<!\w)#[\p{L}\p{N}_]+/gu) || []),
+      mentions: unique(text.match(/(?<!\w)@\w{1,15}/g) || []),
+      // Cashtags start with a letter, so prices like $100 aren't picked up
+      cashtags: unique((text.match(/(?<![\w$])\$[A-Za-z][A-Za-z0-9]{0,5}(?:[._][A-Za-z]{1,2})?\b/g) || [])
+        .map(tag => tag.toUpperCase()))
+    };
+  }
+}
+
+module.exports = { PostStore };
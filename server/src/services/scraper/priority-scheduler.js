@@ -1,4 +1,10 @@
 const { logger } = require('../../utils/logger');
+const fs = require('fs').promises;
+const path = require('path');
+const { TERMINAL_ACCOUNT_STATES } = require('./page-classifier');
+
+// Backfill job states that still have work to do
+const ACTIVE_BACKFILL_STATES = ['queued', 'running'];
 
 /**
  * Schedules X account scraping based on priority
@@ -21,6 +27,20 @@ class PriorityScheduler {
         4: 24 * 60 * 60 * 1000,    // Priority 4: every 1 day
         5: 3 * 24 * 60 * 60 * 1000 // Priority 5: every 3 days
       },
+      stateBackoff: config.stateBackoff || { // Interval multiplier for accounts in these states
+        withheld: 4,
+        suspended: 8,
+        notFound: 8
+      },
+      deactivateAfter: config.deactivateAfter || 3, // Scrapes in a row finding a terminal state before the account is deactivated
+      maxConcurrentBackfills: config.maxConcurrentBackfills || 1, // Backfills running at once, within maxConcurrent
+      backfillDays: config.backfillDays !== undefined ? config.backfillDays : 30, // Default backfill target, 0 for no date limit
+      backfillChunkDelay: config.backfillChunkDelay || 60 * 1000, // Pause between the runs of a backfill
+      backfillMaxAttempts: config.backfillMaxAttempts || 3, // Failed runs in a row before a backfill gives up
+      backfillFilePath: config.backfillFilePath || path.join(process.cwd(), 'data', 'backfill.json'),
+      followCrawlInterval: config.followCrawlInterval || 0, // How often each account's following list is read, 0 to never
+      followerSampleSize: config.followerSampleSize || 0, // Followers read per crawl as a sample, 0 to skip them
+      followCheckInterval: config.followCheckInterval || 60 * 60 * 1000, // How often accounts are checked for a due crawl
       ...config
     };
     
@@ -28,10 +48,19 @@ class PriorityScheduler {
     this.queue = [];
     this.running = new Map();
     this.timers = new Map();
+    this.backfills = new Map(); // Map of account ID to backfill job
+    this.backfillTimers = new Map(); // Map of account ID to timer for the next backfill run
+    this.retryAt = new Map(); // Map of account ID to when a failed scrape should be retried
+    this.followQueue = []; // Accounts whose follow lists are due to be read
+    this.followTimer = null;
     this.isRunning = false;
     this.accountManager = null;
     this.metricsCollector = null;
+    this.postStore = null;
+    this.profileStore = null;
+    this.followGraph = null;
     this.scraper = null;
+    this.scrape = null;
     
     this.log.info('Priority scheduler initialized', { 
       minInterval: this.config.minInterval, 
@@ -40,12 +69,17 @@ class PriorityScheduler {
   }
   
   /**
-   * Set up the scheduler with required services
+   * Set up the scheduler with required services. scrape replaces a plain
+   * scraper.scrapeAccount call, e.g. with one that recovers from errors.
    */
-  setup({ accountManager, metricsCollector, scraper }) {
+  setup({ accountManager, metricsCollector, postStore, profileStore, followGraph, scraper, scrape }) {
     this.accountManager = accountManager;
     this.metricsCollector = metricsCollector;
+    this.postStore = postStore || null;
+    this.profileStore = profileStore || null;
+    this.followGraph = followGraph || null;
     this.scraper = scraper;
+    this.scrape = scrape || (account => this.scraper.scrapeAccount(account));
     
     this.log.info('Priority scheduler setup complete');
     return this;
@@ -74,6 +108,12 @@ class PriorityScheduler {
     // Start processing the queue
     this.processQueue();
     
+    // Follow lists are read on their own, much slower, schedule
+    if (this.followGraph && this.config.followCrawlInterval > 0) {
+      this.queueFollowCrawls();
+      this.followTimer = setInterval(() => this.queueFollowCrawls(), this.config.followCheckInterval);
+    }
+    
     return this;
   }
   
@@ -90,11 +130,17 @@ class PriorityScheduler {
     this.log.info('Stopping priority scheduler');
     
     // Clear all timers
-    for (const timerId of this.timers.values()) {
+    for (const timerId of [...this.timers.values(), ...this.backfillTimers.values()]) {
       clearTimeout(timerId);
     }
     
     this.timers.clear();
+    this.backfillTimers.clear();
+    
+    if (this.followTimer) {
+      clearInterval(this.followTimer);
+      this.followTimer = null;
+    }
     
     return this;
   }
@@ -139,8 +185,13 @@ class PriorityScheduler {
         this.timers.delete(account.id);
       }
       
-      // Calculate next run time
-      const nextRunDelay = this.calculateNextRunDelay(account);
+      // Calculate next run time, or retry a failed scrape when its error said to
+      const retryAt = this.retryAt.get(account.id);
+      const nextRunDelay = retryAt
+        ? Math.max(retryAt - Date.now(), 0)
+        : this.calculateNextRunDelay(account);
+      
+      this.retryAt.delete(account.id);
       
       this.log.debug(`Scheduling account ${account.username} (${account.id}) to run in ${Math.round(nextRunDelay / 1000 / 60)} minutes`);
       
@@ -167,8 +218,8 @@ class PriorityScheduler {
         ? account.priority 
         : Object.keys(this.config.priorityLevels).length;
       
-      // Get interval based on priority
-      const priorityInterval = this.config.priorityLevels[priority];
+      // Get interval based on priority, backing off accounts that can't be scraped right now
+      const priorityInterval = this.config.priorityLevels[priority] * (this.config.stateBackoff[account.state] || 1);
       
       // If never scraped, schedule immediately with a small random delay
       if (!account.lastScraped) {
@@ -236,8 +287,15 @@ class PriorityScheduler {
    */
   async processQueue() {
     try {
-      // If not running or queue is empty, do nothing
-      if (!this.isRunning || this.queue.length === 0) {
+      // If not running, do nothing
+      if (!this.isRunning) {
+        return;
+      }
+      
+      // Backfills and follow crawls are low priority and only get a slot when no regular scrape is waiting
+      if (this.queue.length === 0) {
+        this.startNextBackfill();
+        this.startNextFollowCrawl();
         return;
       }
       
@@ -275,12 +333,20 @@ class PriorityScheduler {
         .catch(error => {
           this.log.error('Error in scrape job', { error, accountId: account.id });
         })
-        .finally(() => {
+        .finally(async () => {
           // Remove from running map
           this.running.delete(account.id);
           
-          // Schedule next run
-          this.scheduleAccount(account);
+          // Schedule next run from the account as the scrape left it (state, active)
+          try {
+            const latest = await this.accountManager.getAccount(account.id);
+            
+            if (latest && latest.active) {
+              this.scheduleAccount(latest);
+            }
+          } catch (error) {
+            this.log.error('Error rescheduling account', { error, accountId: account.id });
+          }
           
           // Continue processing queue
           this.processQueue();
@@ -312,40 +378,67 @@ class PriorityScheduler {
       this.log.info(`Starting to scrape account: ${account.username} (${account.id})`);
       
       // Scrape profile data
-      const scrapeResult = await this.scraper.scrapeUserProfile(account.username);
+      const scrapeResult = await this.scrape(account);
+      
+      if (scrapeResult && scrapeResult.accountState) {
+        await this.recordAccountState(account, scrapeResult.accountState);
+      }
       
       if (!scrapeResult || !scrapeResult.success) {
+        // Typed errors say how soon the account is worth another try
+        if (scrapeResult && scrapeResult.retryAfter) {
+          this.retryAt.set(account.id, Date.now() + scrapeResult.retryAfter);
+        }
+        
         throw new Error(scrapeResult?.error || 'Unknown scraping error');
       }
       
-      // Get profile metrics from the scraped data
-      const metrics = {
-        followers: scrapeResult.data.followers,
-        following: scrapeResult.data.following,
-        tweets: scrapeResult.data.tweets,
-        engagement: {
-          avgLikes: scrapeResult.data.avgLikes || 0,
-          avgRetweets: scrapeResult.data.avgRetweets || 0,
-          avgReplies: scrapeResult.data.avgReplies || 0,
-          avgViews: scrapeResult.data.avgViews || 0
-        },
-        profileUrl: scrapeResult.data.profileUrl,
-        verified: scrapeResult.data.verified,
-        protected: scrapeResult.data.protected,
-        lastTweetDate: scrapeResult.data.lastTweetDate
-      };
+      const { metrics } = scrapeResult;
+      
+      // Zeros from a broken extraction would look like a real follower drop, so don't save them
+      if (scrapeResult.degraded) {
+        const duration = Date.now() - start;
+        const missing = metrics.extraction.missingFields.join(', ');
+        
+        this.log.warn(`Not saving degraded metrics for ${account.username}`, {
+          accountId: account.id,
+          missingFields: metrics.extraction.missingFields,
+          duration
+        });
+        
+        await this.accountManager.updateLastScraped(account.id, false, `Degraded extraction, missing: ${missing}`);
+        
+        return {
+          success: false,
+          degraded: true,
+          accountId: account.id,
+          error: `Degraded extraction, missing: ${missing}`,
+          extraction: metrics.extraction,
+          duration
+        };
+      }
       
       // Save metrics to the database
       const metricsResult = await this.metricsCollector.saveMetrics(account.id, metrics);
       
-      // Update account info
+      // Save the tweets, threads, replies and profile revision; a failure
+      // there shouldn't fail the whole scrape
+      const stored = await this.storeScrape(account, scrapeResult);
+      
+      // Update account info, pointing at the archived images rather than X's CDN
       await this.accountManager.updateAccount(account.id, {
-        name: scrapeResult.data.displayName,
-        profileImageUrl: scrapeResult.data.profileImageUrl,
-        bio: scrapeResult.data.bio,
+        name: metrics.name,
+        bio: metrics.description,
+        ...PriorityScheduler.imageUrls(scrapeResult.images),
         lastScraped: new Date().toISOString()
       });
       
+      // Only move the high-water mark once the tweets below it are stored,
+      // otherwise the next run pages back over them
+      if (scrapeResult.timeline && (!this.postStore || stored.posts)) {
+        await this.accountManager.updateLastSeenTweet(account.id, scrapeResult.timeline.lastSeenTweetId);
+      }
+      
       // Report success
       await this.accountManager.updateLastScraped(account.id, true);
       
@@ -362,7 +455,8 @@ class PriorityScheduler {
         accountId: account.id,
         metricsId: metricsResult.id,
         duration,
-        metrics
+        metrics,
+        posts: stored.posts
       };
     } catch (error) {
       const duration = Date.now() - start;
@@ -386,6 +480,104 @@ class PriorityScheduler {
     }
   }
   
+  /**
+   * Store the state a scrape found an account in, deactivating accounts that
+   * stayed suspended or missing for deactivateAfter scrapes in a row
+   */
+  async recordAccountState(account, accountState) {
+    try {
+      const updated = await this.accountManager.updateAccountState(account.id, accountState);
+      
+      if (updated.active && TERMINAL_ACCOUNT_STATES.includes(updated.state) &&
+          updated.stateChecks >= this.config.deactivateAfter) {
+        await this.accountManager.updateAccount(account.id, { active: false });
+        
+        this.log.warn(`Deactivated ${updated.username} (${account.id}), ${updated.state} on ${updated.stateChecks} scrapes in a row`);
+      }
+      
+      return updated;
+    } catch (error) {
+      this.log.error('Error recording account state', { error: error.message, accountId: account.id });
+      return null;
+    }
+  }
+  
+  /**
+   * Store what a scrape or backfill run captured: its tweets, the threads
+   * they form, sampled replies and a revision of the profile. Scheduled,
+   * manual and backfill scrapes all store through here. Threads and replies
+   * need their posts stored first, so they're skipped when that fails.
+   * Failures are logged, not thrown; posts is null when the tweets weren't
+   * stored, with the reason in error. Pass options.estimateHistory for
+   * tweets first seen long after they were posted.
+   */
+  async storeScrape(account, scrapeResult, options = {}) {
+    const { estimateHistory = false } = options;
+    const { metrics = null, tweets = [], threads = [], replies = [] } = scrapeResult;
+    const capturedAt = metrics ? metrics.timestamp : new Date();
+    const stored = { posts: null, threads: null, replies: null, profileRevision: null, error: null };
+    
+    if (this.postStore) {
+      try {
+        stored.posts = await this.postStore.upsertPosts(account.id, tweets || [], { capturedAt, estimateHistory });
+      } catch (error) {
+        stored.error = error.message;
+        this.log.error(`Error saving posts for ${account.username}`, { accountId: account.id, error: error.message });
+      }
+    }
+    
+    // Link the stored posts into threads
+    if (stored.posts) {
+      try {
+        stored.threads = await this.postStore.upsertThreads(account.id, threads || []);
+      } catch (error) {
+        this.log.error(`Error saving threads for ${account.username}`, { accountId: account.id, error: error.message });
+      }
+    }
+    
+    // Replies hang off their parent posts, so they need those stored first
+    if (stored.posts && replies && replies.length > 0) {
+      try {
+        stored.replies = await this.postStore.upsertReplies(account.id, replies, { capturedAt });
+      } catch (error) {
+        this.log.error(`Error saving replies for ${account.username}`, { accountId: account.id, error: error.message });
+      }
+    }
+    
+    // Keep a revision of the profile before the account record is overwritten
+    if (metrics && this.profileStore) {
+      try {
+        stored.profileRevision = await this.profileStore.recordProfile(account.id, metrics, { capturedAt });
+      } catch (error) {
+        this.log.error(`Error recording profile of ${account.username}`, { accountId: account.id, error: error.message });
+      }
+    }
+    
+    if (stored.posts) {
+      this.log.info(`Saved posts for ${account.username}`, { accountId: account.id, ...stored.posts });
+    }
+    
+    return stored;
+  }
+  
+  /**
+   * Static method to get the account fields for archived images, served by
+   * the images API, for the kinds a scrape archived
+   */
+  static imageUrls(images) {
+    const urls = {};
+    
+    if (images && images.avatar) {
+      urls.profileImageUrl = `/api/images/${images.avatar.sha256}`;
+    }
+    
+    if (images && images.banner) {
+      urls.bannerImageUrl = `/api/images/${images.banner.sha256}`;
+    }
+    
+    return urls;
+  }
+  
   /**
    * Get the current queue status
    */
@@ -396,11 +588,17 @@ class PriorityScheduler {
       running: Array.from(this.running.values()).map(item => ({
         accountId: item.account.id,
         username: item.account.username,
+        type: item.type || 'scrape',
         startedAt: item.startedAt,
         runtime: new Date() - new Date(item.startedAt)
       })),
       scheduledCount: this.timers.size,
-      maxConcurrent: this.config.maxConcurrent
+      followCrawlsQueued: this.followQueue.length,
+      maxConcurrent: this.config.maxConcurrent,
+      backfills: this.getBackfills().reduce((counts, job) => {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+        return counts;
+      }, {})
     };
   }
   
@@ -465,6 +663,380 @@ class PriorityScheduler {
       throw error;
     }
   }
+  
+  /**
+   * Queue a historical backfill for an account. It runs in chunks whenever no
+   * regular scrape is waiting, and resumes from its checkpoint after a restart.
+   */
+  async queueBackfill(account, options = {}) {
+    if (!account || !account.id || !account.username) {
+      throw new Error('Invalid account for backfill');
+    }
+    
+    const existing = this.backfills.get(account.id);
+    
+    if (existing && ACTIVE_BACKFILL_STATES.includes(existing.status)) {
+      this.log.debug(`Backfill for ${account.username} (${account.id}) is already queued or running`);
+      return existing;
+    }
+    
+    let untilDate = null;
+    
+    if (options.untilDate) {
+      untilDate = new Date(options.untilDate);
+    } else if (this.config.backfillDays > 0) {
+      untilDate = new Date(Date.now() - this.config.backfillDays * 24 * 60 * 60 * 1000);
+    }
+    
+    if (untilDate && Number.isNaN(untilDate.getTime())) {
+      throw new Error('Invalid backfill untilDate');
+    }
+    
+    const now = new Date().toISOString();
+    const job = {
+      accountId: account.id,
+      username: account.username,
+      status: 'queued',
+      untilDate: untilDate ? untilDate.toISOString() : null,
+      maxTweets: options.maxTweets || null,
+      checkpoint: null,
+      stored: 0,
+      runs: 0,
+      attempts: 0,
+      reason: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+    
+    this.backfills.set(account.id, job);
+    await this.saveBackfills();
+    
+    this.log.info(`Queued backfill for ${account.username} (${account.id})`, {
+      untilDate: job.untilDate,
+      maxTweets: job.maxTweets
+    });
+    
+    this.processQueue();
+    
+    return job;
+  }
+  
+  /**
+   * Start the next queued backfill if a slot is free
+   */
+  startNextBackfill() {
+    const runningBackfills = Array.from(this.running.values()).filter(item => item.type === 'backfill').length;
+    
+    if (this.running.size >= this.config.maxConcurrent || runningBackfills >= this.config.maxConcurrentBackfills) {
+      return;
+    }
+    
+    // Jobs with a timer are waiting out the delay between runs
+    const job = Array.from(this.backfills.values())
+      .find(item => item.status === 'queued' && !this.backfillTimers.has(item.accountId));
+    
+    if (!job) {
+      return;
+    }
+    
+    const runKey = `backfill:${job.accountId}`;
+    job.status = 'running';
+    
+    this.running.set(runKey, {
+      account: { id: job.accountId, username: job.username },
+      type: 'backfill',
+      startedAt: new Date().toISOString()
+    });
+    
+    this.log.info(`Starting backfill run for ${job.username} (${job.accountId})`, { run: job.runs + 1 });
+    
+    this.runBackfill(job)
+      .catch(error => {
+        this.log.error('Error in backfill job', { error, accountId: job.accountId });
+      })
+      .finally(() => {
+        this.running.delete(runKey);
+        this.processQueue();
+      });
+  }
+  
+  /**
+   * Run one chunk of a backfill and store what it collected
+   */
+  async runBackfill(job) {
+    try {
+      if (!this.postStore) {
+        throw new Error('Post store not available');
+      }
+      
+      const result = await this.scraper.backfillAccount({ id: job.accountId, username: job.username }, {
+        untilDate: job.untilDate,
+        maxTweets: job.maxTweets || undefined,
+        checkpoint: job.checkpoint
+      });
+      
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Unknown backfill error');
+      }
+      
+      // The checkpoint only moves once the tweets before it are stored.
+      // Threads cut by a chunk boundary are joined up by a later run.
+      const stored = await this.storeScrape({ id: job.accountId, username: job.username }, result, {
+        estimateHistory: true
+      });
+      
+      if (!stored.posts) {
+        throw new Error(`Could not store backfilled tweets: ${stored.error}`);
+      }
+      
+      job.checkpoint = result.checkpoint;
+      job.stored += stored.posts.inserted;
+      job.runs++;
+      job.attempts = 0;
+      job.error = null;
+      
+      if (job.status === 'cancelled') {
+        return job;
+      }
+      
+      if (result.done) {
+        job.status = 'completed';
+        job.reason = result.reason;
+        job.completedAt = new Date().toISOString();
+        
+        this.log.info(`Backfill for ${job.username} completed: ${result.reason}`, {
+          accountId: job.accountId,
+          collected: job.checkpoint.collected,
+          stored: job.stored
+        });
+      } else {
+        job.status = 'queued';
+        this.scheduleBackfillRun(job);
+      }
+    } catch (error) {
+      job.attempts++;
+      job.error = error.message;
+      
+      this.log.error(`Backfill run failed for ${job.username}`, {
+        accountId: job.accountId,
+        attempts: job.attempts,
+        error: error.message
+      });
+      
+      if (job.status === 'cancelled') {
+        return job;
+      }
+      
+      if (job.attempts >= this.config.backfillMaxAttempts) {
+        job.status = 'failed';
+      } else {
+        job.status = 'queued';
+        this.scheduleBackfillRun(job);
+      }
+    } finally {
+      job.updatedAt = new Date().toISOString();
+      await this.saveBackfills();
+    }
+    
+    return job;
+  }
+  
+  /**
+   * Wait out the delay between backfill runs before the job can be picked up again
+   */
+  scheduleBackfillRun(job) {
+    const timerId = setTimeout(() => {
+      this.backfillTimers.delete(job.accountId);
+      this.processQueue();
+    }, this.config.backfillChunkDelay);
+    
+    this.backfillTimers.set(job.accountId, timerId);
+  }
+  
+  /**
+   * Stop a backfill. A run in progress finishes, but no further runs start.
+   */
+  async cancelBackfill(accountId) {
+    const job = this.backfills.get(accountId);
+    
+    if (!job) {
+      return null;
+    }
+    
+    if (this.backfillTimers.has(accountId)) {
+      clearTimeout(this.backfillTimers.get(accountId));
+      this.backfillTimers.delete(accountId);
+    }
+    
+    if (ACTIVE_BACKFILL_STATES.includes(job.status)) {
+      job.status = 'cancelled';
+      job.updatedAt = new Date().toISOString();
+      await this.saveBackfills();
+      
+      this.log.info(`Cancelled backfill for ${job.username} (${accountId})`);
+    }
+    
+    return job;
+  }
+  
+  /**
+   * Get the backfill job of an account
+   */
+  getBackfill(accountId) {
+    return this.backfills.get(accountId) || null;
+  }
+  
+  /**
+   * Get all backfill jobs, newest first
+   */
+  getBackfills() {
+    return Array.from(this.backfills.values())
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+  
+  /**
+   * Queue the accounts whose follow lists are due to be read. Runs on a
+   * timer; the crawls only get a slot when no regular scrape is waiting.
+   */
+  async queueFollowCrawls() {
+    try {
+      const accounts = await this.accountManager.getAccounts({ active: true });
+      const now = Date.now();
+      
+      for (const account of accounts) {
+        const due = !account.lastFollowCrawl ||
+          now - new Date(account.lastFollowCrawl).getTime() >= this.config.followCrawlInterval;
+        const queued = this.followQueue.some(item => item.id === account.id) || this.running.has(`follows:${account.id}`);
+        
+        if (due && !queued && !TERMINAL_ACCOUNT_STATES.includes(account.state)) {
+          this.followQueue.push(account);
+        }
+      }
+      
+      if (this.followQueue.length > 0) {
+        this.log.info('Follow crawls due', { count: this.followQueue.length });
+        this.processQueue();
+      }
+    } catch (error) {
+      this.log.error('Error queueing follow crawls', { error });
+    }
+  }
+  
+  /**
+   * Start the next due follow crawl if a slot is free. One runs at a time.
+   */
+  startNextFollowCrawl() {
+    const runningCrawls = Array.from(this.running.values()).filter(item => item.type === 'follows').length;
+    
+    if (this.running.size >= this.config.maxConcurrent || runningCrawls > 0 || this.followQueue.length === 0) {
+      return;
+    }
+    
+    const account = this.followQueue.shift();
+    const runKey = `follows:${account.id}`;
+    
+    this.running.set(runKey, {
+      account,
+      type: 'follows',
+      startedAt: new Date().toISOString()
+    });
+    
+    this.log.info(`Starting follow crawl for ${account.username} (${account.id})`);
+    
+    this.runFollowCrawl(account)
+      .catch(error => {
+        this.log.error('Error in follow crawl', { error, accountId: account.id });
+      })
+      .finally(() => {
+        this.running.delete(runKey);
+        this.processQueue();
+      });
+  }
+  
+  /**
+   * Read an account's following list, and a sample of its followers when
+   * configured, into the follow graph. A failed crawl waits for the next
+   * interval like a successful one, these lists are expensive to read.
+   */
+  async runFollowCrawl(account) {
+    const lists = [{ direction: 'following' }];
+    
+    if (this.config.followerSampleSize > 0) {
+      lists.push({ direction: 'followers', maxUsers: this.config.followerSampleSize });
+    }
+    
+    let success = true;
+    
+    try {
+      for (const { direction, maxUsers } of lists) {
+        const result = await this.scraper.scrapeFollowList(account, { direction, maxUsers });
+        
+        if (!result || !result.success) {
+          this.log.warn(`Could not read ${direction} of ${account.username}`, {
+            accountId: account.id,
+            error: result?.error || 'Unknown error'
+          });
+          success = false;
+          break;
+        }
+        
+        await this.followGraph.recordList(account.id, direction, result.users, { complete: result.complete });
+      }
+    } finally {
+      await this.accountManager.updateLastFollowCrawl(account.id);
+    }
+    
+    return success;
+  }
+  
+  /**
+   * Load backfill jobs saved before a restart. Jobs that were running are queued again.
+   */
+  async loadBackfills() {
+    try {
+      const data = await fs.readFile(this.config.backfillFilePath, 'utf8');
+      const saved = JSON.parse(data);
+      
+      for (const job of saved.jobs || []) {
+        if (this.backfills.has(job.accountId)) continue;
+        
+        if (job.status === 'running') {
+          job.status = 'queued';
+        }
+        
+        this.backfills.set(job.accountId, job);
+      }
+      
+      this.log.info('Loaded backfill jobs', { count: this.backfills.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.error('Error loading backfill jobs', { error });
+      }
+    }
+    
+    return this.getBackfills();
+  }
+  
+  /**
+   * Persist backfill jobs and their checkpoints so they survive restarts
+   */
+  async saveBackfills() {
+    try {
+      await fs.mkdir(path.dirname(this.config.backfillFilePath), { recursive: true });
+      await fs.writeFile(
+        this.config.backfillFilePath,
+        JSON.stringify({ jobs: Array.from(this.backfills.values()) }, null, 2),
+        'utf8'
+      );
+      
+      return true;
+    } catch (error) {
+      this.log.error('Error saving backfill jobs', { error });
+      return false;
+    }
+  }
 }
 
 module.exports = { PriorityScheduler }; 
\ No newline at end of file
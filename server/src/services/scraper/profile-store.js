@@ -0,0 +1,199 @@
+const { EventEmitter } = require('events');
+const { logger } = require('../../utils/logger');
+const ProfileRevision = require('../../models/ProfileRevision');
+
+// Profile fields whose changes are recorded
+const PROFILE_FIELDS = ['name', 'description', 'location', 'url', 'avatar', 'verified'];
+
+/**
+ * Keeps a revision history of account profiles (display name, bio, avatar,
+ * location, URL), so changes aren't lost when a scrape overwrites the account.
+ * Emits 'profileChanged' with the changed fields whenever a profile differs
+ * from the last one recorded.
+ */
+class ProfileStore extends EventEmitter {
+  /**
+   * Initialize the profile store
+   */
+  constructor(config = {}) {
+    super(); // Initialize EventEmitter
+    this.log = logger.child({ module: 'ProfileStore' });
+    this.revisions = new Map(); // Map of accountId to revisions, oldest first, for memory storage
+    this.storage = config.storageType || 'mongodb';
+    this.maxRevisionsPerAccount = config.maxRevisionsPerAccount || 200;
+    this.initialized = false;
+    
+    this.log.info('Profile store initialized', { storageType: this.storage });
+  }
+  
+  /**
+   * Initialize the profile storage
+   */
+  async initialize() {
+    if (this.initialized) {
+      this.log.warn('Profile store already initialized');
+      return true;
+    }
+    
+    if (this.storage === 'mongodb') {
+      try {
+        // Check if MongoDB is available by making a simple query
+        const count = await ProfileRevision.estimatedDocumentCount();
+        this.log.info('MongoDB connection successful', { count });
+      } catch (dbError) {
+        this.log.error('MongoDB connection failed, falling back to memory storage', { error: dbError });
+        this.storage = 'memory';
+      }
+    }
+    
+    this.initialized = true;
+    this.log.info(`Profile store initialized with ${this.storage} storage`);
+    return true;
+  }
+  
+  /**
+   * Record the profile a scrape found. A revision is only stored when a field
+   * changed since the last one (or for the first profile seen), so calling
+   * this on every scrape is cheap. Returns the new revision, or null.
+   */
+  async recordProfile(accountId, profile, options = {}) {
+    const { capturedAt = new Date() } = options;
+    
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    const current = ProfileStore.toProfile(profile);
+    
+    // Every profile has a display name, so without one the header wasn't read
+    // and every other field would look cleared
+    if (!current.name) {
+      this.log.debug('Not recording profile without a name', { accountId });
+      return null;
+    }
+    
+    try {
+      const previous = await this.getLatestRevision(accountId);
+      const changes = previous ? ProfileStore.diffProfiles(previous.profile, current) : [];
+      
+      if (previous && changes.length === 0) {
+        return null;
+      }
+      
+      const revision = {
+        accountId,
+        timestamp: new Date(capturedAt),
+        profile: current,
+        changes
+      };
+      
+      if (this.storage === 'memory') {
+        const history = this.revisions.get(accountId) || [];
+        history.push(revision);
+        this.revisions.set(accountId, history.slice(-this.maxRevisionsPerAccount));
+      } else {
+        await ProfileRevision.create(revision);
+      }
+      
+      if (changes.length > 0) {
+        this.log.info(`Profile of ${accountId} changed: ${changes.map(change => change.field).join(', ')}`);
+        
+        this.emit('profileChanged', {
+          accountId,
+          changes,
+          timestamp: revision.timestamp.toISOString()
+        });
+      }
+      
+      return revision;
+    } catch (error) {
+      this.log.error('Error recording profile', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the last recorded revision of an account, or null
+   */
+  async getLatestRevision(accountId) {
+    if (this.storage === 'memory') {
+      const history = this.revisions.get(accountId) || [];
+      return history[history.length - 1] || null;
+    }
+    
+    return await ProfileRevision.findOne({ accountId })
+      .sort({ timestamp: -1 })
+      .select('-_id -__v')
+      .lean();
+  }
+  
+  /**
+   * Get the profile history of an account, newest first. With field, only
+   * the revisions that changed that field.
+   */
+  async getHistory(accountId, options = {}) {
+    const { limit = 50, field = null } = options;
+    
+    try {
+      if (this.storage === 'memory') {
+        return [...(this.revisions.get(accountId) || [])]
+          .reverse()
+          .filter(revision => !field || revision.changes.some(change => change.field === field))
+          .slice(0, limit);
+      }
+      
+      const filter = { accountId };
+      
+      if (field) {
+        filter['changes.field'] = field;
+      }
+      
+      return await ProfileRevision.find(filter)
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .select('-_id -__v')
+        .lean();
+    } catch (error) {
+      this.log.error('Error getting profile history', { accountId, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Static method to pick the tracked fields out of scraped metrics or user info
+   */
+  static toProfile(info = {}) {
+    const profile = {};
+    
+    for (const field of PROFILE_FIELDS) {
+      profile[field] = field === 'verified' ? !!info[field] : (info[field] ?? null);
+    }
+    
+    // Avatar URLs come in several sizes (_normal, _200x200) for the same image
+    if (profile.avatar) {
+      profile.avatar = profile.avatar.replace(/_(normal|bigger|mini|\d+x\d+)(\.\w+)$/, '$2');
+    }
+    
+    return profile;
+  }
+  
+  /**
+   * Static method to list the fields that differ between two profiles
+   */
+  static diffProfiles(previous = {}, current = {}) {
+    const changes = [];
+    
+    for (const field of PROFILE_FIELDS) {
+      const from = previous[field] ?? null;
+      const to = current[field] ?? null;
+      
+      if (from !== to) {
+        changes.push({ field, from, to });
+      }
+    }
+    
+    return changes;
+  }
+}
+
+module.exports = { ProfileStore, PROFILE_FIELDS };
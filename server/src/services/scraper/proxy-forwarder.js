@@ -0,0 +1,188 @@
+const http = require('http');
+const { SocksClient } = require('socks');
+const { logger } = require('../../utils/logger');
+
+// Headers meant for the shim that mustn't reach the target
+const HOP_HEADERS = ['proxy-authorization', 'proxy-connection', 'connection', 'keep-alive'];
+
+/**
+ * Local HTTP proxy that sends everything through one upstream SOCKS proxy.
+ * Chromium can't authenticate to SOCKS proxies, so a browser using an
+ * authenticated one is pointed at this shim instead, and the shim does the
+ * SOCKS handshake with the credentials.
+ */
+class ProxyForwarder {
+  /**
+   * Initialize the forwarder for an upstream proxy ({ host, port, protocol, auth })
+   */
+  constructor(upstream, config = {}) {
+    this.log = logger.child({ module: 'ProxyForwarder' });
+    this.upstream = upstream;
+    this.config = {
+      host: config.host || '127.0.0.1', // Only listen locally, the shim needs no credentials
+      connectTimeout: config.connectTimeout || 15000, // ms to reach a target through the upstream
+      ...config
+    };
+    
+    this.server = null;
+    this.url = null;
+    this.sockets = new Set(); // Open client connections, closed on stop
+  }
+  
+  /**
+   * Start listening on a free local port. Returns the shim's proxy URL.
+   */
+  async start() {
+    if (this.server) {
+      return this.url;
+    }
+    
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    
+    server.on('connect', (req, socket, head) => this.handleConnect(req, socket, head));
+    server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+    
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, this.config.host, resolve);
+    });
+    
+    this.server = server;
+    this.url = `http://${this.config.host}:${server.address().port}`;
+    
+    this.log.info(`Forwarding ${this.url} to ${this.upstream.protocol}://${this.upstream.host}:${this.upstream.port}`);
+    
+    return this.url;
+  }
+  
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    this.sockets.clear();
+    
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+  
+  /**
+   * Open a connection to host:port through the upstream proxy
+   */
+  async openTunnel(host, port) {
+    const { auth } = this.upstream;
+    
+    const { socket } = await SocksClient.createConnection({
+      proxy: {
+        host: this.upstream.host,
+        port: parseInt(this.upstream.port, 10),
+        type: this.upstream.protocol === 'socks4' ? 4 : 5,
+        userId: auth ? auth.username : undefined,
+        password: auth ? auth.password : undefined
+      },
+      command: 'connect',
+      destination: { host, port: parseInt(port, 10) },
+      timeout: this.config.connectTimeout
+    });
+    
+    return socket;
+  }
+  
+  /**
+   * Tunnel a CONNECT request (HTTPS and websockets) through the upstream
+   */
+  async handleConnect(req, clientSocket, head) {
+    const target = new URL(`http://${req.url}`);
+    let upstreamSocket;
+    
+    clientSocket.on('error', () => {
+      if (upstreamSocket) upstreamSocket.destroy();
+    });
+    
+    try {
+      // IPv6 hosts come bracketed, the SOCKS handshake wants the bare address
+      upstreamSocket = await this.openTunnel(target.hostname.replace(/^\[|\]$/g, ''), target.port || 443);
+    } catch (error) {
+      this.log.debug(`Tunnel to ${req.url} failed`, { error: error.message });
+      clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      return;
+    }
+    
+    if (clientSocket.destroyed) {
+      upstreamSocket.destroy();
+      return;
+    }
+    
+    upstreamSocket.on('error', () => clientSocket.destroy());
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    
+    if (head && head.length > 0) {
+      upstreamSocket.write(head);
+    }
+    
+    upstreamSocket.pipe(clientSocket);
+    clientSocket.pipe(upstreamSocket);
+  }
+  
+  /**
+   * Forward a plain HTTP request, sent to the shim with an absolute URL
+   */
+  handleRequest(req, res) {
+    let target;
+    
+    try {
+      target = new URL(req.url);
+    } catch (error) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+    
+    const headers = { ...req.headers };
+    for (const header of HOP_HEADERS) {
+      delete headers[header];
+    }
+    
+    const proxyReq = http.request({
+      host: target.hostname,
+      port: target.port || 80,
+      method: req.method,
+      path: `${target.pathname}${target.search}`,
+      headers,
+      createConnection: (options, callback) => {
+        this.openTunnel(target.hostname, target.port || 80)
+          .then(socket => callback(null, socket), callback);
+      }
+    });
+    
+    proxyReq.on('response', (proxyRes) => {
+      res.writeHead(proxyRes.statusCode, proxyRes.headers);
+      proxyRes.pipe(res);
+    });
+    
+    proxyReq.on('error', (error) => {
+      this.log.debug(`Request to ${req.url} failed`, { error: error.message });
+      
+      if (!res.headersSent) {
+        res.writeHead(502);
+      }
+      res.end();
+    });
+    
+    req.pipe(proxyReq);
+  }
+}
+
+module.exports = { ProxyForwarder };
@@ -4,6 +4,27 @@ const { default: PQueue } = require('p-queue');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { ProxyAgent } = require('proxy-agent');
+const { ProxyForwarder } = require('./proxy-forwarder');
+const { PROVIDER_ADAPTERS } = require('./proxy-providers');
+
+// Proxy protocols the browser and the health checks can both use
+const PROXY_PROTOCOLS = ['http', 'https', 'socks4', 'socks5'];
+
+// Other names providers use for them
+const PROTOCOL_ALIASES = {
+  socks: 'socks5',
+  socks5h: 'socks5',
+  socks4a: 'socks4'
+};
+
+// Ports a proxy URL without one is read with
+const DEFAULT_PORTS = {
+  http: 80,
+  https: 443,
+  socks4: 1080,
+  socks5: 1080
+};
 
 /**
  * Manages a pool of proxies for the scraper
@@ -27,8 +48,21 @@ class ProxyManager extends EventEmitter {
       proxyFilePath: config.proxyFilePath || path.join(process.cwd(), 'data', 'proxies.json'),
       proxyProviderUrls: config.proxyProviderUrls || [],
       proxyProviderApiKeys: config.proxyProviderApiKeys || {},
+      proxyProviders: config.proxyProviders || [], // [{ name, url, adapter, headers, refreshInterval, protocol, path }]
+      providerAdapters: config.providerAdapters || {}, // Extra adapters by name, next to list, json and csv
+      providerRefreshInterval: config.providerRefreshInterval || 60 * 60 * 1000, // Refresh of providers without their own interval
+      providerTimeout: config.providerTimeout || 30000, // 30 seconds for a provider to answer
       minRequestInterval: config.minRequestInterval || 3000, // Minimum 3 seconds between requests per IP
       maxRequestInterval: config.maxRequestInterval || 5000, // Maximum 5 seconds between requests per IP
+      scoreWindow: config.scoreWindow || 50, // Recent request outcomes kept per proxy for its score
+      scoreHalfLife: config.scoreHalfLife || 6 * 60 * 60 * 1000, // An outcome counts half as much after 6 hours
+      banHalfLife: config.banHalfLife || 60 * 60 * 1000, // A rate limit or block costs half as much after 1 hour
+      maxBanHistory: config.maxBanHistory || 20, // Rate limits and blocks kept per proxy
+      scoreSaveDelay: config.scoreSaveDelay || 30 * 1000, // Recorded outcomes are saved at most this often, in ms
+      latencyTarget: config.latencyTarget || 3000, // Median page load above which a proxy's score drops
+      minSelectionWeight: config.minSelectionWeight || 0.02, // Share kept by the worst proxies, so they can recover
+      priorityProxyGroup: config.priorityProxyGroup || null, // Proxy group high-priority accounts are kept on, null for none
+      priorityAccountLevel: config.priorityAccountLevel || 1, // Account priority (1 is highest) up to which that group is used
       ...config
     };
     
@@ -36,8 +70,11 @@ class ProxyManager extends EventEmitter {
     this.proxies = new Map(); // Map of proxy info by ID
     this.availableProxies = new Set(); // Set of available proxy IDs
     this.coolingProxies = new Map(); // Map of cooling proxy IDs to timeout IDs
+    this.coolingUntil = new Map(); // Map of cooling proxy IDs to when they come back
     this.proxyUsage = new Map(); // Map of proxy IDs to usage count
     this.lastUsedTime = new Map(); // Map of proxy IDs to last used timestamp
+    this.affinities = new Map(); // Map of affinity keys (e.g. session:name) to the proxy they're pinned to
+    this.forwarders = new Map(); // Map of proxy IDs to the local shims of authenticated SOCKS proxies
     
     // Request queues per proxy
     this.proxyQueues = new Map(); // Map of proxy IDs to PQueue instances
@@ -45,6 +82,14 @@ class ProxyManager extends EventEmitter {
     // Health check timer
     this.healthCheckTimer = null;
     
+    // Pending save of recorded request outcomes
+    this.saveTimer = null;
+    
+    // Proxy providers and their refresh timers
+    this.adapters = { ...PROVIDER_ADAPTERS, ...this.config.providerAdapters };
+    this.providers = this.createProviders();
+    this.providerTimers = new Map(); // Map of provider names to interval IDs
+    
     // Metrics
     this.metrics = {
       totalRequests: 0,
@@ -80,12 +125,10 @@ class ProxyManager extends EventEmitter {
       // Load proxies from file
       await this.loadProxies();
       
-      // If not enough proxies, try to fetch from providers
-      if (this.proxies.size < this.config.minProxies) {
-        await this.fetchProxiesFromProviders();
-      }
+      // Refresh every provider, retiring what they dropped while we were down
+      await this.fetchProxiesFromProviders();
       
-      // If still not enough proxies, log warning
+      // If not enough proxies, log warning
       if (this.proxies.size < this.config.minProxies) {
         this.log.warn(`Not enough proxies available. Required: ${this.config.minProxies}, Available: ${this.proxies.size}`);
       } else {
@@ -99,6 +142,7 @@ class ProxyManager extends EventEmitter {
       
       // Start health checks
       this.startHealthChecks();
+      this.startProviderRefresh();
       
       this.isInitialized = true;
       this.log.info('Proxy manager initialized successfully');
@@ -159,13 +203,23 @@ class ProxyManager extends EventEmitter {
       this.proxies.clear();
       this.availableProxies.clear();
       
+      // Sessions keep the proxies they were pinned to across restarts
+      this.affinities = new Map(Object.entries(proxyData.affinities || {}));
+      
       // Add each proxy to the pool
-      for (const proxy of proxyData.proxies) {
+      for (const stored of proxyData.proxies) {
+        // Files written before protocols were checked may spell them the provider's way
+        const proxy = { ...stored, protocol: ProxyManager.normalizeProtocol(stored.protocol) };
+        
         if (this.isValidProxy(proxy)) {
           const proxyId = this.generateProxyId(proxy);
           this.proxies.set(proxyId, { ...proxy, id: proxyId });
-          this.availableProxies.add(proxyId);
           this.proxyUsage.set(proxyId, 0);
+          
+          // Drained proxies stay out of rotation across restarts
+          if (!proxy.drained) {
+            this.availableProxies.add(proxyId);
+          }
         } else {
           this.log.warn('Skipping invalid proxy', { proxy });
         }
@@ -187,6 +241,7 @@ class ProxyManager extends EventEmitter {
       
       const proxyData = {
         proxies: proxyArray,
+        affinities: Object.fromEntries(this.affinities),
         lastUpdated: new Date().toISOString()
       };
       
@@ -205,48 +260,278 @@ class ProxyManager extends EventEmitter {
   }
   
   /**
-   * Fetch proxies from configured providers
+   * Set up the configured providers. Plain proxyProviderUrls become providers
+   * named after their host, read with the auto adapter that guesses the format.
+   */
+  createProviders() {
+    const providers = new Map();
+    const apiKeys = this.config.proxyProviderApiKeys;
+    
+    const configs = [
+      ...this.config.proxyProviderUrls.map(url => {
+        let hostname = url;
+        
+        try {
+          hostname = new URL(url).hostname;
+        } catch (error) {
+          // Keep the URL as the name, the fetch will report it
+        }
+        
+        const apiKey = apiKeys[url] || apiKeys[hostname];
+        
+        return {
+          name: hostname,
+          url,
+          adapter: 'auto',
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        };
+      }),
+      ...this.config.proxyProviders
+    ];
+    
+    for (const providerConfig of configs) {
+      let name = providerConfig.name || providerConfig.url;
+      
+      // Two providers on one host each keep their own proxies
+      for (let i = 2; providers.has(name); i++) {
+        name = `${providerConfig.name || providerConfig.url}-${i}`;
+      }
+      
+      providers.set(name, {
+        adapter: 'list',
+        headers: {},
+        refreshInterval: this.config.providerRefreshInterval,
+        protocol: null,
+        group: null,
+        path: null,
+        ...providerConfig,
+        name,
+        lastRefreshAt: null,
+        lastError: null,
+        lastResult: null,
+        refreshing: null
+      });
+    }
+    
+    return providers;
+  }
+  
+  /**
+   * Refresh every provider
    */
   async fetchProxiesFromProviders() {
-    if (!this.config.proxyProviderUrls || this.config.proxyProviderUrls.length === 0) {
+    if (this.providers.size === 0) {
       this.log.warn('No proxy providers configured');
       return;
     }
     
-    this.log.info(`Fetching proxies from ${this.config.proxyProviderUrls.length} providers`);
+    this.log.info(`Fetching proxies from ${this.providers.size} providers`);
     
-    for (const providerUrl of this.config.proxyProviderUrls) {
-      try {
-        const response = await axios.get(providerUrl, {
-          timeout: 30000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-          }
-        });
-        
-        if (response.status === 200 && response.data) {
-          const newProxies = this.parseProxyResponse(response.data, providerUrl);
-          this.log.info(`Fetched ${newProxies.length} proxies from provider`);
+    for (const name of this.providers.keys()) {
+      await this.refreshProvider(name);
+    }
+  }
+  
+  /**
+   * Fetch a provider's list and bring its proxies in line with it: new ones
+   * are added and health checked, tagged with the provider as their source,
+   * and the provider's proxies missing from the list are retired. Proxies
+   * with keys still pinned to them are kept until those fail over, and a
+   * failed fetch or an empty list retires nothing. Returns null on failure.
+   */
+  async refreshProvider(name) {
+    const provider = this.providers.get(name);
+    
+    if (!provider) {
+      return null;
+    }
+    
+    // A slow provider shouldn't be fetched twice at once
+    if (!provider.refreshing) {
+      provider.refreshing = this.fetchProvider(provider).finally(() => {
+        provider.refreshing = null;
+      });
+    }
+    
+    return provider.refreshing;
+  }
+  
+  /**
+   * Fetch and apply one provider's list, see refreshProvider
+   */
+  async fetchProvider(provider) {
+    try {
+      const adapter = typeof provider.adapter === 'object' ? provider.adapter : this.getAdapter(provider.adapter);
+      
+      if (!adapter) {
+        throw new Error(`Unknown proxy provider adapter: ${provider.adapter}`);
+      }
+      
+      const response = await axios.get(provider.url, {
+        timeout: this.config.providerTimeout,
+        responseType: adapter.responseType,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          ...provider.headers
+        }
+      });
+      
+      const proxyConfigs = adapter.parse(response.data, provider)
+        .map(record => this.toProxyConfig(record, provider));
+      
+      const listed = new Set(proxyConfigs
+        .filter(proxyConfig => this.isValidProxy(proxyConfig))
+        .map(proxyConfig => this.generateProxyId(proxyConfig)));
+      
+      const result = await this.addProxies(proxyConfigs, { source: provider.name, save: false });
+      const retired = [];
+      const kept = [];
+      
+      if (listed.size === 0) {
+        this.log.warn(`Provider ${provider.name} listed no proxies, keeping the ones it had`);
+      } else {
+        for (const proxy of [...this.proxies.values()]) {
+          if (proxy.source !== provider.name || listed.has(proxy.id)) continue;
           
-          // Add new proxies to pool
-          for (const proxy of newProxies) {
-            await this.addProxy(proxy);
+          // Sessions keep their IP while it works, a later refresh retires it
+          if (this.getPinnedKeys(proxy.id).length > 0) {
+            kept.push(proxy.id);
+            continue;
           }
-        } else {
-          this.log.warn('Failed to fetch proxies from provider', { 
-            url: providerUrl,
-            status: response.status
-          });
+          
+          await this.removeProxy(proxy.id, { save: false });
+          retired.push(proxy.id);
         }
-      } catch (error) {
-        this.log.error('Error fetching proxies from provider', { 
-          url: providerUrl, 
-          error 
-        });
       }
+      
+      if (result.added.length > 0 || retired.length > 0) {
+        await this.saveProxies();
+      }
+      
+      provider.lastRefreshAt = new Date().toISOString();
+      provider.lastError = null;
+      provider.lastResult = {
+        listed: listed.size,
+        added: result.added.length,
+        healthy: result.healthy,
+        retired: retired.length,
+        kept: kept.length,
+        invalid: result.invalid
+      };
+      
+      this.log.info(`Refreshed provider ${provider.name}`, provider.lastResult);
+      
+      return { ...result, retired, kept };
+    } catch (error) {
+      provider.lastRefreshAt = new Date().toISOString();
+      provider.lastError = error.message;
+      
+      this.log.error('Error fetching proxies from provider', { 
+        provider: provider.name,
+        url: provider.url, 
+        error: error.message 
+      });
+      
+      return null;
     }
   }
   
+  /**
+   * Get an adapter by name. auto guesses the format like older versions did.
+   */
+  getAdapter(name) {
+    if (name === 'auto') {
+      return {
+        responseType: 'json',
+        parse: (body, provider) => this.parseProxyResponse(body, provider.url)
+      };
+    }
+    
+    return this.adapters[name] || null;
+  }
+  
+  /**
+   * Turn an adapter's record into a proxy config, with the provider's
+   * protocol and group when the record has none
+   */
+  toProxyConfig(record, provider = {}) {
+    const protocol = ProxyManager.normalizeProtocol(record.protocol || provider.protocol);
+    const username = record.username || (record.auth && record.auth.username);
+    const password = record.password || (record.auth && record.auth.password);
+    const group = record.group || provider.group;
+    
+    const proxy = {
+      host: record.host ? String(record.host).trim() : null,
+      port: record.port ? parseInt(record.port, 10) : DEFAULT_PORTS[protocol],
+      protocol
+    };
+    
+    if (username && password) {
+      proxy.auth = {
+        username: String(username),
+        password: String(password)
+      };
+    }
+    
+    if (group) {
+      proxy.group = String(group);
+    }
+    
+    return proxy;
+  }
+  
+  /**
+   * Refresh each provider on its own interval
+   */
+  startProviderRefresh() {
+    this.stopProviderRefresh();
+    
+    for (const provider of this.providers.values()) {
+      if (provider.refreshInterval > 0) {
+        this.providerTimers.set(provider.name, setInterval(() => {
+          this.refreshProvider(provider.name);
+        }, provider.refreshInterval));
+      }
+    }
+  }
+  
+  /**
+   * Stop the provider refresh timers
+   */
+  stopProviderRefresh() {
+    for (const timerId of this.providerTimers.values()) {
+      clearInterval(timerId);
+    }
+    this.providerTimers.clear();
+  }
+  
+  /**
+   * Get the providers with how their last refresh went. Header values are
+   * left out since they hold credentials.
+   */
+  getProviders() {
+    const counts = new Map();
+    
+    for (const proxy of this.proxies.values()) {
+      if (proxy.source) {
+        counts.set(proxy.source, (counts.get(proxy.source) || 0) + 1);
+      }
+    }
+    
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      url: provider.url,
+      adapter: typeof provider.adapter === 'object' ? 'custom' : provider.adapter,
+      headers: Object.keys(provider.headers || {}),
+      refreshInterval: provider.refreshInterval,
+      proxies: counts.get(provider.name) || 0,
+      refreshing: !!provider.refreshing,
+      lastRefreshAt: provider.lastRefreshAt,
+      lastError: provider.lastError,
+      lastResult: provider.lastResult
+    }));
+  }
+  
   /**
    * Parse proxy response from provider
    */
@@ -262,6 +547,16 @@ class ProxyManager extends EventEmitter {
         const lines = data.split('\n').filter(line => line.trim().length > 0);
         
         for (const line of lines) {
+          // Also accept proxy URLs like "socks5://user:pass@ip:port"
+          if (line.includes('://')) {
+            const proxy = ProxyManager.parseProxyUrl(line.trim());
+            
+            if (proxy) {
+              proxies.push(proxy);
+            }
+            continue;
+          }
+          
           const parts = line.trim().split(':');
           if (parts.length >= 2) {
             const host = parts[0];
@@ -296,7 +591,7 @@ class ProxyManager extends EventEmitter {
               let proxy = {
                 host,
                 port: parseInt(port, 10),
-                protocol: item.protocol || item.type || 'http'
+                protocol: ProxyManager.normalizeProtocol(item.protocol || item.type)
               };
               
               // If credentials are provided
@@ -307,6 +602,10 @@ class ProxyManager extends EventEmitter {
                 };
               }
               
+              if (item.group) {
+                proxy.group = item.group;
+              }
+              
               proxies.push(proxy);
             }
           }
@@ -403,7 +702,7 @@ class ProxyManager extends EventEmitter {
     try {
       const axiosConfig = {
         timeout: this.config.healthCheckTimeout,
-        proxy: this.createAxiosProxyConfig(proxy)
+        ...(await this.createAxiosProxyConfig(proxy))
       };
       
       const start = Date.now();
@@ -420,8 +719,9 @@ class ProxyManager extends EventEmitter {
         proxy.healthy = true;
         proxy.responseTime = elapsed;
         
-        // Add to available proxies if not already there
-        if (!this.availableProxies.has(proxyId)) {
+        // Add to available proxies if not already there, unless it's being drained
+        // or cooling down (the cooldown timer adds it back)
+        if (!proxy.drained && !this.coolingProxies.has(proxyId) && !this.availableProxies.has(proxyId)) {
           this.availableProxies.add(proxyId);
         }
         
@@ -456,14 +756,23 @@ class ProxyManager extends EventEmitter {
   }
   
   /**
-   * Get a proxy for a request
+   * Get a proxy for a request. With options.affinityKey (a session or cookie
+   * jar) the proxy pinned to that key is used while it's usable, and another
+   * one is pinned otherwise. options.account limits high-priority accounts
+   * to the priority proxy group.
    */
-  async getProxy() {
+  async getProxy(options = {}) {
+    const { affinityKey = null, account = null } = options;
+    
     if (!this.isInitialized) {
       throw new Error('Proxy manager not initialized');
     }
     
-    if (this.availableProxies.size === 0) {
+    // A pinned key keeps its IP until the proxy fails or is taken out of
+    // rotation, so X sees the session come from one place
+    const pinnedId = affinityKey ? this.getPinnedProxy(affinityKey) : null;
+    
+    if (!pinnedId && this.availableProxies.size === 0) {
       this.log.warn('No available proxies, running emergency health check');
       await this.runHealthChecks();
       
@@ -472,34 +781,22 @@ class ProxyManager extends EventEmitter {
       }
     }
     
-    // Convert set to array for random selection
-    const availableProxyIds = [...this.availableProxies];
+    // A key failing over moves off its proxy, even if that's still in the pool
+    const failedId = affinityKey && !pinnedId ? this.affinities.get(affinityKey)?.proxyId : null;
     
-    // Sort by least recently used and least used
-    availableProxyIds.sort((a, b) => {
-      const lastUsedTimeA = this.lastUsedTime.get(a) || 0;
-      const lastUsedTimeB = this.lastUsedTime.get(b) || 0;
-      
-      const usageA = this.proxyUsage.get(a) || 0;
-      const usageB = this.proxyUsage.get(b) || 0;
-      
-      // First prioritize by usage
-      if (usageA !== usageB) {
-        return usageA - usageB;
-      }
-      
-      // Then by last used time
-      return lastUsedTimeA - lastUsedTimeB;
-    });
-    
-    // Get the best proxy
-    const proxyId = availableProxyIds[0];
+    // Pick at random weighted by score, so a proxy that keeps failing loses
+    // traffic gradually instead of dropping in and out of the pool
+    const proxyId = pinnedId || this.pickProxyId(this.getCandidates(account, failedId));
     const proxy = this.proxies.get(proxyId);
     
     if (!proxy) {
       this.log.error(`Proxy ${proxyId} not found despite being in available list`);
       this.availableProxies.delete(proxyId);
-      return this.getProxy(); // Try again
+      return this.getProxy(options); // Try again
+    }
+    
+    if (affinityKey) {
+      await this.pin(affinityKey, proxyId);
     }
     
     // Update usage metrics
@@ -517,15 +814,241 @@ class ProxyManager extends EventEmitter {
     return { proxyId, proxy };
   }
   
+  /**
+   * Get the available proxies an account may use. High-priority accounts stay
+   * on the priority group's proxies while any of them is available. A proxy
+   * to avoid is left out, unless it's the only one available.
+   */
+  getCandidates(account = null, avoidId = null) {
+    const available = [...this.availableProxies];
+    const others = available.filter(proxyId => proxyId !== avoidId);
+    const proxyIds = others.length > 0 ? others : available;
+    const { priorityProxyGroup, priorityAccountLevel } = this.config;
+    
+    if (!account || !priorityProxyGroup || !(account.priority <= priorityAccountLevel)) {
+      return proxyIds;
+    }
+    
+    const grouped = proxyIds.filter(proxyId => this.proxies.get(proxyId).group === priorityProxyGroup);
+    
+    if (grouped.length === 0) {
+      this.log.warn(`No ${priorityProxyGroup} proxies available for ${account.username}, using the rest of the pool`);
+      return proxyIds;
+    }
+    
+    return grouped;
+  }
+  
+  /**
+   * Get the proxy a key is pinned to, or null when it isn't pinned or it
+   * should fail over: its proxy is unhealthy, drained, cooling down or gone,
+   * or the last request through it was blocked or couldn't connect
+   */
+  getPinnedProxy(affinityKey) {
+    const affinity = this.affinities.get(affinityKey);
+    const proxy = affinity ? this.proxies.get(affinity.proxyId) : null;
+    
+    if (!proxy || !proxy.healthy || proxy.drained || this.coolingProxies.has(affinity.proxyId)) {
+      return null;
+    }
+    
+    // Only blocks and connection failures are recorded as failed requests
+    const outcomes = proxy.stats ? proxy.stats.outcomes : [];
+    if (outcomes.length > 0 && !outcomes[outcomes.length - 1].success) {
+      return null;
+    }
+    
+    return affinity.proxyId;
+  }
+  
+  /**
+   * Get the keys pinned to a proxy
+   */
+  getPinnedKeys(proxyId) {
+    return [...this.affinities]
+      .filter(([, affinity]) => affinity.proxyId === proxyId)
+      .map(([affinityKey]) => affinityKey);
+  }
+  
+  /**
+   * Pin a key (a session or cookie jar) to a proxy. Pinning it somewhere else
+   * counts as a failover.
+   */
+  async pin(affinityKey, proxyId) {
+    const now = new Date().toISOString();
+    const current = this.affinities.get(affinityKey);
+    
+    if (current && current.proxyId === proxyId) {
+      current.lastUsedAt = now;
+      return current;
+    }
+    
+    const affinity = {
+      proxyId,
+      pinnedAt: now,
+      lastUsedAt: now,
+      previousProxyId: current ? current.proxyId : null,
+      failovers: current ? current.failovers + 1 : 0
+    };
+    
+    if (current) {
+      this.log.warn(`Moving ${affinityKey} from proxy ${current.proxyId} to ${proxyId}`);
+    } else {
+      this.log.info(`Pinned ${affinityKey} to proxy ${proxyId}`);
+    }
+    
+    this.affinities.set(affinityKey, affinity);
+    await this.saveProxies();
+    
+    return affinity;
+  }
+  
+  /**
+   * Set the group a proxy belongs to, null to take it out of its group
+   */
+  async setProxyGroup(proxyId, group) {
+    const proxy = this.proxies.get(proxyId);
+    
+    if (!proxy) {
+      return false;
+    }
+    
+    proxy.group = group || null;
+    await this.saveProxies();
+    
+    return true;
+  }
+  
+  /**
+   * Pick one of the given proxies at random, weighted by score
+   */
+  pickProxyId(proxyIds) {
+    const weights = proxyIds.map(proxyId => {
+      const proxy = this.proxies.get(proxyId);
+      return Math.max(proxy ? this.scoreProxy(proxy).score : 0, this.config.minSelectionWeight);
+    });
+    
+    let remaining = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    
+    for (let i = 0; i < proxyIds.length; i++) {
+      remaining -= weights[i];
+      
+      if (remaining <= 0) {
+        return proxyIds[i];
+      }
+    }
+    
+    return proxyIds[proxyIds.length - 1];
+  }
+  
+  /**
+   * Record the outcome of a request made through a proxy ({ success, latency,
+   * banned }, banned naming a rate limit or block). The outcomes and blocks are
+   * kept with the proxy and saved shortly after, so its score survives
+   * restarts. Returns the new score.
+   */
+  recordResult(proxyId, outcome = {}) {
+    const proxy = this.proxies.get(proxyId);
+    
+    if (!proxy) {
+      return null;
+    }
+    
+    const at = new Date().toISOString();
+    const stats = proxy.stats || { outcomes: [], bans: [] };
+    
+    stats.outcomes = [...stats.outcomes, {
+      at,
+      success: !!outcome.success,
+      latency: outcome.latency ?? null
+    }].slice(-this.config.scoreWindow);
+    
+    if (outcome.banned) {
+      stats.bans = [...stats.bans, { at, reason: outcome.banned }].slice(-this.config.maxBanHistory);
+    }
+    
+    proxy.stats = stats;
+    
+    const score = this.scoreProxy(proxy);
+    proxy.score = score.score;
+    
+    this.log.debug(`Proxy ${proxyId} ${outcome.success ? 'succeeded' : 'failed'}, score ${score.score}`, {
+      banned: outcome.banned || null,
+      latency: outcome.latency ?? null
+    });
+    
+    this.scheduleSave();
+    
+    return score;
+  }
+  
+  /**
+   * Save proxies within scoreSaveDelay, once for all the outcomes recorded
+   * until then, instead of writing the file after every request
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveProxies();
+    }, this.config.scoreSaveDelay);
+  }
+  
+  /**
+   * Score a proxy from 0 to 1 as its success rate, times a latency factor
+   * (1 up to latencyTarget, less for slower proxies), times a penalty for
+   * recent rate limits and blocks. Older outcomes and blocks weigh less,
+   * and a proxy without history starts from a success rate of 0.9.
+   */
+  scoreProxy(proxy, now = Date.now()) {
+    const { outcomes = [], bans = [] } = proxy.stats || {};
+    const decay = (at, halfLife) => Math.pow(0.5, Math.max(0, now - new Date(at).getTime()) / halfLife);
+    
+    // Weighted successes, with three requests' worth of prior so one failure doesn't sink a new proxy
+    let successes = 0.9 * 3;
+    let total = 3;
+    
+    for (const outcome of outcomes) {
+      const weight = decay(outcome.at, this.config.scoreHalfLife);
+      successes += outcome.success ? weight : 0;
+      total += weight;
+    }
+    
+    const latencies = outcomes
+      .filter(outcome => outcome.success && outcome.latency !== null)
+      .map(outcome => outcome.latency)
+      .sort((a, b) => a - b);
+    
+    // Fall back to the health check's response time until real requests were timed
+    const medianLatency = latencies.length > 0
+      ? latencies[Math.floor(latencies.length / 2)]
+      : (proxy.responseTime ?? null);
+    
+    const recentBans = bans.reduce((sum, ban) => sum + decay(ban.at, this.config.banHalfLife), 0);
+    const successRate = successes / total;
+    const latencyFactor = medianLatency ? Math.min(1, this.config.latencyTarget / medianLatency) : 1;
+    
+    return {
+      score: Math.round(successRate * latencyFactor / (1 + recentBans) * 1000) / 1000,
+      successRate: Math.round(successRate * 1000) / 1000,
+      medianLatency,
+      recentBans: Math.round(recentBans * 100) / 100,
+      samples: outcomes.length
+    };
+  }
+  
   /**
    * Execute a function using a proxy with appropriate throttling
    */
-  async withProxy(fn) {
+  async withProxy(fn, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Proxy manager not initialized');
     }
     
-    const { proxyId, proxy } = await this.getProxy();
+    const { proxyId, proxy } = await this.getProxy(options);
     const queue = this.proxyQueues.get(proxyId) || this.initializeProxyQueue(proxyId);
     
     // Add the request to the queue for this proxy
@@ -588,9 +1111,14 @@ class ProxyManager extends EventEmitter {
   }
   
   /**
-   * Cool down a proxy after it's been used too much
+   * Cool down a proxy after it's been used too much, or after X challenged it
    */
   coolDownProxy(proxyId) {
+    // Already cooling, keep the timer that's running
+    if (this.coolingProxies.has(proxyId)) {
+      return;
+    }
+    
     // Remove proxy from available pool
     this.availableProxies.delete(proxyId);
     
@@ -601,25 +1129,80 @@ class ProxyManager extends EventEmitter {
     const timerId = setTimeout(() => {
       const proxy = this.proxies.get(proxyId);
       
-      if (proxy && proxy.healthy) {
+      this.coolingProxies.delete(proxyId);
+      this.coolingUntil.delete(proxyId);
+      
+      if (!proxy || proxy.drained) {
+        return;
+      }
+      
+      if (proxy.healthy) {
         this.log.info(`Proxy ${proxyId} cooled down, adding back to available pool`);
         this.availableProxies.add(proxyId);
       } else {
         this.log.info(`Proxy ${proxyId} cooled down but unhealthy, running health check`);
         this.checkProxyHealth(proxyId, proxy);
       }
-      
-      this.coolingProxies.delete(proxyId);
     }, this.config.coolingPeriod);
     
     // Store timer ID for cleanup
     this.coolingProxies.set(proxyId, timerId);
+    this.coolingUntil.set(proxyId, new Date(Date.now() + this.config.coolingPeriod).toISOString());
+  }
+  
+  /**
+   * Take a proxy out of rotation without removing it. Requests already queued
+   * on it still run; it gets no new ones until resumed.
+   */
+  async drainProxy(proxyId) {
+    const proxy = this.proxies.get(proxyId);
+    
+    if (!proxy) {
+      return false;
+    }
+    
+    this.log.info(`Draining proxy ${proxyId}`);
+    
+    proxy.drained = true;
+    proxy.drainedAt = new Date().toISOString();
+    this.availableProxies.delete(proxyId);
+    
+    await this.saveProxies();
+    
+    return true;
+  }
+  
+  /**
+   * Put a drained proxy back into rotation, if it's healthy and not cooling down
+   */
+  async resumeProxy(proxyId) {
+    const proxy = this.proxies.get(proxyId);
+    
+    if (!proxy) {
+      return false;
+    }
+    
+    this.log.info(`Resuming proxy ${proxyId}`);
+    
+    proxy.drained = false;
+    proxy.drainedAt = null;
+    
+    if (proxy.healthy && !this.coolingProxies.has(proxyId)) {
+      this.availableProxies.add(proxyId);
+    }
+    
+    await this.saveProxies();
+    
+    return true;
   }
   
   /**
-   * Add a new proxy to the pool
+   * Add a new proxy to the pool. Pass checkHealth or save as false to leave
+   * the health check or the write to the caller.
    */
-  async addProxy(proxyConfig) {
+  async addProxy(proxyConfig, options = {}) {
+    const { checkHealth = true, save = true } = options;
+    
     if (!this.isValidProxy(proxyConfig)) {
       this.log.warn('Invalid proxy configuration', { proxyConfig });
       return false;
@@ -649,14 +1232,92 @@ class ProxyManager extends EventEmitter {
     this.metrics.proxiesAdded++;
     
     // Check health before making available
-    const isHealthy = await this.checkProxyHealth(proxyId, proxy);
+    const isHealthy = checkHealth ? await this.checkProxyHealth(proxyId, proxy) : false;
     
     if (isHealthy) {
       this.availableProxies.add(proxyId);
     }
     
     // Save proxies to file
-    await this.saveProxies();
+    if (save) {
+      await this.saveProxies();
+    }
+    
+    return isHealthy;
+  }
+  
+  /**
+   * Add many proxies at once, as a list of proxy objects or as text with one
+   * host:port[:username:password] per line. The new ones are health checked
+   * together and the pool is saved once.
+   */
+  async importProxies(data) {
+    const result = await this.addProxies(this.parseProxyResponse(data, 'import'));
+    
+    this.log.info(`Imported ${result.added.length} proxies`, {
+      healthy: result.healthy,
+      duplicates: result.duplicates,
+      invalid: result.invalid
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Add a batch of proxy configs, skipping invalid ones and ones already in
+   * the pool, then health check the new ones together. options.source tags
+   * them with the provider they came from.
+   */
+  async addProxies(proxyConfigs, options = {}) {
+    const { source = null, save = true } = options;
+    const added = [];
+    let duplicates = 0;
+    let invalid = 0;
+    
+    for (const proxyConfig of proxyConfigs) {
+      if (!this.isValidProxy(proxyConfig)) {
+        invalid++;
+        continue;
+      }
+      
+      const proxyId = this.generateProxyId(proxyConfig);
+      
+      if (this.proxies.has(proxyId) || added.includes(proxyId)) {
+        duplicates++;
+        continue;
+      }
+      
+      await this.addProxy(source ? { ...proxyConfig, source } : proxyConfig, { checkHealth: false, save: false });
+      added.push(proxyId);
+    }
+    
+    const results = await Promise.allSettled(added.map(proxyId => this.checkProxy(proxyId, { save: false })));
+    const healthy = results.filter(result => result.status === 'fulfilled' && result.value).length;
+    
+    if (save && added.length > 0) {
+      await this.saveProxies();
+    }
+    
+    return { added, healthy, duplicates, invalid };
+  }
+  
+  /**
+   * Run a health check on one proxy now. Returns whether it's healthy,
+   * or null if there's no such proxy.
+   */
+  async checkProxy(proxyId, options = {}) {
+    const { save = true } = options;
+    const proxy = this.proxies.get(proxyId);
+    
+    if (!proxy) {
+      return null;
+    }
+    
+    const isHealthy = await this.checkProxyHealth(proxyId, proxy);
+    
+    if (save) {
+      await this.saveProxies();
+    }
     
     return isHealthy;
   }
@@ -664,7 +1325,9 @@ class ProxyManager extends EventEmitter {
   /**
    * Remove a proxy from the pool
    */
-  async removeProxy(proxyId) {
+  async removeProxy(proxyId, options = {}) {
+    const { save = true } = options;
+    
     if (!this.proxies.has(proxyId)) {
       return false;
     }
@@ -681,6 +1344,7 @@ class ProxyManager extends EventEmitter {
     if (this.coolingProxies.has(proxyId)) {
       clearTimeout(this.coolingProxies.get(proxyId));
       this.coolingProxies.delete(proxyId);
+      this.coolingUntil.delete(proxyId);
     }
     
     // Clean up queue
@@ -689,10 +1353,14 @@ class ProxyManager extends EventEmitter {
       this.proxyQueues.delete(proxyId);
     }
     
+    await this.stopForwarder(proxyId);
+    
     this.metrics.proxiesRemoved++;
     
     // Save updated proxy list
-    await this.saveProxies();
+    if (save) {
+      await this.saveProxies();
+    }
     
     return true;
   }
@@ -723,6 +1391,10 @@ class ProxyManager extends EventEmitter {
       return false;
     }
     
+    if (proxyConfig.protocol && !PROXY_PROTOCOLS.includes(proxyConfig.protocol)) {
+      return false;
+    }
+    
     // Port must be a number
     if (isNaN(parseInt(proxyConfig.port, 10))) {
       return false;
@@ -739,7 +1411,8 @@ class ProxyManager extends EventEmitter {
   }
   
   /**
-   * Check if an error is likely proxy-related
+   * Check if an error is a failure of the proxy itself. HTTP errors from the
+   * target site (429, 5xx) come through a working proxy and don't count.
    */
   isProxyError(error) {
     if (!error) {
@@ -755,38 +1428,88 @@ class ProxyManager extends EventEmitter {
       'ETIMEDOUT',
       'EHOSTUNREACH',
       'socket hang up',
-      'proxy',
       'tunneling socket',
       'connection refused',
       'connect timed out',
       'proxy authentication required',
       '407', // Proxy Authentication Required
-      '502', // Bad Gateway
-      '503', // Service Unavailable
-      '504', // Gateway Timeout
+      'ERR_PROXY_', // Chrome: ERR_PROXY_CONNECTION_FAILED, ERR_PROXY_AUTH_UNSUPPORTED, ...
+      'ERR_TUNNEL_CONNECTION_FAILED',
+      'ERR_SOCKS_CONNECTION_FAILED',
+      'ERR_NO_SUPPORTED_PROXIES'
     ];
     
     return proxyErrors.some(msg => errorMessage.toLowerCase().includes(msg.toLowerCase()));
   }
   
   /**
-   * Create a proxy config for axios
+   * Create the axios options that send a request through a proxy the way
+   * the browser reaches it: over the proxy's own protocol, or through its
+   * local shim for authenticated SOCKS
    */
-  createAxiosProxyConfig(proxy) {
-    const axiosProxy = {
-      host: proxy.host,
-      port: proxy.port,
-      protocol: (proxy.protocol || 'http') + ':',
+  async createAxiosProxyConfig(proxy) {
+    const proxyUrl = ProxyManager.needsForwarder(proxy)
+      ? await this.getForwarder(proxy)
+      : ProxyManager.proxyUrl(proxy);
+    
+    const agent = new ProxyAgent({ getProxyForUrl: () => proxyUrl });
+    
+    // axios' own proxy option only speaks HTTP, the agent handles the rest
+    return {
+      proxy: false,
+      httpAgent: agent,
+      httpsAgent: agent
     };
+  }
+  
+  /**
+   * Get the --proxy-server value for a browser using a proxy, and the
+   * credentials its pages should answer proxy auth challenges with.
+   * Authenticated SOCKS proxies go through a local shim that needs none.
+   */
+  async getBrowserProxy(proxy) {
+    if (ProxyManager.needsForwarder(proxy)) {
+      return { server: await this.getForwarder(proxy), auth: null };
+    }
     
-    if (proxy.auth) {
-      axiosProxy.auth = {
-        username: proxy.auth.username,
-        password: proxy.auth.password
-      };
+    return {
+      server: ProxyManager.proxyUrl(proxy, { withAuth: false }),
+      auth: proxy.auth || null
+    };
+  }
+  
+  /**
+   * Get the URL of a proxy's local shim, starting it on first use
+   */
+  async getForwarder(proxy) {
+    const proxyId = proxy.id || this.generateProxyId(proxy);
+    let forwarder = this.forwarders.get(proxyId);
+    
+    if (!forwarder) {
+      forwarder = new ProxyForwarder(proxy);
+      this.forwarders.set(proxyId, forwarder);
     }
     
-    return axiosProxy;
+    try {
+      return await forwarder.start();
+    } catch (error) {
+      this.forwarders.delete(proxyId);
+      throw error;
+    }
+  }
+  
+  /**
+   * Stop a proxy's local shim, if it has one
+   */
+  async stopForwarder(proxyId) {
+    const forwarder = this.forwarders.get(proxyId);
+    
+    if (!forwarder) {
+      return;
+    }
+    
+    this.forwarders.delete(proxyId);
+    await forwarder.stop();
   }
   
   /**
@@ -801,17 +1524,30 @@ class ProxyManager extends EventEmitter {
       this.healthCheckTimer = null;
     }
     
+    // The save below covers any pending one
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    
+    this.stopProviderRefresh();
+    
     // Clear all cooling timers
     for (const timerId of this.coolingProxies.values()) {
       clearTimeout(timerId);
     }
     this.coolingProxies.clear();
+    this.coolingUntil.clear();
     
     // Clear all queues
     for (const queue of this.proxyQueues.values()) {
       queue.clear();
     }
     
+    for (const proxyId of [...this.forwarders.keys()]) {
+      await this.stopForwarder(proxyId);
+    }
+    
     // Save proxies before stopping
     await this.saveProxies();
     
@@ -819,6 +1555,146 @@ class ProxyManager extends EventEmitter {
     return true;
   }
   
+  /**
+   * Get one proxy with its health, usage and cooldown state, or null.
+   * Credentials are left out.
+   */
+  getProxyInfo(proxyId) {
+    const proxy = this.proxies.get(proxyId);
+    
+    if (!proxy) {
+      return null;
+    }
+    
+    const queue = this.proxyQueues.get(proxyId);
+    const lastUsed = this.lastUsedTime.get(proxyId);
+    const { score, successRate, medianLatency, recentBans, samples } = this.scoreProxy(proxy);
+    let state = 'unhealthy';
+    
+    if (proxy.drained) {
+      state = 'drained';
+    } else if (this.coolingProxies.has(proxyId)) {
+      state = 'cooling';
+    } else if (this.availableProxies.has(proxyId)) {
+      state = 'available';
+    }
+    
+    return {
+      id: proxyId,
+      host: proxy.host,
+      port: proxy.port,
+      protocol: proxy.protocol || 'http',
+      username: proxy.auth ? proxy.auth.username : null,
+      group: proxy.group || null,
+      source: proxy.source || null,
+      pinned: this.getPinnedKeys(proxyId),
+      state,
+      healthy: !!proxy.healthy,
+      score,
+      successRate,
+      medianLatency,
+      recentBans,
+      samples,
+      bans: proxy.stats ? [...proxy.stats.bans].reverse() : [],
+      responseTime: proxy.responseTime ?? null,
+      lastCheck: proxy.lastCheck || null,
+      lastError: proxy.lastError || null,
+      usage: this.proxyUsage.get(proxyId) || 0,
+      maxUsage: this.config.maxUsagePerProxy,
+      lastUsed: lastUsed ? new Date(lastUsed).toISOString() : null,
+      coolingUntil: this.coolingUntil.get(proxyId) || null,
+      drained: !!proxy.drained,
+      drainedAt: proxy.drainedAt || null,
+      queued: queue ? queue.size + queue.pending : 0,
+      added: proxy.added || null
+    };
+  }
+  
+  /**
+   * Get every proxy in the pool, see getProxyInfo
+   */
+  getProxies() {
+    return [...this.proxies.keys()].map(proxyId => this.getProxyInfo(proxyId));
+  }
+  
+  /**
+   * Static method to map a provider's protocol name to one of PROXY_PROTOCOLS,
+   * http when none is given. Unknown names are kept so validation rejects them.
+   */
+  static normalizeProtocol(protocol) {
+    if (!protocol) {
+      return 'http';
+    }
+    
+    const name = String(protocol).toLowerCase().replace(/:$/, '');
+    
+    return PROTOCOL_ALIASES[name] || name;
+  }
+  
+  /**
+   * Static method to build a proxy's URL, e.g. socks5://user:pass@ip:port
+   */
+  static proxyUrl(proxy, options = {}) {
+    const { withAuth = true } = options;
+    const protocol = proxy.protocol || 'http';
+    
+    const credentials = withAuth && proxy.auth
+      ? `${encodeURIComponent(proxy.auth.username)}:${encodeURIComponent(proxy.auth.password)}@`
+      : '';
+    
+    return `${protocol}://${credentials}${proxy.host}:${proxy.port}`;
+  }
+  
+  /**
+   * Static method to parse a proxy URL into a proxy config, null if it isn't one
+   */
+  static parseProxyUrl(value) {
+    let url;
+    
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return null;
+    }
+    
+    const protocol = ProxyManager.normalizeProtocol(url.protocol);
+    const port = url.port ? parseInt(url.port, 10) : DEFAULT_PORTS[protocol];
+    
+    if (!url.hostname || !port) {
+      return null;
+    }
+    
+    const proxy = {
+      host: url.hostname,
+      port,
+      protocol
+    };
+    
+    if (url.username && url.password) {
+      proxy.auth = {
+        username: decodeURIComponent(url.username),
+        password: decodeURIComponent(url.password)
+      };
+    }
+    
+    return proxy;
+  }
+  
+  /**
+   * Static method to check whether a proxy needs a local shim: Chromium
+   * can use SOCKS proxies but can't authenticate to them
+   */
+  static needsForwarder(proxy) {
+    return !!proxy.auth && (proxy.protocol === 'socks4' || proxy.protocol === 'socks5');
+  }
+  
+  /**
+   * Static method to get the affinity key of a logged-in session
+   */
+  static sessionKey(username) {
+    return `session:${username.toLowerCase()}`;
+  }
+  
   /**
    * Get status of the proxy manager
    */
@@ -828,6 +1704,15 @@ class ProxyManager extends EventEmitter {
       totalProxies: this.proxies.size,
       availableProxies: this.availableProxies.size,
       coolingProxies: this.coolingProxies.size,
+      drainedProxies: [...this.proxies.values()].filter(proxy => proxy.drained).length,
+      priorityProxyGroup: this.config.priorityProxyGroup,
+      affinities: [...this.affinities].map(([affinityKey, affinity]) => ({
+        key: affinityKey,
+        ...affinity,
+        failingOver: this.getPinnedProxy(affinityKey) !== affinity.proxyId
+      })),
+      providers: this.getProviders(),
+      scores: Object.fromEntries([...this.proxies.entries()].map(([proxyId, proxy]) => [proxyId, this.scoreProxy(proxy).score])),
       metrics: { ...this.metrics },
       healthCheckInterval: this.config.healthCheckInterval,
       lastUpdated: new Date().toISOString()
@@ -835,4 +1720,4 @@ class ProxyManager extends EventEmitter {
   }
 }
 
-module.exports = { ProxyManager }; 
\ No newline at end of file
+module.exports = { ProxyManager, PROXY_PROTOCOLS }; 
\ No newline at end of file
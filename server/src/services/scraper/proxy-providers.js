@@ -0,0 +1,120 @@
+/**
+ * Adapters that read a proxy provider's response. An adapter is
+ * { responseType, parse(body, provider) }: responseType is the axios
+ * responseType to fetch with, and parse returns one record per proxy as
+ * { host, port, protocol, username, password, group }, any of which may be
+ * missing. The proxy manager validates the records and fills in the provider's
+ * defaults.
+ */
+
+// Column and field names providers use for each record field
+const FIELD_NAMES = {
+  host: ['host', 'ip', 'address', 'hostname', 'server'],
+  port: ['port'],
+  protocol: ['protocol', 'type', 'scheme'],
+  username: ['username', 'user', 'login'],
+  password: ['password', 'pass'],
+  group: ['group', 'pool']
+};
+
+/**
+ * Read one "host:port[:username:password]" or "protocol://[username:password@]host:port" line
+ */
+const parseLine = (line) => {
+  if (line.includes('://')) {
+    try {
+      const url = new URL(line);
+      
+      return {
+        host: url.hostname,
+        port: url.port,
+        protocol: url.protocol,
+        username: url.username ? decodeURIComponent(url.username) : null,
+        password: url.password ? decodeURIComponent(url.password) : null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  const [host, port, username, password] = line.split(':');
+  
+  return { host, port, username, password };
+};
+
+/**
+ * Pick the record fields out of an object using the usual field names
+ */
+const pickFields = (item) => {
+  const record = {};
+  
+  for (const [field, names] of Object.entries(FIELD_NAMES)) {
+    const name = names.find(candidate => item[candidate] !== undefined && item[candidate] !== '');
+    record[field] = name ? item[name] : null;
+  }
+  
+  return record;
+};
+
+/**
+ * Split a CSV line, dropping the quotes around quoted cells
+ */
+const splitCsvLine = (line) => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+const PROVIDER_ADAPTERS = {
+  // One proxy per line; lines starting with # are comments
+  list: {
+    responseType: 'text',
+    parse: (body) => String(body)
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(parseLine)
+      .filter(Boolean)
+  },
+  
+  // An array of proxy objects, or an object holding one at provider.path (e.g. 'data.proxies')
+  json: {
+    responseType: 'json',
+    parse: (body, provider = {}) => {
+      const data = typeof body === 'string' ? JSON.parse(body) : body;
+      const list = provider.path
+        ? provider.path.split('.').reduce((value, key) => (value ? value[key] : undefined), data)
+        : data;
+      
+      if (!Array.isArray(list)) {
+        throw new Error(`Expected an array of proxies${provider.path ? ` at ${provider.path}` : ''}`);
+      }
+      
+      return list.filter(item => item && typeof item === 'object').map(pickFields);
+    }
+  },
+  
+  // CSV with a header row naming the columns, or host,port[,username,password[,protocol]] rows
+  csv: {
+    responseType: 'text',
+    parse: (body) => {
+      const rows = String(body)
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(splitCsvLine);
+      
+      if (rows.length === 0) {
+        return [];
+      }
+      
+      // A header row has a port column that isn't a number
+      const hasHeader = rows[0].length > 1 && isNaN(parseInt(rows[0][1], 10));
+      
+      if (!hasHeader) {
+        return rows.map(([host, port, username, password, protocol]) => ({ host, port, username, password, protocol }));
+      }
+      
+      const columns = rows[0].map(column => column.toLowerCase());
+      
+      return rows.slice(1).map(row => pickFields(Object.fromEntries(columns.map((column, i) => [column, row[i]]))));
+    }
+  }
+};
+
+module.exports = { PROVIDER_ADAPTERS };
@@ -0,0 +1,429 @@
+const { logger } = require('../../utils/logger');
+const fs = require('fs').promises;
+const path = require('path');
+const scraperConfig = require('../../config/scraper.config');
+
+/**
+ * Holds the DOM selectors used to extract data from X pages.
+ *
+ * Every field maps to an ordered list of fallback selectors: extraction tries
+ * them in order and reports back which one matched. The active selector set
+ * can be replaced at runtime (and rolled back) when X changes its markup.
+ */
+class SelectorRegistry {
+  /**
+   * Initialize the selector registry
+   */
+  constructor(config = {}) {
+    this.log = logger.child({ module: 'SelectorRegistry' });
+    
+    // Configuration with defaults
+    this.config = {
+      selectors: config.selectors || scraperConfig.selectors,
+      overridesFilePath: config.overridesFilePath || path.join(process.cwd(), 'data', 'selectors.json'),
+      maxHistory: config.maxHistory || 10, // Previous selector sets kept for rollback
+      successWindow: config.successWindow || 100, // Recent lookups used for success rates
+      ...config
+    };
+    
+    // Selector set from config, used as the base for every swap
+    this.defaults = SelectorRegistry.flatten(this.config.selectors);
+    
+    // State
+    this.selectors = { ...this.defaults };
+    this.version = this.config.selectors.version || 'config';
+    this.revision = 0;
+    this.source = 'config';
+    this.updatedAt = new Date().toISOString();
+    this.history = [];
+    this.matchStats = new Map(); // Map of field to match counts per fallback
+    this.initialized = false;
+    
+    this.log.info('Selector registry created', {
+      version: this.version,
+      fields: Object.keys(this.selectors).length
+    });
+  }
+  
+  /**
+   * Initialize the registry, applying any selector set saved by a previous swap
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+    
+    try {
+      const data = await fs.readFile(this.config.overridesFilePath, 'utf8');
+      const saved = JSON.parse(data);
+      
+      if (saved && saved.selectors) {
+        // Fields that were dropped from config since the overrides were saved are ignored
+        const overrides = SelectorRegistry.flatten(saved.selectors);
+        
+        for (const [field, selectors] of Object.entries(overrides)) {
+          if (this.defaults[field]) {
+            this.selectors[field] = selectors;
+          }
+        }
+        
+        this.version = saved.version || this.version;
+        this.revision = saved.revision || 0;
+        this.updatedAt = saved.updatedAt || this.updatedAt;
+        this.source = 'override';
+        
+        this.log.info('Loaded selector overrides', { version: this.version, revision: this.revision });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.error('Error loading selector overrides, using config selectors', { error });
+      }
+    }
+    
+    this.initialized = true;
+    return true;
+  }
+  
+  /**
+   * Get the ordered fallback selectors for a field (e.g. 'profile.bio')
+   */
+  get(field) {
+    return this.selectors[field] || [];
+  }
+  
+  /**
+   * Get the selectors for every field under a prefix, keyed by the rest of the field name
+   */
+  getGroup(prefix) {
+    const group = {};
+    
+    for (const [field, selectors] of Object.entries(this.selectors)) {
+      if (field.startsWith(`${prefix}.`)) {
+        group[field.substring(prefix.length + 1)] = selectors;
+      }
+    }
+    
+    return group;
+  }
+  
+  /**
+   * Record which fallback matched for a field (-1 when none did)
+   */
+  recordMatch(field, index) {
+    if (!this.selectors[field]) {
+      return;
+    }
+    
+    if (!this.matchStats.has(field)) {
+      this.matchStats.set(field, {
+        attempts: 0,
+        misses: 0,
+        matches: new Array(this.selectors[field].length).fill(0),
+        lastMatchedIndex: null,
+        lastMatchedSelector: null,
+        lastMatchedAt: null,
+        recent: [] // Matched index of recent lookups, -1 for a miss
+      });
+    }
+    
+    const stats = this.matchStats.get(field);
+    stats.attempts++;
+    
+    stats.recent.push(index === undefined || index === null ? -1 : index);
+    if (stats.recent.length > this.config.successWindow) {
+      stats.recent.shift();
+    }
+    
+    if (index === undefined || index === null || index < 0) {
+      stats.misses++;
+      return;
+    }
+    
+    stats.matches[index] = (stats.matches[index] || 0) + 1;
+    stats.lastMatchedIndex = index;
+    stats.lastMatchedSelector = this.selectors[field][index] || null;
+    stats.lastMatchedAt = new Date().toISOString();
+    
+    if (index > 0) {
+      this.log.debug(`Field ${field} matched fallback selector #${index}`, {
+        selector: stats.lastMatchedSelector
+      });
+    }
+  }
+  
+  /**
+   * Record a map of field to matched fallback index, as returned by extraction
+   */
+  recordMatches(prefix, matches = {}) {
+    for (const [field, index] of Object.entries(matches)) {
+      this.recordMatch(`${prefix}.${field}`, index);
+    }
+  }
+  
+  /**
+   * Get rolling success rates for every field and each of its fallback selectors
+   */
+  getStats() {
+    const fields = {};
+    let fieldsOnFallback = 0;
+    
+    for (const [field, selectors] of Object.entries(this.selectors)) {
+      const stats = this.matchStats.get(field);
+      const recent = stats ? stats.recent : [];
+      const hits = recent.filter(index => index >= 0).length;
+      
+      // A fallback is only tried when every selector before it missed
+      const perSelector = selectors.map((selector, i) => {
+        const tried = recent.filter(index => index < 0 || index >= i).length;
+        const matched = recent.filter(index => index === i).length;
+        
+        return {
+          selector,
+          tried,
+          matched,
+          successRate: tried > 0 ? Math.round((matched / tried) * 1000) / 1000 : null
+        };
+      });
+      
+      const successRate = recent.length > 0 ? Math.round((hits / recent.length) * 1000) / 1000 : null;
+      
+      // Matching only through fallbacks usually means the primary selector has drifted
+      const fallbackRate = hits > 0
+        ? Math.round((recent.filter(index => index > 0).length / hits) * 1000) / 1000
+        : null;
+      
+      if (fallbackRate > 0) {
+        fieldsOnFallback++;
+      }
+      
+      fields[field] = {
+        samples: recent.length,
+        successRate,
+        fallbackRate,
+        lastMatchedSelector: stats ? stats.lastMatchedSelector : null,
+        lastMatchedAt: stats ? stats.lastMatchedAt : null,
+        selectors: perSelector
+      };
+    }
+    
+    return {
+      version: this.version,
+      revision: this.revision,
+      window: this.config.successWindow,
+      fieldsOnFallback,
+      fields
+    };
+  }
+  
+  /**
+   * Check a selector set before swapping it in, returning a list of problems
+   */
+  validate(selectorSet) {
+    const errors = [];
+    
+    if (!selectorSet || typeof selectorSet !== 'object') {
+      return ['Selector set must be an object'];
+    }
+    
+    const flat = SelectorRegistry.flatten(selectorSet);
+    
+    if (Object.keys(flat).length === 0) {
+      errors.push('Selector set contains no fields');
+    }
+    
+    for (const [field, selectors] of Object.entries(flat)) {
+      if (!this.defaults[field]) {
+        errors.push(`Unknown selector field: ${field}`);
+        continue;
+      }
+      
+      if (selectors.length === 0) {
+        errors.push(`Field ${field} needs at least one selector`);
+      }
+      
+      if (selectors.some(selector => typeof selector !== 'string' || selector.trim().length === 0)) {
+        errors.push(`Field ${field} contains an empty or non-string selector`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Swap in a new selector set. Fields that aren't given keep their current selectors.
+   */
+  async swap(selectorSet, options = {}) {
+    const errors = this.validate(selectorSet);
+    
+    if (errors.length > 0) {
+      throw new Error(`Invalid selector set: ${errors.join('; ')}`);
+    }
+    
+    const flat = SelectorRegistry.flatten(selectorSet);
+    
+    // Keep the current set so it can be rolled back
+    this.history.unshift(this.snapshot());
+    this.history = this.history.slice(0, this.config.maxHistory);
+    
+    this.selectors = { ...this.selectors, ...flat };
+    this.revision++;
+    this.version = options.version || selectorSet.version || `rev-${this.revision}`;
+    this.source = 'override';
+    this.updatedAt = new Date().toISOString();
+    
+    // Match counts for replaced fields no longer describe the active selectors
+    for (const field of Object.keys(flat)) {
+      this.matchStats.delete(field);
+    }
+    
+    this.log.info('Selector set swapped', {
+      version: this.version,
+      revision: this.revision,
+      fields: Object.keys(flat)
+    });
+    
+    await this.save();
+    
+    return this.getStatus();
+  }
+  
+  /**
+   * Go back to the selector set that was active before the last swap
+   */
+  async rollback() {
+    const previous = this.history.shift();
+    
+    if (!previous) {
+      throw new Error('No previous selector set to roll back to');
+    }
+    
+    this.selectors = { ...previous.selectors };
+    this.version = previous.version;
+    this.source = previous.source;
+    this.revision++;
+    this.updatedAt = new Date().toISOString();
+    this.matchStats.clear();
+    
+    this.log.info('Selector set rolled back', { version: this.version, revision: this.revision });
+    
+    await this.save();
+    
+    return this.getStatus();
+  }
+  
+  /**
+   * Drop all overrides and go back to the selectors from config
+   */
+  async reset() {
+    this.history.unshift(this.snapshot());
+    this.history = this.history.slice(0, this.config.maxHistory);
+    
+    this.selectors = { ...this.defaults };
+    this.version = this.config.selectors.version || 'config';
+    this.source = 'config';
+    this.revision++;
+    this.updatedAt = new Date().toISOString();
+    this.matchStats.clear();
+    
+    this.log.info('Selector set reset to config defaults', { revision: this.revision });
+    
+    await this.save();
+    
+    return this.getStatus();
+  }
+  
+  /**
+   * Copy of the active selector set
+   */
+  snapshot() {
+    return {
+      version: this.version,
+      revision: this.revision,
+      source: this.source,
+      updatedAt: this.updatedAt,
+      selectors: { ...this.selectors }
+    };
+  }
+  
+  /**
+   * Persist the active selector set so it survives restarts
+   */
+  async save() {
+    try {
+      if (this.source === 'config') {
+        // Nothing to override, remove any stale file
+        await fs.rm(this.config.overridesFilePath, { force: true });
+        return true;
+      }
+      
+      await fs.mkdir(path.dirname(this.config.overridesFilePath), { recursive: true });
+      await fs.writeFile(
+        this.config.overridesFilePath,
+        JSON.stringify(this.snapshot(), null, 2),
+        'utf8'
+      );
+      
+      return true;
+    } catch (error) {
+      this.log.error('Error saving selector overrides', { error });
+      return false;
+    }
+  }
+  
+  /**
+   * Get status of the registry, including which fallbacks have been matching
+   */
+  getStatus() {
+    const fields = {};
+    
+    for (const [field, selectors] of Object.entries(this.selectors)) {
+      fields[field] = {
+        selectors,
+        stats: this.matchStats.get(field) || null
+      };
+    }
+    
+    return {
+      version: this.version,
+      revision: this.revision,
+      source: this.source,
+      updatedAt: this.updatedAt,
+      fields,
+      history: this.history.map(({ version, revision, source, updatedAt }) => ({
+        version,
+        revision,
+        source,
+        updatedAt
+      }))
+    };
+  }
+  
+  /**
+   * Flatten a nested selector config into dotted field names with selector arrays
+   */
+  static flatten(selectorSet, prefix = '') {
+    const flat = {};
+    
+    if (!selectorSet || typeof selectorSet !== 'object') {
+      return flat;
+    }
+    
+    for (const [key, value] of Object.entries(selectorSet)) {
+      if (!prefix && key === 'version') continue;
+      
+      const field = prefix ? `${prefix}.${key}` : key;
+      
+      if (typeof value === 'string') {
+        flat[field] = [value];
+      } else if (Array.isArray(value)) {
+        flat[field] = [...value];
+      } else if (value && typeof value === 'object') {
+        Object.assign(flat, SelectorRegistry.flatten(value, field));
+      }
+    }
+    
+    return flat;
+  }
+}
+
+module.exports = { SelectorRegistry };
@@ -0,0 +1,395 @@
+const { logger } = require('../../utils/logger');
+const fs = require('fs').promises;
+const path = require('path');
+const scraperConfig = require('../../config/scraper.config');
+const { SelectorRegistry } = require('./selector-registry');
+
+// Cookie X sets once a login succeeds
+const AUTH_COOKIE = 'auth_token';
+
+/**
+ * Keeps a pool of logged-in X sessions for the system accounts, with their
+ * cookies persisted in cookiesDir so a restart doesn't need a fresh login.
+ * Sessions are handed out least recently used first, so concurrent workers
+ * spread over the accounts.
+ */
+class SessionManager {
+  /**
+   * Initialize the session manager
+   */
+  constructor(config = {}) {
+    this.log = logger.child({ module: 'SessionManager' });
+    
+    // Configuration with defaults
+    this.config = {
+      baseUrl: config.baseUrl || 'https://twitter.com',
+      cookiesDir: config.cookiesDir || path.resolve(process.cwd(), scraperConfig.authentication.cookiesDir),
+      systemAccounts: config.systemAccounts || scraperConfig.authentication.systemAccounts,
+      loginTimeout: config.loginTimeout || 30000, // 30 seconds
+      maxLoginAttempts: config.maxLoginAttempts || 3, // Failed logins in a row before a session is disabled
+      loginCooldown: config.loginCooldown || 15 * 60 * 1000, // Wait after a failed login before retrying
+      ...config
+    };
+    
+    this.selectorRegistry = config.selectorRegistry || new SelectorRegistry();
+    
+    // State
+    this.sessions = new Map(); // Map of username to session
+    this.initialized = false;
+    
+    for (const account of this.config.systemAccounts || []) {
+      if (!account || !account.username || !account.password) {
+        this.log.warn('Skipping system account without username or password');
+        continue;
+      }
+      
+      this.sessions.set(account.username, {
+        username: account.username,
+        credentials: account,
+        status: 'loggedOut',
+        cookies: [],
+        activeUses: 0,
+        uses: 0,
+        loginFailures: 0,
+        loggedInAt: null,
+        lastUsedAt: null,
+        cooldownUntil: null,
+        lastError: null
+      });
+    }
+    
+    this.log.info('Session manager created', {
+      sessions: this.sessions.size,
+      cookiesDir: this.config.cookiesDir
+    });
+  }
+  
+  /**
+   * Initialize the pool, reloading cookies saved by previous runs
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+    
+    await fs.mkdir(this.config.cookiesDir, { recursive: true });
+    
+    for (const session of this.sessions.values()) {
+      try {
+        const data = await fs.readFile(this.getCookiePath(session.username), 'utf8');
+        const saved = JSON.parse(data);
+        
+        if (SessionManager.hasValidAuth(saved.cookies)) {
+          session.cookies = saved.cookies;
+          session.status = 'ready';
+          session.loggedInAt = saved.savedAt || null;
+          this.log.info(`Reloaded cookies for ${session.username}`);
+        } else {
+          this.log.info(`Saved cookies for ${session.username} have expired`);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.log.error(`Error loading cookies for ${session.username}`, { error });
+        }
+      }
+    }
+    
+    this.initialized = true;
+    return true;
+  }
+  
+  /**
+   * Whether any system accounts are configured
+   */
+  hasSessions() {
+    return this.sessions.size > 0;
+  }
+  
+  /**
+   * Take a session for a scrape. Idle sessions are preferred; when every
+   * session is busy the least loaded one is shared. options.filter limits
+   * the sessions considered (e.g. to those pinned to the scrape's proxy).
+   * Returns null when no session can be used.
+   */
+  acquire(options = {}) {
+    const session = this.peek(options);
+    
+    if (!session) {
+      this.log.warn('No session available, scraping logged out');
+      return null;
+    }
+    
+    session.activeUses++;
+    session.uses++;
+    session.lastUsedAt = new Date().toISOString();
+    
+    return session;
+  }
+  
+  /**
+   * Get the session acquire() would hand out next, without taking it
+   */
+  peek(options = {}) {
+    const { filter = null } = options;
+    
+    const candidates = this.getAvailableSessions()
+      .filter(session => !filter || filter(session))
+      .sort((a, b) => (a.activeUses - b.activeUses) ||
+        (new Date(a.lastUsedAt || 0) - new Date(b.lastUsedAt || 0)));
+    
+    return candidates[0] || null;
+  }
+  
+  /**
+   * Sessions that can be handed out: not disabled and not cooling down after a failed login
+   */
+  getAvailableSessions() {
+    const now = Date.now();
+    
+    return Array.from(this.sessions.values())
+      .filter(session => session.status !== 'failed')
+      .filter(session => !session.cooldownUntil || session.cooldownUntil <= now);
+  }
+  
+  /**
+   * Hand a session back after a scrape. Fresh cookies from the page are saved;
+   * a session X logged out is dropped until it logs in again.
+   */
+  async release(session, options = {}) {
+    const { cookies = null, loggedOut = false } = options;
+    
+    if (!session) {
+      return;
+    }
+    
+    session.activeUses = Math.max(0, session.activeUses - 1);
+    
+    if (loggedOut) {
+      await this.invalidate(session, 'Logged out during scrape');
+      return;
+    }
+    
+    // X rotates some cookies while browsing, keep the latest ones
+    if (cookies && session.status === 'ready' && SessionManager.hasValidAuth(cookies)) {
+      session.cookies = cookies;
+      await this.saveCookies(session);
+    }
+  }
+  
+  /**
+   * Load a session's cookies into a page, logging in first if it has none
+   */
+  async applySession(page, session) {
+    if (session.status !== 'ready' || !SessionManager.hasValidAuth(session.cookies)) {
+      await this.login(page, session);
+    }
+    
+    await page.setCookie(...session.cookies);
+  }
+  
+  /**
+   * Log a system account in through X's login flow and persist its cookies
+   */
+  async login(page, session) {
+    const { username, password, email } = session.credentials;
+    
+    this.log.info(`Logging in system account ${username}`);
+    
+    try {
+      await page.goto(`${this.config.baseUrl}/i/flow/login`, {
+        waitUntil: 'networkidle2',
+        timeout: this.config.loginTimeout
+      });
+      
+      await this.fillInput(page, 'auth.loginUsername', username);
+      await SessionManager.clickButtonByText(page, ['Next']);
+      
+      // X sometimes asks to confirm the email or username before the password
+      const next = await this.waitForAny(page, ['auth.loginPassword', 'auth.loginChallenge']);
+      
+      if (next === 'auth.loginChallenge') {
+        await this.fillInput(page, 'auth.loginChallenge', email || username);
+        await SessionManager.clickButtonByText(page, ['Next']);
+        await this.waitForAny(page, ['auth.loginPassword']);
+      }
+      
+      await this.fillInput(page, 'auth.loginPassword', password);
+      await SessionManager.clickButtonByText(page, ['Log in']);
+      
+      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: this.config.loginTimeout });
+      
+      const cookies = await page.cookies();
+      
+      if (!SessionManager.hasValidAuth(cookies)) {
+        throw new Error('Login did not return an auth cookie');
+      }
+      
+      session.cookies = cookies;
+      session.status = 'ready';
+      session.loggedInAt = new Date().toISOString();
+      session.loginFailures = 0;
+      session.cooldownUntil = null;
+      session.lastError = null;
+      
+      await this.saveCookies(session);
+      
+      this.log.info(`Logged in system account ${username}`);
+      
+      return session;
+    } catch (error) {
+      session.loginFailures++;
+      session.lastError = error.message;
+      session.cooldownUntil = Date.now() + this.config.loginCooldown;
+      session.status = session.loginFailures >= this.config.maxLoginAttempts ? 'failed' : 'loggedOut';
+      
+      this.log.error(`Login failed for system account ${username}`, {
+        error: error.message,
+        failures: session.loginFailures,
+        status: session.status
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether X is showing the page logged out (a login wall or redirect)
+   */
+  async isLoggedOut(page) {
+    const url = page.url();
+    
+    if (/\/(i\/flow\/)?login\b/.test(url)) {
+      return true;
+    }
+    
+    return page.evaluate((selectors) => {
+      return selectors.some(selector => document.querySelector(selector));
+    }, this.selectorRegistry.get('auth.loggedOut'));
+  }
+  
+  /**
+   * Forget a session's cookies so it logs in again next time
+   */
+  async invalidate(session, reason) {
+    session.status = 'loggedOut';
+    session.cookies = [];
+    session.loggedInAt = null;
+    session.lastError = reason;
+    
+    this.log.warn(`Session ${session.username} invalidated`, { reason });
+    
+    try {
+      await fs.rm(this.getCookiePath(session.username), { force: true });
+    } catch (error) {
+      this.log.error(`Error removing cookies for ${session.username}`, { error });
+    }
+  }
+  
+  /**
+   * Persist a session's cookies
+   */
+  async saveCookies(session) {
+    try {
+      await fs.mkdir(this.config.cookiesDir, { recursive: true });
+      
+      // Cookies are as good as the password, keep them private to this user
+      await fs.writeFile(
+        this.getCookiePath(session.username),
+        JSON.stringify({
+          username: session.username,
+          savedAt: new Date().toISOString(),
+          cookies: session.cookies
+        }, null, 2),
+        { encoding: 'utf8', mode: 0o600 }
+      );
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Error saving cookies for ${session.username}`, { error });
+      return false;
+    }
+  }
+  
+  /**
+   * Get the cookie file of a system account
+   */
+  getCookiePath(username) {
+    return path.join(this.config.cookiesDir, `${username.toLowerCase()}.json`);
+  }
+  
+  /**
+   * Type into the first input matching a selector field
+   */
+  async fillInput(page, field, value) {
+    const selector = this.selectorRegistry.get(field).join(', ');
+    
+    await page.waitForSelector(selector, { timeout: this.config.loginTimeout });
+    await page.type(selector, value, { delay: 50 + Math.floor(Math.random() * 50) });
+  }
+  
+  /**
+   * Wait until one of several selector fields shows up, returning which one did
+   */
+  async waitForAny(page, fields) {
+    const waits = fields.map(field => page
+      .waitForSelector(this.selectorRegistry.get(field).join(', '), { timeout: this.config.loginTimeout })
+      .then(() => field));
+    
+    return Promise.any(waits);
+  }
+  
+  /**
+   * Get status of the pool, without credentials or cookies
+   */
+  getStatus() {
+    return {
+      total: this.sessions.size,
+      ready: Array.from(this.sessions.values()).filter(session => session.status === 'ready').length,
+      sessions: Array.from(this.sessions.values()).map(session => ({
+        username: session.username,
+        status: session.status,
+        activeUses: session.activeUses,
+        uses: session.uses,
+        loginFailures: session.loginFailures,
+        loggedInAt: session.loggedInAt,
+        lastUsedAt: session.lastUsedAt,
+        cooldownUntil: session.cooldownUntil ? new Date(session.cooldownUntil).toISOString() : null,
+        lastError: session.lastError
+      }))
+    };
+  }
+  
+  /**
+   * Static method to check cookies for an auth token that hasn't expired
+   */
+  static hasValidAuth(cookies = []) {
+    const auth = (cookies || []).find(cookie => cookie.name === AUTH_COOKIE);
+    
+    if (!auth) return false;
+    
+    // Session cookies have no expiry (-1)
+    return !auth.expires || auth.expires < 0 || auth.expires * 1000 > Date.now();
+  }
+  
+  /**
+   * Static method to click the button showing one of the given labels.
+   * Puppeteer has no text selectors, so the buttons are matched in the page.
+   */
+  static async clickButtonByText(page, labels) {
+    const clicked = await page.evaluate((labels) => {
+      const buttons = Array.from(document.querySelectorAll('[role="button"], button'));
+      const button = buttons.find(el => labels.includes(el.textContent.trim()));
+      
+      if (!button) return false;
+      
+      button.click();
+      return true;
+    }, labels);
+    
+    if (!clicked) {
+      throw new Error(`Button not found: ${labels.join(' / ')}`);
+    }
+  }
+}
+
+module.exports = { SessionManager };
@@ -3,6 +3,19 @@ const { logger } = require('../../utils/logger');
 const path = require('path');
 const fs = require('fs').promises;
 const { ProxyManager } = require('./proxy-manager');
+const { SelectorRegistry } = require('./selector-registry');
+const { PageClassifier } = require('./page-classifier');
+const { GraphQLCapture } = require('./graphql-capture');
+const { LOCALES, LOCALE_LABELS, DEFAULT_LOCALE, resolveLocale } = require('./locales');
+
+// Per-tweet engagement counts read from the page
+const ENGAGEMENT_METRICS = ['likes', 'retweets', 'replies', 'views', 'quotes', 'bookmarks'];
+
+// Kinds of tweet shown on a profile timeline
+const TWEET_TYPES = ['original', 'reply', 'retweet', 'quote', 'pinned'];
+
+// Account states whose profile can still be read
+const SCRAPEABLE_STATES = ['active', 'protected', 'renamed'];
 
 /**
  * Scrapes X (Twitter) accounts for metrics
@@ -23,13 +36,56 @@ class XScraper {
       headless: config.headless !== false, // Default to headless
       useProxies: config.useProxies !== false, // Default to using proxies
       minProxies: config.minProxies || 20, // Minimum number of proxies
+      fixtureDir: config.fixtureDir || null, // Replay saved profile HTML instead of loading X
+      criticalFields: config.criticalFields || ['followers', 'following', 'tweets'], // Missing any of these marks a scrape as degraded
+      excludePinned: config.excludePinned !== false, // Leave pinned tweets out of the engagement averages
+      tweetsPerRun: config.tweetsPerRun || 20, // Recent tweets read on every scrape
+      maxTweetDepth: config.maxTweetDepth || 200, // Most tweets paged through to catch up with the last seen tweet
+      backfillMaxTweets: config.backfillMaxTweets || 1000, // Default size of a historical backfill
+      backfillChunkSize: config.backfillChunkSize || 100, // New tweets collected per backfill run before checkpointing
+      backfillScrollDelay: config.backfillScrollDelay || 3000, // Pause between scrolls while backfilling, in ms
+      backfillMaxEmptyScrolls: config.backfillMaxEmptyScrolls || 3, // Scrolls without new tweets before the timeline is considered exhausted
+      maxSessionAttempts: config.maxSessionAttempts || 2, // Sessions tried per scrape when X shows the page logged out
+      captureGraphQL: config.captureGraphQL !== false, // Read exact counts from the JSON the page loads, the DOM as fallback
+      uiLanguage: config.uiLanguage || null, // Language to render X in ("en", "de"), instead of the one the proxy's location gets
+      archiveImages: config.archiveImages !== false, // Download avatars and banners into the image archive, when one is set
+      archiveMedia: config.archiveMedia === true, // Also download tweet photos and video poster frames
+      fetchThreads: config.fetchThreads === true, // Open the status page of threads only partly on the timeline
+      maxThreadFetches: config.maxThreadFetches || 3, // Status pages opened per scrape to complete threads
+      replySampleTweets: config.replySampleTweets || 3, // Most engaged recent tweets whose replies are sampled, for accounts with sampleReplies
+      replySampleSize: config.replySampleSize || 10, // Most liked replies kept per sampled tweet
+      maxFollowListUsers: config.maxFollowListUsers || 2000, // Most users read from a following or followers list
       ...config
     };
     
+    // Fixture replay never touches the network, so there is nothing to proxy
+    if (this.config.fixtureDir) {
+      this.config.useProxies = false;
+    }
+    
     // State
     this.browsers = new Map();
     this.isInitialized = false;
     
+    // Selectors are shared with the orchestrator so they can be swapped at runtime
+    this.selectorRegistry = config.selectorRegistry || new SelectorRegistry();
+    
+    // Pool of logged-in sessions, only used when system accounts are configured
+    this.sessionManager = config.sessionManager || null;
+    
+    // Local copies of avatars and banners, which go stale on X's CDN after a change
+    this.imageArchive = config.imageArchive || null;
+    
+    // Tells suspended, protected, missing and renamed profiles apart
+    this.pageClassifier = config.pageClassifier || new PageClassifier({ selectorRegistry: this.selectorRegistry });
+    
+    // Extraction health across scrapes
+    this.extractionStats = {
+      scrapes: 0,
+      degraded: 0,
+      lastDegraded: null
+    };
+    
     // Initialize proxy manager if proxies are enabled
     if (this.config.useProxies) {
       this.proxyManager = config.proxyManager || new ProxyManager({
@@ -42,7 +98,8 @@ class XScraper {
     this.log.info('X scraper created', { 
       baseUrl: this.config.baseUrl,
       maxConcurrentBrowsers: this.config.maxConcurrentBrowsers,
-      useProxies: this.config.useProxies
+      useProxies: this.config.useProxies,
+      fixtureDir: this.config.fixtureDir
     });
   }
   
@@ -54,6 +111,9 @@ class XScraper {
       // Create screenshot directory if it doesn't exist
       await fs.mkdir(this.config.screenshotPath, { recursive: true });
       
+      // Load any selector overrides saved by a previous swap
+      await this.selectorRegistry.initialize();
+      
       // Initialize proxy manager if using proxies
       if (this.config.useProxies && this.proxyManager) {
         this.log.info('Initializing proxy manager');
@@ -110,9 +170,13 @@ class XScraper {
   }
   
   /**
-   * Get a browser instance
+   * Get a browser instance. With options.account the proxy is picked for
+   * that account, and for the session it'll most likely sign in with, so a
+   * session keeps coming from the same IP.
    */
-  async getBrowser() {
+  async getBrowser(options = {}) {
+    const { account = null } = options;
+    
     try {
       // Check if we can create more browsers
       if (this.browsers.size >= this.config.maxConcurrentBrowsers) {
@@ -131,6 +195,13 @@ class XScraper {
       let proxyDetails = null;
       
       if (this.config.useProxies && this.proxyManager) {
+        const proxyOptions = { account };
+        
+        if (account && this.sessionManager && this.sessionManager.hasSessions()) {
+          const session = this.sessionManager.peek();
+          proxyOptions.affinityKey = session ? ProxyManager.sessionKey(session.username) : null;
+        }
+        
         // Get a proxy from the proxy manager
         await this.proxyManager.withProxy(async (proxy) => {
           proxyDetails = proxy;
@@ -144,12 +215,16 @@ class XScraper {
             '--window-size=1280,1024'
           ];
           
-          // Add proxy server argument
+          // Add proxy server argument. Authenticated SOCKS proxies are reached
+          // through a local shim, since Chromium can't log in to them
+          let proxyAuth = null;
+          
           if (proxy) {
-            let proxyArg = `--proxy-server=${proxy.protocol || 'http'}://${proxy.host}:${proxy.port}`;
-            args.push(proxyArg);
+            const browserProxy = await this.proxyManager.getBrowserProxy(proxy);
+            proxyAuth = browserProxy.auth;
+            args.push(`--proxy-server=${browserProxy.server}`);
             
-            this.log.debug(`Using proxy ${proxy.host}:${proxy.port} for browser ${browserId}`);
+            this.log.debug(`Using proxy ${proxy.protocol || 'http'}://${proxy.host}:${proxy.port} for browser ${browserId}`);
           }
           
           // Launch browser with proxy
@@ -159,20 +234,20 @@ class XScraper {
           });
           
           // If proxy requires authentication, set it up
-          if (proxy && proxy.auth) {
+          if (proxyAuth) {
             browser.on('targetcreated', async (target) => {
               if (target.type() === 'page') {
                 const page = await target.page();
                 if (page) {
                   await page.authenticate({
-                    username: proxy.auth.username,
-                    password: proxy.auth.password
+                    username: proxyAuth.username,
+                    password: proxyAuth.password
                   });
                 }
               }
             });
           }
-        });
+        }, proxyOptions);
       } else {
         // Launch browser without proxy
         browser = await puppeteer.launch({
@@ -226,103 +301,138 @@ class XScraper {
     let browserId;
     let proxyDetails;
     let page;
+    let session = null;
+    let loggedOut = false;
+    let capture = null;
+    
+    // Which proxy and session a failure happened on, so they can be rotated
+    const failureContext = () => ({
+      proxyId: proxyDetails ? proxyDetails.id : null,
+      sessionUsername: session ? session.username : null
+    });
     
     try {
       this.log.info(`Scraping account: ${account.username}`);
       
       // Get browser instance with proxy if enabled
-      ({ browser, browserId, proxyDetails } = await this.getBrowser());
+      ({ browser, browserId, proxyDetails } = await this.getBrowser({ account }));
       
       // Create page
       page = await browser.newPage();
+      await this.preparePage(page, proxyDetails);
       
-      // If using authenticated proxy, set up authentication
-      if (proxyDetails && proxyDetails.auth) {
-        await page.authenticate({
-          username: proxyDetails.auth.username,
-          password: proxyDetails.auth.password
-        });
+      // Listen for the profile and timeline JSON before the page starts loading it
+      if (this.config.captureGraphQL && !this.config.fixtureDir) {
+        capture = new GraphQLCapture().attach(page);
       }
       
-      // Randomize user agent to avoid detection
-      const userAgents = [
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:89.0) Gecko/20100101 Firefox/89.0'
-      ];
-      
-      const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
-      await page.setUserAgent(randomUserAgent);
+      // Load the profile, either live or from a saved fixture
+      if (this.config.fixtureDir) {
+        await this.loadFixture(page, account);
+      } else {
+        let navigation;
+        ({ navigation, session } = await this.openProfile(page, account, proxyDetails));
+        
+        if (!navigation.success) {
+          return { ...navigation, ...failureContext() };
+        }
+      }
       
-      // Set viewport size with slight randomization to look more human-like
-      const width = 1280 + Math.floor(Math.random() * 100);
-      const height = 1024 + Math.floor(Math.random() * 100);
-      await page.setViewport({ width, height });
+      // Check what X is showing before reading the profile
+      const accountState = await this.pageClassifier.classifyProfile(page, account);
       
-      // Set navigation timeout
-      page.setDefaultNavigationTimeout(this.config.navigationTimeout);
+      if (!SCRAPEABLE_STATES.includes(accountState.state)) {
+        this.log.warn(`Account ${account.username} is ${accountState.state}`, { reason: accountState.reason });
+        
+        return PageClassifier.scrapeError('accountUnavailable', `Account is ${accountState.state}`, { accountState });
+      }
       
-      // Add a fingerprint
-      await this.addBrowserFingerprint(page);
+      // Extract metrics
+      this.log.info(`Extracting metrics for ${account.username}`);
+      const username = accountState.newUsername || account.username;
+      const { metrics, tweets, timeline } = await this.extractProfile(page, account, {
+        capture,
+        username
+      });
       
-      // Go to profile page
-      const profileUrl = `${this.config.baseUrl}/${account.username}`;
-      this.log.info(`Navigating to: ${profileUrl}`);
+      // Archive the avatar and banner while the page (and its proxy) is open
+      const images = this.imageArchive && this.config.archiveImages && !this.config.fixtureDir
+        ? await this.archiveProfileImages(page, account, metrics)
+        : null;
       
-      // Navigate to the profile
-      const response = await page.goto(profileUrl, {
-        waitUntil: 'networkidle2'
-      });
+      if (this.imageArchive && this.config.archiveMedia && !this.config.fixtureDir) {
+        await this.archiveTweetMedia(page, account, tweets);
+      }
       
-      // Check for errors
-      if (!response || !response.ok()) {
-        const statusCode = response ? response.status() : 'unknown';
-        const error = `Failed to load profile page: ${statusCode}`;
-        this.log.error(error, { url: profileUrl, statusCode });
-        
-        // Take screenshot of error
-        await this.takeScreenshot(page, `${account.username}_error_${Date.now()}.png`);
-        
-        return {
-          success: false,
-          error,
-          usingProxy: !!proxyDetails
-        };
+      // X can drop a session while the timeline loads
+      if (session && await this.sessionManager.isLoggedOut(page)) {
+        loggedOut = true;
+        this.log.warn(`Session ${session.username} was logged out while scraping ${account.username}`);
       }
       
-      // Check if we're on the correct page
-      const url = page.url();
-      if (!url.includes(account.username.toLowerCase())) {
-        const error = 'Redirected to another page, account may not exist';
-        this.log.error(error, { expectedUrl: profileUrl, actualUrl: url });
-        
-        // Take screenshot of error
-        await this.takeScreenshot(page, `${account.username}_redirect_${Date.now()}.png`);
-        
-        return {
-          success: false,
-          error
-        };
+      // Self-reply threads, completed from their status pages when enabled.
+      // This leaves the profile, so it comes after everything read from it.
+      // A status page also shows the parent of a lone reply the DOM didn't link.
+      const fetchThreads = this.config.fetchThreads && !this.config.fixtureDir && !loggedOut;
+      let threads = XScraper.groupThreads(tweets, username, { unlinked: fetchThreads });
+      
+      if (fetchThreads) {
+        threads = (await this.completeThreads(page, username, tweets, threads, capture))
+          .filter(thread => !XScraper.isUnlinkedThread(thread));
       }
       
-      // Extract metrics
-      this.log.info(`Extracting metrics for ${account.username}`);
-      const metrics = await this.extractMetrics(page, account);
+      // Audience reaction, for accounts that opted in
+      const replies = account.sampleReplies && !this.config.fixtureDir && !loggedOut
+        ? await this.sampleReplies(page, username, tweets, capture)
+        : [];
       
       // Take success screenshot if debugging
       if (process.env.NODE_ENV === 'development') {
         await this.takeScreenshot(page, `${account.username}_success_${Date.now()}.png`);
       }
       
-      this.log.info(`Scraped ${account.username} successfully`, {
-        metrics: Object.keys(metrics)
-      });
+      const { extraction } = metrics;
+      this.extractionStats.scrapes++;
+      
+      if (extraction.degraded) {
+        this.extractionStats.degraded++;
+        this.extractionStats.lastDegraded = {
+          username: account.username,
+          missingFields: extraction.missingFields,
+          at: new Date().toISOString()
+        };
+        
+        this.log.warn(`Extraction degraded for ${account.username}`, {
+          missingFields: extraction.missingFields,
+          score: extraction.score,
+          selectorVersion: extraction.selectorVersion
+        });
+      } else {
+        this.log.info(`Scraped ${account.username} successfully`, {
+          metrics: Object.keys(metrics),
+          score: extraction.score,
+          newTweets: timeline.newTweets
+        });
+      }
+      
+      if (!timeline.caughtUp) {
+        this.log.warn(`Did not reach last seen tweet for ${account.username}, some tweets may have been missed`, {
+          lastSeenTweetId: account.lastSeenTweetId,
+          captured: tweets.length,
+          maxTweetDepth: this.config.maxTweetDepth
+        });
+      }
       
       return {
         success: true,
-        metrics
+        degraded: extraction.degraded,
+        metrics,
+        tweets,
+        threads,
+        replies,
+        timeline,
+        images,
+        accountState
       };
     } catch (error) {
       this.log.error(`Error scraping account: ${account.username}`, { error });
@@ -332,311 +442,1779 @@ class XScraper {
         await this.takeScreenshot(page, `${account.username}_error_${Date.now()}.png`);
       }
       
-      return {
-        success: false,
-        error: error.message || 'Unknown error during scraping'
-      };
+      return PageClassifier.scrapeError(
+        this.classifyException(error, proxyDetails),
+        error.message || 'Unknown error during scraping',
+        failureContext()
+      );
     } finally {
-      // Close page
-      if (page) {
-        try {
-          await page.close();
-        } catch (err) {
-          this.log.error('Error closing page', { error: err });
+      if (capture) {
+        capture.detach();
+      }
+      
+      await this.releaseSession(session, page, loggedOut);
+      await this.releasePage(page, browserId);
+    }
+  }
+  
+  /**
+   * Navigate to a live profile, signed in with a pooled session when system
+   * accounts are configured. If X shows the page logged out, that session is
+   * dropped and the next one tried. options.path opens a page under the
+   * profile instead (e.g. 'following').
+   */
+  async openProfile(page, account, proxyDetails, options = {}) {
+    if (!this.sessionManager || !this.sessionManager.hasSessions()) {
+      return { navigation: await this.navigateToProfile(page, account, proxyDetails, options), session: null };
+    }
+    
+    for (let attempt = 1; attempt <= this.config.maxSessionAttempts; attempt++) {
+      const session = this.sessionManager.acquire({
+        filter: candidate => this.sessionFitsProxy(candidate, proxyDetails)
+      });
+      
+      if (!session) {
+        break;
+      }
+      
+      // Keep the session on this IP for its next scrapes
+      if (proxyDetails && this.proxyManager) {
+        await this.proxyManager.pin(ProxyManager.sessionKey(session.username), proxyDetails.id);
+      }
+      
+      try {
+        await this.sessionManager.applySession(page, session);
+        
+        // A system account can be set to browse X in a language of its own
+        if (session.credentials.language) {
+          await this.applyLanguage(page, session.credentials.language);
         }
+      } catch (error) {
+        await this.sessionManager.release(session);
+        continue;
       }
       
-      // Remove browser from tracking (but don't close it yet for reuse)
-      if (browserId && this.browsers.has(browserId)) {
-        // Close browser if it's been open for more than 10 minutes (for cleanup)
-        const browser = this.browsers.get(browserId);
-        if (browser && browser._createdAt && Date.now() - browser._createdAt > 10 * 60 * 1000) {
-          try {
-            await browser.close();
-            this.browsers.delete(browserId);
-            this.log.debug('Closed browser after timeout', { browserId });
-          } catch (err) {
-            this.log.error('Error closing timed-out browser', { error: err, browserId });
-          }
+      const navigation = await this.navigateToProfile(page, account, proxyDetails, options);
+      
+      // A redirect to the login flow also fails navigation, so check this first
+      if (!(await this.sessionManager.isLoggedOut(page))) {
+        return { navigation, session };
+      }
+      
+      this.log.warn(`Session ${session.username} is logged out, trying the next one`, {
+        username: account.username,
+        attempt
+      });
+      
+      await this.sessionManager.release(session, { loggedOut: true });
+      await page.deleteCookie(...await page.cookies());
+    }
+    
+    // No session could be used, fall back to scraping logged out
+    return { navigation: await this.navigateToProfile(page, account, proxyDetails, options), session: null };
+  }
+  
+  /**
+   * Whether a session can sign in through this proxy: it's pinned to it, or
+   * not pinned to another proxy that's still usable
+   */
+  sessionFitsProxy(session, proxyDetails) {
+    if (!proxyDetails || !this.proxyManager) {
+      return true;
+    }
+    
+    const pinnedId = this.proxyManager.getPinnedProxy(ProxyManager.sessionKey(session.username));
+    
+    return !pinnedId || pinnedId === proxyDetails.id;
+  }
+  
+  /**
+   * Hand a scrape's session back to the pool, with the page's latest cookies
+   */
+  async releaseSession(session, page, loggedOut = false) {
+    if (!session) {
+      return;
+    }
+    
+    let cookies = null;
+    
+    if (page && !loggedOut) {
+      try {
+        cookies = await page.cookies();
+      } catch (error) {
+        this.log.debug('Could not read page cookies', { error: error.message });
+      }
+    }
+    
+    await this.sessionManager.release(session, { cookies, loggedOut });
+  }
+  
+  /**
+   * Close a scrape's page and keep its browser for reuse, unless it's been open too long
+   */
+  async releasePage(page, browserId) {
+    // Close page
+    if (page) {
+      try {
+        await page.close();
+      } catch (err) {
+        this.log.error('Error closing page', { error: err });
+      }
+    }
+    
+    // Remove browser from tracking (but don't close it yet for reuse)
+    if (browserId && this.browsers.has(browserId)) {
+      // Close browser if it's been open for more than 10 minutes (for cleanup)
+      const browser = this.browsers.get(browserId);
+      if (browser && browser._createdAt && Date.now() - browser._createdAt > 10 * 60 * 1000) {
+        try {
+          await browser.close();
+          this.browsers.delete(browserId);
+          this.log.debug('Closed browser after timeout', { browserId });
+        } catch (err) {
+          this.log.error('Error closing timed-out browser', { error: err, browserId });
         }
       }
     }
   }
   
   /**
-   * Take a screenshot during scraping
+   * Download the avatar and banner of a scraped profile into the image
+   * archive. Failures are logged and leave that image out, they don't fail
+   * the scrape. Returns the current revision per image kind.
    */
-  async takeScreenshot(page, filename) {
-    try {
-      if (!page) return;
+  async archiveProfileImages(page, account, metrics) {
+    const images = {};
+    
+    for (const kind of ['avatar', 'banner']) {
+      if (!metrics[kind]) continue;
       
-      const filePath = path.join(this.config.screenshotPath, filename);
-      await page.screenshot({ path: filePath, fullPage: true });
-      this.log.debug(`Screenshot saved: ${filePath}`);
-    } catch (error) {
-      this.log.error('Error taking screenshot', { error, filename });
+      try {
+        const image = await this.downloadImage(page, XScraper.fullSizeImageUrl(kind, metrics[kind]));
+        images[kind] = await this.imageArchive.archiveImage(account.id, kind, image, { capturedAt: metrics.timestamp });
+      } catch (error) {
+        this.log.warn(`Could not archive ${kind} of ${account.username}`, { error: error.message, url: metrics[kind] });
+      }
     }
+    
+    return images;
   }
   
   /**
-   * Extract metrics from an X profile page
+   * Download the photos and video poster frames of captured tweets into the
+   * image archive, setting sha256 on each media item. Media archived before
+   * isn't downloaded again, and retweets are skipped since they aren't stored.
    */
-  async extractMetrics(page, account) {
-    try {
-      // Wait for the profile to load
-      await page.waitForSelector('h1[role="heading"]', { timeout: 10000 });
-      
-      // Get basic user info
-      const userInfo = await this.extractUserInfo(page);
-      
-      // Extract recent tweets and engagement metrics
-      const tweets = await this.extractRecentTweets(page, 20); // Get up to 20 tweets
-      
-      // Calculate engagement metrics
-      const engagement = this.calculateEngagementMetrics(tweets);
+  async archiveTweetMedia(page, account, tweets) {
+    let downloaded = 0;
+    
+    for (const tweet of tweets) {
+      if (tweet.type === 'retweet') continue;
       
-      // Return metrics
-      return {
-        followers: userInfo.followers,
-        following: userInfo.following,
-        tweets: userInfo.tweets,
-        name: userInfo.name,
-        description: userInfo.description,
-        location: userInfo.location,
-        url: userInfo.url,
-        joinDate: userInfo.joinDate,
-        verified: userInfo.verified,
-        recentTweetCount: tweets.length,
-        engagement,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      this.log.error('Error extracting metrics', { error, username: account.username });
-      throw error;
+      for (const item of tweet.media || []) {
+        item.sha256 = this.imageArchive.getMediaHash(item.url);
+        
+        if (item.sha256) continue;
+        
+        try {
+          const image = await this.downloadImage(page, XScraper.fullSizeMediaUrl(item.url));
+          item.sha256 = await this.imageArchive.archiveMedia({ ...image, sourceUrl: item.url });
+          downloaded++;
+        } catch (error) {
+          this.log.debug(`Could not archive media of ${account.username}`, { error: error.message, url: item.url });
+        }
+      }
+    }
+    
+    if (downloaded > 0) {
+      this.log.info(`Archived ${downloaded} media files for ${account.username}`);
     }
+    
+    return downloaded;
   }
   
   /**
-   * Extract user info from profile page
+   * Download an image through the page, so it goes out over the same proxy
+   * and session, and compute its perceptual hash there. The browser decodes
+   * the image for us; a difference hash (dHash) of a 9x8 grayscale thumbnail
+   * stays the same when X re-encodes or resizes a picture.
    */
-  async extractUserInfo(page) {
-    try {
-      // Get name and bio
-      const name = await page.evaluate(() => {
-        const nameEl = document.querySelector('h1[role="heading"]');
-        return nameEl ? nameEl.textContent.trim() : null;
-      });
+  async downloadImage(page, url) {
+    const { data, contentType, perceptualHash } = await page.evaluate(async (url) => {
+      const response = await fetch(url, { credentials: 'omit' });
       
-      const description = await page.evaluate(() => {
-        const bioEl = document.querySelector('[data-testid="UserDescription"]');
-        return bioEl ? bioEl.textContent.trim() : null;
-      });
-      
-      // Get location
-      const location = await page.evaluate(() => {
-        const locationEl = document.querySelector('[data-testid="UserLocation"]');
-        return locationEl ? locationEl.textContent.trim() : null;
-      });
+      if (!response.ok) {
+        throw new Error(`Image request failed with status ${response.status}`);
+      }
       
-      // Get URL
-      const url = await page.evaluate(() => {
-        const urlEl = document.querySelector('[data-testid="UserUrl"]');
-        return urlEl ? urlEl.textContent.trim() : null;
-      });
+      const blob = await response.blob();
+      const bitmap = await createImageBitmap(blob);
       
-      // Get join date
-      const joinDate = await page.evaluate(() => {
-        const joinDateEl = document.querySelector('[data-testid="UserJoinDate"]');
-        return joinDateEl ? joinDateEl.textContent.trim() : null;
-      });
+      const canvas = document.createElement('canvas');
+      canvas.width = 9;
+      canvas.height = 8;
+      const context = canvas.getContext('2d');
+      context.drawImage(bitmap, 0, 0, 9, 8);
       
-      // Get verified status
-      const verified = await page.evaluate(() => {
-        const verifiedBadge = document.querySelector('[data-testid="UserBadge"]');
-        return !!verifiedBadge;
-      });
+      const pixels = context.getImageData(0, 0, 9, 8).data;
+      const gray = [];
+      for (let i = 0; i < pixels.length; i += 4) {
+        gray.push(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+      }
       
-      // Get follower, following, and tweet counts
-      const statsCounts = await page.evaluate(() => {
-        const statsElements = document.querySelectorAll('[data-testid="primaryColumn"] a[role="link"] span');
-        const stats = { followers: 0, following: 0, tweets: 0 };
-        
-        for (const stat of statsElements) {
-          const text = stat.textContent;
-          if (text && text.match(/\d/)) {
-            const parentText = stat.parentElement?.textContent || '';
-            
-            if (parentText.includes('Followers') || parentText.includes('Follower')) {
-              stats.followers = XScraper.parseCount(text);
-            } else if (parentText.includes('Following')) {
-              stats.following = XScraper.parseCount(text);
-            } else if (parentText.includes('posts') || parentText.includes('Posts')) {
-              stats.tweets = XScraper.parseCount(text);
-            }
+      // One bit per pixel: brighter than its right-hand neighbour or not
+      let hash = '';
+      for (let row = 0; row < 8; row++) {
+        let nibble = 0;
+        for (let col = 0; col < 8; col++) {
+          nibble = (nibble << 1) | (gray[row * 9 + col] > gray[row * 9 + col + 1] ? 1 : 0);
+          if (col % 4 === 3) {
+            hash += nibble.toString(16);
+            nibble = 0;
           }
         }
-        
-        return stats;
-      });
+      }
       
-      return {
-        name,
-        description,
-        location,
-        url,
-        joinDate,
-        verified,
-        followers: statsCounts.followers,
-        following: statsCounts.following,
-        tweets: statsCounts.tweets
-      };
-    } catch (error) {
-      this.log.error('Error extracting user info', { error });
-      return {
-        followers: 0,
-        following: 0,
-        tweets: 0
-      };
-    }
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      
+      return { data: btoa(binary), contentType: blob.type, perceptualHash: hash };
+    }, url);
+    
+    return {
+      data: Buffer.from(data, 'base64'),
+      contentType,
+      sourceUrl: url,
+      perceptualHash
+    };
   }
   
   /**
-   * Extract recent tweets from profile page
+   * Open the status pages of threads the timeline only showed part of, and
+   * fill them in. Tweets found there are appended to tweets so they get
+   * stored with the rest. Returns the threads, with parts seen on a fetched
+   * page folded into it.
    */
-  async extractRecentTweets(page, count = 10) {
-    try {
-      // Wait for tweets to load
-      await page.waitForSelector('[data-testid="cellInnerDiv"]', { timeout: 10000 });
+  async completeThreads(page, username, tweets, threads, capture) {
+    const covered = new Set();
+    let fetches = 0;
+    
+    for (const thread of threads) {
+      if (thread.complete || covered.has(thread)) continue;
+      if (fetches >= this.config.maxThreadFetches) break;
       
-      // Need to scroll to load more tweets
-      const tweets = [];
-      let previousTweetCount = -1;
+      fetches++;
       
-      while (tweets.length < count && tweets.length !== previousTweetCount) {
-        previousTweetCount = tweets.length;
-        
-        // Extract tweets currently visible
-        const newTweets = await page.evaluate(() => {
-          const tweetElements = document.querySelectorAll('[data-testid="cellInnerDiv"]');
-          const extractedTweets = [];
-          
-          for (const tweet of tweetElements) {
-            // Skip ads, suggested tweets, etc.
-            if (tweet.textContent.includes('Promoted') || 
-                tweet.querySelector('[data-testid="socialContext"]')) {
-              continue;
-            }
-            
-            // Get tweet text
-            const tweetTextEl = tweet.querySelector('[data-testid="tweetText"]');
-            const tweetText = tweetTextEl ? tweetTextEl.textContent.trim() : null;
-            
-            // Skip if not a primary tweet
-            if (!tweetText) continue;
-            
-            // Get engagement metrics
-            const statsElements = tweet.querySelectorAll('[data-testid$="count"]');
-            const stats = { likes: 0, retweets: 0, replies: 0 };
-            
-            for (const stat of statsElements) {
-              const countEl = stat.querySelector('[aria-hidden="true"]');
-              const count = countEl ? countEl.textContent.trim() : '0';
-              const testId = stat.getAttribute('data-testid');
-              
-              if (testId === 'like_count') {
-                stats.likes = XScraper.parseCount(count);
-              } else if (testId === 'retweet_count') {
-                stats.retweets = XScraper.parseCount(count);
-              } else if (testId === 'reply_count') {
-                stats.replies = XScraper.parseCount(count);
-              }
-            }
-            
-            // Get timestamp
-            const timestampEl = tweet.querySelector('time');
-            const timestamp = timestampEl ? timestampEl.getAttribute('datetime') : null;
-            
-            // Get tweet URL
-            const linkEl = tweet.querySelector('a[href*="/status/"]');
-            const tweetUrl = linkEl ? linkEl.getAttribute('href') : null;
-            
-            // Get tweet ID from URL
-            const tweetId = tweetUrl ? tweetUrl.split('/status/')[1] : null;
-            
-            extractedTweets.push({
-              id: tweetId,
-              text: tweetText,
-              url: tweetUrl ? `https://twitter.com${tweetUrl}` : null,
-              timestamp,
-              likes: stats.likes,
-              retweets: stats.retweets,
-              replies: stats.replies
-            });
-          }
-          
-          return extractedTweets;
-        });
+      // The status page of the latest part shows every part above it
+      const tweetId = thread.postIds[thread.postIds.length - 1];
+      
+      try {
+        const fetched = await this.fetchThread(page, username, tweetId, capture);
         
-        // Add new unique tweets to our collection
-        for (const tweet of newTweets) {
-          if (tweet.id && !tweets.some(t => t.id === tweet.id)) {
+        for (const tweet of fetched.tweets) {
+          if (!tweets.some(t => t.id === tweet.id)) {
             tweets.push(tweet);
           }
         }
         
-        // If we have enough tweets, break
-        if (tweets.length >= count) {
-          break;
-        }
-        
-        // Scroll to load more tweets
-        await this.autoScroll(page);
+        thread.postIds = Array.from(new Set([...thread.postIds, ...fetched.thread.postIds])).sort(XScraper.compareTweetIds);
+        thread.complete = fetched.thread.complete;
+        thread.replyTo = fetched.thread.replyTo;
         
-        // Wait a bit for new tweets to load
-        await page.waitForTimeout(1000);
+        for (const other of threads) {
+          if (other !== thread && other.postIds.every(id => thread.postIds.includes(id))) {
+            covered.add(other);
+          }
+        }
+      } catch (error) {
+        this.log.warn(`Could not fetch thread of ${username}`, { tweetId, error: error.message });
       }
-      
-      // Return the requested number of tweets
-      return tweets.slice(0, count);
-    } catch (error) {
-      this.log.error('Error extracting recent tweets', { error });
-      return [];
     }
+    
+    return threads.filter(thread => !covered.has(thread));
   }
   
   /**
-   * Calculate engagement metrics from tweets
+   * Load the status page of a tweet and read the author's thread around it.
+   * Returns the author's tweets on the page and the thread they form.
    */
-  calculateEngagementMetrics(tweets) {
-    if (!tweets || tweets.length === 0) {
-      return {
-        avgLikes: 0,
-        avgRetweets: 0,
-        avgReplies: 0
-      };
+  async fetchThread(page, username, tweetId, capture) {
+    const { tweets: conversation, fromJson } = await this.readStatusPage(page, username, tweetId, capture);
+    
+    const handle = username.toLowerCase();
+    const own = conversation.filter(tweet => tweet.id && XScraper.tweetAuthor(tweet) === handle);
+    
+    if (!own.some(tweet => tweet.id === String(tweetId))) {
+      throw new Error('Tweet not found on its status page');
     }
     
-    const totalLikes = tweets.reduce((sum, tweet) => sum + (tweet.likes || 0), 0);
-    const totalRetweets = tweets.reduce((sum, tweet) => sum + (tweet.retweets || 0), 0);
-    const totalReplies = tweets.reduce((sum, tweet) => sum + (tweet.replies || 0), 0);
+    if (fromJson) {
+      const thread = XScraper.groupThreads(own, username).find(group => group.postIds.includes(String(tweetId)));
+      return { tweets: own, thread: thread || { postIds: [String(tweetId)], complete: false, replyTo: null } };
+    }
     
+    // The page doesn't say which tweet each one replies to, but it shows the
+    // author's tweets above the focal one down from the start of the thread
     return {
-      avgLikes: Math.round(totalLikes / tweets.length),
-      avgRetweets: Math.round(totalRetweets / tweets.length),
-      avgReplies: Math.round(totalReplies / tweets.length)
+      tweets: own,
+      thread: { postIds: own.map(tweet => tweet.id).sort(XScraper.compareTweetIds), complete: true, replyTo: null }
     };
   }
   
   /**
-   * Auto-scroll the page to load more content
+   * Open the account's most engaged recent tweets and read their most liked
+   * replies. Returns the replies, each with the parentId of the tweet it
+   * answers. A tweet whose page fails to load is skipped.
    */
-  async autoScroll(page) {
-    await page.evaluate(async () => {
-      await new Promise((resolve) => {
-        let totalHeight = 0;
-        const distance = 500;
-        const timer = setInterval(() => {
-          const scrollHeight = document.body.scrollHeight;
+  async sampleReplies(page, username, tweets, capture) {
+    const handle = username.toLowerCase();
+    const engagement = tweet => (tweet.likes || 0) + (tweet.retweets || 0) + (tweet.replies || 0) + (tweet.quotes || 0);
+    
+    const sampledTweets = tweets
+      .filter(tweet => tweet.id && tweet.type !== 'retweet' && tweet.replies > 0 && XScraper.tweetAuthor(tweet) === handle)
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, this.config.replySampleTweets);
+    
+    const replies = [];
+    
+    for (const tweet of sampledTweets) {
+      try {
+        const { tweets: conversation, fromJson } = await this.readStatusPage(page, username, tweet.id, capture);
+        
+        // The page doesn't say what a reply answers, but replies to the
+        // focal tweet sit below it, so they are newer
+        const isReply = reply => (fromJson
+          ? reply.referencedTweetId === tweet.id
+          : XScraper.compareTweetIds(reply.id, tweet.id) > 0);
+        
+        const sample = conversation
+          .filter(reply => reply.id && reply.id !== tweet.id && XScraper.tweetAuthor(reply) !== handle && isReply(reply))
+          .sort((a, b) => (b.likes || 0) - (a.likes || 0))
+          .slice(0, this.config.replySampleSize);
+        
+        for (const reply of sample) {
+          replies.push({
+            id: reply.id,
+            parentId: tweet.id,
+            text: reply.text,
+            author: XScraper.tweetAuthor(reply),
+            likes: reply.likes,
+            timestamp: reply.timestamp,
+            url: reply.url
+          });
+        }
+      } catch (error) {
+        this.log.warn(`Could not sample replies of ${username}`, { tweetId: tweet.id, error: error.message });
+      }
+    }
+    
+    if (replies.length > 0) {
+      this.log.info(`Sampled ${replies.length} replies to ${sampledTweets.length} tweets of ${username}`);
+    }
+    
+    return replies;
+  }
+  
+  /**
+   * Load the status page of a tweet and read the tweets on it, from the
+   * captured TweetDetail JSON when there is any, otherwise from the page
+   */
+  async readStatusPage(page, username, tweetId, capture) {
+    await page.goto(`${this.config.baseUrl}/${username}/status/${tweetId}`, {
+      waitUntil: 'networkidle2',
+      timeout: this.config.navigationTimeout
+    });
+    
+    await page.waitForSelector(this.selectorList('posts.container'), { timeout: 10000 });
+    
+    if (capture) {
+      await capture.settle();
+      
+      const captured = capture.getConversation(tweetId);
+      
+      if (captured.length > 0) {
+        return { tweets: captured, fromJson: true };
+      }
+    }
+    
+    return { tweets: await this.extractVisibleTweets(page), fromJson: false };
+  }
+  
+  /**
+   * Set up a fresh page to look like a regular browser session
+   */
+  async preparePage(page, proxyDetails) {
+    // If using authenticated proxy, set up authentication (the shim in front
+    // of an authenticated SOCKS proxy logs in by itself)
+    if (proxyDetails && proxyDetails.auth && !ProxyManager.needsForwarder(proxyDetails)) {
+      await page.authenticate({
+        username: proxyDetails.auth.username,
+        password: proxyDetails.auth.password
+      });
+    }
+    
+    // Randomize user agent to avoid detection
+    const userAgents = [
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0',
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:89.0) Gecko/20100101 Firefox/89.0'
+    ];
+    
+    const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
+    await page.setUserAgent(randomUserAgent);
+    
+    // Set viewport size with slight randomization to look more human-like
+    const width = 1280 + Math.floor(Math.random() * 100);
+    const height = 1024 + Math.floor(Math.random() * 100);
+    await page.setViewport({ width, height });
+    
+    // Set navigation timeout
+    page.setDefaultNavigationTimeout(this.config.navigationTimeout);
+    
+    // Add a fingerprint
+    await this.addBrowserFingerprint(page);
+    
+    if (this.config.uiLanguage && !this.config.fixtureDir) {
+      await this.applyLanguage(page, this.config.uiLanguage);
+    }
+  }
+  
+  /**
+   * Make X render in a given language, whatever the proxy's location. X reads
+   * the lang cookie first and falls back to the Accept-Language header.
+   */
+  async applyLanguage(page, language) {
+    await page.setExtraHTTPHeaders({ 'Accept-Language': `${language},en;q=0.5` });
+    await page.setCookie({
+      name: 'lang',
+      value: language,
+      domain: `.${new URL(this.config.baseUrl).hostname.replace(/^www\./, '')}`,
+      path: '/'
+    });
+  }
+  
+  /**
+   * Navigate to a live profile page and make sure it loaded. Failures come
+   * back typed (see SCRAPE_ERRORS) so the caller knows how to recover.
+   */
+  async navigateToProfile(page, account, proxyDetails, options = {}) {
+    // Go to profile page, or a page under it (following, followers)
+    const profileUrl = `${this.config.baseUrl}/${account.username}${options.path ? `/${options.path}` : ''}`;
+    this.log.info(`Navigating to: ${profileUrl}`);
+    
+    // X's rate limits hit the API calls that fill the page in, not the page itself
+    let rateLimitedRequests = 0;
+    const countRateLimited = (response) => {
+      if (response.status() === 429) {
+        rateLimitedRequests++;
+      }
+    };
+    
+    page.on('response', countRateLimited);
+    
+    // Navigate to the profile
+    let response;
+    const startedAt = Date.now();
+    
+    try {
+      response = await page.goto(profileUrl, {
+        waitUntil: 'networkidle2'
+      });
+    } catch (error) {
+      this.recordProxyResult(proxyDetails, PageClassifier.scrapeError(this.classifyException(error, proxyDetails), error.message));
+      throw error;
+    } finally {
+      page.off('response', countRateLimited);
+    }
+    
+    const statusCode = response ? response.status() : null;
+    const latency = Date.now() - startedAt;
+    
+    // Every way out below feeds the proxy's score
+    const finish = result => {
+      this.recordProxyResult(proxyDetails, result, { latency, statusCode });
+      return result;
+    };
+    
+    // Check for rate limit, login and CAPTCHA screens before the status,
+    // X serves most of them with a 200
+    const pageError = await this.pageClassifier.classifyPage(page, { statusCode, rateLimitedRequests });
+    
+    if (pageError) {
+      this.log.warn(`X showed ${pageError.errorCode} instead of ${account.username}`, {
+        reason: pageError.reason,
+        url: page.url()
+      });
+      
+      // Take screenshot of error
+      await this.takeScreenshot(page, `${account.username}_${pageError.errorCode}_${Date.now()}.png`);
+      
+      return finish(PageClassifier.scrapeError(pageError.errorCode, pageError.reason, { usingProxy: !!proxyDetails }));
+    }
+    
+    // Check for errors
+    if (!response || !response.ok()) {
+      const error = `Failed to load profile page: ${statusCode || 'unknown'}`;
+      this.log.error(error, { url: profileUrl, statusCode });
+      
+      // Take screenshot of error
+      await this.takeScreenshot(page, `${account.username}_error_${Date.now()}.png`);
+      
+      // 407 comes from the proxy, not from X
+      return finish(PageClassifier.scrapeError(statusCode === 407 ? 'proxyError' : 'httpError', error, {
+        usingProxy: !!proxyDetails
+      }));
+    }
+    
+    // Check if we're on the correct page. Landing on another profile means the
+    // account was renamed, which the page classifier reports
+    const url = page.url();
+    if (!url.toLowerCase().includes(account.username.toLowerCase()) && !PageClassifier.handleFromUrl(url)) {
+      const error = 'Redirected to another page, account may not exist';
+      this.log.error(error, { expectedUrl: profileUrl, actualUrl: url });
+      
+      // Take screenshot of error
+      await this.takeScreenshot(page, `${account.username}_redirect_${Date.now()}.png`);
+      
+      return finish(PageClassifier.scrapeError('redirected', error));
+    }
+    
+    return finish({ success: true });
+  }
+  
+  /**
+   * Feed a page load through a proxy into the proxy's score. Rate limits,
+   * CAPTCHAs and 403s count as blocks of its IP. Login walls and X's own
+   * errors aren't the proxy's doing and are left out.
+   */
+  recordProxyResult(proxyDetails, result, details = {}) {
+    if (!proxyDetails || !this.proxyManager) {
+      return;
+    }
+    
+    const { latency = null, statusCode = null } = details;
+    
+    if (result.success || result.errorCode === 'redirected') {
+      this.proxyManager.recordResult(proxyDetails.id, { success: true, latency });
+    } else if (['rateLimited', 'captcha'].includes(result.errorCode) || statusCode === 403) {
+      this.proxyManager.recordResult(proxyDetails.id, {
+        success: false,
+        banned: statusCode === 403 ? 'forbidden' : result.errorCode
+      });
+    } else if (['proxyError', 'timeout'].includes(result.errorCode)) {
+      this.proxyManager.recordResult(proxyDetails.id, { success: false });
+    }
+  }
+  
+  /**
+   * Map an exception thrown during a scrape to a typed error code. Only
+   * failures of the connection through the proxy count as proxy errors.
+   */
+  classifyException(error, proxyDetails) {
+    if (proxyDetails && this.proxyManager && this.proxyManager.isProxyError(error)) {
+      return 'proxyError';
+    }
+    
+    if (error && error.name === 'TimeoutError') {
+      return 'timeout';
+    }
+    
+    return 'unknown';
+  }
+  
+  /**
+   * Get the snapshot paths for an account inside a fixture directory
+   */
+  getFixturePaths(username, fixtureDir = this.config.fixtureDir) {
+    const baseName = username.toLowerCase();
+    
+    return {
+      html: path.join(fixtureDir, `${baseName}.html`),
+      expected: path.join(fixtureDir, `${baseName}.json`)
+    };
+  }
+  
+  /**
+   * Load a saved profile snapshot into the page instead of navigating to X
+   */
+  async loadFixture(page, account) {
+    const { html } = this.getFixturePaths(account.username);
+    this.log.info(`Loading fixture: ${html}`);
+    
+    const content = await fs.readFile(html, 'utf8');
+    
+    // Scripts are stripped so the snapshot stays static and never calls out to X
+    await page.setContent(XScraper.stripScripts(content), {
+      waitUntil: 'domcontentloaded'
+    });
+  }
+  
+  /**
+   * Save a live profile page as a fixture, along with the metrics replay extracts from it
+   */
+  async captureFixture(account, fixtureDir = this.config.fixtureDir) {
+    if (!account || !account.username) {
+      throw new Error('Invalid account: username is required');
+    }
+    
+    if (!fixtureDir) {
+      throw new Error('A fixture directory is required to capture a snapshot');
+    }
+    
+    let browser;
+    let browserId;
+    let proxyDetails;
+    let page;
+    
+    try {
+      this.log.info(`Capturing fixture for account: ${account.username}`);
+      
+      ({ browser, browserId, proxyDetails } = await this.getBrowser());
+      
+      page = await browser.newPage();
+      await this.preparePage(page, proxyDetails);
+      
+      const navigation = await this.navigateToProfile(page, account, proxyDetails);
+      
+      if (!navigation.success) {
+        return navigation;
+      }
+      
+      // Wait for the timeline so the snapshot contains tweets
+      await page.waitForSelector(this.selectorList('profile.name'), { timeout: 10000 });
+      await page.waitForSelector(this.selectorList('posts.container'), { timeout: 10000 });
+      
+      const html = XScraper.stripScripts(await page.content());
+      
+      // Replay the snapshot so the expected metrics are exactly what fixture mode produces
+      await page.setContent(html, { waitUntil: 'domcontentloaded' });
+      const metrics = await this.extractMetrics(page, account, { staticPage: true });
+      
+      const paths = this.getFixturePaths(account.username, fixtureDir);
+      await fs.mkdir(fixtureDir, { recursive: true });
+      await fs.writeFile(paths.html, html, 'utf8');
+      await fs.writeFile(paths.expected, JSON.stringify({
+        username: account.username,
+        capturedAt: new Date().toISOString(),
+        metrics
+      }, null, 2), 'utf8');
+      
+      this.log.info(`Fixture saved for ${account.username}`, paths);
+      
+      return {
+        success: true,
+        paths,
+        metrics
+      };
+    } catch (error) {
+      this.log.error(`Error capturing fixture: ${account.username}`, { error });
+      
+      return {
+        success: false,
+        error: error.message || 'Unknown error during fixture capture'
+      };
+    } finally {
+      if (page) {
+        try {
+          await page.close();
+        } catch (err) {
+          this.log.error('Error closing page', { error: err });
+        }
+      }
+      
+      // Captures are one-off runs, so don't keep the browser around
+      if (browser) {
+        try {
+          await browser.close();
+          this.browsers.delete(browserId);
+        } catch (err) {
+          this.log.error('Error closing capture browser', { error: err, browserId });
+        }
+      }
+    }
+  }
+  
+  /**
+   * Scroll an account's timeline back in time, collecting tweets older than the
+   * checkpoint of the previous run. Stops at untilDate, after maxTweets in total,
+   * at the end of the timeline, or after chunkSize new tweets so the run can be
+   * resumed from the returned checkpoint.
+   */
+  async backfillAccount(account, options = {}) {
+    const {
+      untilDate = null,
+      maxTweets = this.config.backfillMaxTweets,
+      chunkSize = this.config.backfillChunkSize,
+      checkpoint = null
+    } = options;
+    
+    if (!account || !account.username) {
+      this.log.error('Invalid account for backfill', { account });
+      return {
+        success: false,
+        error: 'Invalid account: username is required'
+      };
+    }
+    
+    const until = untilDate ? new Date(untilDate) : null;
+    const resumeFrom = checkpoint?.oldestTweetId || null;
+    const progress = {
+      oldestTweetId: checkpoint?.oldestTweetId || null,
+      oldestTimestamp: checkpoint?.oldestTimestamp || null,
+      collected: checkpoint?.collected || 0
+    };
+    
+    let browser;
+    let browserId;
+    let proxyDetails;
+    let page;
+    let session = null;
+    let loggedOut = false;
+    
+    try {
+      this.log.info(`Backfilling account: ${account.username}`, { untilDate, maxTweets, resumeFrom });
+      
+      ({ browser, browserId, proxyDetails } = await this.getBrowser({ account }));
+      
+      page = await browser.newPage();
+      await this.preparePage(page, proxyDetails);
+      
+      if (this.config.fixtureDir) {
+        await this.loadFixture(page, account);
+      } else {
+        let navigation;
+        ({ navigation, session } = await this.openProfile(page, account, proxyDetails));
+        
+        if (!navigation.success) {
+          return navigation;
+        }
+      }
+      
+      await page.waitForSelector(this.selectorList('posts.container'), { timeout: 10000 });
+      
+      const tweets = [];
+      const seen = new Set();
+      let emptyScrolls = 0;
+      let reason = null;
+      
+      while (!reason) {
+        // Any tweet not seen before means the timeline is still loading, even
+        // the ones above the checkpoint a resumed run scrolls back past
+        let loaded = 0;
+        
+        for (const tweet of await this.extractVisibleTweets(page)) {
+          if (!tweet.id || seen.has(tweet.id)) continue;
+          seen.add(tweet.id);
+          loaded++;
+          
+          // Pinned tweets are picked up by regular scrapes, and retweets belong to other accounts
+          if (tweet.type === 'pinned' || tweet.type === 'retweet') continue;
+          
+          // Everything down to the checkpoint was stored by an earlier run
+          if (resumeFrom && XScraper.compareTweetIds(tweet.id, resumeFrom) >= 0) continue;
+          
+          if (until && tweet.timestamp && new Date(tweet.timestamp) < until) {
+            reason = 'reachedDate';
+            break;
+          }
+          
+          if (!progress.oldestTweetId || XScraper.compareTweetIds(tweet.id, progress.oldestTweetId) < 0) {
+            progress.oldestTweetId = tweet.id;
+            progress.oldestTimestamp = tweet.timestamp;
+          }
+          
+          progress.collected++;
+          tweets.push(tweet);
+          
+          if (progress.collected >= maxTweets) {
+            reason = 'reachedCount';
+            break;
+          }
+          
+          if (tweets.length >= chunkSize) {
+            reason = 'chunkComplete';
+            break;
+          }
+        }
+        
+        if (reason) break;
+        
+        emptyScrolls = loaded > 0 ? 0 : emptyScrolls + 1;
+        
+        // A login wall stops the timeline loading, the next run picks another session
+        if (loaded === 0 && session && await this.sessionManager.isLoggedOut(page)) {
+          loggedOut = true;
+          throw new Error(`Session ${session.username} was logged out during backfill`);
+        }
+        
+        // Snapshots can't scroll, and X stops loading at some point
+        if (this.config.fixtureDir || emptyScrolls >= this.config.backfillMaxEmptyScrolls) {
+          reason = 'endOfTimeline';
+          break;
+        }
+        
+        await this.autoScroll(page);
+        
+        // Rate limit scrolling, backfills can run for a long time
+        await page.waitForTimeout(this.config.backfillScrollDelay);
+      }
+      
+      this.log.info(`Backfill run for ${account.username} finished: ${reason}`, {
+        tweets: tweets.length,
+        ...progress
+      });
+      
+      return {
+        success: true,
+        tweets,
+        threads: XScraper.groupThreads(tweets, account.username),
+        checkpoint: progress,
+        done: reason !== 'chunkComplete',
+        reason
+      };
+    } catch (error) {
+      this.log.error(`Error backfilling account: ${account.username}`, { error });
+      
+      return {
+        success: false,
+        error: error.message || 'Unknown error during backfill',
+        checkpoint: progress
+      };
+    } finally {
+      await this.releaseSession(session, page, loggedOut);
+      await this.releasePage(page, browserId);
+    }
+  }
+  
+  /**
+   * Page through the accounts a profile follows (direction 'following') or
+   * its followers ('followers'), newest first as X lists them, up to
+   * maxUsers. complete is set when the end of the list was reached, so
+   * anyone missing from it is no longer on it. X only shows these lists to
+   * logged-in visitors.
+   */
+  async scrapeFollowList(account, options = {}) {
+    const { direction = 'following', maxUsers = this.config.maxFollowListUsers } = options;
+    
+    if (!account || !account.username) {
+      this.log.error('Invalid account for follow list', { account });
+      return {
+        success: false,
+        error: 'Invalid account: username is required'
+      };
+    }
+    
+    if (!['following', 'followers'].includes(direction)) {
+      return {
+        success: false,
+        error: `Unknown follow list: ${direction}`
+      };
+    }
+    
+    if (this.config.fixtureDir) {
+      return {
+        success: false,
+        error: 'Follow lists are not available from fixtures'
+      };
+    }
+    
+    if (!this.sessionManager || !this.sessionManager.hasSessions()) {
+      return PageClassifier.scrapeError('loginRequired', 'Follow lists need a logged-in session, none are configured');
+    }
+    
+    let browser;
+    let browserId;
+    let proxyDetails;
+    let page;
+    let session = null;
+    let loggedOut = false;
+    let capture = null;
+    
+    try {
+      this.log.info(`Reading ${direction} list of ${account.username}`, { maxUsers });
+      
+      ({ browser, browserId, proxyDetails } = await this.getBrowser({ account }));
+      
+      page = await browser.newPage();
+      await this.preparePage(page, proxyDetails);
+      
+      if (this.config.captureGraphQL) {
+        capture = new GraphQLCapture().attach(page);
+      }
+      
+      let navigation;
+      ({ navigation, session } = await this.openProfile(page, account, proxyDetails, { path: direction }));
+      
+      if (!navigation.success) {
+        return navigation;
+      }
+      
+      if (!session) {
+        return PageClassifier.scrapeError('loginRequired', 'Follow lists need a logged-in session');
+      }
+      
+      await page.waitForSelector(this.selectorList('follows.userCell'), { timeout: 10000 });
+      
+      const operation = direction === 'following' ? 'Following' : 'Followers';
+      const users = [];
+      const seen = new Set();
+      let emptyScrolls = 0;
+      let complete = false;
+      
+      while (users.length < maxUsers) {
+        let found = 0;
+        
+        for (const user of await this.readLoadedUsers(page, capture, operation)) {
+          const key = user.username.toLowerCase();
+          
+          if (seen.has(key)) continue;
+          seen.add(key);
+          
+          users.push(user);
+          found++;
+          
+          if (users.length >= maxUsers) break;
+        }
+        
+        if (users.length >= maxUsers) break;
+        
+        emptyScrolls = found > 0 ? 0 : emptyScrolls + 1;
+        
+        if (found === 0 && await this.sessionManager.isLoggedOut(page)) {
+          loggedOut = true;
+          throw new Error(`Session ${session.username} was logged out while reading ${direction}`);
+        }
+        
+        if (emptyScrolls >= this.config.backfillMaxEmptyScrolls) {
+          complete = true;
+          break;
+        }
+        
+        await this.autoScroll(page);
+        
+        // Same pace as backfills, these lists can run into the thousands
+        await page.waitForTimeout(this.config.backfillScrollDelay);
+      }
+      
+      this.log.info(`Read ${users.length} ${direction} of ${account.username}`, { complete });
+      
+      return {
+        success: true,
+        direction,
+        users,
+        complete
+      };
+    } catch (error) {
+      this.log.error(`Error reading ${direction} of ${account.username}`, { error });
+      
+      return PageClassifier.scrapeError(
+        this.classifyException(error, proxyDetails),
+        error.message || 'Unknown error reading follow list',
+        { proxyId: proxyDetails ? proxyDetails.id : null }
+      );
+    } finally {
+      if (capture) {
+        capture.detach();
+      }
+      
+      await this.releaseSession(session, page, loggedOut);
+      await this.releasePage(page, browserId);
+    }
+  }
+  
+  /**
+   * Get the users of a follow list loaded so far: from the captured JSON
+   * when there is any, otherwise the user cells rendered on the page
+   */
+  async readLoadedUsers(page, capture, operation) {
+    if (capture) {
+      await capture.settle();
+      
+      const captured = capture.getUserList(operation);
+      
+      if (captured.length > 0) {
+        return captured;
+      }
+    }
+    
+    return this.extractVisibleUsers(page);
+  }
+  
+  /**
+   * Extract the users currently rendered in a follow list ({ id, username, name, verified })
+   */
+  async extractVisibleUsers(page) {
+    const cellSelectors = this.selectorRegistry.get('follows.userCell');
+    
+    const { users, index } = await page.evaluate((cellSelectors) => {
+      for (let i = 0; i < cellSelectors.length; i++) {
+        const cells = document.querySelectorAll(cellSelectors[i]);
+        
+        if (cells.length === 0) continue;
+        
+        const users = [];
+        
+        for (const cell of cells) {
+          // The name links to the profile, next to the @handle
+          const nameLink = Array.from(cell.querySelectorAll('a[href^="/"]'))
+            .find(link => /^\/\w{1,15}$/.test(link.getAttribute('href')) &&
+              link.textContent.trim() && !link.textContent.trim().startsWith('@'));
+          const handleMatch = cell.textContent.match(/@(\w{1,15})/);
+          const username = nameLink ? nameLink.getAttribute('href').slice(1) : (handleMatch ? handleMatch[1] : null);
+          
+          if (!username) continue;
+          
+          users.push({
+            id: null,
+            username,
+            name: nameLink ? nameLink.textContent.trim() : null,
+            verified: !!cell.querySelector('[data-testid="icon-verified"]')
+          });
+        }
+        
+        return { users, index: i };
+      }
+      
+      return { users: [], index: -1 };
+    }, cellSelectors);
+    
+    this.selectorRegistry.recordMatch('follows.userCell', index);
+    
+    return users;
+  }
+  
+  /**
+   * Join a field's fallback selectors into one selector list, for waiting on any of them
+   */
+  selectorList(field) {
+    return this.selectorRegistry.get(field).join(', ');
+  }
+  
+  /**
+   * Take a screenshot during scraping
+   */
+  async takeScreenshot(page, filename) {
+    try {
+      if (!page) return;
+      
+      const filePath = path.join(this.config.screenshotPath, filename);
+      await page.screenshot({ path: filePath, fullPage: true });
+      this.log.debug(`Screenshot saved: ${filePath}`);
+    } catch (error) {
+      this.log.error('Error taking screenshot', { error, filename });
+    }
+  }
+  
+  /**
+   * Extract metrics from an X profile page
+   */
+  async extractMetrics(page, account, options = {}) {
+    const { metrics } = await this.extractProfile(page, account, options);
+    return metrics;
+  }
+  
+  /**
+   * Extract metrics and the captured tweets from an X profile page. With a
+   * GraphQLCapture attached, the profile and tweets come from the JSON the
+   * page loaded and the DOM is only read for whatever wasn't captured.
+   */
+  async extractProfile(page, account, options = {}) {
+    // Snapshots can't load more tweets, so there is no point scrolling them
+    const {
+      staticPage = !!this.config.fixtureDir,
+      sinceId = account.lastSeenTweetId || null,
+      capture = null,
+      username = account.username
+    } = options;
+    
+    try {
+      if (capture) {
+        await capture.settle();
+      }
+      
+      const capturedUser = capture ? capture.getUser(username) : null;
+      
+      // Get basic user info, exact from the JSON when it was captured
+      let userInfo;
+      
+      if (capturedUser) {
+        userInfo = XScraper.userInfoFromGraphQL(capturedUser);
+      } else {
+        // Wait for the profile to load
+        await page.waitForSelector(this.selectorList('profile.name'), { timeout: 10000 });
+        
+        userInfo = await this.extractUserInfo(page);
+      }
+      
+      // Extract recent tweets, paging back to the last seen tweet if there are more new ones
+      const userId = capturedUser ? capturedUser.id : null;
+      const tweets = await this.extractRecentTweets(page, this.config.tweetsPerRun, {
+        scroll: !staticPage,
+        sinceId,
+        maxDepth: this.config.maxTweetDepth,
+        capture,
+        userId
+      });
+      
+      // Calculate engagement metrics over the latest tweets, however deep the run paged
+      const engagement = this.calculateEngagementMetrics(tweets.slice(0, this.config.tweetsPerRun));
+      
+      // Score how much of the page was actually extracted, and where it was read from
+      const extraction = this.assessExtraction(userInfo, tweets);
+      extraction.source = {
+        profile: capturedUser ? 'graphql' : 'dom',
+        tweets: capture && capture.getTweets(userId).length > 0 ? 'graphql' : 'dom'
+      };
+      
+      // Return metrics, with the tweets they were calculated from
+      const metrics = {
+        followers: userInfo.followers,
+        following: userInfo.following,
+        tweets: userInfo.tweets,
+        name: userInfo.name,
+        description: userInfo.description,
+        location: userInfo.location,
+        url: userInfo.url,
+        joinDate: userInfo.joinDate,
+        verified: userInfo.verified,
+        avatar: userInfo.avatar || null,
+        banner: userInfo.banner || null,
+        recentTweetCount: tweets.length,
+        engagement,
+        extraction,
+        timestamp: new Date().toISOString()
+      };
+      
+      return { metrics, tweets, timeline: XScraper.summarizeTimeline(tweets, sinceId) };
+    } catch (error) {
+      this.log.error('Error extracting metrics', { error, username: account.username });
+      throw error;
+    }
+  }
+  
+  /**
+   * Extract user info from profile page
+   */
+  async extractUserInfo(page) {
+    try {
+      const selectors = this.selectorRegistry.getGroup('profile');
+      
+      // Counts come back as raw text and are parsed below, since XScraper
+      // isn't available inside the page. Labels are matched in the page's language.
+      const { info, matches, locale } = await page.evaluate((selectors, localeLabels) => {
+        const lang = (document.documentElement.lang || '').toLowerCase().split(/[-_]/)[0];
+        const locale = localeLabels[lang] ? lang : 'en';
+        const labels = localeLabels[locale];
+        const hasLabel = (text, list) => list.some(label => text.toLowerCase().includes(label.toLowerCase()));
+        
+        // Try each fallback selector in order, remembering which one matched
+        const queryFirst = (list = []) => {
+          for (let i = 0; i < list.length; i++) {
+            const el = document.querySelector(list[i]);
+            if (el) return { el, index: i };
+          }
+          return { el: null, index: -1 };
+        };
+        
+        const matches = {};
+        const text = (field) => {
+          const { el, index } = queryFirst(selectors[field]);
+          matches[field] = index;
+          return el ? el.textContent.trim() : null;
+        };
+        
+        const avatar = queryFirst(selectors.avatar);
+        const banner = queryFirst(selectors.banner);
+        matches.avatar = avatar.index;
+        matches.banner = banner.index;
+        
+        const info = {
+          name: text('name'),
+          description: text('bio'),
+          location: text('location'),
+          url: text('url'),
+          joinDate: text('joinDate'),
+          verified: text('verified') !== null,
+          avatar: avatar.el ? avatar.el.getAttribute('src') : null,
+          banner: banner.el ? banner.el.getAttribute('src') : null
+        };
+        
+        // Get follower, following, and tweet counts from the profile stats
+        const stats = { followers: null, following: null, tweets: null };
+        matches.stats = -1;
+        
+        for (let i = 0; i < (selectors.stats || []).length; i++) {
+          const statsElements = document.querySelectorAll(selectors.stats[i]);
+          
+          for (const stat of statsElements) {
+            const statText = stat.textContent;
+            if (statText && statText.match(/\d/)) {
+              const parentText = stat.parentElement?.textContent || '';
+              
+              if (hasLabel(parentText, labels.followers)) {
+                stats.followers = statText;
+              } else if (hasLabel(parentText, labels.following)) {
+                stats.following = statText;
+              } else if (hasLabel(parentText, labels.posts)) {
+                stats.tweets = statText;
+              }
+            }
+          }
+          
+          if (stats.followers !== null || stats.following !== null || stats.tweets !== null) {
+            matches.stats = i;
+            break;
+          }
+        }
+        
+        Object.assign(info, stats);
+        
+        return { info, matches, locale };
+      }, selectors, LOCALE_LABELS);
+      
+      this.selectorRegistry.recordMatches('profile', matches);
+      this.log.debug(`Reading profile in locale ${locale}`);
+      
+      // Confidence per field, from which fallback matched and whether it held a value
+      const confidence = {};
+      const textFields = { name: 'name', description: 'bio', location: 'location', url: 'url', joinDate: 'joinDate' };
+      
+      for (const [field, selectorField] of Object.entries(textFields)) {
+        confidence[field] = info[field] ? XScraper.selectorConfidence(matches[selectorField]) : 0;
+      }
+      
+      for (const field of ['followers', 'following', 'tweets']) {
+        confidence[field] = info[field] !== null ? XScraper.selectorConfidence(matches.stats) : 0;
+      }
+      
+      return {
+        ...info,
+        followers: XScraper.parseCount(info.followers, locale),
+        following: XScraper.parseCount(info.following, locale),
+        tweets: XScraper.parseCount(info.tweets, locale),
+        confidence
+      };
+    } catch (error) {
+      this.log.error('Error extracting user info', { error });
+      return {
+        followers: 0,
+        following: 0,
+        tweets: 0,
+        confidence: {}
+      };
+    }
+  }
+  
+  /**
+   * Extract recent tweets from profile page. Given the id of the last tweet
+   * seen (sinceId), scrolling stops once it's reached, or keeps going past
+   * count (up to maxDepth tweets) until it is. With a capture and the
+   * account's userId, tweets are read from the captured UserTweets JSON.
+   */
+  async extractRecentTweets(page, count = 10, options = {}) {
+    const { scroll = true, sinceId = null, maxDepth = count, capture = null, userId = null } = options;
+    const limit = sinceId ? Math.max(count, maxDepth) : count;
+    
+    try {
+      // Wait for tweets to load, unless the timeline already came in as JSON
+      if (!capture || capture.getTweets(userId).length === 0) {
+        await page.waitForSelector(this.selectorList('posts.container'), { timeout: 10000 });
+      }
+      
+      // Need to scroll to load more tweets
+      const tweets = [];
+      let previousTweetCount = -1;
+      
+      while (tweets.length < limit && tweets.length !== previousTweetCount) {
+        previousTweetCount = tweets.length;
+        
+        // Extract tweets loaded so far
+        const newTweets = await this.readLoadedTweets(page, capture, userId);
+        
+        // Add new unique tweets to our collection
+        for (const tweet of newTweets) {
+          if (tweet.id && !tweets.some(t => t.id === tweet.id)) {
+            tweets.push(tweet);
+          }
+        }
+        
+        // Tweets below the last seen one were captured by earlier runs
+        if (sinceId && XScraper.summarizeTimeline(tweets, sinceId).caughtUp) {
+          break;
+        }
+        
+        // If we have enough tweets, or can't load more, break
+        if (tweets.length >= limit || !scroll) {
+          break;
+        }
+        
+        // Scroll to load more tweets
+        await this.autoScroll(page);
+        
+        // Wait a bit for new tweets to load
+        await page.waitForTimeout(1000);
+      }
+      
+      // Return the requested number of tweets
+      return tweets.slice(0, limit);
+    } catch (error) {
+      this.log.error('Error extracting recent tweets', { error });
+      return [];
+    }
+  }
+  
+  /**
+   * Get the tweets loaded so far: everything in the captured UserTweets JSON
+   * when there is any, otherwise the tweets rendered on the page
+   */
+  async readLoadedTweets(page, capture, userId) {
+    if (capture) {
+      await capture.settle();
+      
+      const captured = capture.getTweets(userId);
+      
+      if (captured.length > 0) {
+        return captured;
+      }
+    }
+    
+    return this.extractVisibleTweets(page);
+  }
+  
+  /**
+   * Extract the tweets currently rendered on the page, with their counts parsed
+   */
+  async extractVisibleTweets(page) {
+    const selectors = this.selectorRegistry.getGroup('posts');
+    
+    const { tweets, matches, locale } = await page.evaluate((selectors, localeLabels) => {
+      // Labels (pinned, reposted, ...) are matched in the page's language
+      const lang = (document.documentElement.lang || '').toLowerCase().split(/[-_]/)[0];
+      const locale = localeLabels[lang] ? lang : 'en';
+      const labels = localeLabels[locale];
+      const hasLabel = (text, list) => list.some(label => text.toLowerCase().includes(label.toLowerCase()));
+      const isReplyContext = (text) => (labels.replyingTo.prefix && text.startsWith(labels.replyingTo.prefix)) ||
+        (labels.replyingTo.suffix && text.endsWith(labels.replyingTo.suffix));
+      
+      // Try each fallback selector in order, remembering which one matched
+      const queryFirst = (root, list = []) => {
+        for (let i = 0; i < list.length; i++) {
+          const el = root.querySelector(list[i]);
+          if (el) return { el, index: i };
+        }
+        return { el: null, index: -1 };
+      };
+      
+      // Containers are found with the first fallback that matches anything
+      let tweetElements = [];
+      const matches = [{ container: -1 }];
+      
+      for (let i = 0; i < (selectors.container || []).length; i++) {
+        tweetElements = document.querySelectorAll(selectors.container[i]);
+        if (tweetElements.length > 0) {
+          matches[0].container = i;
+          break;
+        }
+      }
+      
+      // Handle of the author shown in a tweet (or in a quoted tweet inside it)
+      const handleIn = (root) => {
+        const { el } = queryFirst(root, selectors.author);
+        const match = el ? el.textContent.match(/@(\w{1,15})/) : null;
+        return match ? match[1] : null;
+      };
+      
+      const statusIdIn = (root) => {
+        const linkEl = root.querySelector('a[href*="/status/"]');
+        const match = linkEl ? linkEl.getAttribute('href').match(/\/status\/(\d+)/) : null;
+        return match ? match[1] : null;
+      };
+      
+      // Tweet ids grow over time, so the shorter or lower of two is older
+      const isOlder = (a, b) => (a.length === b.length ? a < b : a.length < b.length);
+      
+      const extractedTweets = [];
+      let previous = null; // Id and author of the tweet rendered just above
+      
+      for (const tweet of tweetElements) {
+        const above = previous;
+        previous = null;
+        
+        // Skip ads, suggested tweets, etc.
+        if (hasLabel(tweet.textContent, labels.promoted)) {
+          continue;
+        }
+        
+        // Get tweet text
+        const tweetTextMatch = queryFirst(tweet, selectors.text);
+        const tweetText = tweetTextMatch.el ? tweetTextMatch.el.textContent.trim() : null;
+        
+        // Skip if not a primary tweet
+        if (!tweetText) continue;
+        
+        const tweetMatches = { text: tweetTextMatch.index };
+        
+        // Classify the tweet, recording the tweet or user it refers to
+        const socialContextEl = queryFirst(tweet, selectors.socialContext).el;
+        const socialContext = socialContextEl ? socialContextEl.textContent.trim() : '';
+        const quotedMatch = queryFirst(tweet, selectors.quotedTweet);
+        const quotedEl = quotedMatch.el ? (quotedMatch.el.closest('[role="link"]') || quotedMatch.el) : null;
+        const replyContextEl = Array.from(tweet.querySelectorAll('div, span'))
+          .find(el => isReplyContext(el.textContent.trim()) && el.querySelector('a[href^="/"]'));
+        
+        let type = 'original';
+        let referencedTweetId = null;
+        let referencedUser = null;
+        
+        if (hasLabel(socialContext, labels.pinned)) {
+          type = 'pinned';
+        } else if (hasLabel(socialContext, labels.reposted)) {
+          // The tweet shown is someone else's; its author is the referenced user
+          type = 'retweet';
+          referencedTweetId = statusIdIn(tweet);
+          referencedUser = handleIn(tweet);
+        } else if (quotedEl) {
+          type = 'quote';
+          referencedTweetId = statusIdIn(quotedEl);
+          referencedUser = handleIn(quotedEl);
+        } else if (replyContextEl) {
+          type = 'reply';
+          const replyLink = replyContextEl.querySelector('a[href^="/"]');
+          referencedUser = replyLink.getAttribute('href').slice(1);
+        }
+        
+        // Get engagement metrics
+        // (null when the button itself is missing, so it isn't mistaken for zero)
+        const stats = { likes: null, retweets: null, replies: null };
+        
+        for (const metric of Object.keys(stats)) {
+          const { el, index } = queryFirst(tweet, selectors[`metrics.${metric}`]);
+          tweetMatches[`metrics.${metric}`] = index;
+          
+          if (el) {
+            const countEl = el.querySelector('[aria-hidden="true"]') || el;
+            stats[metric] = countEl.textContent.trim() || '0';
+          }
+        }
+        
+        // Views, quotes and bookmarks are only shown on some tweets, so a miss isn't recorded
+        for (const metric of ['views', 'quotes', 'bookmarks']) {
+          const { el } = queryFirst(tweet, selectors[`metrics.${metric}`]);
+          stats[metric] = null;
+          
+          if (el) {
+            const countEl = el.querySelector('[aria-hidden="true"], [data-testid="app-text-transition-container"]') || el;
+            stats[metric] = countEl.textContent.trim() || null;
+          }
+        }
+        
+        // The action bar label spells out every count, used for anything the buttons didn't show
+        const groupMatch = queryFirst(tweet, selectors.engagementGroup);
+        const engagementLabel = groupMatch.el ? groupMatch.el.getAttribute('aria-label') : null;
+        
+        // Get timestamp
+        const timestampMatch = queryFirst(tweet, selectors.time);
+        tweetMatches.time = timestampMatch.index;
+        const timestamp = timestampMatch.el ? timestampMatch.el.getAttribute('datetime') : null;
+        
+        // Get tweet URL
+        const linkMatch = queryFirst(tweet, selectors.link);
+        tweetMatches.link = linkMatch.index;
+        const tweetUrl = linkMatch.el ? linkMatch.el.getAttribute('href') : null;
+        
+        // Get tweet ID from URL
+        const idMatch = tweetUrl ? tweetUrl.match(/\/status\/(\d+)/) : null;
+        const tweetId = idMatch ? idMatch[1] : null;
+        
+        // A reply only links to the user it answers. When X shows the
+        // conversation, the tweet answered is rendered right above it, older
+        // than the reply, where the newest-first timeline would have a newer one.
+        if (type === 'reply' && tweetId && above && above.handle &&
+            above.handle.toLowerCase() === referencedUser.toLowerCase() && isOlder(above.id, tweetId)) {
+          referencedTweetId = above.id;
+        }
+        
+        if (tweetId) {
+          previous = { id: tweetId, handle: handleIn(tweet) };
+        }
+        
+        // Get attached media (no match is normal, so it isn't recorded),
+        // leaving out what belongs to a quoted tweet
+        const ownElement = (el) => !quotedEl || !quotedEl.contains(el);
+        const queryAllFirst = (list = []) => {
+          for (const selector of list) {
+            const elements = Array.from(tweet.querySelectorAll(selector)).filter(ownElement);
+            if (elements.length > 0) return elements;
+          }
+          return [];
+        };
+        
+        const media = [];
+        
+        for (const img of queryAllFirst(selectors.media)) {
+          const src = img.getAttribute('src');
+          if (src) media.push({ type: 'photo', url: src });
+        }
+        
+        // Videos and GIFs are kept as their poster frame
+        for (const video of queryAllFirst(selectors.video)) {
+          const poster = video.getAttribute('poster');
+          if (poster) media.push({ type: /tweet_video_thumb/.test(poster) ? 'gif' : 'video', url: poster });
+        }
+        
+        // Links in the text show the expanded URL, truncated with an ellipsis
+        const links = tweetTextMatch.el
+          ? Array.from(tweetTextMatch.el.querySelectorAll('a[href*="//t.co/"]'))
+            .map(link => link.textContent.trim().replace(/\u2026$/, ''))
+            .filter(Boolean)
+          : [];
+        
+        // Link preview card
+        const cardEl = queryFirst(tweet, selectors.card).el;
+        let card = null;
+        
+        if (cardEl && ownElement(cardEl)) {
+          const cardLink = cardEl.querySelector('a[href]');
+          const cardTitle = queryFirst(cardEl, selectors.cardTitle).el;
+          const cardDomain = queryFirst(cardEl, selectors.cardDomain).el;
+          
+          card = {
+            url: cardLink ? cardLink.getAttribute('href') : null,
+            title: cardTitle ? cardTitle.textContent.trim() : (cardLink && cardLink.getAttribute('aria-label')) || null,
+            domain: cardDomain ? cardDomain.textContent.trim() : null
+          };
+        }
+        
+        matches.push(tweetMatches);
+        extractedTweets.push({
+          id: tweetId,
+          text: tweetText,
+          url: tweetUrl ? `https://twitter.com${tweetUrl}` : null,
+          timestamp,
+          likes: stats.likes,
+          retweets: stats.retweets,
+          replies: stats.replies,
+          type,
+          referencedTweetId,
+          referencedUser,
+          views: stats.views,
+          quotes: stats.quotes,
+          bookmarks: stats.bookmarks,
+          engagementLabel,
+          mediaUrls: media.map(item => item.url),
+          media,
+          links,
+          card
+        });
+      }
+      
+      return { tweets: extractedTweets, matches, locale };
+    }, selectors, LOCALE_LABELS);
+    
+    for (const tweetMatches of matches) {
+      this.selectorRegistry.recordMatches('posts', tweetMatches);
+    }
+    
+    return tweets.map(tweet => {
+      const { engagementLabel, ...tweetData } = tweet;
+      const labelCounts = XScraper.parseEngagementLabel(engagementLabel, locale);
+      
+      for (const metric of ENGAGEMENT_METRICS) {
+        tweetData[metric] = tweet[metric] !== null
+          ? XScraper.parseCount(tweet[metric], locale)
+          : (labelCounts[metric] ?? null);
+      }
+      
+      // Cards show the domain as "From example.com" in the page's language
+      if (tweetData.card) {
+        tweetData.card.domain = XScraper.linkDomain(tweetData.card.domain);
+      }
+      
+      return tweetData;
+    });
+  }
+  
+  /**
+   * Static method to get the domain of a URL or a piece of text holding one
+   * ("https://www.example.com/a", "From example.com"), without www. Null if
+   * there is none.
+   */
+  static linkDomain(text) {
+    const match = (text || '').match(/(?:^|[\s/])((?:[a-z0-9-]+\.)+[a-z]{2,})(?=[/:?#\s]|$)/i);
+    return match ? match[1].toLowerCase().replace(/^www\./, '') : null;
+  }
+  
+  /**
+   * Static method to get the large rendition of a tweet photo URL
+   */
+  static fullSizeMediaUrl(url) {
+    return /[?&]name=\w+/.test(url) ? url.replace(/([?&])name=\w+/, '$1name=large') : url;
+  }
+  
+  /**
+   * Static method to get the largest size X serves of an avatar or banner URL
+   */
+  static fullSizeImageUrl(kind, url) {
+    if (kind === 'banner') {
+      return `${url.replace(/\/\d+x\d+$/, '')}/1500x500`;
+    }
+    
+    return url.replace(/_(normal|bigger|mini|\d+x\d+)(\.\w+)$/, '_400x400$2');
+  }
+  
+  /**
+   * Static method to build user info from a captured profile. Every field
+   * X returned is exact, so it gets full confidence.
+   */
+  static userInfoFromGraphQL(user) {
+    const { id, username, ...info } = user;
+    const confidence = {};
+    
+    for (const field of ['name', 'description', 'location', 'url', 'joinDate']) {
+      confidence[field] = info[field] ? 1 : 0;
+    }
+    
+    for (const field of ['followers', 'following', 'tweets']) {
+      confidence[field] = info[field] !== null ? 1 : 0;
+    }
+    
+    return { ...info, confidence };
+  }
+  
+  /**
+   * Score the extraction of a profile: confidence per field (0-1), the fields
+   * that couldn't be extracted, and whether a critical field is missing
+   */
+  assessExtraction(userInfo, tweets) {
+    const confidence = {
+      name: 0,
+      description: 0,
+      location: 0,
+      url: 0,
+      joinDate: 0,
+      followers: 0,
+      following: 0,
+      tweets: 0,
+      ...userInfo.confidence
+    };
+    
+    // No tweets is only suspicious when the profile says there should be some
+    const expectTweets = userInfo.tweets > 0 || confidence.tweets === 0;
+    confidence.recentTweets = tweets.length > 0 ? 1 : (expectTweets ? 0 : 1);
+    
+    // Share of engagement counts that were found across the extracted tweets
+    if (tweets.length > 0) {
+      const values = tweets.flatMap(tweet => [tweet.likes, tweet.retweets, tweet.replies]);
+      const found = values.filter(value => value !== null && value !== undefined).length;
+      confidence.engagement = Math.round((found / values.length) * 100) / 100;
+    } else {
+      confidence.engagement = confidence.recentTweets;
+    }
+    
+    const missingFields = Object.keys(confidence).filter(field => confidence[field] === 0);
+    const degraded = this.config.criticalFields.some(field => !confidence[field]);
+    const scores = Object.values(confidence);
+    
+    return {
+      score: Math.round((scores.reduce((sum, value) => sum + value, 0) / scores.length) * 100) / 100,
+      confidence,
+      missingFields,
+      degraded,
+      selectorVersion: this.selectorRegistry.version
+    };
+  }
+  
+  /**
+   * Get extraction health across all scrapes by this scraper
+   */
+  getExtractionStats() {
+    return {
+      ...this.extractionStats,
+      degradedRate: this.extractionStats.scrapes > 0
+        ? Math.round((this.extractionStats.degraded / this.extractionStats.scrapes) * 1000) / 1000
+        : 0
+    };
+  }
+  
+  /**
+   * Calculate engagement metrics from tweets, overall and per tweet type
+   */
+  calculateEngagementMetrics(tweets, options = {}) {
+    const { excludePinned = this.config.excludePinned } = options;
+    const allTweets = tweets || [];
+    
+    // Retweets show someone else's engagement, so they never count towards the account's averages
+    const counted = allTweets.filter(tweet => 
+      tweet.type !== 'retweet' && !(excludePinned && tweet.type === 'pinned')
+    );
+    
+    const byType = {};
+    for (const type of TWEET_TYPES) {
+      const ofType = allTweets.filter(tweet => (tweet.type || 'original') === type);
+      byType[type] = {
+        count: ofType.length,
+        ...this.averageEngagement(ofType)
+      };
+    }
+    
+    return {
+      ...this.averageEngagement(counted),
+      byType
+    };
+  }
+  
+  /**
+   * Average the engagement counts of a set of tweets
+   */
+  averageEngagement(tweets) {
+    if (!tweets || tweets.length === 0) {
+      return {
+        avgLikes: 0,
+        avgRetweets: 0,
+        avgReplies: 0,
+        avgViews: 0,
+        avgQuotes: 0,
+        avgBookmarks: 0
+      };
+    }
+    
+    const totalLikes = tweets.reduce((sum, tweet) => sum + (tweet.likes || 0), 0);
+    const totalRetweets = tweets.reduce((sum, tweet) => sum + (tweet.retweets || 0), 0);
+    const totalReplies = tweets.reduce((sum, tweet) => sum + (tweet.replies || 0), 0);
+    
+    // Views, quotes and bookmarks aren't shown on every tweet, so only average the ones that had them
+    const averageShown = (metric) => {
+      const shown = tweets.filter(tweet => tweet[metric] !== null && tweet[metric] !== undefined);
+      return shown.length > 0
+        ? Math.round(shown.reduce((sum, tweet) => sum + tweet[metric], 0) / shown.length)
+        : 0;
+    };
+    
+    return {
+      avgLikes: Math.round(totalLikes / tweets.length),
+      avgRetweets: Math.round(totalRetweets / tweets.length),
+      avgReplies: Math.round(totalReplies / tweets.length),
+      avgViews: averageShown('views'),
+      avgQuotes: averageShown('quotes'),
+      avgBookmarks: averageShown('bookmarks')
+    };
+  }
+  
+  /**
+   * Auto-scroll the page to load more content
+   */
+  async autoScroll(page) {
+    await page.evaluate(async () => {
+      await new Promise((resolve) => {
+        let totalHeight = 0;
+        const distance = 500;
+        const timer = setInterval(() => {
+          const scrollHeight = document.body.scrollHeight;
           window.scrollBy(0, distance);
           totalHeight += distance;
           
@@ -650,24 +2228,204 @@ class XScraper {
   }
   
   /**
-   * Static method to parse numeric counts with K, M, etc.
+   * Static method to parse a count as X renders it in a locale, e.g.
+   * "1,234" and "132.5M" (en), "132,5 Mio." (de), "12 345" (fr), "1.2万" (ja)
    */
-  static parseCount(countText) {
+  static parseCount(countText, locale = DEFAULT_LOCALE) {
     if (!countText) return 0;
     
-    // Remove commas
-    let text = countText.replace(/,/g, '');
+    const { decimal, units } = LOCALES[resolveLocale(locale)];
+    
+    // Some locales group thousands with non-breaking or narrow spaces
+    const text = String(countText).replace(/[\u00a0\u202f\u2009]/g, ' ').trim();
+    const match = text.match(/\d[\d.,' ]*/);
+    
+    if (!match) return 0;
+    
+    // Any separator but the locale's decimal one groups thousands
+    const digits = match[0].replace(/[.,' ]+$/, '');
+    const value = parseFloat(digits.split(decimal).map(part => part.replace(/\D/g, '')).join('.'));
+    
+    // Abbreviation right after the number, longest first so "mil M" wins over "mil",
+    // and not the start of a word ("5 bookmarks" isn't 5 billion)
+    const rest = text.slice(match.index + digits.length).trim().toLowerCase();
+    const unit = Object.keys(units)
+      .sort((a, b) => b.length - a.length)
+      .find(abbreviation => rest.startsWith(abbreviation.toLowerCase()) &&
+        !/^[a-z\u00c0-\u024f]/i.test(rest.slice(abbreviation.length)));
+    
+    return Math.round(value * (unit ? units[unit] : 1)) || 0;
+  }
+  
+  /**
+   * Static method to turn the index of the matched fallback selector into a confidence
+   */
+  static selectorConfidence(index) {
+    if (index === undefined || index === null || index < 0) return 0;
+    
+    // Each fallback further down the list is a little less trusted than the primary
+    return Math.max(0.5, 1 - index * 0.1);
+  }
+  
+  /**
+   * Static method to compare two tweet ids. They are too large for a Number,
+   * but newer tweets always have longer or higher ids.
+   */
+  static compareTweetIds(a, b) {
+    const left = String(a);
+    const right = String(b);
+    
+    if (left.length !== right.length) {
+      return left.length - right.length;
+    }
+    
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  
+  /**
+   * Static method to group an account's self-replies into threads. Each
+   * thread lists its post ids oldest first; it is complete when its first
+   * post starts the thread, otherwise replyTo is the post it continues.
+   * A lone self-reply whose parent isn't known, as the DOM can leave it, is
+   * left out unless unlinked is set; so are retweets and other authors' tweets.
+   */
+  static groupThreads(tweets = [], username, options = {}) {
+    const { unlinked = false } = options;
+    const handle = (username || '').toLowerCase();
+    const own = new Map();
+    
+    for (const tweet of tweets) {
+      if (tweet.id && tweet.type !== 'retweet' && XScraper.tweetAuthor(tweet) === handle) {
+        own.set(String(tweet.id), tweet);
+      }
+    }
+    
+    const isSelfReply = tweet => tweet.type === 'reply' && (tweet.referencedUser || '').toLowerCase() === handle;
+    
+    // Follow each self-reply up to the earliest part that was captured
+    const rootOf = (tweet) => {
+      let current = tweet;
+      const visited = new Set();
+      
+      while (isSelfReply(current) && own.has(current.referencedTweetId) && !visited.has(current.id)) {
+        visited.add(current.id);
+        current = own.get(current.referencedTweetId);
+      }
+      
+      return current;
+    };
+    
+    const threads = new Map();
+    
+    for (const tweet of own.values()) {
+      if (!isSelfReply(tweet)) continue;
+      
+      const root = rootOf(tweet);
+      
+      if (!threads.has(root.id)) {
+        threads.set(root.id, {
+          postIds: new Set([String(root.id)]),
+          complete: !isSelfReply(root),
+          replyTo: isSelfReply(root) ? (root.referencedTweetId || null) : null
+        });
+      }
+      
+      threads.get(root.id).postIds.add(String(tweet.id));
+    }
+    
+    return Array.from(threads.values())
+      .map(thread => ({
+        ...thread,
+        postIds: Array.from(thread.postIds).sort(XScraper.compareTweetIds)
+      }))
+      .filter(thread => unlinked || !XScraper.isUnlinkedThread(thread));
+  }
+  
+  /**
+   * Static method to tell whether a thread is a single self-reply to a post
+   * that isn't known, which nothing can be merged into
+   */
+  static isUnlinkedThread(thread) {
+    return !thread.complete && !thread.replyTo && thread.postIds.length === 1;
+  }
+  
+  /**
+   * Static method to get the lowercased handle of a tweet's author from its URL, or null
+   */
+  static tweetAuthor(tweet) {
+    const match = ((tweet && tweet.url) || '').match(/\/\/[^/]+\/(\w{1,15})\/status\//);
+    return match ? match[1].toLowerCase() : null;
+  }
+  
+  /**
+   * Static method to summarize a captured timeline against the last seen tweet:
+   * the new high-water mark, how many tweets are newer than the old one, and
+   * whether the timeline reached back to it
+   */
+  static summarizeTimeline(tweets = [], sinceId = null) {
+    // Pinned tweets sit on top whatever their age, and retweets carry the original tweet's id
+    const ownTweets = tweets.filter(tweet => tweet.id && tweet.type !== 'pinned' && tweet.type !== 'retweet');
+    
+    let lastSeenTweetId = sinceId ? String(sinceId) : null;
+    let newTweets = 0;
+    let caughtUp = !sinceId;
+    
+    for (const tweet of ownTweets) {
+      if (sinceId && XScraper.compareTweetIds(tweet.id, sinceId) <= 0) {
+        caughtUp = true;
+        continue;
+      }
+      
+      newTweets++;
+      
+      if (!lastSeenTweetId || XScraper.compareTweetIds(tweet.id, lastSeenTweetId) > 0) {
+        lastSeenTweetId = String(tweet.id);
+      }
+    }
+    
+    return { lastSeenTweetId, newTweets, caughtUp };
+  }
+  
+  /**
+   * Static method to read counts from a tweet's action bar label,
+   * e.g. "12 replies, 85 reposts, 1200 likes, 34 bookmarks, 56789 views",
+   * or "답글 12, 재게시물 85, ..." where the word comes first
+   */
+  static parseEngagementLabel(label, locale = DEFAULT_LOCALE) {
+    const counts = {};
+    
+    if (!label) return counts;
     
-    // Handle special formats
-    if (text.includes('K') || text.includes('k')) {
-      return Math.round(parseFloat(text.replace(/[K|k]/g, '')) * 1000);
-    } else if (text.includes('M') || text.includes('m')) {
-      return Math.round(parseFloat(text.replace(/[M|m]/g, '')) * 1000000);
-    } else if (text.includes('B') || text.includes('b')) {
-      return Math.round(parseFloat(text.replace(/[B|b]/g, '')) * 1000000000);
+    const { engagement } = LOCALES[resolveLocale(locale)];
+    
+    // One count per part; a comma inside a number has no space after it
+    for (const part of label.split(/,\s+|、|，/)) {
+      const lowered = part.toLowerCase();
+      
+      for (const [metric, words] of Object.entries(engagement)) {
+        const word = words.find(candidate => lowered.includes(candidate.toLowerCase()));
+        
+        if (!word) continue;
+        
+        if (counts[metric] === undefined && /\d/.test(part)) {
+          const index = lowered.indexOf(word.toLowerCase());
+          counts[metric] = XScraper.parseCount(part.slice(0, index) + part.slice(index + word.length), locale);
+        }
+        
+        break;
+      }
     }
     
-    return parseInt(text, 10) || 0;
+    return counts;
+  }
+  
+  /**
+   * Static method to remove script tags from a saved page so it can be replayed offline
+   */
+  static stripScripts(html) {
+    if (!html) return '';
+    
+    return html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
   }
   
   /**
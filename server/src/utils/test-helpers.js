@@ -234,11 +234,65 @@ function createEventEmitter() {
   };
 }
 
+/**
+ * Creates a stand-in DOM element for page tests
+ * @param {string} textContent - Text of the element
+ * @param {Object} children - Elements inside it keyed by selector: a string is an element with that text, an array several elements
+ * @param {Object} attributes - Attributes of the element
+ * @returns {Object} An element with the DOM methods the scraper calls
+ */
+function createElement(textContent = '', children = {}, attributes = {}) {
+  const lookup = (selector) => {
+    if (!(selector in children)) return [];
+    
+    return [].concat(children[selector]).map(child => (typeof child === 'string' ? createElement(child) : child));
+  };
+  
+  return {
+    textContent,
+    getAttribute: name => (name in attributes ? attributes[name] : null),
+    querySelector: selector => lookup(selector)[0] || null,
+    querySelectorAll: selector => lookup(selector),
+    closest: () => null,
+    contains: () => false
+  };
+}
+
+/**
+ * Creates a stand-in page at a URL whose document holds the given elements
+ * @param {string} url - URL the page is at
+ * @param {Object} elements - Elements in the document keyed by selector, as for createElement
+ * @param {string} lang - Language of the document
+ * @returns {Object} A page whose evaluate runs the function against the document
+ */
+function createPage(url, elements = {}, lang = 'en') {
+  const document = {
+    ...createElement('', elements),
+    documentElement: { lang }
+  };
+  
+  return {
+    url: () => url,
+    waitForSelector: async () => null,
+    evaluate: async (fn, ...args) => {
+      global.document = document;
+      
+      try {
+        return fn(...args);
+      } finally {
+        delete global.document;
+      }
+    }
+  };
+}
+
 module.exports = {
   generateRandomAccount,
   generateRandomProfileData,
   generateRandomTweet,
   sleep,
   createMockFunction,
-  createEventEmitter
+  createEventEmitter,
+  createElement,
+  createPage
 }; 
\ No newline at end of file
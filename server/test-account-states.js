@@ -0,0 +1,174 @@
+/**
+ * Test script for profile state classification
+ * 
+ * Runs `PageClassifier.classifyProfile` over a table of profile pages and
+ * checks the state each one is given: active, protected, suspended,
+ * withheld, notFound, renamed or unknown. The pages are stand-ins that only
+ * know which of the registry's selectors match and what text they hold, so
+ * no browser is launched. Then records a series of states on an account and
+ * checks which of them become transitions.
+ */
+
+require('dotenv').config();
+const { AccountManager } = require('./src/services/scraper/account-manager');
+const { PageClassifier, ACCOUNT_STATES } = require('./src/services/scraper/page-classifier');
+const { SelectorRegistry } = require('./src/services/scraper/selector-registry');
+const { logger } = require('./src/utils/logger');
+const { createPage } = require('./src/utils/test-helpers');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'AccountStatesTest' });
+
+const registry = new SelectorRegistry();
+
+// The first selector of each field, as X currently renders it
+const NAME = registry.get('profile.name')[0];
+const EMPTY_STATE = registry.get('accountState.emptyState')[0];
+const LOCK = registry.get('accountState.protected')[0];
+const LOCK_FALLBACK = registry.get('accountState.protected')[1];
+
+const account = { username: 'TrackedUser' };
+const profileUrl = 'https://x.com/TrackedUser';
+
+// [name, url, elements, expected state, expected newUsername]
+const PROFILE_CASES = [
+  ['active profile', profileUrl, { [NAME]: 'Tracked User' }, 'active'],
+  ['handle in another case', 'https://x.com/trackeduser/', { [NAME]: 'Tracked User' }, 'active'],
+  ['protected by lock icon', profileUrl, { [NAME]: 'Tracked User', [LOCK]: '' }, 'protected'],
+  ['protected by fallback lock', profileUrl, { [NAME]: 'Tracked User', [LOCK_FALLBACK]: '' }, 'protected'],
+  ['protected message', profileUrl, { [NAME]: 'Tracked User', [EMPTY_STATE]: 'These posts are protected' }, 'protected'],
+  ['suspended', profileUrl, { [NAME]: 'TrackedUser', [EMPTY_STATE]: 'Account suspended' }, 'suspended'],
+  ['suspended policy text', profileUrl, { [EMPTY_STATE]: 'X suspends accounts which violate the X Rules' }, 'suspended'],
+  ['withheld', profileUrl, { [NAME]: 'Tracked User', [EMPTY_STATE]: 'Account withheld in Germany' }, 'withheld'],
+  ['not found', profileUrl, { [EMPTY_STATE]: 'This account doesn’t exist' }, 'notFound'],
+  ['not found search hint', profileUrl, { [EMPTY_STATE]: 'Try searching for another.' }, 'notFound'],
+  ['unrecognised message', profileUrl, { [EMPTY_STATE]: 'Nothing to see here' }, 'notFound'],
+  ['renamed', 'https://x.com/NewHandle', { [NAME]: 'Tracked User' }, 'renamed', 'NewHandle'],
+  ['renamed and protected', 'https://x.com/NewHandle', { [NAME]: 'Tracked User', [LOCK]: '' }, 'renamed', 'NewHandle'],
+  ['suspended after redirect', 'https://x.com/NewHandle', { [EMPTY_STATE]: 'Account suspended' }, 'suspended'],
+  ['home timeline', 'https://x.com/home', {}, 'unknown'],
+  ['blank page', 'about:blank', {}, 'unknown']
+];
+
+// [text, expected state]
+const MATCH_CASES = [
+  [null, null],
+  ['', null],
+  ['Account suspended', 'suspended'],
+  ['This account doesn\'t exist', 'notFound'],
+  ['This account does not exist', 'notFound'],
+  ['These Tweets are protected', 'protected'],
+  ['Withheld in your country', 'withheld'],
+  ['Something went wrong. Try reloading.', null]
+];
+
+// [url, expected handle]
+const HANDLE_CASES = [
+  ['https://x.com/TrackedUser', 'TrackedUser'],
+  ['https://twitter.com/tracked_user/', 'tracked_user'],
+  ['https://x.com/TrackedUser/status/1', null],
+  ['https://x.com/i/flow/login', null],
+  ['https://x.com/Home', null],
+  ['https://x.com/explore', null],
+  ['https://x.com/a_handle_that_is_too_long', null],
+  ['not a url', null]
+];
+
+// [state recorded, new username, expected username, state checks and transitions so far]
+const STATE_SEQUENCE = [
+  ['active', null, 'TrackedUser', 1, 1],
+  ['active', null, 'TrackedUser', 2, 1],
+  ['unknown', null, 'TrackedUser', 2, 1],
+  ['renamed', 'NewHandle', 'NewHandle', 1, 2],
+  ['renamed', 'newhandle', 'NewHandle', 2, 2],
+  ['renamed', 'OtherHandle', 'OtherHandle', 1, 3],
+  ['renamed', null, 'OtherHandle', 2, 3],
+  ['suspended', null, 'OtherHandle', 1, 4]
+];
+
+async function runTest() {
+  log.info('Starting account states test');
+  
+  const classifier = new PageClassifier({ selectorRegistry: registry });
+  const failures = [];
+  
+  for (const [name, url, elements, state, newUsername] of PROFILE_CASES) {
+    const result = await classifier.classifyProfile(createPage(url, elements), account);
+    
+    if (!ACCOUNT_STATES.includes(result.state)) {
+      failures.push(`${name}: ${result.state} isn't a known account state`);
+    }
+    
+    if (result.state !== state) {
+      failures.push(`${name}: classified ${result.state} (${result.reason}), expected ${state}`);
+    }
+    
+    if ((result.newUsername || undefined) !== newUsername) {
+      failures.push(`${name}: new username is ${result.newUsername}, expected ${newUsername}`);
+    }
+  }
+  
+  for (const [text, state] of MATCH_CASES) {
+    const matched = PageClassifier.matchState(text);
+    
+    if (matched !== state) {
+      failures.push(`"${text}" matched ${matched}, expected ${state}`);
+    }
+  }
+  
+  for (const [url, handle] of HANDLE_CASES) {
+    const actual = PageClassifier.handleFromUrl(url);
+    
+    if (actual !== handle) {
+      failures.push(`Handle from ${url} is ${actual}, expected ${handle}`);
+    }
+  }
+  
+  // Only a new state, or a rename to another handle, is a transition
+  const accountManager = new AccountManager();
+  const tracked = await accountManager.addAccount({ username: 'TrackedUser' });
+  const renames = [];
+  accountManager.on('stateChanged', change => change.newUsername && renames.push(`${change.previousState}>${change.newUsername}`));
+  
+  for (const [state, newUsername, username, stateChecks, transitions] of STATE_SEQUENCE) {
+    const updated = await accountManager.updateAccountState(tracked.id, { state, newUsername });
+    
+    if (updated.username !== username || updated.stateChecks !== stateChecks || updated.stateHistory.length !== transitions) {
+      failures.push(`${state} ${newUsername}: account is ${updated.username} with ${updated.stateChecks} checks and ${updated.stateHistory.length} transitions, expected ${username}, ${stateChecks} and ${transitions}`);
+    }
+  }
+  
+  const renamedAgain = tracked.stateHistory.find(transition => transition.newUsername === 'OtherHandle');
+  
+  if (!renamedAgain || renamedAgain.from !== 'renamed' || renamedAgain.previousUsername !== 'NewHandle') {
+    failures.push(`Second rename recorded as ${JSON.stringify(renamedAgain)}`);
+  }
+  
+  if (renames.join() !== 'active>NewHandle,renamed>OtherHandle') {
+    failures.push(`Emitted renames ${renames.join(', ')}`);
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  const checked = PROFILE_CASES.length + MATCH_CASES.length + HANDLE_CASES.length + STATE_SEQUENCE.length;
+  log.info(`Checked ${checked} account state cases, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Account states failed ${failures.length} checks`);
+  }
+  
+  return { checked, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
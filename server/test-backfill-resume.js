@@ -0,0 +1,225 @@
+/**
+ * Test script for resuming historical backfills
+ * 
+ * Runs `XScraper.backfillAccount` in chunks against a simulated timeline
+ * that renders a few tweets per scroll, passing each run's checkpoint to
+ * the next. A resumed run has to scroll back past the tweets earlier runs
+ * collected before it reaches new ones, and mustn't take that for the end
+ * of the timeline. Then runs a whole backfill job through the scheduler into
+ * an in-memory post store.
+ */
+
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { XScraper } = require('./src/services/scraper/x-scraper');
+const { PriorityScheduler } = require('./src/services/scraper/priority-scheduler');
+const { PostStore } = require('./src/services/scraper/post-store');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'BackfillResumeTest' });
+
+const TIMELINE_LENGTH = 75; // Tweets on the simulated profile, newest first
+const TWEETS_PER_SCROLL = 10; // Tweets each scroll renders
+const RENDERED_TWEETS = 15; // Tweets kept in the DOM, X drops the ones scrolled far past
+const CHUNK_SIZE = 20;
+const MAX_EMPTY_SCROLLS = 2;
+
+/**
+ * Build the simulated timeline: a pinned tweet, then tweets an hour apart
+ */
+const buildTimeline = () => {
+  const start = Date.parse('2024-06-01T12:00:00Z');
+  const tweets = [{
+    id: '1700000000000000999',
+    type: 'pinned',
+    timestamp: new Date(start - 90 * 24 * 3600 * 1000).toISOString()
+  }];
+  
+  for (let i = 0; i < TIMELINE_LENGTH; i++) {
+    tweets.push({
+      id: `18000000000000${String(99999 - i).padStart(5, '0')}`,
+      type: i % 7 === 3 ? 'retweet' : 'tweet',
+      text: `Tweet ${i}`,
+      timestamp: new Date(start - i * 3600 * 1000).toISOString(),
+      likes: 100 + i,
+      retweets: 10,
+      replies: 5
+    });
+  }
+  
+  return tweets;
+};
+
+/**
+ * Scraper whose browser shows the simulated timeline, freshly loaded at the top on every run
+ */
+const createScraper = (timeline) => {
+  const scraper = new XScraper({
+    useProxies: false,
+    backfillChunkSize: CHUNK_SIZE,
+    backfillMaxEmptyScrolls: MAX_EMPTY_SCROLLS,
+    backfillScrollDelay: 1
+  });
+  
+  const runs = [];
+  
+  scraper.getBrowser = async () => ({
+    browser: {
+      newPage: async () => {
+        const page = {
+          loaded: TWEETS_PER_SCROLL,
+          scrolls: 0,
+          waitForSelector: async () => {},
+          waitForTimeout: async () => {},
+          close: async () => {}
+        };
+        runs.push(page);
+        return page;
+      }
+    },
+    browserId: null,
+    proxyDetails: null
+  });
+  scraper.preparePage = async () => {};
+  scraper.openProfile = async () => ({ navigation: { success: true }, session: null });
+  scraper.extractVisibleTweets = async (page) => timeline
+    .slice(Math.max(0, page.loaded - RENDERED_TWEETS), page.loaded)
+    .map(tweet => ({ ...tweet }));
+  scraper.autoScroll = async (page) => {
+    page.scrolls++;
+    page.loaded = Math.min(timeline.length, page.loaded + TWEETS_PER_SCROLL);
+  };
+  
+  return { scraper, runs };
+};
+
+async function runTest() {
+  log.info('Starting backfill resume test');
+  
+  const timeline = buildTimeline();
+  const expected = timeline.filter(tweet => tweet.type === 'tweet').map(tweet => tweet.id);
+  const { scraper, runs } = createScraper(timeline);
+  const account = { id: 'test-account', username: 'backfilltest' };
+  const failures = [];
+  const collected = [];
+  
+  let checkpoint = null;
+  let result = null;
+  
+  // One more run than the chunks need, in case the last chunk ends exactly at the bottom
+  const maxRuns = Math.ceil(expected.length / CHUNK_SIZE) + 1;
+  
+  for (let run = 1; run <= maxRuns; run++) {
+    result = await scraper.backfillAccount(account, { checkpoint, maxTweets: 1000 });
+    
+    if (!result.success) {
+      failures.push(`Run ${run} failed: ${result.error}`);
+      break;
+    }
+    
+    log.info(`Run ${run} collected ${result.tweets.length} tweets: ${result.reason}`, {
+      scrolls: runs[runs.length - 1].scrolls,
+      oldestTweetId: result.checkpoint.oldestTweetId
+    });
+    
+    // Resumed runs pick up right below the previous run's oldest tweet
+    const nextId = expected[collected.length];
+    if (result.tweets.length > 0 && result.tweets[0].id !== nextId) {
+      failures.push(`Run ${run} started at ${result.tweets[0].id}, expected ${nextId}`);
+    }
+    
+    collected.push(...result.tweets.map(tweet => tweet.id));
+    checkpoint = result.checkpoint;
+    
+    if (result.done) {
+      break;
+    }
+    
+    if (result.reason !== 'chunkComplete' || result.tweets.length !== CHUNK_SIZE) {
+      failures.push(`Run ${run} stopped with ${result.tweets.length} tweets (${result.reason}) before the timeline ended`);
+    }
+  }
+  
+  if (result && result.success && result.reason !== 'endOfTimeline') {
+    failures.push(`Last run ended with ${result.reason}, expected endOfTimeline`);
+  }
+  
+  if (new Set(collected).size !== collected.length) {
+    failures.push(`Collected ${collected.length - new Set(collected).size} tweets more than once`);
+  }
+  
+  if (collected.length !== expected.length || collected.some((id, i) => id !== expected[i])) {
+    failures.push(`Collected ${collected.length} of ${expected.length} tweets, or out of order`);
+  }
+  
+  if (checkpoint && checkpoint.collected !== expected.length) {
+    failures.push(`Checkpoint counts ${checkpoint.collected} tweets, expected ${expected.length}`);
+  }
+  
+  // A backfill job stores each run's tweets before moving its checkpoint
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backfill-resume-'));
+  
+  try {
+    const postStore = new PostStore({ storageType: 'memory' });
+    await postStore.initialize();
+    
+    const scheduler = new PriorityScheduler({
+      backfillDays: 0,
+      backfillChunkDelay: 1,
+      backfillFilePath: path.join(dir, 'backfill.json')
+    });
+    scheduler.setup({ accountManager: {}, metricsCollector: {}, postStore, scraper: createScraper(timeline).scraper });
+    
+    const job = await scheduler.queueBackfill(account);
+    
+    while (job.status === 'queued' && job.runs < maxRuns) {
+      await scheduler.runBackfill(job);
+    }
+    
+    const posts = await postStore.getPosts(account.id, { limit: TIMELINE_LENGTH });
+    const snapshots = await postStore.getSnapshots(expected[expected.length - 1]);
+    
+    log.info(`Backfill job ${job.status} after ${job.runs} runs, stored ${job.stored} posts`);
+    
+    if (job.status !== 'completed' || job.reason !== 'endOfTimeline') {
+      failures.push(`Backfill job ended ${job.status} (${job.reason || job.error})`);
+    }
+    
+    if (job.stored !== expected.length || posts.length !== expected.length) {
+      failures.push(`Backfill job stored ${job.stored} posts, ${posts.length} in the store, expected ${expected.length}`);
+    }
+    
+    // Tweets first seen long after posting get an estimated engagement history
+    if (!snapshots.some(snapshot => snapshot.estimated)) {
+      failures.push('Backfilled posts have no estimated engagement history');
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Backfilled ${collected.length} tweets in ${runs.length} runs, ${failures.length} checks failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Backfill resume failed ${failures.length} checks`);
+  }
+  
+  return { runs: runs.length, collected: collected.length, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,160 @@
+/**
+ * Test script for locale-aware count and label parsing
+ * 
+ * Runs `XScraper.parseCount` and `XScraper.parseEngagementLabel` over a
+ * table of counts and engagement labels the way X renders them in each
+ * supported UI language, and checks that page lang attributes resolve to
+ * the right locale.
+ */
+
+require('dotenv').config();
+const { XScraper } = require('./src/services/scraper/x-scraper');
+const { LOCALES, resolveLocale } = require('./src/services/scraper/locales');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'CountParsingTest' });
+
+// [locale, rendered count, expected number]
+const COUNT_CASES = [
+  ['en', '1,234', 1234],
+  ['en', '132.5M', 132500000],
+  ['en', '12.3K', 12300],
+  ['en', '1B', 1000000000],
+  ['en', '45', 45],
+  ['en', '', 0],
+  ['en', null, 0],
+  ['de', '132,5 Mio.', 132500000],
+  ['de', '12.345', 12345],
+  ['de', '1,2 Tsd.', 1200],
+  ['de', '3 Mrd.', 3000000000],
+  ['fr', '12 345', 12345],
+  ['fr', '1,2 k', 1200],
+  ['fr', '132,5 M', 132500000],
+  ['fr', '3,4 Md', 3400000000],
+  ['es', '12,3 mil', 12300],
+  ['es', '132,5 M', 132500000],
+  ['es', '1,2 mil M', 1200000000],
+  ['es', '12.345', 12345],
+  ['pt', '1,2 mil', 1200],
+  ['pt', '3,4 mi', 3400000],
+  ['pt', '1 bi', 1000000000],
+  ['ja', '1.2万', 12000],
+  ['ja', '3億', 300000000],
+  ['ja', '5千', 5000],
+  ['ja', '1,234', 1234],
+  ['ko', '1.2만', 12000],
+  ['ko', '3천', 3000],
+  ['ko', '2억', 200000000]
+];
+
+// [locale, aria-label of a tweet's engagement bar, expected counts]
+const LABEL_CASES = [
+  ['en', '12 replies, 34 reposts, 1,234 likes, 5 bookmarks, 12345 views', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }],
+  ['de', '12 Antworten, 34 Reposts, 1.234 Gefällt mir, 5 Lesezeichen, 12.345 Mal angezeigt', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }],
+  ['fr', '12 réponses, 34 reposts, 1 234 J’aime, 5 signets, 12 345 vues', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }],
+  ['es', '12 respuestas, 34 reposts, 1234 Me gusta, 5 elementos guardados, 12.345 visualizaciones', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }],
+  ['pt', '12 respostas, 34 reposts, 1.234 curtidas, 5 itens salvos, 12.345 visualizações', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }],
+  ['ja', '12 件の返信、34 件のリポスト、1234 件のいいね、5 件のブックマーク、12345 件の表示', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }],
+  ['ko', '답글 12, 재게시물 34, 마음에 들어요 1234, 북마크 5, 조회수 12345', {
+    replies: 12, retweets: 34, likes: 1234, bookmarks: 5, views: 12345
+  }]
+];
+
+// [lang attribute, expected locale]
+const LOCALE_CASES = [
+  ['en', 'en'],
+  ['de', 'de'],
+  ['pt-BR', 'pt'],
+  ['es-419', 'es'],
+  ['JA', 'ja'],
+  ['ko_KR', 'ko'],
+  ['zh', 'en'],
+  ['', 'en'],
+  [null, 'en']
+];
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  const failures = [];
+  
+  log.info('Checking count parsing');
+  
+  for (const [locale, text, expected] of COUNT_CASES) {
+    const actual = XScraper.parseCount(text, locale);
+    
+    if (actual !== expected) {
+      failures.push(`parseCount(${JSON.stringify(text)}, '${locale}') returned ${actual}, expected ${expected}`);
+    }
+  }
+  
+  log.info('Checking engagement labels');
+  
+  for (const [locale, label, expected] of LABEL_CASES) {
+    const actual = XScraper.parseEngagementLabel(label, locale);
+    
+    for (const [metric, count] of Object.entries(expected)) {
+      if (actual[metric] !== count) {
+        failures.push(`parseEngagementLabel('${locale}') read ${metric} as ${actual[metric]}, expected ${count}`);
+      }
+    }
+  }
+  
+  log.info('Checking locale resolution');
+  
+  for (const [lang, expected] of LOCALE_CASES) {
+    const actual = resolveLocale(lang);
+    
+    if (actual !== expected) {
+      failures.push(`resolveLocale(${JSON.stringify(lang)}) returned ${actual}, expected ${expected}`);
+    }
+  }
+  
+  // Every supported locale needs the labels the page extraction reads
+  for (const [locale, { labels }] of Object.entries(LOCALES)) {
+    for (const label of ['followers', 'following', 'posts', 'pinned', 'reposted', 'promoted']) {
+      if (!labels[label] || labels[label].length === 0) {
+        failures.push(`Locale ${locale} has no ${label} label`);
+      }
+    }
+  }
+  
+  const checked = COUNT_CASES.length + LABEL_CASES.length + LOCALE_CASES.length;
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Checked ${checked} cases across ${Object.keys(LOCALES).length} locales, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Count parsing failed ${failures.length} checks`);
+  }
+  
+  return { checked, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,112 @@
+/**
+ * Test script for offline extraction against saved profile fixtures
+ * 
+ * Replays every HTML snapshot in the fixture directory through `XScraper`
+ * in fixture mode and compares the extracted metrics with the metrics saved
+ * alongside the snapshot. No network access to X is needed, so this can run
+ * in CI and on air-gapped runners.
+ * 
+ * New fixtures are created with `npm run fixture:capture -- <username>`.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { XScraper } = require('./src/services/scraper/x-scraper');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'FixtureReplayTest' });
+
+const fixtureDir = process.env.FIXTURE_DIR || path.join(__dirname, 'data', 'fixtures');
+
+/**
+ * Collect the differences between two metrics objects (ignoring the scrape
+ * timestamp and the selector version, which changes with every swap)
+ */
+function diffMetrics(expected, actual, prefix = '') {
+  const differences = [];
+  const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual || {})]);
+  
+  for (const key of keys) {
+    if ((!prefix && key === 'timestamp') || key === 'selectorVersion') continue;
+    
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    const expectedValue = expected ? expected[key] : undefined;
+    const actualValue = actual ? actual[key] : undefined;
+    
+    if (expectedValue && typeof expectedValue === 'object' && !Array.isArray(expectedValue)) {
+      differences.push(...diffMetrics(expectedValue, actualValue, fieldPath));
+    } else if (JSON.stringify(expectedValue) !== JSON.stringify(actualValue)) {
+      differences.push({ field: fieldPath, expected: expectedValue, actual: actualValue });
+    }
+  }
+  
+  return differences;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  log.info(`Replaying fixtures from ${fixtureDir}`);
+  
+  const files = await fs.readdir(fixtureDir);
+  const usernames = files
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'))
+    .filter(name => files.includes(`${name}.json`));
+  
+  if (usernames.length === 0) {
+    throw new Error(`No fixtures with expected metrics found in ${fixtureDir}`);
+  }
+  
+  const failures = [];
+  
+  for (const username of usernames) {
+    // A fresh scraper per fixture so each replay gets its own browser
+    const scraper = new XScraper({ fixtureDir });
+    await scraper.initialize();
+    
+    try {
+      const expected = JSON.parse(await fs.readFile(path.join(fixtureDir, `${username}.json`), 'utf8'));
+      const result = await scraper.scrapeAccount({ username });
+      
+      if (!result.success) {
+        log.error(`❌ FAIL: ${username} could not be replayed`, { error: result.error });
+        failures.push(username);
+        continue;
+      }
+      
+      const differences = diffMetrics(expected.metrics, result.metrics);
+      
+      if (differences.length === 0) {
+        log.info(`✅ PASS: ${username} matches the captured metrics`);
+      } else {
+        log.error(`❌ FAIL: ${username} differs from the captured metrics`, { differences });
+        failures.push(username);
+      }
+    } finally {
+      await scraper.close();
+    }
+  }
+  
+  log.info(`Replayed ${usernames.length} fixtures, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Fixture replay failed for: ${failures.join(', ')}`);
+  }
+  
+  return { replayed: usernames.length, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
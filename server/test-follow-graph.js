@@ -0,0 +1,198 @@
+/**
+ * Test script for follow list crawls and audience overlap
+ * 
+ * Records a series of crawled following lists into an in-memory follow graph:
+ * a baseline, a partial crawl with new follows on top, and a complete crawl
+ * missing someone. Checks the follows and unfollows detected, their
+ * timestamps, the alerts they trigger, and the overlap computed between
+ * tracked accounts. Then runs the scheduler's follow crawl job against a
+ * scraper that returns canned lists.
+ */
+
+require('dotenv').config();
+const { AlertManager } = require('./src/services/scraper/alert-manager');
+const { FollowGraph } = require('./src/services/scraper/follow-graph');
+const { PriorityScheduler } = require('./src/services/scraper/priority-scheduler');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'FollowGraphTest' });
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2024-06-01T00:00:00Z');
+
+/**
+ * Build a crawled follow list, newest first, from handles
+ */
+const users = (...handles) => handles.map(handle => ({ id: `id-${handle}`, username: handle, name: handle.toUpperCase() }));
+
+const day = n => new Date(START + n * DAY);
+
+const handles = list => list.map(user => user.username).join();
+
+async function runTest() {
+  log.info('Starting follow graph test');
+  
+  const failures = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  const followGraph = new FollowGraph({ storageType: 'memory' });
+  await followGraph.initialize();
+  
+  const events = [];
+  followGraph.on('followsChanged', change => events.push(change));
+  
+  // The first crawl is a baseline, with nothing reported as followed
+  const baseline = await followGraph.recordList('whale', 'following', users('Carol', 'Bob', 'Alice'), {
+    capturedAt: day(0),
+    complete: true
+  });
+  
+  check(baseline.added.length === 0 && baseline.removed.length === 0, `Baseline reported ${JSON.stringify(baseline)}`);
+  check(events.length === 0, 'Baseline emitted followsChanged');
+  
+  // New follows show up above the known ones. Unknown users below them are
+  // older follows a partial crawl hadn't reached before, and handles are
+  // matched without case.
+  const partial = await followGraph.recordList('whale', 'following', users('ProjectY', 'Dave', 'carol', 'Erin'), {
+    capturedAt: day(1)
+  });
+  
+  check(handles(partial.added) === 'ProjectY,Dave', `Partial crawl added ${handles(partial.added)}`);
+  check(partial.removed.length === 0, `Partial crawl removed ${handles(partial.removed)}`);
+  check(events.length === 1 && handles(events[0].added) === 'ProjectY,Dave', 'Partial crawl did not emit its follows');
+  
+  // Only a complete crawl ends the edges missing from it
+  const complete = await followGraph.recordList('whale', 'following', users('ProjectY', 'Dave', 'Carol', 'Erin', 'Alice'), {
+    capturedAt: day(2),
+    complete: true
+  });
+  
+  check(complete.added.length === 0, `Complete crawl added ${handles(complete.added)}`);
+  check(handles(complete.removed) === 'Bob', `Complete crawl removed ${handles(complete.removed)}`);
+  
+  // Following someone again is a new follow
+  const refollow = await followGraph.recordList('whale', 'following', users('Bob', 'ProjectY'), { capturedAt: day(3) });
+  check(handles(refollow.added) === 'Bob', `Refollow added ${handles(refollow.added)}`);
+  
+  const carol = (await followGraph.getEdges('whale')).find(edge => edge.handle === 'carol');
+  check(carol && carol.firstSeenAt.getTime() === day(0).getTime() && carol.lastSeenAt.getTime() === day(2).getTime(),
+    `Carol was first seen ${carol && carol.firstSeenAt}, last seen ${carol && carol.lastSeenAt}`);
+  check(carol && carol.followedAt === null, 'A baseline follow got a follow date');
+  
+  // Changes since a date, newest first
+  const changes = await followGraph.getChanges('whale', { since: day(1) });
+  const summary = changes.map(change => `${change.change} ${change.username}`).join();
+  check(summary === 'followed Bob,followed ProjectY,followed Dave', `Changes since day 1: ${summary}`);
+  
+  const recent = await followGraph.getChanges('whale', { since: day(2) });
+  check(recent.length === 1 && recent[0].username === 'Bob', `Changes since day 2: ${JSON.stringify(recent)}`);
+  
+  // Followers are kept apart from following
+  await followGraph.recordList('whale', 'followers', users('Fan'), { capturedAt: day(3) });
+  check((await followGraph.getEdges('whale', { direction: 'followers' })).length === 1, 'Followers were not recorded on their own');
+  check((await followGraph.getEdges('whale')).every(edge => edge.direction === 'following'), 'Followers were mixed into following');
+  
+  let unknownDirection = null;
+  try {
+    await followGraph.recordList('whale', 'mutuals', users('Carol'));
+  } catch (error) {
+    unknownDirection = error;
+  }
+  check(unknownDirection !== null, 'An unknown follow direction was recorded');
+  
+  // Follow alerts fire on the users they watch; follower changes are not alerted on
+  const alertManager = new AlertManager({ storageType: 'memory' });
+  await alertManager.createAlert({ accountId: 'whale', metricType: 'follows', condition: 'followed', threshold: '@projecty' });
+  await alertManager.createAlert({ accountId: 'whale', metricType: 'follows', condition: 'unfollowed', threshold: 'any' });
+  
+  const followAlerts = await alertManager.processFollowChange(partial);
+  check(followAlerts.length === 1 && followAlerts[0].actualValue === 'followed @ProjectY' && followAlerts[0].metricTimestamp === partial.timestamp,
+    `Partial crawl triggered ${JSON.stringify(followAlerts)}`);
+  
+  const unfollowAlerts = await alertManager.processFollowChange(complete);
+  check(unfollowAlerts.length === 1 && unfollowAlerts[0].actualValue === 'unfollowed @Bob' && unfollowAlerts[0].changes.length === 1,
+    `Complete crawl triggered ${JSON.stringify(unfollowAlerts)}`);
+  check(alertManager.triggeredAlerts.length === 2, `Recorded ${alertManager.triggeredAlerts.length} triggered alerts, expected 2`);
+  check((await alertManager.processFollowChange({ ...partial, direction: 'followers' })).length === 0, 'A follower change triggered an alert');
+  
+  // Overlap between tracked accounts' current following lists
+  await followGraph.recordList('fund', 'following', users('ProjectY', 'Carol', 'Zed'), { capturedAt: day(3) });
+  await followGraph.recordList('founder', 'following', users('Zed'), { capturedAt: day(3) });
+  
+  const overlap = await followGraph.getOverlap(['whale', 'fund', 'founder']);
+  const pair = overlap.pairs.find(item => item.accountIds.join() === 'whale,fund');
+  
+  check(overlap.accounts.map(item => `${item.accountId}:${item.count}`).join() === 'whale:6,fund:3,founder:1',
+    `Overlap counts ${JSON.stringify(overlap.accounts)}`);
+  check(pair && pair.shared === 2 && pair.jaccard === 0.286, `Whale and fund share ${JSON.stringify(pair)}`);
+  check(overlap.pairs[0] === pair, 'Pairs are not sorted by users shared');
+  check(overlap.shared.map(user => `${user.username}:${user.accountIds.length}`).sort().join() === 'Carol:2,ProjectY:2,Zed:2',
+    `Shared users ${JSON.stringify(overlap.shared)}`);
+  
+  // The scheduler's crawl job reads following and a sample of followers into the graph
+  const crawled = [];
+  const lastCrawls = [];
+  const lists = {
+    following: { success: true, users: users('NewCoin', 'ProjectY', 'Carol', 'Zed'), complete: true },
+    followers: { success: true, users: users('Fan', 'Fan2'), complete: false }
+  };
+  
+  const scheduler = new PriorityScheduler({ followCrawlInterval: DAY, followerSampleSize: 2 });
+  scheduler.setup({
+    accountManager: { updateLastFollowCrawl: async accountId => lastCrawls.push(accountId) },
+    metricsCollector: {},
+    followGraph,
+    scraper: {
+      scrapeFollowList: async (account, { direction, maxUsers }) => {
+        crawled.push(`${direction}:${maxUsers || 'all'}`);
+        return lists[direction];
+      }
+    }
+  });
+  
+  const crawlEvents = events.length;
+  const success = await scheduler.runFollowCrawl({ id: 'fund', username: 'fund' });
+  
+  check(success, 'Follow crawl failed');
+  check(crawled.join() === 'following:all,followers:2', `Follow crawl read ${crawled.join(', ')}`);
+  check(lastCrawls.join() === 'fund', 'Follow crawl did not record its time');
+  check(events.length === crawlEvents + 1 && handles(events[events.length - 1].added) === 'NewCoin',
+    `Follow crawl reported ${JSON.stringify(events.slice(crawlEvents))}`);
+  
+  // A failed list stops the crawl until the next interval
+  lists.following = { success: false, error: 'Login required' };
+  const failed = await scheduler.runFollowCrawl({ id: 'fund', username: 'fund' });
+  
+  check(!failed, 'Follow crawl succeeded without its following list');
+  check(crawled.slice(-1)[0] === 'following:all', 'Follow crawl went on to followers after failing');
+  check(lastCrawls.length === 2, 'Failed follow crawl did not record its time');
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Follow graph checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Follow graph failed ${failures.length} checks`);
+  }
+  
+  return { failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
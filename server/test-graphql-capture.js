@@ -0,0 +1,251 @@
+/**
+ * Test script for reading profiles and tweets from captured GraphQL JSON
+ * 
+ * Feeds saved UserByScreenName, UserTweets and TweetDetail payloads from
+ * data/fixtures/graphql through `GraphQLCapture` as the page would receive
+ * them. Checks the exact counts read where the page shows rounded ones, how
+ * each tweet is classified, the text as the page displays it, media, links
+ * and cards, and that ads, tombstones and cursors are left out.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { GraphQLCapture } = require('./src/services/scraper/graphql-capture');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'GraphQLCaptureTest' });
+
+const payloadDir = path.join(__dirname, 'data', 'fixtures', 'graphql');
+
+const USER_ID = '1234567890';
+const HANDLE = 'xtracker_fixture';
+
+// Tweet ids of the saved timeline end in the numbers used below
+const id = n => `1790000000000000${String(n).padStart(3, '0')}`;
+
+// [field, expected] for the saved profile, shown on the page as 132.5M followers, 45.1K posts
+const USER_CASES = [
+  ['id', USER_ID],
+  ['username', HANDLE],
+  ['name', 'X Tracker Fixture'],
+  ['followers', 132512345],
+  ['following', 1024],
+  ['tweets', 45123],
+  ['description', 'Synthetic profile used to regression-test extraction. Tracking $BTC & #markets example.com/about'],
+  ['location', 'Lisbon, Portugal'],
+  ['url', 'example.com'],
+  ['joinDate', 'Joined March 2009'],
+  ['verified', true],
+  ['avatar', 'https://pbs.twimg.com/profile_images/1700000000000000000/abc_normal.jpg'],
+  ['banner', 'https://pbs.twimg.com/profile_banners/1234567890/1700000000']
+];
+
+// [id, type, referencedTweetId, referencedUser] of the saved timeline, in order
+const TIMELINE = [
+  [id(100), 'pinned', null, null],
+  [id(90), 'original', null, null],
+  ['1780000000000000001', 'retweet', '1780000000000000001', 'other_account'],
+  [id(70), 'quote', '1780000000000000002', 'quoted_account'],
+  [id(50), 'original', null, null],
+  [id(51), 'reply', id(50), HANDLE],
+  [id(40), 'original', null, null],
+  [id(30), 'original', null, null],
+  [id(10), 'original', null, null]
+];
+
+// [id, field, expected] for tweets of the saved timeline
+const TWEET_CASES = [
+  [id(100), 'text', 'Pinned: read the FAQ before asking example.com/faq'],
+  [id(100), 'likes', 5000],
+  [id(100), 'views', 250000],
+  [id(100), 'bookmarks', 80],
+  [id(90), 'text', `${'A long post, past the 280 characters a tweet can hold. '.repeat(6)}Notes: example.com/notes`],
+  ['1780000000000000001', 'likes', 987654],
+  ['1780000000000000001', 'views', 9876543],
+  ['1780000000000000001', 'url', 'https://twitter.com/other_account/status/1780000000000000001'],
+  [id(70), 'text', 'Worth a read'],
+  [id(70), 'links', ['https://x.com/quoted_account/status/1780000000000000002']],
+  [id(51), 'text', 'Q&A in part 2/2 \u{1F9F5}'],
+  [id(51), 'timestamp', '2024-05-13T05:01:00.000Z'],
+  [id(40), 'text', 'Launch day \u{1F680}\u{1F680}'],
+  [id(40), 'media', [
+    { type: 'video', url: 'https://pbs.twimg.com/ext_tw_video_thumb/1790000000000000041/pu/img/poster.jpg' },
+    { type: 'photo', url: 'https://pbs.twimg.com/media/GNabc123.jpg' }
+  ]],
+  [id(30), 'text', 'Limited reach <3'],
+  [id(10), 'text', ''],
+  [id(10), 'card', { url: 'https://www.example.com/article', title: 'An article worth reading', domain: 'example.com' }],
+  [id(10), 'quotes', 1]
+];
+
+// [name, tweet, expected text]
+const TEXT_CASES = [
+  ['range in code points', { legacy: { full_text: '\u{1F44D}\u{1F44D} ok https://t.co/m', display_text_range: [0, 5] } }, '\u{1F44D}\u{1F44D} ok'],
+  ['reply mention left out', { legacy: { full_text: '@someone Tom &amp; Jerry', display_text_range: [9, 20] } }, 'Tom & Jerry'],
+  ['no range', { legacy: { full_text: 'See https://t.co/a', entities: { urls: [{ url: 'https://t.co/a', display_url: 'example.com/a' }] } } }, 'See example.com/a'],
+  ['note tweet in full', {
+    legacy: { full_text: 'Start of a long…', display_text_range: [0, 16] },
+    note_tweet: { note_tweet_results: { result: { text: 'Start of a long post, in full https://t.co/n', entity_set: { urls: [{ url: 'https://t.co/n', expanded_url: 'https://example.com/n' }] } } } }
+  }, 'Start of a long post, in full https://example.com/n'],
+  ['no text', { legacy: {} }, '']
+];
+
+/**
+ * Build a tweet result with a card of the given binding values
+ */
+const withCard = (values, urls = []) => ({
+  legacy: { entities: { urls } },
+  card: { legacy: { binding_values: Object.entries(values).map(([key, value]) => ({ key, value: { string_value: value, type: 'STRING' } })) } }
+});
+
+// [name, tweet, expected card]
+const CARD_CASES = [
+  ['no card', { legacy: {} }, null],
+  ['link card', withCard({ title: 'Title', domain: 'WWW.Example.org', card_url: 'https://t.co/c' }, [{ url: 'https://t.co/c', expanded_url: 'https://example.org/a' }]),
+    { url: 'https://example.org/a', title: 'Title', domain: 'example.org' }],
+  ['card link not in the entities', withCard({ title: 'Title', card_url: 'https://t.co/c' }), { url: 'https://t.co/c', title: 'Title', domain: null }],
+  ['poll', withCard({ choice1_label: 'Yes', choice2_label: 'No' }), null]
+];
+
+const plain = { __typename: 'Tweet', rest_id: '1', legacy: {} };
+
+// [name, result, expected]
+const UNWRAP_CASES = [
+  ['missing', undefined, null],
+  ['tweet', plain, plain],
+  ['limited visibility', { __typename: 'TweetWithVisibilityResults', tweet: plain }, plain],
+  ['tombstone', { __typename: 'TweetTombstone', tombstone: {} }, null],
+  ['without legacy', { __typename: 'Tweet', rest_id: '2' }, null]
+];
+
+/**
+ * Build a response for a GraphQL operation as the page receives it
+ */
+const response = (operation, variables, json) => ({
+  url: () => `https://x.com/i/api/graphql/AbC123/${operation}?variables=${encodeURIComponent(JSON.stringify(variables))}`,
+  status: () => 200,
+  json: async () => json
+});
+
+const readPayload = async name => JSON.parse(await fs.readFile(path.join(payloadDir, `${name}.json`), 'utf8'));
+
+async function runTest() {
+  log.info('Starting GraphQL capture test');
+  
+  const failures = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  
+  const userJson = await readPayload('UserByScreenName');
+  const tweetsJson = await readPayload('UserTweets');
+  const detailJson = await readPayload('TweetDetail');
+  
+  const capture = new GraphQLCapture();
+  await capture.handleResponse(response('UserByScreenName', { screen_name: HANDLE }, userJson));
+  await capture.handleResponse(response('UserTweets', { userId: USER_ID, count: 20 }, tweetsJson));
+  await capture.handleResponse(response('TweetDetail', { focalTweetId: id(51) }, detailJson));
+  
+  // Profile fields, found by handle in any case
+  const user = capture.getUser(HANDLE.toUpperCase());
+  check(user !== null, 'Captured profile was not found by its handle');
+  
+  for (const [field, expected] of USER_CASES) {
+    check(user && same(user[field], expected), `Profile ${field} is ${JSON.stringify(user && user[field])}, expected ${JSON.stringify(expected)}`);
+  }
+  
+  check(GraphQLCapture.parseUser({ data: { user: { result: { __typename: 'UserUnavailable' } } } }) === null, 'An unavailable user was parsed');
+  check(GraphQLCapture.parseUser({}) === null, 'An empty payload was parsed as a user');
+  
+  // The timeline in page order, without the ad, the tombstone or the cursors
+  const tweets = capture.getTweets(USER_ID);
+  const timeline = tweets.map(tweet => [tweet.id, tweet.type, tweet.referencedTweetId, tweet.referencedUser]);
+  check(same(timeline, TIMELINE), `Timeline read as ${JSON.stringify(timeline)}`);
+  
+  for (const [tweetId, field, expected] of TWEET_CASES) {
+    const tweet = tweets.find(item => item.id === tweetId);
+    check(tweet && same(tweet[field], expected), `Tweet ${tweetId} ${field} is ${JSON.stringify(tweet && tweet[field])}, expected ${JSON.stringify(expected)}`);
+  }
+  
+  // A later page holding the same tweets adds nothing
+  await capture.handleResponse(response('UserTweets', { userId: USER_ID, cursor: 'DAABCgABGObottom' }, tweetsJson));
+  check(capture.getTweets(USER_ID).length === TIMELINE.length, `Timeline has ${capture.getTweets(USER_ID).length} tweets after a repeated page`);
+  
+  // The status page: the thread above the focal tweet, then the replies,
+  // including the one added to the reply module afterwards
+  const conversation = capture.getConversation(id(51)).map(tweet => tweet.id);
+  check(same(conversation, [id(50), id(51), id(60), id(61)]), `Conversation read as ${conversation.join(', ')}`);
+  check(capture.getConversation(id(50)).length === 0, 'A conversation was captured for a tweet that was not the focal one');
+  
+  // Responses of other operations, or that failed, are ignored
+  await capture.handleResponse({ url: () => 'https://x.com/i/api/graphql/AbC123/SearchTimeline', status: () => 200, json: async () => tweetsJson });
+  await capture.handleResponse({ ...response('UserByScreenName', {}, {}), status: () => 429 });
+  check(capture.users.size === 1 && capture.tweets.size === 1, 'An operation that is not captured was kept');
+  
+  for (const [name, tweet, expected] of TEXT_CASES) {
+    const actual = GraphQLCapture.tweetText(tweet);
+    check(actual === expected, `Text of ${name} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+  
+  for (const [name, tweet, expected] of CARD_CASES) {
+    const actual = GraphQLCapture.parseCard(tweet);
+    check(same(actual, expected), `Card of ${name} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+  
+  for (const [name, result, expected] of UNWRAP_CASES) {
+    check(GraphQLCapture.unwrapTweet(result) === expected, `Unwrapping a ${name} result returned the wrong tweet`);
+  }
+  
+  // Timeline instructions: a pinned entry, a module appended to later, and ads to skip
+  const entry = (entryId, result, extra = {}) => ({
+    entryId,
+    content: { itemContent: { itemType: 'TimelineTweet', tweet_results: { result }, ...extra } }
+  });
+  const ownTweet = n => ({ rest_id: id(n), legacy: { full_text: `Tweet ${n}` }, core: {} });
+  
+  const instructed = GraphQLCapture.instructionTweets([
+    { type: 'TimelinePinEntry', entry: entry(`tweet-${id(3)}`, ownTweet(3)) },
+    { type: 'TimelineAddEntries', entries: [
+      entry(`tweet-${id(2)}`, ownTweet(2)),
+      entry(`promoted-tweet-${id(9)}`, ownTweet(9)),
+      entry(`tweet-${id(8)}`, ownTweet(8), { promotedMetadata: {} })
+    ] },
+    { type: 'TimelineAddToModule', moduleEntryId: 'conversationthread-1', moduleItems: [{ item: entry('', ownTweet(1)).content }] }
+  ]).map(tweet => `${tweet.id.slice(-1)}:${tweet.type}`);
+  check(instructed.join() === '3:pinned,2:original,1:original', `Instructions read as ${instructed.join(', ')}`);
+  check(GraphQLCapture.instructionTweets(undefined).length === 0, 'Tweets were read from missing instructions');
+  
+  check(GraphQLCapture.operationName('https://x.com/i/api/graphql/AbC123/UserTweets?variables=%7B%7D') === 'UserTweets', 'Operation name was not read');
+  check(GraphQLCapture.operationName('https://x.com/home') === null, 'A page URL was read as an operation');
+  check(same(GraphQLCapture.requestVariables('https://x.com/i/api/graphql/AbC123/UserTweets?variables=%7Bbroken'), {}), 'Broken variables were not ignored');
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`GraphQL capture checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`GraphQL capture failed ${failures.length} checks`);
+  }
+  
+  return { failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,178 @@
+/**
+ * Test script for avatar and banner archiving
+ * 
+ * Checks the bit distance between perceptual hashes (dHash), then archives a
+ * series of avatar downloads into a temporary archive: the same bytes again,
+ * a re-encoded copy whose hash differs in a few bits, and a new picture. Only
+ * the new picture should record a revision. Also checks that the index
+ * survives a restart, that tweet media is stored once per content, and the
+ * full-size URLs images are downloaded from.
+ */
+
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { ImageArchive } = require('./src/services/scraper/image-archive');
+const { XScraper } = require('./src/services/scraper/x-scraper');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'ImageArchiveTest' });
+
+const AVATAR_HASH = 'f0e1d2c3b4a59687';
+const REENCODED_HASH = 'f0e1d2c3b4a59680'; // 3 bits off
+const NEW_AVATAR_HASH = '0f1e2d3c4b5a6978'; // Every bit off
+
+// [a, b, expected distance]
+const DISTANCE_CASES = [
+  [AVATAR_HASH, AVATAR_HASH, 0],
+  [AVATAR_HASH, REENCODED_HASH, 3],
+  [AVATAR_HASH, NEW_AVATAR_HASH, 64],
+  ['0000000000000000', '000000000000000f', 4],
+  [AVATAR_HASH, null, Infinity],
+  [null, null, Infinity],
+  [AVATAR_HASH, 'f0e1', Infinity]
+];
+
+// [kind, url, expected full-size url]
+const URL_CASES = [
+  ['avatar', 'https://pbs.twimg.com/profile_images/1/abc_normal.jpg', 'https://pbs.twimg.com/profile_images/1/abc_400x400.jpg'],
+  ['avatar', 'https://pbs.twimg.com/profile_images/1/abc_200x200.png', 'https://pbs.twimg.com/profile_images/1/abc_400x400.png'],
+  ['avatar', 'https://pbs.twimg.com/profile_images/1/abc.jpg', 'https://pbs.twimg.com/profile_images/1/abc.jpg'],
+  ['banner', 'https://pbs.twimg.com/profile_banners/1/1700000000/600x200', 'https://pbs.twimg.com/profile_banners/1/1700000000/1500x500'],
+  ['banner', 'https://pbs.twimg.com/profile_banners/1/1700000000', 'https://pbs.twimg.com/profile_banners/1/1700000000/1500x500']
+];
+
+/**
+ * Build a downloaded image from some bytes and their perceptual hash
+ */
+const image = (bytes, perceptualHash, sourceUrl = 'https://pbs.twimg.com/profile_images/1/abc_400x400.jpg') => ({
+  data: Buffer.from(bytes),
+  contentType: 'image/jpeg',
+  sourceUrl,
+  perceptualHash
+});
+
+async function runTest() {
+  log.info('Starting image archive test');
+  
+  const failures = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  for (const [a, b, distance] of DISTANCE_CASES) {
+    const actual = ImageArchive.hashDistance(a, b);
+    check(actual === distance, `Distance between ${a} and ${b} is ${actual}, expected ${distance}`);
+  }
+  
+  for (const [kind, url, expected] of URL_CASES) {
+    const actual = XScraper.fullSizeImageUrl(kind, url);
+    check(actual === expected, `Full-size ${kind} of ${url} is ${actual}`);
+  }
+  
+  const archiveDir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-archive-'));
+  
+  try {
+    const archive = new ImageArchive({ archiveDir, maxHashDistance: 6, maxRevisionsPerImage: 3 });
+    await archive.initialize();
+    
+    const day = n => ({ capturedAt: new Date(Date.UTC(2024, 5, n)) });
+    
+    // The first download is always a new revision, stored under its sha256
+    const first = await archive.archiveImage('account-1', 'avatar', image('avatar v1', AVATAR_HASH), day(1));
+    check(first.changed, 'First avatar was not recorded as a revision');
+    check(first.file === path.join(first.sha256.slice(0, 2), `${first.sha256}.jpg`), `First avatar stored as ${first.file}`);
+    check((await fs.readFile(path.join(archiveDir, first.file), 'utf8')) === 'avatar v1', 'First avatar file has the wrong bytes');
+    
+    // The same bytes, and a re-encoded copy, only move lastSeenAt
+    const same = await archive.archiveImage('account-1', 'avatar', image('avatar v1', AVATAR_HASH), day(2));
+    check(!same.changed, 'The same avatar was recorded as a new revision');
+    
+    const reencoded = await archive.archiveImage('account-1', 'avatar', image('avatar v1, re-encoded', REENCODED_HASH), day(3));
+    check(!reencoded.changed, 'A re-encoded avatar was recorded as a new revision');
+    check(reencoded.sha256 === first.sha256, 'A re-encoded avatar replaced the archived file');
+    check(reencoded.lastSeenAt === day(3).capturedAt.toISOString(), `Avatar last seen ${reencoded.lastSeenAt}`);
+    
+    // A different picture is a new revision
+    const changed = await archive.archiveImage('account-1', 'avatar', image('avatar v2', NEW_AVATAR_HASH), day(4));
+    check(changed.changed, 'A new avatar was not recorded as a revision');
+    
+    // So is an image without a hash, since it can't be compared
+    const unhashed = await archive.archiveImage('account-1', 'avatar', image('avatar v3', null), day(5));
+    check(unhashed.changed, 'An avatar without a hash was not recorded as a revision');
+    
+    // Only the latest revisions are kept, newest first
+    await archive.archiveImage('account-1', 'avatar', image('avatar v4', AVATAR_HASH), day(6));
+    const revisions = archive.getRevisions('account-1');
+    check(revisions.avatar.length === 3, `Kept ${revisions.avatar.length} avatar revisions, expected 3`);
+    check(revisions.avatar[0].perceptualHash === AVATAR_HASH && revisions.avatar[2].sha256 === changed.sha256,
+      'Avatar revisions are not the latest three, newest first');
+    check(revisions.banner.length === 0, 'Avatars were recorded as banners');
+    
+    // Banners have their own history
+    const banner = await archive.archiveImage('account-1', 'banner', image('banner v1', AVATAR_HASH), day(6));
+    check(banner.changed, 'A banner with the avatar\'s hash was not recorded');
+    
+    let unknownKind = null;
+    try {
+      await archive.archiveImage('account-1', 'header', image('header', AVATAR_HASH));
+    } catch (error) {
+      unknownKind = error;
+    }
+    check(unknownKind !== null, 'An unknown image kind was archived');
+    
+    // Tweet media is keyed without its size and stored once per content
+    const smallUrl = 'https://pbs.twimg.com/media/abc?format=jpg&name=small';
+    const largeUrl = 'https://pbs.twimg.com/media/abc?format=jpg&name=large';
+    const mediaHash = await archive.archiveMedia(image('photo', null, largeUrl));
+    check(archive.getMediaHash(smallUrl) === mediaHash, 'Small rendition of archived media was not found');
+    check(ImageArchive.mediaKey(smallUrl) === 'https://pbs.twimg.com/media/abc?format=jpg', `Media key is ${ImageArchive.mediaKey(smallUrl)}`);
+    check(archive.getMediaHash('https://pbs.twimg.com/media/other?format=jpg') === null, 'Media that was never archived was found');
+    
+    // Archived files are served by sha256 only
+    check(archive.getFile(first.sha256)?.contentType === 'image/jpeg', 'Archived avatar file was not found');
+    check(archive.getFile('../index') === null, 'A path outside the archive was served');
+    
+    // The index survives a restart
+    const reloaded = new ImageArchive({ archiveDir, maxHashDistance: 6 });
+    await reloaded.initialize();
+    
+    check(reloaded.getLatest('account-1', 'avatar')?.sha256 === archive.getLatest('account-1', 'avatar').sha256,
+      'Latest avatar was lost across a restart');
+    check(reloaded.getMediaHash(largeUrl) === mediaHash, 'Archived media was lost across a restart');
+    check(reloaded.getFile(changed.sha256) !== null, 'Archived avatar file was lost across a restart');
+    
+    const afterRestart = await reloaded.archiveImage('account-1', 'avatar', image('avatar v4', AVATAR_HASH), day(7));
+    check(!afterRestart.changed, 'The current avatar was recorded again after a restart');
+  } finally {
+    await fs.rm(archiveDir, { recursive: true, force: true });
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Image archive checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Image archive failed ${failures.length} checks`);
+  }
+  
+  return { failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
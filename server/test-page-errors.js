@@ -0,0 +1,176 @@
+/**
+ * Test script for typed scrape errors
+ * 
+ * Runs `PageClassifier.classifyPage` over a table of the screens X shows
+ * instead of a profile (rate limit, login wall, CAPTCHA, error page) and
+ * checks the error code each one gets. The pages are stand-ins that only
+ * know which of the registry's selectors match and what text they hold, so
+ * no browser is launched. Then checks that the orchestrator recovers from
+ * each typed error the right way: retrying later, rotating the proxy or
+ * rotating the session, and only marking a proxy unhealthy when it failed
+ * to connect.
+ */
+
+require('dotenv').config();
+const { PageClassifier, SCRAPE_ERRORS } = require('./src/services/scraper/page-classifier');
+const { SelectorRegistry } = require('./src/services/scraper/selector-registry');
+const { ScraperOrchestrator } = require('./src/services/scraper/orchestrator');
+const { logger } = require('./src/utils/logger');
+const { createPage } = require('./src/utils/test-helpers');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'PageErrorsTest' });
+
+const registry = new SelectorRegistry();
+
+// The first selector of each field, as X currently renders it
+const NAME = registry.get('profile.name')[0];
+const EMPTY_STATE = registry.get('accountState.emptyState')[0];
+const ALERT = registry.get('pageState.errorMessage')[2];
+const CAPTCHA = registry.get('pageState.captcha')[0];
+const LOGIN_BUTTON = registry.get('auth.loggedOut')[0];
+const LOGIN_USERNAME = registry.get('auth.loginUsername')[0];
+
+const profileUrl = 'https://x.com/TrackedUser';
+
+// [name, url, elements, options, expected errorCode or null for a readable page]
+const PAGE_CASES = [
+  ['readable profile', profileUrl, { [NAME]: 'Tracked User' }, {}, null],
+  ['profile with a login prompt', profileUrl, { [NAME]: 'Tracked User', [LOGIN_BUTTON]: 'Log in' }, {}, null],
+  ['suspended account', profileUrl, { [EMPTY_STATE]: 'Account suspended' }, {}, null],
+  ['429 response', profileUrl, { [NAME]: 'Tracked User' }, { statusCode: 429 }, 'rateLimited'],
+  ['rate limit message', profileUrl, { [ALERT]: 'Rate limit exceeded' }, {}, 'rateLimited'],
+  ['rate limited requests', profileUrl, { [EMPTY_STATE]: 'Something went wrong. Try reloading.' }, { rateLimitedRequests: 2 }, 'rateLimited'],
+  ['error page', profileUrl, { [EMPTY_STATE]: 'Something went wrong. Try reloading.' }, {}, 'pageError'],
+  ['captcha redirect', 'https://x.com/account/access', {}, {}, 'captcha'],
+  ['captcha on page', profileUrl, { [NAME]: 'Tracked User', [CAPTCHA]: '' }, {}, 'captcha'],
+  ['login redirect', 'https://x.com/login?redirect_after_login=%2FTrackedUser', {}, {}, 'loginRequired'],
+  ['login flow redirect', 'https://x.com/i/flow/login', {}, {}, 'loginRequired'],
+  ['login wall', profileUrl, { [LOGIN_BUTTON]: 'Log in' }, {}, 'loginRequired'],
+  ['login form', profileUrl, { [LOGIN_USERNAME]: '' }, {}, 'loginRequired'],
+  ['blank page', 'about:blank', {}, {}, null]
+];
+
+// [error code, expected action]
+const ERROR_CASES = [
+  ['rateLimited', 'retryLater'],
+  ['pageError', 'retryLater'],
+  ['captcha', 'rotateProxy'],
+  ['proxyError', 'rotateProxy'],
+  ['timeout', 'rotateProxy'],
+  ['loginRequired', 'rotateSession'],
+  ['accountUnavailable', null],
+  ['notAnErrorCode', null]
+];
+
+/**
+ * Create an orchestrator whose scraper returns the given results in turn,
+ * with stand-in proxy and session managers that record what they're asked to do
+ */
+const createOrchestrator = (results) => {
+  const orchestrator = new ScraperOrchestrator({ useProxies: false, maxRecoveryAttempts: 2 });
+  const calls = [];
+  let sessions = ['session-1', 'session-2'];
+  
+  orchestrator.scraper.scrapeAccount = async () => {
+    calls.push('scrape');
+    return results.shift() || { success: true };
+  };
+  orchestrator.proxyManager = {
+    markProxyUnhealthy: async (proxyId) => calls.push(`unhealthy ${proxyId}`),
+    coolDownProxy: (proxyId) => calls.push(`coolDown ${proxyId}`)
+  };
+  orchestrator.sessionManager = {
+    sessions: new Map(sessions.map(username => [username, { username }])),
+    invalidate: async (session) => {
+      calls.push(`invalidate ${session.username}`);
+      sessions = sessions.filter(username => username !== session.username);
+    },
+    getAvailableSessions: () => sessions
+  };
+  
+  return { orchestrator, calls };
+};
+
+const failed = (errorCode, details = {}) => PageClassifier.scrapeError(errorCode, `Scrape failed with ${errorCode}`, details);
+
+// [name, scrape results in order, expected calls]
+const RECOVERY_CASES = [
+  ['rate limit waits', [failed('rateLimited', { proxyId: 'p1' })], ['scrape']],
+  ['error page waits', [failed('pageError', { proxyId: 'p1' })], ['scrape']],
+  ['proxy error marks the proxy unhealthy', [failed('proxyError', { proxyId: 'p1' })], ['scrape', 'unhealthy p1', 'scrape']],
+  ['captcha cools the proxy down', [failed('captcha', { proxyId: 'p1' })], ['scrape', 'coolDown p1', 'scrape']],
+  ['timeout leaves the proxy alone', [failed('timeout', { proxyId: 'p1' })], ['scrape', 'scrape']],
+  ['login wall rotates the session', [failed('loginRequired', { sessionUsername: 'session-1' })], ['scrape', 'invalidate session-1', 'scrape']],
+  ['no sessions left', [
+    failed('loginRequired', { sessionUsername: 'session-1' }),
+    failed('loginRequired', { sessionUsername: 'session-2' })
+  ], ['scrape', 'invalidate session-1', 'scrape', 'invalidate session-2']],
+  ['recovery attempts are limited', [
+    failed('captcha', { proxyId: 'p1' }),
+    failed('captcha', { proxyId: 'p2' }),
+    failed('captcha', { proxyId: 'p3' })
+  ], ['scrape', 'coolDown p1', 'scrape', 'coolDown p2', 'scrape']]
+];
+
+async function runTest() {
+  log.info('Starting page errors test');
+  
+  const classifier = new PageClassifier({ selectorRegistry: registry });
+  const failures = [];
+  
+  for (const [name, url, elements, options, errorCode] of PAGE_CASES) {
+    const result = await classifier.classifyPage(createPage(url, elements), options);
+    const actual = result ? result.errorCode : null;
+    
+    if (actual !== errorCode) {
+      failures.push(`${name}: classified ${actual} (${result && result.reason}), expected ${errorCode}`);
+    }
+  }
+  
+  for (const [errorCode, action] of ERROR_CASES) {
+    const result = PageClassifier.scrapeError(errorCode, 'Failed', { proxyId: 'p1' });
+    const expectedCode = SCRAPE_ERRORS[errorCode] ? errorCode : 'unknown';
+    
+    if (result.success !== false || result.errorCode !== expectedCode || result.action !== action || result.proxyId !== 'p1') {
+      failures.push(`${errorCode} built ${JSON.stringify(result)}, expected ${expectedCode} with ${action}`);
+    }
+    
+    if (action && !(result.retryAfter > 0)) {
+      failures.push(`${errorCode} has no retryAfter`);
+    }
+  }
+  
+  for (const [name, results, expected] of RECOVERY_CASES) {
+    const { orchestrator, calls } = createOrchestrator([...results]);
+    await orchestrator.scrapeWithRecovery({ id: 'account-1', username: 'TrackedUser' });
+    
+    if (calls.join() !== expected.join()) {
+      failures.push(`${name}: ${calls.join(', ')}, expected ${expected.join(', ')}`);
+    }
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  const checked = PAGE_CASES.length + ERROR_CASES.length + RECOVERY_CASES.length;
+  log.info(`Checked ${checked} page error cases, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Page errors failed ${failures.length} checks`);
+  }
+  
+  return { checked, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,77 @@
+/**
+ * Test script for hashtag, mention and cashtag parsing
+ * 
+ * Runs `PostStore.parseEntities` over a table of tweet texts, including
+ * prices and other dollar amounts that must not be read as cashtags.
+ */
+
+require('dotenv').config();
+const { PostStore } = require('./src/services/scraper/post-store');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'PostEntitiesTest' });
+
+// [text, expected hashtags, mentions and cashtags]
+const ENTITY_CASES = [
+  ['Buying $BTC and $eth today', [], [], ['$BTC', '$ETH']],
+  ['$btc, $BTC and $Btc', [], [], ['$BTC']],
+  ['($TSLA) beat, $AAPL.', [], [], ['$TSLA', '$AAPL']],
+  ['$ETH/$BTC ratio', [], [], ['$ETH', '$BTC']],
+  ['$BRK.B and $RDS_A', [], [], ['$BRK.B', '$RDS_A']],
+  ['$SPY2 calls', [], [], ['$SPY2']],
+  ['$100 off, now $5.99', [], [], []],
+  ['Costs US$50', [], [], []],
+  ['$$BTC', [], [], []],
+  ['$TOOLONGX', [], [], []],
+  ['#Bitcoin #bitcoin #日本 #100DaysOfCode', ['#Bitcoin', '#bitcoin', '#日本', '#100DaysOfCode'], [], []],
+  ['Not a tag: a#b', [], [], []],
+  ['@elonmusk @ElonMusk, @a_b_c', [], ['@elonmusk', '@ElonMusk', '@a_b_c'], []],
+  ['Mail me@example.com', [], [], []],
+  ['@trader: #crypto $SOL to the moon', ['#crypto'], ['@trader'], ['$SOL']],
+  ['', [], [], []],
+  [null, [], [], []]
+];
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  const failures = [];
+  
+  log.info('Checking entity parsing');
+  
+  for (const [text, hashtags, mentions, cashtags] of ENTITY_CASES) {
+    const actual = PostStore.parseEntities(text);
+    const expected = { hashtags, mentions, cashtags };
+    
+    for (const [field, values] of Object.entries(expected)) {
+      if (actual[field].join() !== values.join()) {
+        failures.push(`parseEntities(${JSON.stringify(text)}) read ${field} as [${actual[field].join(', ')}], expected [${values.join(', ')}]`);
+      }
+    }
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Checked ${ENTITY_CASES.length} entity cases, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Entity parsing failed ${failures.length} checks`);
+  }
+  
+  return { checked: ENTITY_CASES.length, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
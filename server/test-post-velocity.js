@@ -0,0 +1,162 @@
+/**
+ * Test script for per-tweet engagement history and velocity
+ * 
+ * Runs `PostStore.calculateVelocity` over a table of snapshot series and
+ * checks the engagement gained per hour in the first 1h/6h/24h, then stores
+ * a post across several scrapes in an in-memory post store and reads its
+ * timeline back.
+ */
+
+require('dotenv').config();
+const { PostStore } = require('./src/services/scraper/post-store');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'PostVelocityTest' });
+
+const POSTED = Date.parse('2024-06-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a snapshot taken some hours after posting
+ */
+const snapshot = (hours, likeCount, fields = {}) => ({
+  timestamp: new Date(POSTED + hours * HOUR),
+  likeCount,
+  retweetCount: null,
+  replyCount: null,
+  viewCount: null,
+  quoteCount: null,
+  bookmarkCount: null,
+  ...fields
+});
+
+// [name, snapshots, expected { window: null or { likesPerHour, interpolated, estimated } }]
+const VELOCITY_CASES = [
+  ['no snapshots', [], { '1h': null, '6h': null, '24h': null }],
+  ['snapshot right at 1h', [snapshot(1, 120)], {
+    '1h': { likesPerHour: 120, interpolated: false, estimated: false },
+    '6h': null
+  }],
+  ['interpolated between snapshots', [snapshot(0.5, 50), snapshot(2, 200)], {
+    '1h': { likesPerHour: 100, interpolated: true, estimated: false },
+    '6h': null
+  }],
+  ['interpolated from publication', [snapshot(48, 480)], {
+    '1h': { likesPerHour: 10, interpolated: true },
+    '6h': { likesPerHour: 10, interpolated: true },
+    '24h': { likesPerHour: 10, interpolated: true }
+  }],
+  ['unordered snapshots', [snapshot(12, 600), snapshot(3, 300), snapshot(30, 900)], {
+    '1h': { likesPerHour: 100 },
+    '6h': { likesPerHour: 66.67 },
+    '24h': { likesPerHour: 33.33 }
+  }],
+  ['estimated history', [{ ...snapshot(6, 65), estimated: true }, snapshot(40, 100)], {
+    '6h': { likesPerHour: 10.83, interpolated: false, estimated: true },
+    '24h': { estimated: true }
+  }],
+  ['views tracked separately', [snapshot(1, 10, { viewCount: 1000 })], {
+    '1h': { likesPerHour: 10, viewsPerHour: 1000, retweetsPerHour: null }
+  }]
+];
+
+async function runTest() {
+  log.info('Starting post velocity test');
+  
+  const failures = [];
+  
+  for (const [name, snapshots, expected] of VELOCITY_CASES) {
+    const velocity = PostStore.calculateVelocity(new Date(POSTED), snapshots);
+    
+    for (const [window, fields] of Object.entries(expected)) {
+      if (fields === null) {
+        if (velocity[window] !== null) {
+          failures.push(`${name}: ${window} is ${JSON.stringify(velocity[window])}, expected null`);
+        }
+        continue;
+      }
+      
+      for (const [field, value] of Object.entries(fields)) {
+        const actual = velocity[window] ? velocity[window][field] : undefined;
+        
+        if (actual !== value) {
+          failures.push(`${name}: ${window} ${field} is ${actual}, expected ${value}`);
+        }
+      }
+    }
+  }
+  
+  // A post stored on every scrape keeps one snapshot per scrape
+  const postStore = new PostStore({ storageType: 'memory', maxSnapshotsPerPost: 3 });
+  await postStore.initialize();
+  
+  const tweet = { id: '1796000000000000001', text: 'Tracked tweet', timestamp: new Date(POSTED).toISOString() };
+  
+  for (const [hours, likes] of [[0.5, 40], [2, 150], [7, 420]]) {
+    await postStore.upsertPosts('account-1', [{ ...tweet, likes, views: likes * 20 }], {
+      capturedAt: new Date(POSTED + hours * HOUR)
+    });
+  }
+  
+  const timeline = await postStore.getTimeline(tweet.id);
+  
+  if (!timeline || timeline.snapshots.length !== 3) {
+    failures.push(`Stored ${timeline ? timeline.snapshots.length : 0} snapshots, expected 3`);
+  } else {
+    if (timeline.post.likeCount !== 420) {
+      failures.push(`Stored post has ${timeline.post.likeCount} likes, expected the latest 420`);
+    }
+    
+    if (!timeline.velocity['1h'] || timeline.velocity['1h'].likesPerHour !== 76.67) {
+      failures.push(`Stored post 1h velocity is ${JSON.stringify(timeline.velocity['1h'])}`);
+    }
+    
+    if (timeline.velocity['24h'] !== null) {
+      failures.push('Stored post has a 24h velocity before a scrape after 24h');
+    }
+  }
+  
+  // The oldest snapshots go once a post has more than maxSnapshotsPerPost
+  await postStore.upsertPosts('account-1', [{ ...tweet, likes: 500 }], { capturedAt: new Date(POSTED + 30 * HOUR) });
+  const bounded = await postStore.getSnapshots(tweet.id);
+  
+  if (bounded.length !== 3 || bounded[0].likeCount !== 150) {
+    failures.push(`Kept ${bounded.length} snapshots starting at ${bounded[0] && bounded[0].likeCount} likes`);
+  }
+  
+  // A post first seen long after it went out gets an estimated early history
+  const late = { id: '1796000000000000002', text: 'Found by a backfill', timestamp: new Date(POSTED).toISOString(), likes: 1000 };
+  const backfillStore = new PostStore({ storageType: 'memory' });
+  await backfillStore.initialize();
+  await backfillStore.upsertPosts('account-1', [late], { capturedAt: new Date(POSTED + 72 * HOUR), estimateHistory: true });
+  const lateTimeline = await backfillStore.getTimeline(late.id);
+  const estimated = lateTimeline.snapshots.filter(item => item.estimated).length;
+  
+  if (estimated !== 3 || !lateTimeline.velocity['1h'] || !lateTimeline.velocity['1h'].estimated) {
+    failures.push(`Late post has ${estimated} estimated snapshots, 1h velocity ${JSON.stringify(lateTimeline.velocity['1h'])}`);
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Checked ${VELOCITY_CASES.length} velocity cases and the stored timelines, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Post velocity failed ${failures.length} checks`);
+  }
+  
+  return { checked: VELOCITY_CASES.length, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
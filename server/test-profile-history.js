@@ -0,0 +1,132 @@
+/**
+ * Test script for profile revisions
+ * 
+ * Runs `ProfileStore.toProfile` over avatar URLs in each size X serves and
+ * `ProfileStore.diffProfiles` over a table of profile changes, then records
+ * a series of scraped profiles into an in-memory store. Only real changes
+ * should become revisions and 'profileChanged' events.
+ */
+
+require('dotenv').config();
+const { ProfileStore } = require('./src/services/scraper/profile-store');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'ProfileHistoryTest' });
+
+const AVATAR = 'https://pbs.twimg.com/profile_images/1/abc.jpg';
+
+// [avatar URL, expected URL once the size is dropped]
+const AVATAR_CASES = [
+  ['https://pbs.twimg.com/profile_images/1/abc_normal.jpg', AVATAR],
+  ['https://pbs.twimg.com/profile_images/1/abc_bigger.jpg', AVATAR],
+  ['https://pbs.twimg.com/profile_images/1/abc_mini.jpg', AVATAR],
+  ['https://pbs.twimg.com/profile_images/1/abc_200x200.jpg', AVATAR],
+  ['https://pbs.twimg.com/profile_images/1/abc_400x400.png', 'https://pbs.twimg.com/profile_images/1/abc.png'],
+  [AVATAR, AVATAR],
+  ['https://pbs.twimg.com/profile_images/1/my_normal_pic.jpg', 'https://pbs.twimg.com/profile_images/1/my_normal_pic.jpg'],
+  [null, null]
+];
+
+const profile = {
+  name: 'Tracked User',
+  description: 'Markets and $BTC',
+  location: 'Lisbon',
+  url: 'example.com',
+  avatar: AVATAR,
+  verified: false
+};
+
+// [name, previous, current, expected "field:from>to" changes]
+const DIFF_CASES = [
+  ['nothing changed', profile, { ...profile }, []],
+  ['new name', profile, { ...profile, name: 'Renamed User' }, ['name:Tracked User>Renamed User']],
+  ['bio cleared', profile, { ...profile, description: null }, ['description:Markets and $BTC>null']],
+  ['bio read as undefined', profile, { ...profile, description: undefined }, ['description:Markets and $BTC>null']],
+  ['verified', profile, { ...profile, verified: true }, ['verified:false>true']],
+  ['several fields', profile, { ...profile, location: 'Porto', url: null }, ['location:Lisbon>Porto', 'url:example.com>null']],
+  ['untracked fields ignored', profile, { ...profile, followers: 100 }, []]
+];
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  const failures = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  log.info('Checking avatar sizes');
+  
+  for (const [url, expected] of AVATAR_CASES) {
+    const actual = ProfileStore.toProfile({ avatar: url }).avatar;
+    check(actual === expected, `toProfile read avatar ${url} as ${actual}, expected ${expected}`);
+  }
+  
+  const fields = Object.keys(ProfileStore.toProfile({ name: 'A', followers: 100 }));
+  check(fields.join() === Object.keys(profile).join(), `toProfile kept fields ${fields.join(', ')}`);
+  
+  log.info('Checking profile diffs');
+  
+  for (const [name, previous, current, expected] of DIFF_CASES) {
+    const actual = ProfileStore.diffProfiles(previous, current).map(change => `${change.field}:${change.from}>${change.to}`);
+    check(actual.join() === expected.join(), `diffProfiles for ${name} returned [${actual.join(', ')}], expected [${expected.join(', ')}]`);
+  }
+  
+  log.info('Checking recorded revisions');
+  
+  const profileStore = new ProfileStore({ storageType: 'memory' });
+  await profileStore.initialize();
+  
+  const events = [];
+  profileStore.on('profileChanged', change => events.push(change));
+  
+  const day = n => ({ capturedAt: new Date(Date.UTC(2024, 5, n)) });
+  
+  // The first profile is a baseline; the same one in another avatar size is no change
+  const first = await profileStore.recordProfile('account-1', { ...profile, avatar: AVATAR.replace('.jpg', '_normal.jpg') }, day(1));
+  const resized = await profileStore.recordProfile('account-1', { ...profile, avatar: AVATAR.replace('.jpg', '_400x400.jpg') }, day(2));
+  const nameless = await profileStore.recordProfile('account-1', { ...profile, name: null, description: null }, day(3));
+  const changed = await profileStore.recordProfile('account-1', { ...profile, description: 'Markets, $BTC and $ETH' }, day(4));
+  
+  check(first && first.changes.length === 0, `Baseline recorded with changes ${JSON.stringify(first && first.changes)}`);
+  check(resized === null, 'A resized avatar was recorded as a revision');
+  check(nameless === null, 'A profile without a name was recorded');
+  check(changed && changed.changes.map(change => change.field).join() === 'description', `Bio change recorded as ${JSON.stringify(changed && changed.changes)}`);
+  check(events.length === 1 && events[0].accountId === 'account-1' && events[0].timestamp === day(4).capturedAt.toISOString(),
+    `Emitted profileChanged ${JSON.stringify(events)}`);
+  
+  const history = await profileStore.getHistory('account-1');
+  const bioHistory = await profileStore.getHistory('account-1', { field: 'description' });
+  check(history.length === 2 && history[0] === changed, `History has ${history.length} revisions, newest first expected`);
+  check(bioHistory.length === 1 && bioHistory[0] === changed, `Bio history has ${bioHistory.length} revisions`);
+  
+  const checked = AVATAR_CASES.length + DIFF_CASES.length;
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Checked ${checked} profile cases, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Profile history failed ${failures.length} checks`);
+  }
+  
+  return { checked, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
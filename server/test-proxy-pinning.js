@@ -0,0 +1,213 @@
+/**
+ * Test script for pinning sessions to proxies
+ * 
+ * Runs a ProxyManager over a few proxies that all point at a local stand-in
+ * proxy server. Checks that a pinned session keeps its proxy, fails over to
+ * another one once its proxy is blocked, can't connect, cools down, is
+ * drained or turns unhealthy, that pins survive a restart, and that
+ * high-priority accounts stay on the priority proxy group.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { ProxyManager } = require('./src/services/scraper/proxy-manager');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'ProxyPinningTest' });
+
+// Loopback addresses of the proxies, all served by the stand-in server
+const PROXY_HOSTS = ['127.0.0.1', '127.0.0.2', '127.0.0.3', '127.0.0.4'];
+const PRIORITY_GROUP = 'residential';
+
+/**
+ * Start a stand-in HTTP proxy that answers every request itself
+ */
+const startProxyServer = async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+  
+  await new Promise(resolve => server.listen(0, '0.0.0.0', resolve));
+  
+  return server;
+};
+
+/**
+ * Create a proxy manager over the given proxy file and wait for its first health check
+ */
+const createProxyManager = async (proxyFilePath) => {
+  const proxyManager = new ProxyManager({
+    proxyFilePath,
+    minProxies: 1,
+    healthCheckUrl: 'http://x.test/',
+    healthCheckInterval: 60 * 60 * 1000,
+    maxUsagePerProxy: 1000,
+    priorityProxyGroup: PRIORITY_GROUP
+  });
+  
+  await proxyManager.initialize();
+  await proxyManager.runHealthChecks();
+  
+  return proxyManager;
+};
+
+async function runTest() {
+  log.info('Starting proxy pinning test');
+  
+  const server = await startProxyServer();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-pinning-'));
+  const proxyFilePath = path.join(dir, 'proxies.json');
+  const failures = [];
+  const managers = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  try {
+    const port = server.address().port;
+    
+    // The first two proxies form the priority group
+    await fs.writeFile(proxyFilePath, JSON.stringify({
+      proxies: PROXY_HOSTS.map((host, i) => ({
+        host,
+        port,
+        protocol: 'http',
+        healthy: true,
+        group: i < 2 ? PRIORITY_GROUP : null
+      }))
+    }));
+    
+    const proxyManager = await createProxyManager(proxyFilePath);
+    managers.push(proxyManager);
+    
+    check(proxyManager.availableProxies.size === PROXY_HOSTS.length,
+      `${proxyManager.availableProxies.size} of ${PROXY_HOSTS.length} proxies passed the health check`);
+    
+    const key = ProxyManager.sessionKey('PinnedBot');
+    check(key === 'session:pinnedbot', `Session key is ${key}`);
+    
+    /**
+     * Get a proxy for the key, then check whether it stayed on or moved off the one it was pinned to
+     */
+    const expectFailover = async (reason, shouldMove) => {
+      const before = proxyManager.affinities.get(key);
+      const { proxyId } = await proxyManager.getProxy({ affinityKey: key });
+      const after = proxyManager.affinities.get(key);
+      
+      if (shouldMove) {
+        check(proxyId !== before.proxyId, `Stayed on ${before.proxyId} after ${reason}`);
+        check(after.previousProxyId === before.proxyId, `Previous proxy after ${reason} is ${after.previousProxyId}`);
+        check(after.failovers === before.failovers + 1, `Failovers after ${reason} is ${after.failovers}`);
+      } else {
+        check(proxyId === before.proxyId, `Moved from ${before.proxyId} to ${proxyId} after ${reason}`);
+      }
+      
+      return proxyId;
+    };
+    
+    // A new key is pinned to the first proxy it gets, and keeps it
+    const { proxyId: first } = await proxyManager.getProxy({ affinityKey: key });
+    check(proxyManager.affinities.get(key)?.proxyId === first, 'New key was not pinned');
+    
+    for (let i = 0; i < 10; i++) {
+      await expectFailover('repeated requests', false);
+    }
+    
+    proxyManager.recordResult(first, { success: true, latency: 800 });
+    await expectFailover('a successful request', false);
+    
+    // A block moves the key off its proxy, even though the proxy stays in the pool
+    proxyManager.recordResult(first, { success: false, banned: 'rateLimited' });
+    check(proxyManager.getPinnedProxy(key) === null, 'Blocked proxy is still returned as pinned');
+    const second = await expectFailover('a rate limit', true);
+    
+    // So does a connection failure
+    proxyManager.recordResult(second, { success: false });
+    const third = await expectFailover('a connection failure', true);
+    
+    // And a cooldown, a drain or a failed health check
+    proxyManager.coolDownProxy(third);
+    const fourth = await expectFailover('a cooldown', true);
+    
+    await proxyManager.drainProxy(fourth);
+    const fifth = await expectFailover('a drain', true);
+    await proxyManager.resumeProxy(fourth);
+    
+    proxyManager.proxies.get(fifth).healthy = false;
+    proxyManager.availableProxies.delete(fifth);
+    const sixth = await expectFailover('a failed health check', true);
+    proxyManager.proxies.get(fifth).healthy = true;
+    proxyManager.availableProxies.add(fifth);
+    
+    // Pins are kept across restarts, along with the outcomes they fail over on
+    proxyManager.recordResult(sixth, { success: true, latency: 900 });
+    await proxyManager.saveProxies();
+    const restarted = await createProxyManager(proxyFilePath);
+    managers.push(restarted);
+    
+    check(restarted.affinities.get(key)?.proxyId === sixth, 'Pin was lost across a restart');
+    check(restarted.getStatus().affinities.some(affinity => affinity.key === key && !affinity.failingOver),
+      'Restarted manager reports the pin as failing over');
+    
+    // High-priority accounts stay on the priority group while any of it is available
+    const groupIds = [...restarted.proxies.values()]
+      .filter(proxy => proxy.group === PRIORITY_GROUP)
+      .map(proxy => proxy.id);
+    const priorityAccount = { username: 'priority', priority: 1 };
+    const regularAccount = { username: 'regular', priority: 3 };
+    const regularIds = new Set();
+    
+    for (let i = 0; i < 50; i++) {
+      const { proxyId } = await restarted.getProxy({ account: priorityAccount });
+      check(groupIds.includes(proxyId), `Priority account got ${proxyId} outside the group`);
+      regularIds.add((await restarted.getProxy({ account: regularAccount })).proxyId);
+    }
+    
+    check(regularIds.size > groupIds.length, 'Regular accounts only got priority group proxies');
+    
+    for (const proxyId of groupIds) {
+      restarted.availableProxies.delete(proxyId);
+    }
+    
+    const { proxyId: fallback } = await restarted.getProxy({ account: priorityAccount });
+    check(!groupIds.includes(fallback), 'Priority account got no proxy with its group unavailable');
+  } finally {
+    for (const proxyManager of managers) {
+      await proxyManager.stop();
+    }
+    
+    await new Promise(resolve => server.close(() => resolve()));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Proxy pinning checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Proxy pinning failed ${failures.length} checks`);
+  }
+  
+  return { failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
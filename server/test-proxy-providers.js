@@ -0,0 +1,223 @@
+/**
+ * Test script for proxy provider adapters
+ * 
+ * Serves proxy lists from a local stand-in provider in the list, JSON and
+ * CSV formats. Checks that each provider's proxies are added with their
+ * source and group, that providers refresh on their own intervals, and that
+ * a refresh retires the proxies a provider dropped while keeping pinned and
+ * manually added ones.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { ProxyManager } = require('./src/services/scraper/proxy-manager');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'ProxyProvidersTest' });
+
+const MANUAL_HOST = '127.0.9.1';
+const REFRESH_INTERVAL = 200; // ms between refreshes of the list provider
+
+/**
+ * Start the stand-in provider. Requests with an absolute URL are health
+ * checks sent through one of the listed proxies, which all point here.
+ */
+const startProviderServer = async (lists) => {
+  const hits = {};
+  
+  const server = http.createServer((req, res) => {
+    if (/^https?:\/\//.test(req.url)) {
+      res.end('ok');
+      return;
+    }
+    
+    const format = req.url.slice(1);
+    hits[format] = (hits[format] || 0) + 1;
+    
+    if (lists[format] === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    
+    const port = server.address().port;
+    const body = lists[format](port);
+    
+    res.writeHead(200, { 'Content-Type': format === 'json' ? 'application/json' : 'text/plain' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  
+  await new Promise(resolve => server.listen(0, '0.0.0.0', resolve));
+  
+  return { server, hits };
+};
+
+async function runTest() {
+  log.info('Starting proxy providers test');
+  
+  // Loopback hosts the list provider currently lists
+  let listHosts = ['127.0.1.1', '127.0.1.2', '127.0.1.3'];
+  
+  const lists = {
+    list: port => `# Proxies for today\n${listHosts.map(host => `${host}:${port}`).join('\n')}\n`,
+    json: port => ({
+      data: {
+        proxies: [
+          { ip: '127.0.2.1', port: String(port), type: 'HTTP', user: 'alice', pass: 'secret', pool: 'residential' },
+          { address: '127.0.2.2', port }
+        ]
+      }
+    }),
+    csv: port => `IP,Port,Protocol,Group\n127.0.3.1,${port},http,\n"127.0.3.2",${port},http,residential\n`
+  };
+  
+  const { server, hits } = await startProviderServer(lists);
+  const port = server.address().port;
+  const base = `http://127.0.0.1:${port}`;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-providers-'));
+  const proxyFilePath = path.join(dir, 'proxies.json');
+  const failures = [];
+  let proxyManager = null;
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  const idsFrom = source => [...proxyManager.proxies.values()]
+    .filter(proxy => (proxy.source || null) === source)
+    .map(proxy => proxy.id)
+    .sort();
+  
+  try {
+    // One proxy added by hand before any provider is set up
+    await fs.writeFile(proxyFilePath, JSON.stringify({
+      proxies: [{ host: MANUAL_HOST, port, protocol: 'http', healthy: true }]
+    }));
+    
+    proxyManager = new ProxyManager({
+      proxyFilePath,
+      minProxies: 1,
+      healthCheckUrl: 'http://x.test/',
+      healthCheckInterval: 60 * 60 * 1000,
+      healthCheckTimeout: 2000,
+      proxyProviders: [
+        { name: 'daily-list', url: `${base}/list`, refreshInterval: REFRESH_INTERVAL, group: 'daily' },
+        { name: 'json-api', url: `${base}/json`, adapter: 'json', path: 'data.proxies' },
+        { name: 'spreadsheet', url: `${base}/csv`, adapter: 'csv', refreshInterval: 0, group: 'datacenter' }
+      ]
+    });
+    
+    await proxyManager.initialize();
+    
+    // Every provider's proxies are added, tagged with it and health checked
+    check(idsFrom('daily-list').join() === listHosts.map(host => `${host}:${port}`).join(),
+      `List provider added ${idsFrom('daily-list').join(', ')}`);
+    check(idsFrom('json-api').join() === [`127.0.2.1:${port}:alice`, `127.0.2.2:${port}`].join(),
+      `JSON provider added ${idsFrom('json-api').join(', ')}`);
+    check(idsFrom('spreadsheet').join() === [`127.0.3.1:${port}`, `127.0.3.2:${port}`].join(),
+      `CSV provider added ${idsFrom('spreadsheet').join(', ')}`);
+    check(idsFrom(null).join() === `${MANUAL_HOST}:${port}`, `Proxies without a source: ${idsFrom(null).join(', ')}`);
+    
+    const authed = proxyManager.proxies.get(`127.0.2.1:${port}:alice`);
+    check(authed && authed.auth && authed.auth.password === 'secret', 'JSON provider credentials were not read');
+    
+    // Records keep their own group, others take the provider's
+    const groupOf = host => proxyManager.proxies.get(`${host}:${port}${host === '127.0.2.1' ? ':alice' : ''}`)?.group || null;
+    const groups = () => ['127.0.1.1', '127.0.2.1', '127.0.2.2', '127.0.3.1', '127.0.3.2'].map(groupOf).join();
+    const expectedGroups = 'daily,residential,,datacenter,residential';
+    check(groups() === expectedGroups, `Provider proxies are in groups ${groups()}`);
+    check(proxyManager.availableProxies.size === proxyManager.proxies.size,
+      `${proxyManager.availableProxies.size} of ${proxyManager.proxies.size} proxies passed the health check`);
+    
+    for (const provider of proxyManager.getProviders()) {
+      check(provider.lastError === null, `Provider ${provider.name} failed: ${provider.lastError}`);
+      check(provider.proxies === idsFrom(provider.name).length, `Provider ${provider.name} counts ${provider.proxies} proxies`);
+    }
+    
+    // Each provider refreshes on its own interval, and a zero interval never does
+    const listFetches = hits.list;
+    await new Promise(resolve => setTimeout(resolve, REFRESH_INTERVAL * 3.5));
+    proxyManager.stopProviderRefresh();
+    
+    check(hits.list >= listFetches + 2, `List provider refreshed ${hits.list - listFetches} times`);
+    check(hits.csv === 1, `CSV provider was fetched ${hits.csv} times`);
+    
+    // A key pinned to a proxy the provider drops keeps it until it fails over
+    const pinnedId = `127.0.1.2:${port}`;
+    const key = ProxyManager.sessionKey('ProviderBot');
+    await proxyManager.pin(key, pinnedId);
+    
+    listHosts = ['127.0.1.1', '127.0.1.4'];
+    const refreshed = await proxyManager.refreshProvider('daily-list');
+    
+    check(refreshed && refreshed.added.join() === `127.0.1.4:${port}`, `Refresh added ${refreshed && refreshed.added.join(', ')}`);
+    check(refreshed && refreshed.retired.join() === `127.0.1.3:${port}`, `Refresh retired ${refreshed && refreshed.retired.join(', ')}`);
+    check(refreshed && refreshed.kept.join() === pinnedId, `Refresh kept ${refreshed && refreshed.kept.join(', ')}`);
+    check(proxyManager.proxies.get(`127.0.1.4:${port}`)?.source === 'daily-list', 'Added proxy is not tagged with its provider');
+    check(groupOf('127.0.1.4') === 'daily', `Added proxy is in group ${groupOf('127.0.1.4')}`);
+    check(proxyManager.proxies.has(pinnedId), 'Pinned proxy was retired');
+    
+    // Other providers' proxies and the manual one are left alone
+    check(idsFrom('json-api').length === 2 && idsFrom('spreadsheet').length === 2, 'Refresh touched other providers');
+    check(idsFrom(null).length === 1, 'Refresh retired the manually added proxy');
+    
+    // Groups survive a refresh of the provider that set them
+    await proxyManager.refreshProvider('json-api');
+    await proxyManager.refreshProvider('spreadsheet');
+    check(groups() === expectedGroups, `Provider proxies are in groups ${groups()} after a refresh`);
+    
+    // Once the key moved, the next refresh retires it
+    await proxyManager.pin(key, `127.0.1.1:${port}`);
+    const afterFailover = await proxyManager.refreshProvider('daily-list');
+    
+    check(afterFailover && afterFailover.retired.join() === pinnedId, `Refresh after failover retired ${afterFailover && afterFailover.retired.join(', ')}`);
+    
+    // An empty list looks like a provider outage, so nothing is retired
+    listHosts = [];
+    const empty = await proxyManager.refreshProvider('daily-list');
+    
+    check(empty && empty.retired.length === 0, 'Empty list retired proxies');
+    check(idsFrom('daily-list').length === 2, `List provider has ${idsFrom('daily-list').length} proxies after an empty list`);
+    
+    // Sources are saved with the proxies
+    const saved = JSON.parse(await fs.readFile(proxyFilePath, 'utf8'));
+    const savedSource = saved.proxies.find(proxy => proxy.id === `127.0.1.4:${port}`)?.source;
+    check(savedSource === 'daily-list', `Saved source is ${savedSource}`);
+  } finally {
+    if (proxyManager) {
+      await proxyManager.stop();
+    }
+    
+    await new Promise(resolve => server.close(() => resolve()));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Proxy provider checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Proxy providers failed ${failures.length} checks`);
+  }
+  
+  return { failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
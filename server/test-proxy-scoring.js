@@ -0,0 +1,185 @@
+/**
+ * Test script for proxy scoring
+ * 
+ * Scores proxies with made-up request histories and checks the success
+ * rate, latency and block penalties, how older outcomes fade, how selection
+ * is weighted by score, and that recorded outcomes are saved with the
+ * proxies shortly after.
+ */
+
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { ProxyManager } = require('./src/services/scraper/proxy-manager');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'ProxyScoringTest' });
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a request history: [hours ago, success, latency] outcomes and [hours ago, reason] blocks
+ */
+const history = (outcomes, bans = []) => ({
+  stats: {
+    outcomes: outcomes.map(([hoursAgo, success, latency = null]) => ({
+      at: new Date(NOW - hoursAgo * HOUR).toISOString(),
+      success,
+      latency
+    })),
+    bans: bans.map(([hoursAgo, reason]) => ({ at: new Date(NOW - hoursAgo * HOUR).toISOString(), reason }))
+  }
+});
+
+const repeat = (count, outcome) => Array.from({ length: count }, () => outcome);
+
+// [name, proxy, expected score range [min, max]]
+const SCORE_CASES = [
+  ['no history', {}, [0.9, 0.9]],
+  ['fast and reliable', history(repeat(20, [0, true, 1000])), [0.98, 1]],
+  ['half failing', history([...repeat(10, [0, true, 1000]), ...repeat(10, [0, false])]), [0.5, 0.6]],
+  ['slow', history(repeat(20, [0, true, 6000])), [0.48, 0.51]],
+  ['slow health check only', { responseTime: 6000 }, [0.44, 0.46]],
+  ['just blocked', history(repeat(20, [0, true, 1000]), [[0, 'rateLimited']]), [0.49, 0.5]],
+  ['blocked a day ago', history(repeat(20, [0, true, 1000]), [[24, 'captcha']]), [0.98, 1]],
+  ['failed a day ago', history([...repeat(10, [24, false]), ...repeat(10, [0, true, 1000])]), [0.85, 0.95]]
+];
+
+async function runTest() {
+  log.info('Starting proxy scoring test');
+  
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-scoring-'));
+  const proxyFilePath = path.join(dir, 'proxies.json');
+  const failures = [];
+  const managers = [];
+  
+  try {
+    const proxyManager = new ProxyManager({ proxyFilePath, scoreSaveDelay: 100 });
+    managers.push(proxyManager);
+    
+    // Scores from made-up histories
+    for (const [name, proxy, [min, max]] of SCORE_CASES) {
+      const { score } = proxyManager.scoreProxy(proxy, NOW);
+      
+      if (score < min || score > max) {
+        failures.push(`Score of ${name} is ${score}, expected ${min} to ${max}`);
+      }
+    }
+    
+    // Selection weighted by score, with the worst proxies keeping a small share
+    await fs.writeFile(proxyFilePath, JSON.stringify({
+      proxies: ['10.0.0.1', '10.0.0.2', '10.0.0.3'].map(host => ({ host, port: 8080, protocol: 'http', healthy: true }))
+    }));
+    await proxyManager.loadProxies();
+    
+    const [good, bad, blocked] = [...proxyManager.proxies.keys()];
+    
+    for (let i = 0; i < 20; i++) {
+      proxyManager.recordResult(good, { success: true, latency: 1000 });
+      proxyManager.recordResult(bad, { success: i % 4 === 0, latency: 1000 });
+    }
+    
+    for (let i = 0; i < 5; i++) {
+      proxyManager.recordResult(blocked, { success: false, banned: 'captcha' });
+    }
+    
+    const picks = { [good]: 0, [bad]: 0, [blocked]: 0 };
+    
+    for (let i = 0; i < 2000; i++) {
+      picks[proxyManager.pickProxyId([good, bad, blocked])]++;
+    }
+    
+    log.info('Picks by proxy', picks);
+    
+    if (!(picks[good] > picks[bad] * 2 && picks[bad] > picks[blocked])) {
+      failures.push(`Picks aren't weighted by score: ${JSON.stringify(picks)}`);
+    }
+    
+    if (picks[blocked] === 0) {
+      failures.push('The blocked proxy was never picked, it can\'t recover');
+    }
+    
+    // Only the latest outcomes and blocks are kept
+    for (let i = 0; i < 60; i++) {
+      proxyManager.recordResult(good, { success: true, latency: 1000 });
+    }
+    
+    const { stats } = proxyManager.proxies.get(good);
+    
+    if (stats.outcomes.length !== proxyManager.config.scoreWindow) {
+      failures.push(`Kept ${stats.outcomes.length} outcomes, expected ${proxyManager.config.scoreWindow}`);
+    }
+    
+    // Recorded outcomes are saved shortly after, once for the whole burst
+    let saves = 0;
+    const saveProxies = proxyManager.saveProxies.bind(proxyManager);
+    proxyManager.saveProxies = () => {
+      saves++;
+      return saveProxies();
+    };
+    
+    proxyManager.recordResult(bad, { success: false, banned: 'rateLimited' });
+    proxyManager.recordResult(bad, { success: false });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    if (saves !== 1) {
+      failures.push(`Recorded outcomes were saved ${saves} times, expected once`);
+    }
+    
+    const reloaded = new ProxyManager({ proxyFilePath });
+    await reloaded.loadProxies();
+    
+    for (const proxyId of [good, bad, blocked]) {
+      const saved = reloaded.proxies.get(proxyId);
+      const expected = proxyManager.proxies.get(proxyId);
+      
+      if (!saved || saved.score !== expected.score || saved.stats.bans.length !== expected.stats.bans.length) {
+        failures.push(`Score of ${proxyId} wasn't saved`);
+      }
+    }
+    
+    // Stopping writes outcomes still waiting for their save
+    proxyManager.recordResult(good, { success: false });
+    await proxyManager.stop();
+    managers.length = 0;
+    
+    await reloaded.loadProxies();
+    const last = reloaded.proxies.get(good).stats.outcomes.slice(-1)[0];
+    
+    if (!last || last.success) {
+      failures.push('Outcome recorded before stopping wasn\'t saved');
+    }
+  } finally {
+    for (const proxyManager of managers) {
+      await proxyManager.stop();
+    }
+    
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Proxy scoring checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Proxy scoring failed ${failures.length} checks`);
+  }
+  
+  return { checked: SCORE_CASES.length, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
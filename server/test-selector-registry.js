@@ -0,0 +1,165 @@
+/**
+ * Test script for the selector registry
+ * 
+ * Runs `SelectorRegistry.validate` over a table of selector sets, then swaps
+ * sets in and rolls them back with the overrides file in a temporary
+ * directory. Checks that fields not given keep their selectors, that an
+ * invalid set changes nothing, and that the active set survives a restart.
+ */
+
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { SelectorRegistry } = require('./src/services/scraper/selector-registry');
+const { logger } = require('./src/utils/logger');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'SelectorRegistryTest' });
+
+const NAME = '[data-testid="UserName"] span';
+
+// [name, selector set, expected problems]
+const VALIDATE_CASES = [
+  ['one field', { profile: { name: [NAME] } }, []],
+  ['single selector as a string', { profile: { name: NAME } }, []],
+  ['nested field', { posts: { metrics: { likes: ['[data-testid="like"]'] } } }, []],
+  ['not an object', null, ['Selector set must be an object']],
+  ['no fields', {}, ['Selector set contains no fields']],
+  ['only a version', { version: 'v2' }, ['Selector set contains no fields']],
+  ['unknown field', { profile: { nickname: [NAME] } }, ['Unknown selector field: profile.nickname']],
+  ['no selectors', { profile: { name: [] } }, ['Field profile.name needs at least one selector']],
+  ['blank selector', { profile: { name: [NAME, '  '] } }, ['Field profile.name contains an empty or non-string selector']],
+  ['number as a selector', { profile: { name: [42] } }, ['Field profile.name contains an empty or non-string selector']],
+  ['several problems', { profile: { name: [], nickname: [NAME] } }, [
+    'Field profile.name needs at least one selector',
+    'Unknown selector field: profile.nickname'
+  ]]
+];
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  const failures = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'selector-registry-'));
+  const overridesFilePath = path.join(dir, 'selectors.json');
+  
+  const exists = async file => fs.access(file).then(() => true, () => false);
+  
+  try {
+    const registry = new SelectorRegistry({ overridesFilePath, maxHistory: 2 });
+    await registry.initialize();
+    
+    log.info('Checking selector set validation');
+    
+    for (const [name, selectorSet, expected] of VALIDATE_CASES) {
+      const actual = registry.validate(selectorSet);
+      check(actual.join() === expected.join(), `validate(${name}) returned [${actual.join('; ')}], expected [${expected.join('; ')}]`);
+    }
+    
+    log.info('Checking swaps and rollbacks');
+    
+    const configName = registry.get('profile.name');
+    const configBio = registry.get('profile.bio');
+    
+    registry.recordMatch('profile.name', 1);
+    registry.recordMatch('profile.bio', 0);
+    
+    // Only the fields given are replaced, and their match counts start over
+    const swapped = await registry.swap({ version: 'v2', profile: { name: [NAME, 'h2'] } });
+    
+    check(registry.get('profile.name').join() === `${NAME},h2`, `Swapped profile.name is ${registry.get('profile.name').join(', ')}`);
+    check(registry.get('profile.bio').join() === configBio.join(), 'A field missing from the swap lost its selectors');
+    check(swapped.version === 'v2' && swapped.revision === 1 && swapped.source === 'override', `Swap status ${JSON.stringify(swapped.version)} rev ${swapped.revision}`);
+    check(swapped.fields['profile.name'].stats === null && swapped.fields['profile.bio'].stats !== null, 'Match counts were not reset for the swapped field only');
+    check(await exists(overridesFilePath), 'Swapped selector set was not saved');
+    
+    // A set without a version is named after its revision
+    const unnamed = await registry.swap({ profile: { name: 'h1' } });
+    check(unnamed.version === 'rev-2', `Unnamed set got version ${unnamed.version}`);
+    
+    // An invalid set is refused and leaves the active one alone
+    let refused = null;
+    try {
+      await registry.swap({ profile: { nickname: [NAME] } });
+    } catch (error) {
+      refused = error;
+    }
+    
+    check(refused && /Unknown selector field: profile.nickname/.test(refused.message), `Invalid swap ${refused ? `threw ${refused.message}` : 'went through'}`);
+    check(registry.revision === 2 && registry.get('profile.name').join() === 'h1', 'An invalid swap changed the active set');
+    
+    // The active set is loaded again after a restart; fields since dropped from config are ignored
+    const saved = JSON.parse(await fs.readFile(overridesFilePath, 'utf8'));
+    saved.selectors['profile.nickname'] = [NAME];
+    await fs.writeFile(overridesFilePath, JSON.stringify(saved));
+    
+    const restarted = new SelectorRegistry({ overridesFilePath });
+    await restarted.initialize();
+    
+    check(restarted.get('profile.name').join() === 'h1' && restarted.version === 'rev-2' && restarted.revision === 2,
+      `Restarted registry has ${restarted.get('profile.name').join(', ')} at ${restarted.version} rev ${restarted.revision}`);
+    check(restarted.get('profile.nickname').length === 0, 'A field dropped from config was loaded from the overrides');
+    
+    // Rolling back steps through the history, which keeps maxHistory sets
+    await registry.swap({ profile: { name: 'h3' } });
+    check(registry.history.length === 2, `History kept ${registry.history.length} sets, expected 2`);
+    
+    const back = await registry.rollback();
+    check(registry.get('profile.name').join() === 'h1' && back.version === 'rev-2', `First rollback went to ${back.version}`);
+    
+    const backAgain = await registry.rollback();
+    check(registry.get('profile.name').join() === `${NAME},h2` && backAgain.version === 'v2', `Second rollback went to ${backAgain.version}`);
+    check(backAgain.revision === 5, `Rollbacks counted as revision ${backAgain.revision}, expected 5`);
+    
+    let empty = null;
+    try {
+      await registry.rollback();
+    } catch (error) {
+      empty = error;
+    }
+    
+    check(empty !== null, 'Rolled back with an empty history');
+    
+    // Resetting goes back to config and removes the overrides file
+    const reset = await registry.reset();
+    check(reset.source === 'config' && registry.get('profile.name').join() === configName.join(), 'Reset did not restore the config selectors');
+    check(!(await exists(overridesFilePath)), 'Overrides file is still there after a reset');
+    
+    const undone = await registry.rollback();
+    check(undone.version === 'v2' && await exists(overridesFilePath), 'Rolling back a reset did not restore the overrides');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Checked ${VALIDATE_CASES.length} selector sets and the swap history, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Selector registry failed ${failures.length} checks`);
+  }
+  
+  return { checked: VALIDATE_CASES.length, failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,183 @@
+/**
+ * Test script for thread reconstruction
+ * 
+ * Groups a captured timeline, and one read from a stand-in page's DOM, into
+ * self-reply threads with `XScraper.groupThreads`. Then stores the parts of
+ * one thread over two scrapes into an in-memory post store, the later parts
+ * first, as a scheduled scrape followed by a backfill would. The stored parts
+ * have to end up merged into one complete thread, returned by the posts API
+ * as a single item.
+ */
+
+require('dotenv').config();
+const { XScraper } = require('./src/services/scraper/x-scraper');
+const { PostStore } = require('./src/services/scraper/post-store');
+const { logger } = require('./src/utils/logger');
+const { createElement, createPage } = require('./src/utils/test-helpers');
+
+// Set logger level for detailed output
+logger.level = 'info';
+const log = logger.child({ module: 'ThreadMergeTest' });
+
+const HANDLE = 'ThreadUser';
+const ACCOUNT_ID = 'account-1';
+const POSTED = Date.parse('2024-06-01T12:00:00Z');
+
+// Tweet ids are numbered so they sort in posting order
+const id = n => `180000000000000${String(n).padStart(4, '0')}`;
+
+/**
+ * Build a captured tweet; replyTo is [tweet number, handle] for replies
+ */
+const tweet = (n, replyTo = null, author = HANDLE) => ({
+  id: id(n),
+  text: `Part ${n}`,
+  timestamp: new Date(POSTED + n * 60 * 1000).toISOString(),
+  url: `https://x.com/${author}/status/${id(n)}`,
+  type: replyTo ? 'reply' : 'tweet',
+  referencedTweetId: replyTo ? id(replyTo[0]) : null,
+  referencedUser: replyTo ? replyTo[1] : null
+});
+
+/**
+ * Build a tweet as X renders it on a profile; replyTo is the handle a reply answers
+ */
+const article = (selectors, n, replyTo = null, author = HANDLE) => createElement(`Part ${n}`, {
+  [selectors.text[0]]: `Part ${n}`,
+  [selectors.author[0]]: `${author} @${author}`,
+  [selectors.time[0]]: createElement('', {}, { datetime: new Date(POSTED + n * 60 * 1000).toISOString() }),
+  [selectors.link[0]]: createElement('', {}, { href: `/${author}/status/${id(n)}` }),
+  'div, span': replyTo
+    ? createElement(`Replying to @${replyTo}`, { 'a[href^="/"]': createElement(`@${replyTo}`, {}, { href: `/${replyTo}` }) })
+    : []
+});
+
+async function runTest() {
+  log.info('Starting thread merge test');
+  
+  const failures = [];
+  
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+    }
+  };
+  
+  // A thread of four parts, a thread whose start wasn't captured, a reply to
+  // someone else, another author's self-reply and a retweet
+  const timeline = [
+    tweet(13, [12, HANDLE]),
+    tweet(12, [11, HANDLE]),
+    tweet(11, [10, HANDLE]),
+    tweet(10),
+    tweet(22, [21, HANDLE]),
+    tweet(30, [5, 'SomeoneElse']),
+    tweet(41, [40, 'Guest'], 'Guest'),
+    { ...tweet(50, [13, HANDLE]), type: 'retweet' }
+  ];
+  
+  const grouped = XScraper.groupThreads(timeline, HANDLE);
+  const full = grouped.find(thread => thread.postIds.includes(id(10)));
+  const partial = grouped.find(thread => thread.postIds.includes(id(22)));
+  
+  check(grouped.length === 2, `Grouped ${grouped.length} threads, expected 2`);
+  check(full && full.postIds.join() === [id(10), id(11), id(12), id(13)].join() && full.complete && full.replyTo === null,
+    `Full thread grouped as ${JSON.stringify(full)}`);
+  check(partial && partial.postIds.join() === id(22) && !partial.complete && partial.replyTo === id(21),
+    `Partial thread grouped as ${JSON.stringify(partial)}`);
+  
+  // The DOM only links a reply to the tweet it answers when X renders that
+  // tweet right above it. A lone reply below a newer tweet stays unlinked and
+  // isn't a thread of its own.
+  const scraper = new XScraper({ useProxies: false });
+  const selectors = scraper.selectorRegistry.getGroup('posts');
+  const page = createPage(`https://x.com/${HANDLE}`, {
+    [selectors.container[0]]: [
+      article(selectors, 95),
+      article(selectors, 90),
+      article(selectors, 91, HANDLE),
+      article(selectors, 85, HANDLE),
+      article(selectors, 84, 'Guest', 'Guest'),
+      article(selectors, 86, 'Guest')
+    ]
+  });
+  
+  const rendered = await scraper.extractVisibleTweets(page);
+  const parents = rendered.map(item => `${item.id.slice(-2)}:${item.referencedTweetId ? item.referencedTweetId.slice(-2) : '-'}`);
+  check(parents.join() === '95:-,90:-,91:90,85:-,84:-,86:84', `Replies read from the DOM answer ${parents.join(', ')}`);
+  
+  const fromDom = XScraper.groupThreads(rendered, HANDLE);
+  check(fromDom.length === 1 && fromDom[0].postIds.join() === [id(90), id(91)].join() && fromDom[0].complete,
+    `Threads read from the DOM grouped as ${JSON.stringify(fromDom)}`);
+  
+  const withUnlinked = XScraper.groupThreads(rendered, HANDLE, { unlinked: true });
+  check(withUnlinked.length === 2 && withUnlinked.some(XScraper.isUnlinkedThread), 'Unlinked reply was not kept when asked for');
+  
+  // A scrape captures the later parts of a thread, a backfill the earlier ones
+  const postStore = new PostStore({ storageType: 'memory' });
+  await postStore.initialize();
+  
+  const later = [tweet(63, [62, HANDLE]), tweet(62, [61, HANDLE])];
+  const earlier = [tweet(61, [60, HANDLE]), tweet(60)];
+  
+  await postStore.upsertPosts(ACCOUNT_ID, later);
+  const first = await postStore.upsertThreads(ACCOUNT_ID, XScraper.groupThreads(later, HANDLE));
+  const pending = await postStore.findThreads(ACCOUNT_ID, { complete: false });
+  
+  check(first.created === 1 && first.updated === 0, `First scrape stored threads ${JSON.stringify(first)}`);
+  check(pending.length === 1 && pending[0].replyTo === id(61), `Pending threads after the first scrape: ${JSON.stringify(pending)}`);
+  
+  await postStore.upsertPosts(ACCOUNT_ID, earlier);
+  const second = await postStore.upsertThreads(ACCOUNT_ID, XScraper.groupThreads(earlier, HANDLE));
+  const threads = await postStore.findThreads(ACCOUNT_ID);
+  const merged = await postStore.getThreadWithPosts(id(60));
+  
+  check(second.created === 1 && second.updated === 1, `Backfill stored threads ${JSON.stringify(second)}`);
+  check(threads.length === 1, `Stored ${threads.length} threads after the backfill, expected one`);
+  check(merged && merged.complete && merged.postIds.join() === [id(60), id(61), id(62), id(63)].join(),
+    `Merged thread is ${JSON.stringify(merged && { postIds: merged.postIds, complete: merged.complete })}`);
+  check(merged && merged.posts.map(post => post.content).join() === 'Part 60,Part 61,Part 62,Part 63',
+    'Merged thread posts are not oldest first');
+  
+  for (const n of [60, 61, 62, 63]) {
+    const post = await postStore.getPost(id(n));
+    check(post && post.threadId === id(60), `Post ${n} links to thread ${post && post.threadId}`);
+  }
+  
+  // Storing the same threads again changes nothing
+  const again = await postStore.upsertThreads(ACCOUNT_ID, XScraper.groupThreads([...earlier, ...later], HANDLE));
+  check(again.created === 0 && again.updated === 0, `Storing the thread again changed ${JSON.stringify(again)}`);
+  
+  // A thread whose start was never stored stays incomplete
+  await postStore.upsertPosts(ACCOUNT_ID, [tweet(71, [70, HANDLE]), tweet(80)]);
+  await postStore.upsertThreads(ACCOUNT_ID, XScraper.groupThreads([tweet(71, [70, HANDLE])], HANDLE));
+  const orphan = await postStore.getThread(id(71));
+  check(orphan && !orphan.complete && orphan.replyTo === id(70), `Thread without its start stored as ${JSON.stringify(orphan)}`);
+  
+  // The posts API returns each thread as one item, where its newest post is
+  const items = await postStore.getPostsWithThreads(ACCOUNT_ID);
+  const kinds = items.map(item => (item.kind === 'thread' ? `thread ${item.threadId}` : item.postId));
+  check(kinds.join() === [id(80), `thread ${id(71)}`, `thread ${id(60)}`].join(), `Posts API returned ${kinds.join(', ')}`);
+  
+  for (const failure of failures) {
+    log.error(failure);
+  }
+  
+  log.info(`Thread merge checks complete, ${failures.length} failed`);
+  
+  if (failures.length > 0) {
+    throw new Error(`Thread merge failed ${failures.length} checks`);
+  }
+  
+  return { failed: failures.length };
+}
+
+// Run the test if this script is executed directly
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Unhandled error in test:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTest };